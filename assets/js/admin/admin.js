@@ -5,1219 +5,7076 @@
  * @since   1.0.0
  */
 
-/* global jQuery, assistifyAdmin */
+/* global jQuery, assistifyAdmin, AssistifyMarkdown */
 
 (function ($) {
   "use strict";
 
   /**
-   * Simple Markdown Parser for chat messages.
+   * Markdown renderer shared with the customer widget.
    */
-  const MarkdownParser = {
+  const MarkdownParser = AssistifyMarkdown;
+
+  /**
+   * Renderers for the structured result cards sent with chat answers.
+   *
+   * Each card has a type and a data payload. Types without a renderer are
+   * skipped, so the markdown answer remains the fallback.
+   */
+  const ResultCards = {
     /**
-     * Parse markdown to HTML.
+     * Render a list of cards.
      *
-     * @param {string} text - Markdown text.
-     * @return {string} HTML string.
+     * @param {Array} cards - Cards from the chat response.
+     * @return {string} HTML string, empty if nothing can be rendered.
      */
-    parse: function (text) {
-      if (!text) return "";
+    render: function (cards) {
+      if (!Array.isArray(cards)) {
+        return "";
+      }
 
-      let html = this.escapeHtml(text);
+      const html = cards
+        .map((card) => {
+          const renderer = card && this.renderers[card.type];
+          return renderer && card.data ? renderer.call(this, card.data) : "";
+        })
+        .join("");
 
-      // Parse tables first (before other transformations)
-      html = this.parseTables(html);
+      return html ? `<div class="assistify-result-cards">${html}</div>` : "";
+    },
 
-      // Code blocks (``` ... ```)
-      html = html.replace(
-        /```(\w*)\n?([\s\S]*?)```/g,
-        '<pre class="assistify-code-block"><code class="language-$1">$2</code></pre>'
-      );
+    renderers: {
+      /**
+       * Render an order card.
+       *
+       * @param {Object} order - Order data.
+       * @return {string} HTML string.
+       */
+      order: function (order) {
+        const strings = assistifyAdmin.strings;
+        const esc = MarkdownParser.escapeHtml;
+
+        const items = (order.items || [])
+          .map(
+            (item) => `
+              <li>
+                <span>${esc(item.name)} &times; ${esc(item.quantity)}</span>
+                <span>${esc(item.total)}</span>
+              </li>
+            `
+          )
+          .join("");
+
+        const totals = [
+          [strings.subtotal, order.subtotal],
+          [strings.shipping, order.shipping],
+          [strings.discount, order.discount ? "-" + order.discount : ""],
+          [strings.refunded, order.refunded ? "-" + order.refunded : ""],
+        ]
+          .filter((row) => row[1])
+          .map((row) => `<div><dt>${row[0]}</dt><dd>${esc(row[1])}</dd></div>`)
+          .join("");
+
+        const meta = [order.date, order.customer, order.payment]
+          .filter(Boolean)
+          .map(esc)
+          .join(" &middot; ");
+
+        return `
+          <div class="assistify-card assistify-card-order">
+            <div class="assistify-card-header">
+              <span class="assistify-card-title">${strings.order} #${esc(
+          order.number
+        )}</span>
+              <span class="assistify-card-status assistify-card-status-${esc(
+                order.status
+              )}">${esc(order.status_label)}</span>
+            </div>
+            <div class="assistify-card-meta">${meta}</div>
+            ${items ? `<ul class="assistify-card-items">${items}</ul>` : ""}
+            <dl class="assistify-card-totals">
+              ${totals}
+              <div class="assistify-card-grand-total"><dt>${
+                strings.total
+              }</dt><dd>${esc(order.total)}</dd></div>
+            </dl>
+            ${this.renderLink(order.url, strings.openOrder)}
+          </div>
+        `;
+      },
+
+      /**
+       * Render a product list card.
+       *
+       * @param {Object} list - Product list data.
+       * @return {string} HTML string.
+       */
+      products: function (list) {
+        const strings = assistifyAdmin.strings;
+        const esc = MarkdownParser.escapeHtml;
+        const products = list.products || [];
+
+        const rows = products
+          .map((product) => {
+            const url = this.safeUrl(product.url);
+            const name = url
+              ? `<a href="${esc(url)}" target="_blank">${esc(product.name)}</a>`
+              : esc(product.name);
+            const meta = [
+              product.sku ? `${strings.sku} ${esc(product.sku)}` : "",
+              esc(product.price || ""),
+            ]
+              .filter(Boolean)
+              .join(" &middot; ");
+            const image = this.safeUrl(product.image);
+
+            return `
+              <li class="assistify-card-product">
+                ${
+                  image
+                    ? `<img class="assistify-card-thumb" src="${esc(
+                        image
+                      )}" alt="" loading="lazy">`
+                    : '<span class="assistify-card-thumb"></span>'
+                }
+                <div class="assistify-card-product-info">
+                  <span class="assistify-card-product-name">${name}</span>
+                  <span class="assistify-card-meta">${meta}</span>
+                  ${
+                    product.note
+                      ? `<span class="assistify-card-meta">${esc(
+                          product.note
+                        )}</span>`
+                      : ""
+                  }
+                </div>
+                <span class="assistify-stock-badge assistify-stock-${esc(
+                  product.stock_level
+                )}">${esc(product.stock_label)}</span>
+              </li>
+            `;
+          })
+          .join("");
+
+        const count =
+          list.total > products.length
+            ? `<span class="assistify-card-count">${strings.showingOf
+                .replace("%1$d", products.length)
+                .replace("%2$d", list.total)}</span>`
+            : "";
+
+        return `
+          <div class="assistify-card assistify-card-products">
+            ${
+              list.title || count
+                ? `<div class="assistify-card-header"><span class="assistify-card-title">${esc(
+                    list.title || ""
+                  )}</span>${count}</div>`
+                : ""
+            }
+            <ul class="assistify-card-product-list">${rows}</ul>
+          </div>
+        `;
+      },
+
+      /**
+       * Render a customer card.
+       *
+       * @param {Object} customer - Customer data.
+       * @return {string} HTML string.
+       */
+      customer: function (customer) {
+        const strings = assistifyAdmin.strings;
+        const esc = MarkdownParser.escapeHtml;
+        const avatar = this.safeUrl(customer.avatar);
+
+        const stats = [
+          [strings.orders, customer.order_count],
+          [strings.totalSpent, customer.total_spent],
+          [strings.customerSince, customer.registered],
+        ]
+          .filter((row) => row[1] !== "" && row[1] !== undefined)
+          .map((row) => `<div><dt>${row[0]}</dt><dd>${esc(row[1])}</dd></div>`)
+          .join("");
+
+        const meta = [customer.email, customer.phone, customer.location]
+          .filter(Boolean)
+          .map(esc)
+          .join(" &middot; ");
+
+        return `
+          <div class="assistify-card assistify-card-customer">
+            <div class="assistify-card-header">
+              ${
+                avatar
+                  ? `<img class="assistify-card-avatar" src="${esc(
+                      avatar
+                    )}" alt="" loading="lazy">`
+                  : ""
+              }
+              <div>
+                <span class="assistify-card-title">${esc(
+                  customer.name || customer.username || customer.email
+                )}</span>
+                <span class="assistify-card-meta">${meta}</span>
+              </div>
+            </div>
+            <dl class="assistify-card-stats">${stats}</dl>
+            ${this.renderLink(customer.url, strings.openCustomer)}
+          </div>
+        `;
+      },
+    },
 
-      // Inline code (`code`)
-      html = html.replace(
-        /`([^`]+)`/g,
-        '<code class="assistify-inline-code">$1</code>'
-      );
+    /**
+     * Render the link at the bottom of a card.
+     *
+     * @param {string} url - Link URL.
+     * @param {string} label - Escaped link label.
+     * @return {string} HTML string, empty for unsafe URLs.
+     */
+    renderLink: function (url, label) {
+      const safe = this.safeUrl(url);
+      return safe
+        ? `<a class="assistify-card-link" href="${MarkdownParser.escapeHtml(
+            safe
+          )}" target="_blank">${label} &rarr;</a>`
+        : "";
+    },
 
-      // Bold (**text** or __text__)
-      html = html.replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>");
-      html = html.replace(/__([^_]+)__/g, "<strong>$1</strong>");
-
-      // Italic (*text* or _text_)
-      html = html.replace(/\*([^*]+)\*/g, "<em>$1</em>");
-      html = html.replace(/_([^_]+)_/g, "<em>$1</em>");
-
-      // Headers (### Header)
-      html = html.replace(/^### (.+)$/gm, '<h4 class="assistify-h4">$1</h4>');
-      html = html.replace(/^## (.+)$/gm, '<h3 class="assistify-h3">$1</h3>');
-      html = html.replace(/^# (.+)$/gm, '<h2 class="assistify-h2">$1</h2>');
-
-      // Unordered lists
-      html = html.replace(/^\s*[-*]\s+(.+)$/gm, "<li>$1</li>");
-      html = html.replace(/(<li>.*<\/li>\n?)+/g, "<ul>$&</ul>");
-
-      // Ordered lists
-      html = html.replace(/^\s*\d+\.\s+(.+)$/gm, "<li>$1</li>");
-
-      // Links [text](url) - internal links same tab, external new tab
-      html = html.replace(
-        /\[([^\]]+)\]\(([^)]+)\)/g,
-        function (match, text, url) {
-          var isInternal =
-            url.startsWith("/") ||
-            url.startsWith("#") ||
-            url.indexOf(window.location.hostname) !== -1;
-          if (isInternal) {
-            return '<a href="' + url + '">' + text + "</a>";
-          }
-          return (
-            '<a href="' +
-            url +
-            '" target="_blank" rel="noopener">' +
-            text +
-            "</a>"
-          );
+    /**
+     * Allow only http(s) and relative URLs.
+     *
+     * @param {string} url - URL from the card payload.
+     * @return {string} The URL, or an empty string.
+     */
+    safeUrl: function (url) {
+      return typeof url === "string" && /^(https?:\/\/|\/)/i.test(url)
+        ? url
+        : "";
+    },
+  };
+
+  /**
+   * Charts for analytics tables in assistant answers.
+   *
+   * Tables with a label column and at least one numeric column get a small
+   * SVG chart above them: a line for time series, a pie for percentage
+   * shares and horizontal bars otherwise.
+   */
+  const TableCharts = {
+    colors: [
+      "#6861f2",
+      "#46b450",
+      "#ffb900",
+      "#dc3232",
+      "#00a0d2",
+      "#826eb4",
+      "#f56e28",
+      "#50575e",
+    ],
+    maxBars: 12,
+    maxSlices: 6,
+
+    /**
+     * Add charts to the tables in a message.
+     *
+     * @param {jQuery} $content - The message content element.
+     */
+    enhance: function ($content) {
+      $content.find("table.assistify-table").each((index, table) => {
+        const $table = $(table);
+
+        if ($table.parent().hasClass("assistify-chart-block")) {
+          return;
         }
-      );
 
-      // Line breaks (double newline = paragraph)
-      html = html.replace(/\n\n/g, "</p><p>");
-      html = "<p>" + html + "</p>";
+        const data = this.analyze($table);
+        if (data) {
+          this.attach($table, data);
+        }
+      });
+    },
+
+    /**
+     * Read a table and find the series that can be charted.
+     *
+     * @param {jQuery} $table - The table element.
+     * @return {Object|null} Chart data, or null if the table is not chartable.
+     */
+    analyze: function ($table) {
+      const headers = $table
+        .find("thead th")
+        .map((i, th) => $(th).text().trim())
+        .get();
+      const allRows = $table
+        .find("tbody tr")
+        .map((i, tr) => [
+          $(tr)
+            .children("td")
+            .map((j, td) => $(td).text().trim())
+            .get(),
+        ])
+        .get();
+
+      // A trailing total row would dwarf the other values
+      let rows = allRows;
+      if (
+        rows.length &&
+        /^(grand total|total|sum|overall)\b/i.test(rows[rows.length - 1][0])
+      ) {
+        rows = rows.slice(0, -1);
+      }
+
+      if (headers.length < 2 || rows.length < 2) {
+        return null;
+      }
+
+      const series = [];
+      for (let column = 1; column < headers.length; column++) {
+        const raw = rows.map((row) => row[column] || "");
+        const values = raw.map((cell) => this.parseNumber(cell));
+
+        if (values.every((value) => !isNaN(value))) {
+          series.push({
+            name: headers[column],
+            raw: raw,
+            values: values,
+            percent: raw.every((cell) => /%$/.test(cell)),
+          });
+        }
+      }
+
+      if (!series.length) {
+        return null;
+      }
 
-      // Clean up empty paragraphs and table wrapping
-      html = html.replace(/<p>\s*<\/p>/g, "");
-      html = html.replace(/<p>\s*(<h[234])/g, "$1");
-      html = html.replace(/(<\/h[234]>)\s*<\/p>/g, "$1");
-      html = html.replace(/<p>\s*(<ul>)/g, "$1");
-      html = html.replace(/(<\/ul>)\s*<\/p>/g, "$1");
-      html = html.replace(/<p>\s*(<pre)/g, "$1");
-      html = html.replace(/(<\/pre>)\s*<\/p>/g, "$1");
-      html = html.replace(/<p>\s*(<table)/g, "$1");
-      html = html.replace(/(<\/table>)\s*<\/p>/g, "$1");
+      const labels = rows.map((row) => row[0] || "");
 
-      // Single line breaks
-      html = html.replace(/\n/g, "<br>");
+      return {
+        headers: headers,
+        allRows: allRows,
+        labels: labels,
+        series: series,
+        timeSeries: labels.every((label) => this.isTimeLabel(label)),
+      };
+    },
 
-      return html;
+    /**
+     * Wrap a table with the chart, view toggle and download actions.
+     *
+     * @param {jQuery} $table - The table element.
+     * @param {Object} data - Chart data from analyze().
+     */
+    attach: function ($table, data) {
+      const strings = assistifyAdmin.strings;
+      const esc = MarkdownParser.escapeHtml;
+
+      const options = data.series
+        .map(
+          (serie, index) =>
+            `<option value="${index}">${esc(serie.name)}</option>`
+        )
+        .join("");
+
+      // Built without whitespace: message content uses pre-wrap
+      const toolbar = [
+        '<div class="assistify-chart-toolbar">',
+        '<div class="assistify-chart-views">',
+        `<button type="button" class="assistify-chart-view is-active" data-view="chart" aria-pressed="true">${strings.chartView}</button>`,
+        `<button type="button" class="assistify-chart-view" data-view="table" aria-pressed="false">${strings.tableView}</button>`,
+        "</div>",
+        data.series.length > 1
+          ? `<select class="assistify-chart-series" aria-label="${strings.chartSeries}">${options}</select>`
+          : "",
+        `<button type="button" class="assistify-chart-download" data-format="png">${strings.downloadPng}</button>`,
+        `<button type="button" class="assistify-chart-download" data-format="csv">${strings.downloadCsv}</button>`,
+        "</div>",
+      ].join("");
+
+      $table.wrap('<div class="assistify-chart-block is-chart-view"></div>');
+
+      const $block = $table.parent();
+      $block.data("chart", data);
+      $block.prepend(toolbar + '<div class="assistify-chart"></div>');
+
+      this.draw($block, 0);
     },
 
     /**
-     * Parse markdown tables to HTML.
+     * Draw one series of a table as a chart.
      *
-     * @param {string} text - Text with potential tables.
-     * @return {string} Text with tables converted to HTML.
+     * @param {jQuery} $block - The chart block element.
+     * @param {number} index - Series index.
      */
-    parseTables: function (text) {
-      const lines = text.split("\n");
-      let result = [];
-      let tableLines = [];
-      let inTable = false;
+    draw: function ($block, index) {
+      const data = $block.data("chart");
+      const serie = data && data.series[index];
 
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
+      if (!serie) {
+        return;
+      }
 
-        // Check if line looks like a table row (starts and ends with |)
-        if (line.startsWith("|") && line.endsWith("|")) {
-          // Skip separator lines (|---|---|)
-          if (
-            /^\|[\s\-:]+\|$/.test(
-              line.replace(/\|/g, "|").replace(/[\s\-:]/g, "")
-            )
-          ) {
-            continue;
-          }
+      $block.data("series", index);
+      $block
+        .find(".assistify-chart")
+        .html(this[this.getChartType(data, serie)](data.labels, serie));
+    },
 
-          if (!inTable) {
-            inTable = true;
-            tableLines = [];
-          }
-          tableLines.push(line);
-        } else if (line.match(/^\|?[\s\-:]+\|[\s\-:|]+\|?$/)) {
-          // This is a separator line, skip it
-          continue;
-        } else {
-          // Not a table line
-          if (inTable && tableLines.length > 0) {
-            result.push(this.buildTable(tableLines));
-            tableLines = [];
-            inTable = false;
-          }
-          result.push(lines[i]);
-        }
+    /**
+     * Switch a chart block between chart and table view.
+     *
+     * @param {jQuery} $block - The chart block element.
+     * @param {string} view - 'chart' or 'table'.
+     */
+    setView: function ($block, view) {
+      $block
+        .toggleClass("is-chart-view", view === "chart")
+        .toggleClass("is-table-view", view === "table");
+
+      $block.find(".assistify-chart-view").each(function () {
+        const active = $(this).data("view") === view;
+        $(this).toggleClass("is-active", active).attr("aria-pressed", active);
+      });
+    },
+
+    /**
+     * Pick the chart type for a series.
+     *
+     * @param {Object} data - Chart data.
+     * @param {Object} serie - Series to draw.
+     * @return {string} 'line', 'pie' or 'bar'.
+     */
+    getChartType: function (data, serie) {
+      if (data.timeSeries && data.labels.length >= 3) {
+        return "line";
       }
 
-      // Handle table at end of text
-      if (inTable && tableLines.length > 0) {
-        result.push(this.buildTable(tableLines));
+      const isShare = serie.percent || /share|percent/i.test(serie.name);
+      if (
+        isShare &&
+        data.labels.length <= this.maxSlices &&
+        serie.values.every((value) => value >= 0)
+      ) {
+        return "pie";
       }
 
-      return result.join("\n");
+      return "bar";
     },
 
     /**
-     * Build HTML table from table lines.
+     * Draw a line chart.
      *
-     * @param {Array} lines - Array of table row strings.
-     * @return {string} HTML table.
+     * @param {Array} labels - Row labels.
+     * @param {Object} serie - Series to draw.
+     * @return {string} SVG markup.
      */
-    buildTable: function (lines) {
-      if (lines.length === 0) return "";
+    line: function (labels, serie) {
+      const esc = MarkdownParser.escapeHtml;
+      const width = 320;
+      const height = 170;
+      const pad = { top: 12, right: 14, bottom: 26, left: 46 };
+      const plotWidth = width - pad.left - pad.right;
+      const plotHeight = height - pad.top - pad.bottom;
+      const scale = this.getScale(serie.values);
+      const last = labels.length - 1;
+
+      const x = (i) => pad.left + (i * plotWidth) / last;
+      const y = (value) =>
+        pad.top +
+        plotHeight -
+        ((value - scale.min) / (scale.max - scale.min)) * plotHeight;
+
+      let body = scale.ticks
+        .map(
+          (tick) =>
+            `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(
+              tick
+            ).toFixed(1)}" y2="${y(tick).toFixed(
+              1
+            )}" stroke="#dcdcde" stroke-width="1"/><text x="${
+              pad.left - 6
+            }" y="${(y(tick) + 3).toFixed(1)}" text-anchor="end">${esc(
+              this.formatNumber(tick)
+            )}</text>`
+        )
+        .join("");
+
+      const points = serie.values
+        .map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`)
+        .join(" ");
+
+      body += `<polyline points="${points}" fill="none" stroke="${this.colors[0]}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>`;
+
+      body += serie.values
+        .map(
+          (value, i) =>
+            `<circle cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(
+              1
+            )}" r="2.5" fill="${this.colors[0]}"><title>${esc(
+              labels[i]
+            )}: ${esc(serie.raw[i])}</title></circle>`
+        )
+        .join("");
+
+      // Label the first, middle and last points
+      const ticks = [0, Math.round(last / 2), last].filter(
+        (value, i, list) => list.indexOf(value) === i
+      );
+
+      body += ticks
+        .map((i) => {
+          let anchor = "middle";
+          if (i === 0) anchor = "start";
+          if (i === last) anchor = "end";
+
+          return `<text x="${x(i).toFixed(1)}" y="${
+            height - 8
+          }" text-anchor="${anchor}">${esc(
+            this.truncate(labels[i], 14)
+          )}</text>`;
+        })
+        .join("");
 
-      let html = '<table class="assistify-table">';
+      return this.svg(width, height, serie.name, body);
+    },
 
-      lines.forEach((line, index) => {
-        const cells = line
-          .split("|")
-          .filter((cell) => cell.trim() !== "")
-          .map((cell) => cell.trim());
+    /**
+     * Draw a horizontal bar chart.
+     *
+     * @param {Array} labels - Row labels.
+     * @param {Object} serie - Series to draw.
+     * @return {string} SVG markup.
+     */
+    bar: function (labels, serie) {
+      const esc = MarkdownParser.escapeHtml;
+      const count = Math.min(labels.length, this.maxBars);
+      const width = 320;
+      const rowHeight = 22;
+      const labelWidth = 96;
+      const barSpace = width - labelWidth - 70;
+      const height = count * rowHeight + 8;
+      const values = serie.values.slice(0, count);
+      const max = Math.max(...values.map((value) => Math.abs(value))) || 1;
+
+      const body = values
+        .map((value, i) => {
+          const top = 4 + i * rowHeight;
+          const barWidth = Math.max(1, (Math.abs(value) / max) * barSpace);
+          const color = value < 0 ? this.colors[3] : this.colors[0];
+
+          return `<text x="${labelWidth - 6}" y="${
+            top + 14
+          }" text-anchor="end">${esc(
+            this.truncate(labels[i], 16)
+          )}</text><rect x="${labelWidth}" y="${
+            top + 3
+          }" width="${barWidth.toFixed(
+            1
+          )}" height="14" rx="2" fill="${color}"><title>${esc(
+            labels[i]
+          )}: ${esc(serie.raw[i])}</title></rect><text x="${(
+            labelWidth +
+            barWidth +
+            4
+          ).toFixed(1)}" y="${top + 14}">${esc(
+            this.truncate(serie.raw[i], 12)
+          )}</text>`;
+        })
+        .join("");
 
-        if (cells.length === 0) return;
+      return this.svg(width, height, serie.name, body);
+    },
 
-        const tag = index === 0 ? "th" : "td";
-        const rowTag = index === 0 ? "thead" : index === 1 ? "tbody" : "";
-        const rowEndTag = index === 0 ? "</thead>" : "";
+    /**
+     * Draw a pie chart with a legend.
+     *
+     * @param {Array} labels - Row labels.
+     * @param {Object} serie - Series to draw.
+     * @return {string} SVG markup.
+     */
+    pie: function (labels, serie) {
+      const esc = MarkdownParser.escapeHtml;
+      const width = 320;
+      const height = Math.max(150, labels.length * 20 + 16);
+      const radius = 64;
+      const cx = 78;
+      const cy = height / 2;
+      const total = serie.values.reduce((sum, value) => sum + value, 0);
+
+      if (total <= 0) {
+        return this.bar(labels, serie);
+      }
 
-        if (index === 1) {
-          html += "<tbody>";
+      let angle = -Math.PI / 2;
+      let body = "";
+
+      serie.values.forEach((value, i) => {
+        const color = this.colors[i % this.colors.length];
+        const title = `<title>${esc(labels[i])}: ${esc(serie.raw[i])}</title>`;
+        const sweep = (value / total) * Math.PI * 2;
+
+        if (sweep >= Math.PI * 2 - 0.0001) {
+          body += `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}">${title}</circle>`;
+        } else if (sweep > 0) {
+          const x1 = cx + radius * Math.cos(angle);
+          const y1 = cy + radius * Math.sin(angle);
+          const x2 = cx + radius * Math.cos(angle + sweep);
+          const y2 = cy + radius * Math.sin(angle + sweep);
+          const large = sweep > Math.PI ? 1 : 0;
+
+          body += `<path d="M${cx},${cy} L${x1.toFixed(2)},${y1.toFixed(
+            2
+          )} A${radius},${radius} 0 ${large} 1 ${x2.toFixed(2)},${y2.toFixed(
+            2
+          )} Z" fill="${color}" stroke="#fff" stroke-width="1">${title}</path>`;
         }
 
-        html += "<tr>";
-        cells.forEach((cell) => {
-          html += `<${tag}>${cell}</${tag}>`;
-        });
-        html += "</tr>";
+        angle += sweep;
 
-        if (index === 0) {
-          html += "</thead>";
-        }
+        const top = cy - (labels.length * 20) / 2 + i * 20;
+        const share = Math.round((value / total) * 1000) / 10;
+
+        body += `<rect x="168" y="${
+          top + 4
+        }" width="10" height="10" rx="2" fill="${color}"/><text x="184" y="${
+          top + 13
+        }">${esc(this.truncate(labels[i], 18))} (${share}%)</text>`;
       });
 
-      html += "</tbody></table>";
-      return html;
+      return this.svg(width, height, serie.name, body);
     },
 
     /**
-     * Escape HTML entities.
+     * Wrap chart shapes in a standalone SVG element.
      *
-     * @param {string} text - Text to escape.
-     * @return {string} Escaped text.
+     * Styles are inline so the PNG export matches the widget.
+     *
+     * @param {number} width - Width.
+     * @param {number} height - Height.
+     * @param {string} title - Accessible title.
+     * @param {string} body - Chart shapes.
+     * @return {string} SVG markup.
      */
-    escapeHtml: function (text) {
-      const div = document.createElement("div");
-      div.textContent = text;
-      return div.innerHTML;
+    svg: function (width, height, title, body) {
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${MarkdownParser.escapeHtml(
+        title
+      )}" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" font-size="10" fill="#50575e"><rect width="${width}" height="${height}" fill="#fff"/>${body}</svg>`;
     },
-  };
 
-  /**
-   * Assistify Admin Chat
-   */
-  const AssistifyAdminChat = {
-    sessionId: null,
-    currentTab: "chat",
-    sessions: [],
-    isStreaming: false,
-    streamingSpeed: 20, // milliseconds per word chunk (faster = smoother)
+    /**
+     * Get a rounded axis scale for a list of values.
+     *
+     * @param {Array} values - Numeric values.
+     * @return {Object} Scale with min, max and ticks.
+     */
+    getScale: function (values) {
+      let min = Math.min(0, ...values);
+      let max = Math.max(...values);
+
+      if (max === min) {
+        max = min + 1;
+      }
+
+      const rough = (max - min) / 4;
+      const power = Math.pow(10, Math.floor(Math.log10(rough)));
+      const fraction = rough / power;
+      let step = 10 * power;
+      if (fraction <= 1) step = power;
+      else if (fraction <= 2) step = 2 * power;
+      else if (fraction <= 5) step = 5 * power;
+
+      min = Math.floor(min / step) * step;
+      max = Math.ceil(max / step) * step;
+
+      const ticks = [];
+      for (let tick = min; tick <= max + step / 2; tick += step) {
+        ticks.push(Math.round(tick / step) * step);
+      }
+
+      return { min: min, max: max, ticks: ticks };
+    },
 
     /**
-     * Initialize
+     * Parse a table cell such as "$1,234.50", "12%" or "-3" to a number.
+     *
+     * @param {string} text - Cell text.
+     * @return {number} The number, or NaN if the cell is not numeric.
      */
-    init: function () {
-      // Check if assistifyAdmin exists and chat is enabled
-      if (
-        typeof assistifyAdmin === "undefined" ||
-        !assistifyAdmin.settings ||
-        assistifyAdmin.settings.chatEnabled !== "yes"
-      ) {
-        return;
+    parseNumber: function (text) {
+      const match = /^(-?)[^\w\s-]{0,3}(-?)(\d[\d.,]*)[^\w\s]{0,3}$/.exec(
+        String(text).replace(/\s/g, "")
+      );
+
+      if (!match) {
+        return NaN;
       }
 
-      this.createWidget();
-      this.bindEvents();
-      this.loadSessionId();
-      this.loadSessions();
+      let number = match[3];
+      const comma = number.lastIndexOf(",");
+      const dot = number.lastIndexOf(".");
+
+      if (comma > -1 && dot > -1) {
+        // The last separator is the decimal one
+        number =
+          comma > dot
+            ? number.replace(/\./g, "").replace(",", ".")
+            : number.replace(/,/g, "");
+      } else if (comma > -1) {
+        number = /^\d{1,3}(,\d{3})+$/.test(number)
+          ? number.replace(/,/g, "")
+          : number.replace(",", ".");
+      } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(number)) {
+        number = number.replace(/\./g, "");
+      }
 
-      // Load messages for current session if it exists
-      this.loadCurrentSessionMessages();
+      const value = parseFloat(number);
+      return match[1] || match[2] ? -value : value;
     },
 
     /**
-     * Load messages for the current session on page load.
+     * Check whether a row label looks like a date or period.
+     *
+     * @param {string} label - Row label.
+     * @return {boolean} True for dates, months, weeks, quarters and years.
      */
-    loadCurrentSessionMessages: function () {
-      if (!this.sessionId) {
+    isTimeLabel: function (label) {
+      const month =
+        "(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+
+      return [
+        /^\d{4}-\d{1,2}(-\d{1,2})?([ T][\d:]+)?$/,
+        /^\d{1,2}[/.-]\d{1,2}([/.-]\d{2,4})?$/,
+        /^(19|20)\d{2}$/,
+        /^q[1-4]([ -]?\d{2,4})?$/i,
+        /^(week|wk|w)[ -]?\d{1,2}([ ,-]+\d{4})?$/i,
+        /^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?$/i,
+        new RegExp(`^${month}( \\d{1,2})?(,? \\d{2,4})?$`, "i"),
+        new RegExp(`^\\d{1,2} ${month}( \\d{2,4})?$`, "i"),
+      ].some((pattern) => pattern.test(label.trim()));
+    },
+
+    /**
+     * Format an axis value compactly.
+     *
+     * @param {number} value - Value.
+     * @return {string} Formatted value, such as 1.5k.
+     */
+    formatNumber: function (value) {
+      const abs = Math.abs(value);
+
+      if (abs >= 1000000) {
+        return (value / 1000000).toFixed(1).replace(/\.0$/, "") + "M";
+      }
+      if (abs >= 1000) {
+        return (value / 1000).toFixed(1).replace(/\.0$/, "") + "k";
+      }
+
+      return String(Math.round(value * 100) / 100);
+    },
+
+    /**
+     * Shorten a label to fit the chart.
+     *
+     * @param {string} text - Label.
+     * @param {number} length - Maximum length.
+     * @return {string} Label, with an ellipsis if shortened.
+     */
+    truncate: function (text, length) {
+      return text.length > length ? text.slice(0, length - 1) + "…" : text;
+    },
+
+    /**
+     * Download the current chart as a PNG image.
+     *
+     * @param {jQuery} $block - The chart block element.
+     */
+    downloadPng: function ($block) {
+      const svg = $block.find(".assistify-chart svg").get(0);
+
+      if (!svg) {
         return;
       }
 
-      $.ajax({
-        url: assistifyAdmin.ajaxUrl,
-        type: "POST",
-        data: {
-          action: "assistify_get_session_messages",
-          nonce: assistifyAdmin.nonce,
-          session_id: this.sessionId,
-        },
-        success: (response) => {
-          if (
-            response.success &&
-            response.data.messages &&
-            response.data.messages.length > 0
-          ) {
-            // Clear welcome message and load session messages
-            this.$messages.empty();
-            response.data.messages.forEach((msg) => {
-              this.addMessage(msg.role, msg.content, true, false);
-            });
-            // Always scroll to bottom to show last message
-            // Use multiple scroll attempts to handle async rendering
-            this.scrollToBottom();
-            setTimeout(() => this.scrollToBottom(), 200);
-            setTimeout(() => this.scrollToBottom(), 500);
+      const width = svg.viewBox.baseVal.width;
+      const height = svg.viewBox.baseVal.height;
+      const image = new Image();
+
+      image.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = width * 2;
+        canvas.height = height * 2;
+
+        const context = canvas.getContext("2d");
+        context.scale(2, 2);
+        context.drawImage(image, 0, 0, width, height);
+
+        canvas.toBlob((blob) => {
+          if (blob) {
+            this.saveFile(blob, this.getFileName($block, "png"));
           }
-          // If no messages, keep the welcome message that was added in createWidget
-        },
-      });
+        });
+      };
+
+      image.src =
+        "data:image/svg+xml;charset=utf-8," +
+        encodeURIComponent(new XMLSerializer().serializeToString(svg));
     },
 
     /**
-     * Load or create session ID.
+     * Download the table behind a chart as CSV.
+     *
+     * @param {jQuery} $block - The chart block element.
      */
-    loadSessionId: function () {
-      const stored = localStorage.getItem("assistify_session_id");
-      if (stored) {
-        this.sessionId = stored;
-      } else {
-        this.sessionId = this.generateSessionId();
-        localStorage.setItem("assistify_session_id", this.sessionId);
+    downloadCsv: function ($block) {
+      const data = $block.data("chart");
+
+      if (!data) {
+        return;
       }
+
+      const cell = (value) => {
+        let text = String(value);
+
+        // Keep spreadsheet apps from evaluating cells as formulas
+        if (/^[=+@]/.test(text) || /^-[^\d.]/.test(text)) {
+          text = "'" + text;
+        }
+
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+
+      const csv = [data.headers]
+        .concat(data.allRows)
+        .map((row) => row.map(cell).join(","))
+        .join("\r\n");
+
+      this.saveFile(
+        new Blob(["\ufeff" + csv], { type: "text/csv;charset=utf-8" }),
+        this.getFileName($block, "csv")
+      );
     },
 
     /**
-     * Generate a simple session ID.
+     * Build a download file name from the charted series.
+     *
+     * @param {jQuery} $block - The chart block element.
+     * @param {string} extension - File extension.
+     * @return {string} File name.
      */
-    generateSessionId: function () {
-      return (
-        "afw_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9)
-      );
+    getFileName: function ($block, extension) {
+      const data = $block.data("chart");
+      const serie = data.series[$block.data("series") || 0];
+      const slug = serie.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+
+      return `assistify-${slug || "chart"}.${extension}`;
     },
 
     /**
-     * Load user's chat sessions from server.
+     * Save a blob through a temporary download link.
+     *
+     * @param {Blob} blob - File contents.
+     * @param {string} fileName - File name.
      */
-    loadSessions: function () {
-      $.ajax({
-        url: assistifyAdmin.ajaxUrl,
-        type: "POST",
-        data: {
-          action: "assistify_get_sessions",
-          nonce: assistifyAdmin.nonce,
-        },
-        success: (response) => {
-          if (response.success && response.data.sessions) {
-            this.sessions = response.data.sessions;
-            this.updateSessionsCount();
+    saveFile: function (blob, fileName) {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
 
-            // Re-render if currently viewing History tab.
-            if (this.currentTab === "history") {
-              this.renderSessions();
-            }
-          }
-        },
-      });
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
+  };
 
+  /**
+   * "How I got this" trace shown below an answer.
+   *
+   * Lists every ability the agent ran for the answer, with its parameters,
+   * how long it took and a link to its entry in the activity log.
+   */
+  const AbilityTrace = {
     /**
-     * Update sessions count badge.
+     * Render the trace.
+     *
+     * @param {Array} abilities - Abilities with tool, args, success, duration and log_id.
+     * @return {string} HTML string, empty if no ability was run.
      */
-    updateSessionsCount: function () {
-      const count = this.sessions.length;
-      const $badge = this.$widget.find(".assistify-tab-badge");
-      if (count > 0) {
-        $badge.text(count).show();
-      } else {
-        $badge.hide();
+    render: function (abilities) {
+      if (!Array.isArray(abilities) || !abilities.length) {
+        return "";
       }
+
+      const items = abilities
+        .map((ability) => this.renderItem(ability))
+        .join("");
+
+      return `
+        <details class="assistify-trace">
+          <summary>${assistifyAdmin.strings.howIGotThis}</summary>
+          <ol class="assistify-trace-list">${items}</ol>
+        </details>
+      `;
     },
 
     /**
-     * Create the chat widget
-     */
-    createWidget: function () {
-      const widgetHtml = `
-        <div class="assistify-admin-chat">
-          <button type="button" class="assistify-admin-chat-toggle" aria-expanded="false" aria-label="${
-            assistifyAdmin.strings.openChat || "Chat with Ayana"
-          }">
-            <span class="assistify-chat-icon">
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" fill="currentColor">
-                <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.57 0-3.05-.43-4.32-1.18l-.31-.18-3.22.89.89-3.22-.18-.31C4.43 15.05 4 13.57 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z"/>
-              </svg>
-            </span>
-            <span class="assistify-close-icon">
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" fill="currentColor">
-                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
-              </svg>
-            </span>
-          </button>
-          <span class="assistify-keyboard-hint">Press <kbd>Ctrl</kbd>+<kbd>/</kbd></span>
-          <div class="assistify-admin-chat-container">
-            <div class="assistify-admin-chat-header">
-              <div class="assistify-header-content">
-                <h3>Assistify<span class="assistify-status-dot ${
-                  assistifyAdmin.settings.apiConfigured
-                    ? "is-online"
-                    : "is-offline"
-                }" title="${
-        assistifyAdmin.settings.apiConfigured
-          ? "Connected"
-          : "API key not configured"
-      }"></span></h3>
-                <span class="assistify-header-subtitle">Store Intelligence</span>
-              </div>
-              <button type="button" class="assistify-admin-chat-close" aria-label="Close chat">
-                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
-                  <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
-                </svg>
-              </button>
-            </div>
-            <div class="assistify-chat-tabs">
-              <button type="button" class="assistify-tab is-active" data-tab="chat">Chat</button>
-              <button type="button" class="assistify-tab" data-tab="history">History <span class="assistify-tab-badge" style="display:none;">0</span></button>
-            </div>
-            <div class="assistify-tab-content assistify-tab-chat is-active">
-              <div class="assistify-admin-chat-messages" role="log" aria-live="polite"></div>
-              <form class="assistify-admin-chat-form">
-                <input type="text" class="assistify-admin-chat-input" placeholder="${
-                  assistifyAdmin.strings.placeholder || "Ask Ayana anything..."
-                }" autocomplete="off">
-                <button type="submit" class="assistify-admin-chat-send" aria-label="Send message">
-                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
-                    <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
-                  </svg>
-                </button>
-              </form>
-            </div>
-            <div class="assistify-tab-content assistify-tab-history">
-              <div class="assistify-sessions-list"></div>
-              <button type="button" class="assistify-new-chat-btn">+ Start New Chat</button>
-            </div>
+     * Render one ability of the trace.
+     *
+     * @param {Object} ability - Ability with tool, args, success, duration and log_id.
+     * @return {string} HTML string.
+     */
+    renderItem: function (ability) {
+      const strings = assistifyAdmin.strings;
+      const esc = MarkdownParser.escapeHtml;
+      const status = ability.success ? "success" : "failed";
+      const args = ability.args || {};
+
+      const params = Object.keys(args)
+        .map(
+          (key) =>
+            `<li><span class="assistify-trace-key">${esc(key)}:</span> ${esc(
+              this.formatValue(args[key])
+            )}</li>`
+        )
+        .join("");
+
+      const link = ability.log_id
+        ? `<a class="assistify-trace-log" href="${esc(
+            assistifyAdmin.auditLogUrl + "&log=" + ability.log_id
+          )}" target="_blank" rel="noopener">${strings.viewInLog}</a>`
+        : "";
+
+      return `
+        <li class="assistify-trace-item assistify-trace-${status}">
+          <div class="assistify-trace-header">
+            <code>${esc(ability.tool)}</code>
+            <span class="assistify-trace-status">${
+              ability.success ? strings.traceSuccess : strings.traceFailed
+            }</span>
+            ${
+              typeof ability.duration === "number"
+                ? `<span class="assistify-trace-duration">${this.formatDuration(
+                    ability.duration
+                  )}</span>`
+                : ""
+            }
+            ${link}
           </div>
-        </div>
+          ${
+            params
+              ? `<ul class="assistify-trace-params">${params}</ul>`
+              : `<div class="assistify-trace-params">${strings.traceNoParams}</div>`
+          }
+        </li>
       `;
+    },
 
-      $("body").append(widgetHtml);
+    /**
+     * Format a parameter value as a short line of text.
+     *
+     * @param {*} value - Parameter value.
+     * @return {string} Text, cut off after 120 characters.
+     */
+    formatValue: function (value) {
+      const text =
+        value !== null && typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
 
-      this.$widget = $(".assistify-admin-chat");
-      this.$toggle = this.$widget.find(".assistify-admin-chat-toggle");
-      this.$container = this.$widget.find(".assistify-admin-chat-container");
-      this.$messages = this.$widget.find(".assistify-admin-chat-messages");
-      this.$form = this.$widget.find(".assistify-admin-chat-form");
-      this.$input = this.$widget.find(".assistify-admin-chat-input");
-      this.$close = this.$widget.find(".assistify-admin-chat-close");
-      this.$send = this.$widget.find(".assistify-admin-chat-send");
-      this.$sessionsList = this.$widget.find(".assistify-sessions-list");
+      return text.length > 120 ? text.substr(0, 119) + "…" : text;
+    },
 
-      // Add welcome message
-      this.addMessage("assistant", this.getWelcomeMessage());
+    /**
+     * Format how long an ability took.
+     *
+     * @param {number} ms - Duration in milliseconds.
+     * @return {string} Duration text.
+     */
+    formatDuration: function (ms) {
+      const strings = assistifyAdmin.strings;
+
+      return ms < 1000
+        ? strings.durationMs.replace("%s", ms)
+        : strings.durationSec.replace("%s", (ms / 1000).toFixed(1));
     },
+  };
 
+  /**
+   * Token usage and estimated cost of answers.
+   *
+   * Labels each answer with the tokens it used, and sums them up for the
+   * session meter in the chat header, next to this month's spend.
+   */
+  const UsageMeter = {
     /**
-     * Get a random creative welcome message.
+     * Add up the usage of several answers.
+     *
+     * @param {Array} usages - Usage of each answer.
+     * @return {Object} Total with prompt_tokens, completion_tokens, total_tokens and cost.
      */
-    getWelcomeMessage: function () {
-      const greetings = [
-        "Hey, I'm **Ayana**. I work behind the scenes of your store and know your products, orders, customers, and sales inside out. Tell me what you need.",
-        "Hi, I'm **Ayana**. I keep an eye on your products, orders, customers, and sales. Ask me anything and I'll pull the answers for you.",
-        "I'm **Ayana**. I sit inside your store and understand your data from top to bottom. Tell me what you want to check or fix.",
-        "**Ayana** here. I know your store's numbers, customers, and products by heart. Ask away.",
-        "Hey! **Ayana** at your service. I've got full access to your store data. What would you like to know?",
-      ];
+    sum: function (usages) {
+      return usages.reduce(
+        (total, usage) => ({
+          prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+          completion_tokens:
+            total.completion_tokens + (usage.completion_tokens || 0),
+          total_tokens: total.total_tokens + (usage.total_tokens || 0),
+          cost: total.cost + (usage.cost || 0),
+        }),
+        { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 }
+      );
+    },
 
-      const randomIndex = Math.floor(Math.random() * greetings.length);
-      return greetings[randomIndex];
+    /**
+     * Render the footer label of an answer.
+     *
+     * @param {Object} usage - Usage of the answer.
+     * @return {string} Label HTML, empty if no tokens were reported.
+     */
+    renderLabel: function (usage) {
+      if (!usage || !usage.total_tokens) {
+        return "";
+      }
+
+      return `<span class="assistify-usage-label" title="${this.getDetail(
+        usage
+      )}">${this.getText(usage)}</span>`;
     },
 
     /**
-     * Bind events
+     * Get the token count and cost of some usage as short text.
+     *
+     * @param {Object} usage - Usage with total_tokens and cost.
+     * @return {string} Text such as "1.2k tokens · $0.0031".
      */
-    bindEvents: function () {
-      const self = this;
+    getText: function (usage) {
+      const tokens = assistifyAdmin.strings.usageTokens.replace(
+        "%s",
+        this.formatTokens(usage.total_tokens)
+      );
 
-      // Toggle chat
-      this.$toggle.on("click", function () {
-        self.toggleChat();
-      });
+      return typeof usage.cost === "number"
+        ? tokens + " · " + this.formatCost(usage.cost)
+        : tokens;
+    },
 
-      // Close chat
-      this.$close.on("click", function () {
-        self.closeChat();
-      });
+    /**
+     * Get the prompt and completion token counts of some usage.
+     *
+     * @param {Object} usage - Usage with prompt_tokens and completion_tokens.
+     * @return {string} Text.
+     */
+    getDetail: function (usage) {
+      return assistifyAdmin.strings.usageDetail
+        .replace("%1$s", (usage.prompt_tokens || 0).toLocaleString())
+        .replace("%2$s", (usage.completion_tokens || 0).toLocaleString());
+    },
 
-      // Submit message
-      this.$form.on("submit", function (e) {
-        e.preventDefault();
-        self.sendMessage();
-      });
+    /**
+     * Render the meter in the chat header.
+     *
+     * @param {Object} session - Usage of the answers in the current session.
+     * @param {Object} month - This month's spend, with cost, budget and warning.
+     * @return {Object} Meter with html and the state: "", "is-warning" or "is-over".
+     */
+    renderMeter: function (session, month) {
+      const strings = assistifyAdmin.strings;
+      const budget = month && month.budget > 0 ? month.budget : 0;
+      const cost = month ? month.cost : 0;
+      let state = "";
+      let title = strings.usageEstimate;
+
+      if (budget && cost >= budget) {
+        state = "is-over";
+        title = strings.budgetOver.replace("%s", this.formatCost(budget));
+      } else if (budget && cost >= (budget * month.warning) / 100) {
+        state = "is-warning";
+        title = strings.budgetWarning
+          .replace("%1$s", this.formatCost(cost))
+          .replace("%2$s", this.formatCost(budget));
+      }
 
-      // Tab switching
-      this.$widget.on("click", ".assistify-tab", function () {
-        const tab = $(this).data("tab");
-        self.switchTab(tab);
-      });
+      const monthText = budget
+        ? strings.usageMonthOf
+            .replace("%1$s", this.formatCost(cost))
+            .replace("%2$s", this.formatCost(budget))
+        : strings.usageMonth.replace("%s", this.formatCost(cost));
 
-      // Load session from history
-      this.$widget.on("click", ".assistify-session-item", function () {
-        const sessionId = $(this).data("session-id");
-        self.loadSession(sessionId);
-      });
+      const sessionText = session.total_tokens
+        ? strings.usageSession.replace("%s", this.getText(session)) + " · "
+        : "";
 
-      // Start new chat
-      this.$widget.on("click", ".assistify-new-chat-btn", function () {
-        self.startNewChat();
-      });
+      return {
+        html: `<span title="${title}">${
+          state ? "⚠ " : ""
+        }${sessionText}${monthText}</span>`,
+        state: state,
+      };
+    },
 
-      // Delete individual session
-      this.$widget.on("click", ".assistify-session-delete", function (e) {
-        e.stopPropagation(); // Prevent triggering session load
-        const sessionId = $(this).data("session-id");
-        self.deleteSession(sessionId);
-      });
+    /**
+     * Format a token count, e.g. 1234 as 1.2k.
+     *
+     * @param {number} tokens - Token count.
+     * @return {string} Formatted count.
+     */
+    formatTokens: function (tokens) {
+      return tokens >= 1000
+        ? (tokens / 1000).toFixed(1).replace(/\.0$/, "") + "k"
+        : String(tokens);
+    },
 
-      // Clear all history
-      this.$widget.on("click", ".assistify-clear-all-btn", function () {
-        self.clearAllSessions();
-      });
+    /**
+     * Format an estimated cost in US dollars.
+     *
+     * Costs below a dollar keep four decimals, as single answers are cheap.
+     *
+     * @param {number} cost - Cost in US dollars.
+     * @return {string} Formatted cost.
+     */
+    formatCost: function (cost) {
+      return assistifyAdmin.strings.usageCost.replace(
+        "%s",
+        cost > 0 && cost < 1 ? cost.toFixed(4) : cost.toFixed(2)
+      );
+    },
+  };
 
-      // Keyboard shortcut (Ctrl + /)
-      $(document).on("keydown", function (e) {
-        if (e.ctrlKey && e.key === "/") {
-          e.preventDefault();
-          self.toggleChat();
-        }
-        if (e.key === "Escape" && self.$container.hasClass("is-open")) {
-          self.closeChat();
-        }
-      });
+  /**
+   * Per-item preview of actions waiting for confirmation.
+   *
+   * Lists every record a held action would change with a before/after diff
+   * and a checkbox, so the admin can approve only part of a batch.
+   */
+  const ActionPreview = {
+    /**
+     * Render the preview list.
+     *
+     * @param {Array} items - Pending items from the chat response.
+     * @return {string} HTML string, empty if there are no items.
+     */
+    render: function (items) {
+      if (!Array.isArray(items) || !items.length) {
+        return "";
+      }
 
-      // Handle Enter key in input
-      this.$input.on("keydown", function (e) {
-        if (e.key === "Enter" && !e.shiftKey) {
-          e.preventDefault();
-          self.sendMessage();
-        }
-      });
+      const header =
+        items.length > 1
+          ? `
+            <div class="assistify-action-preview-header">
+              <label>
+                <input type="checkbox" class="assistify-action-select-all" checked />
+                ${assistifyAdmin.strings.selectAll}
+              </label>
+              <span class="assistify-action-count"></span>
+            </div>
+          `
+          : "";
 
-      // Copy message button
-      this.$widget.on("click", ".assistify-copy-btn", function (e) {
-        e.preventDefault();
-        const messageId = $(this).data("message-id");
-        self.copyMessage(messageId);
-      });
+      return `
+        <div class="assistify-action-preview">
+          ${header}
+          <ul class="assistify-action-items">
+            ${items.map((item) => this.renderItem(item)).join("")}
+          </ul>
+        </div>
+      `;
     },
 
     /**
-     * Toggle chat open/closed
+     * Render a single pending item.
+     *
+     * @param {Object} item - Item with id, label, url, changes and error.
+     * @return {string} HTML string.
      */
-    toggleChat: function () {
-      const isOpen = this.$container.hasClass("is-open");
+    renderItem: function (item) {
+      const strings = assistifyAdmin.strings;
+      const esc = MarkdownParser.escapeHtml;
+      const url = ResultCards.safeUrl(item.url);
+
+      const label = url
+        ? `<a href="${esc(
+            url
+          )}" target="_blank" rel="noopener noreferrer" title="${
+            strings.openRecord
+          }">${esc(item.label)}</a>`
+        : esc(item.label);
+
+      const changes = (item.changes || [])
+        .map(
+          (change) => `
+            <li>
+              <span class="assistify-action-field">${esc(change.field)}</span>
+              ${change.before ? `<del>${esc(change.before)}</del> &rarr;` : ""}
+              <ins>${change.after ? esc(change.after) : strings.notSet}</ins>
+            </li>
+          `
+        )
+        .join("");
+
+      const error = item.error
+        ? `<span class="assistify-action-error">${esc(item.error)}</span>`
+        : "";
 
-      if (isOpen) {
-        this.closeChat();
-      } else {
-        this.openChat();
-      }
+      return `
+        <li class="assistify-action-item${item.error ? " has-error" : ""}">
+          <label class="assistify-action-item-label">
+            <input type="checkbox" class="assistify-action-item-check" value="${esc(
+              item.id
+            )}" ${item.error ? "disabled" : "checked"} />
+            <span>${label}</span>
+          </label>
+          ${error}
+          <ul class="assistify-action-changes">${changes}</ul>
+        </li>
+      `;
     },
 
     /**
-     * Open chat
+     * Sync the select-all toggle and counter with the item checkboxes.
+     *
+     * @param {jQuery} $preview - Preview element.
+     * @return {number} Number of selected items.
      */
-    openChat: function () {
-      this.$toggle.attr("aria-expanded", "true");
-      // Small delay to allow CSS transition to work
-      requestAnimationFrame(() => {
-        this.$container.addClass("is-open");
-      });
-      this.$input.focus();
-      // Scroll to bottom when opening chat
-      setTimeout(() => this.scrollToBottom(), 100);
+    updateCount: function ($preview) {
+      const $checks = $preview.find(
+        ".assistify-action-item-check:not([disabled])"
+      );
+      const selected = $checks.filter(":checked").length;
+
+      $preview
+        .find(".assistify-action-select-all")
+        .prop("checked", selected > 0 && selected === $checks.length)
+        .prop("indeterminate", selected > 0 && selected < $checks.length);
+
+      $preview
+        .find(".assistify-action-count")
+        .text(
+          assistifyAdmin.strings.selectedOf
+            .replace("%1$d", selected)
+            .replace("%2$d", $checks.length)
+        );
+
+      return selected;
     },
 
     /**
-     * Close chat
+     * Get the IDs of the selected items.
+     *
+     * @param {jQuery} $preview - Preview element.
+     * @return {Array} Item IDs.
      */
-    closeChat: function () {
-      this.$container.removeClass("is-open");
-      this.$toggle.attr("aria-expanded", "false");
+    getApproved: function ($preview) {
+      return $preview
+        .find(".assistify-action-item-check:checked:not([disabled])")
+        .map(function () {
+          return this.value;
+        })
+        .get();
     },
+  };
 
+  /**
+   * Session export.
+   *
+   * Turns the stored messages of a session, as returned by
+   * assistify_get_session_messages, into Markdown, JSON or a printable page.
+   */
+  const SessionExport = {
     /**
-     * Send message
+     * Decode a localized string for use outside of HTML.
+     *
+     * @param {string} html - Escaped string.
+     * @return {string} Plain text.
      */
-    sendMessage: function () {
-      const message = this.$input.val().trim();
+    text: function (html) {
+      return $("<textarea>").html(html).text();
+    },
 
-      if (!message || this.isStreaming) {
-        return;
+    /**
+     * Get the label for the outcome of a confirmation.
+     *
+     * @param {Object} pending - Stored pending action.
+     * @return {string} Escaped label.
+     */
+    getOutcome: function (pending) {
+      const strings = assistifyAdmin.strings;
+
+      switch (pending.status) {
+        case "confirmed":
+          return strings.actionConfirmed;
+        case "cancelled":
+          return strings.actionCancelled;
+        case "expired":
+          return strings.actionLapsed;
+        default:
+          return strings.actionPending;
       }
+    },
 
-      // Disable input while processing
-      this.$input.prop("disabled", true);
-      this.$send.prop("disabled", true);
-
-      // Add user message
-      this.addMessage("user", message);
-      this.$input.val("");
+    /**
+     * Get the author label of a message.
+     *
+     * @param {Object} msg - Stored message.
+     * @return {string} Escaped label.
+     */
+    getAuthor: function (msg) {
+      return msg.role === "user"
+        ? assistifyAdmin.strings.you
+        : assistifyAdmin.strings.assistant;
+    },
 
-      // Show typing indicator
-      this.showTypingIndicator();
-
-      // Send to server
-      $.ajax({
-        url: assistifyAdmin.ajaxUrl,
-        type: "POST",
-        data: {
-          action: "assistify_admin_chat",
-          nonce: assistifyAdmin.nonce,
-          message: message,
-          session_id: this.sessionId,
-        },
-        success: (response) => {
-          this.hideTypingIndicator();
+    /**
+     * Count the approved items of a confirmed batch.
+     *
+     * @param {Object} pending - Stored pending action.
+     * @return {string} Escaped "x of y selected" note, or empty.
+     */
+    getApprovedNote: function (pending) {
+      if (!Array.isArray(pending.approved) || !pending.items) {
+        return "";
+      }
 
-          if (response.success) {
-            // Check if this is an action requiring confirmation
-            if (response.data.pending_action) {
-              this.showActionConfirmation(response.data);
-            } else {
-              // Stream the response for better UX
-              this.streamResponse(response.data.message);
-            }
-          } else {
-            this.$input.prop("disabled", false);
-            this.$send.prop("disabled", false);
-            this.$input.focus();
-            this.addMessage(
-              "assistant",
-              response.data.message || assistifyAdmin.strings.error,
-              false,
-              true
-            );
-          }
-        },
-        error: () => {
-          this.hideTypingIndicator();
-          this.$input.prop("disabled", false);
-          this.$send.prop("disabled", false);
-          this.$input.focus();
-          this.addMessage(
-            "assistant",
-            assistifyAdmin.strings.error,
-            false,
-            true
-          );
-        },
-      });
+      return assistifyAdmin.strings.selectedOf
+        .replace("%1$d", pending.approved.length)
+        .replace("%2$d", pending.items.length);
     },
 
     /**
-     * Stream a response word by word for a smooth typing effect like ChatGPT.
+     * Build a Markdown transcript.
      *
-     * @param {string} content - The full response content.
+     * @param {Object} session - Session with id and title.
+     * @param {Array} messages - Stored messages.
+     * @return {string} Markdown.
      */
-    streamResponse: function (content) {
-      this.isStreaming = true;
-
-      const time = new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
+    toMarkdown: function (session, messages) {
+      const strings = assistifyAdmin.strings;
+      const lines = [
+        `# ${session.title}`,
+        "",
+        `_${this.text(strings.exportedOn)} ${new Date().toLocaleString()}_`,
+      ];
 
-      const messageId =
-        "msg_" + Date.now() + "_" + Math.random().toString(36).substr(2, 5);
+      messages.forEach((msg) => {
+        const metadata = msg.metadata || {};
 
-      // Create message container with streaming class
-      const messageHtml = `
-        <div class="assistify-message assistify-message-assistant assistify-message-streaming" id="${messageId}" data-raw-content="">
-          <div class="assistify-message-content"></div>
-          <div class="assistify-message-footer">
-            <span class="assistify-message-time">${time}</span>
-          </div>
-        </div>
-      `;
+        lines.push(
+          "",
+          "---",
+          "",
+          `**${this.text(this.getAuthor(msg))}** · ${msg.created_at}`,
+          "",
+          msg.content
+        );
 
-      this.$messages.append(messageHtml);
-      const $message = $("#" + messageId);
-      const $content = $message.find(".assistify-message-content");
+        if (metadata.abilities && metadata.abilities.length) {
+          lines.push(
+            "",
+            `> ${this.text(strings.abilitiesUsed)}: ` +
+              metadata.abilities
+                .map(
+                  (ability) =>
+                    `\`${ability.tool}\` ${ability.success ? "✅" : "❌"}`
+                )
+                .join(", ")
+          );
+        }
 
-      // Tokenize content into words for natural streaming
-      const words = this.tokenizeForStreaming(content);
-      let index = 0;
-      let displayedContent = "";
-      let lastScrollTime = 0;
+        if (metadata.pending_action) {
+          const pending = metadata.pending_action;
+          const note = this.getApprovedNote(pending);
 
-      const self = this;
+          lines.push(
+            "",
+            `> ${this.text(strings.confirmation)}: **${this.text(
+              this.getOutcome(pending)
+            )}**${note ? ` (${this.text(note)})` : ""}`
+          );
+          (pending.summaries || []).forEach((summary) => {
+            lines.push(`> - ${summary}`);
+          });
+        }
+      });
 
-      // Use requestAnimationFrame for smoother animation
-      const streamWord = (timestamp) => {
-        if (index < words.length) {
-          // Add multiple words per frame for faster streaming
-          const wordsPerFrame = Math.min(2, words.length - index);
+      return lines.join("\n") + "\n";
+    },
 
-          for (let i = 0; i < wordsPerFrame; i++) {
-            displayedContent += words[index];
-            index++;
-          }
+    /**
+     * Build a JSON export.
+     *
+     * @param {Object} session - Session with id and title.
+     * @param {Array} messages - Stored messages.
+     * @return {string} JSON.
+     */
+    toJson: function (session, messages) {
+      const data = {
+        session: {
+          id: session.id,
+          title: session.title,
+          tags: session.tags || [],
+          exported_at: new Date().toISOString(),
+        },
+        messages: messages.map((msg) => {
+          const metadata = msg.metadata || {};
+          const pending = metadata.pending_action;
+
+          return {
+            id: Number(msg.id),
+            role: msg.role,
+            created_at: msg.created_at,
+            content: msg.content,
+            abilities: metadata.abilities || [],
+            confirmation: pending
+              ? {
+                  status: pending.status,
+                  summaries: pending.summaries || [],
+                  items: (pending.items || []).map((item) => ({
+                    id: item.id,
+                    label: item.label,
+                  })),
+                  approved: pending.approved || null,
+                  is_destructive: !!pending.is_destructive,
+                }
+              : null,
+            interrupted: !!metadata.interrupted,
+          };
+        }),
+      };
 
-          // Update display with cursor
-          $content.html(
-            this.escapeHtmlForStreaming(displayedContent) +
-              '<span class="assistify-stream-cursor"></span>'
-          );
+      return JSON.stringify(data, null, 2);
+    },
 
-          // Throttle scrolling for performance (every 100ms)
-          if (timestamp - lastScrollTime > 100) {
-            this.scrollToBottom();
-            lastScrollTime = timestamp;
-          }
+    /**
+     * Build a printable HTML page.
+     *
+     * @param {Object} session - Session with id and title.
+     * @param {Array} messages - Stored messages.
+     * @return {string} HTML document.
+     */
+    toHtml: function (session, messages) {
+      const strings = assistifyAdmin.strings;
+      const title = MarkdownParser.escapeHtml(session.title);
+      let body = "";
+
+      messages.forEach((msg) => {
+        const metadata = msg.metadata || {};
+        const content =
+          msg.role === "user"
+            ? MarkdownParser.escapeHtml(msg.content).replace(/\n/g, "<br>")
+            : MarkdownParser.parse(msg.content);
+        let extra = "";
+
+        if (metadata.abilities && metadata.abilities.length) {
+          extra += `<p class="note">${
+            strings.abilitiesUsed
+          }: ${metadata.abilities
+            .map(
+              (ability) =>
+                `<code>${MarkdownParser.escapeHtml(ability.tool)}</code> ${
+                  ability.success ? "✅" : "❌"
+                }`
+            )
+            .join(", ")}</p>`;
+        }
 
-          // Schedule next frame with slight delay for natural feel
-          setTimeout(() => {
-            requestAnimationFrame(streamWord);
-          }, this.streamingSpeed);
-        } else {
-          // Streaming complete - finalize the message
-          this.finalizeStreamedMessage($message, $content, content, messageId);
+        if (metadata.pending_action) {
+          const pending = metadata.pending_action;
+          const note = this.getApprovedNote(pending);
+
+          extra += `<div class="note">${
+            strings.confirmation
+          }: <strong>${this.getOutcome(pending)}</strong>${
+            note ? ` (${note})` : ""
+          }<ul>${(pending.summaries || [])
+            .map((summary) => `<li>${MarkdownParser.escapeHtml(summary)}</li>`)
+            .join("")}</ul></div>`;
         }
-      };
 
-      // Start streaming
-      requestAnimationFrame(streamWord);
+        body += `
+          <section class="message is-${
+            msg.role === "user" ? "user" : "assistant"
+          }">
+            <header><strong>${this.getAuthor(
+              msg
+            )}</strong> · ${MarkdownParser.escapeHtml(msg.created_at)}</header>
+            <div class="content">${content}</div>
+            ${extra}
+          </section>`;
+      });
+
+      return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1e1e1e; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .exported { color: #757575; margin: 0 0 24px; }
+  .message { border-top: 1px solid #e0e0e0; padding: 12px 0; page-break-inside: avoid; }
+  .message header { color: #757575; font-size: 12px; margin-bottom: 6px; }
+  .message.is-user .content { font-weight: 500; }
+  .note { background: #f6f7f7; border-left: 3px solid #7f54b3; font-size: 12px; margin: 8px 0 0; padding: 6px 10px; }
+  .note ul { margin: 4px 0 0; padding-left: 18px; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  th, td { border: 1px solid #e0e0e0; padding: 4px 8px; text-align: left; }
+  pre, code { background: #f6f7f7; border-radius: 3px; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="exported">${strings.exportedOn} ${MarkdownParser.escapeHtml(
+        new Date().toLocaleString()
+      )}</p>
+${body}
+</body>
+</html>`;
     },
 
     /**
-     * Escape HTML for streaming display (basic escaping without full parsing).
+     * Build a file name for an export.
      *
-     * @param {string} text - Text to escape.
-     * @return {string} Escaped text with newlines preserved.
+     * @param {Object} session - Session with id and title.
+     * @param {string} extension - File extension.
+     * @return {string} File name.
      */
-    escapeHtmlForStreaming: function (text) {
-      return text
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/\n/g, "<br>");
+    getFileName: function (session, extension) {
+      const slug = session.title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+        .substr(0, 50);
+
+      return `assistify-chat-${slug || session.id}.${extension}`;
     },
 
     /**
-     * Finalize a streamed message with markdown parsing and copy button.
+     * Export a session in a format.
      *
-     * @param {jQuery} $message - The message element.
-     * @param {jQuery} $content - The content element.
-     * @param {string} content - The full raw content.
-     * @param {string} messageId - The message ID.
+     * @param {string} format - One of "markdown", "json" or "pdf".
+     * @param {Object} session - Session with id and title.
+     * @param {Array} messages - Stored messages.
+     * @param {Window|null} printWindow - Window opened for the "pdf" format.
      */
-    finalizeStreamedMessage: function ($message, $content, content, messageId) {
-      // Remove cursor and parse markdown
-      $content.find(".assistify-stream-cursor").remove();
-      const parsedContent = MarkdownParser.parse(content);
-      $content.html(parsedContent);
+    run: function (format, session, messages, printWindow) {
+      if (format === "pdf") {
+        // The browser's print dialog offers "Save as PDF".
+        printWindow.document.open();
+        printWindow.document.write(this.toHtml(session, messages));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        return;
+      }
 
-      // Update raw content for copy functionality
-      $message.attr("data-raw-content", this.encodeHtmlEntities(content));
-      $message.removeClass("assistify-message-streaming");
+      if (format === "json") {
+        TableCharts.saveFile(
+          new Blob([this.toJson(session, messages)], {
+            type: "application/json;charset=utf-8",
+          }),
+          this.getFileName(session, "json")
+        );
+        return;
+      }
 
-      // Add copy button
-      const copyButton = `
-        <button type="button" class="assistify-copy-btn" data-message-id="${messageId}" title="Copy message">
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
-            <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
-          </svg>
-        </button>
-      `;
-      $message.find(".assistify-message-footer").append(copyButton);
+      TableCharts.saveFile(
+        new Blob([this.toMarkdown(session, messages)], {
+          type: "text/markdown;charset=utf-8",
+        }),
+        this.getFileName(session, "md")
+      );
+    },
+  };
 
-      // Re-enable input
-      this.isStreaming = false;
-      this.$input.prop("disabled", false);
-      this.$send.prop("disabled", false);
-      this.$input.focus();
+  /**
+   * Slash commands typed in the chat input.
+   *
+   * Each command runs a registered ability directly on the server. The list
+   * comes from the abilities schema, so the menu shows every parameter.
+   */
+  const SlashCommands = {
+    /**
+     * Maximum number of commands listed in the menu.
+     */
+    maxOptions: 8,
 
-      this.scrollToBottom();
+    /**
+     * Get a command by name.
+     *
+     * @param {string} name - Command name without the slash.
+     * @return {Object|null} Command, or null if unknown.
+     */
+    get: function (name) {
+      const commands = assistifyAdmin.commands || {};
 
-      // Refresh sessions list to include this session
-      this.loadSessions();
+      return Object.prototype.hasOwnProperty.call(commands, name)
+        ? commands[name]
+        : null;
     },
 
     /**
-     * Show action confirmation UI with confirm/cancel buttons.
+     * Find the known command a message starts with.
      *
-     * @param {Object} data - Response data with pending action info.
+     * @param {string} text - Input text.
+     * @return {Object|null} Command, or null if the text is not a command.
      */
-    showActionConfirmation: function (data) {
-      const time = new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
+    match: function (text) {
+      const match = /^\/([a-z0-9_-]+)(\s|$)/i.exec(text);
 
-      const messageId =
-        "msg_" + Date.now() + "_" + Math.random().toString(36).substr(2, 5);
+      return match ? this.get(match[1].toLowerCase()) : null;
+    },
 
-      // Parse the message for display
-      const parsedContent = MarkdownParser.parse(data.message);
+    /**
+     * List the commands for a partly typed name.
+     *
+     * Names starting with the query come first, then other names and
+     * ability titles that contain it.
+     *
+     * @param {string} query - Text typed after the slash.
+     * @return {Array} Commands.
+     */
+    filter: function (query) {
+      const commands = Object.values(assistifyAdmin.commands || {});
+      const needle = query.toLowerCase();
+      const starts = commands.filter(
+        (command) => command.command.indexOf(needle) === 0
+      );
+      const contains = commands.filter(
+        (command) =>
+          starts.indexOf(command) === -1 &&
+          (command.command.indexOf(needle) !== -1 ||
+            command.name.toLowerCase().indexOf(needle) !== -1)
+      );
 
-      // Build confirmation buttons
-      const destructiveClass = data.is_destructive
-        ? "assistify-btn-destructive"
-        : "";
-      const confirmText = data.is_destructive ? "Yes, proceed" : "Confirm";
+      return starts.concat(contains).slice(0, this.maxOptions);
+    },
 
-      const buttonsHtml = `
-        <div class="assistify-action-buttons" data-token="${data.confirmation_token}">
-          <button type="button" class="assistify-btn assistify-btn-confirm ${destructiveClass}">
-            ${confirmText}
-          </button>
-          <button type="button" class="assistify-btn assistify-btn-cancel">
-            Cancel
+    /**
+     * Render the command options.
+     *
+     * @param {Array} commands - Commands to list.
+     * @param {number} active - Index of the highlighted option.
+     * @return {string} HTML string.
+     */
+    renderOptions: function (commands, active) {
+      const escape = MarkdownParser.escapeHtml;
+
+      return `
+        <span class="assistify-command-title">${
+          assistifyAdmin.strings.commands
+        }</span>
+        ${commands
+          .map(
+            (command, index) => `
+          <button type="button" class="assistify-command-option${
+            index === active ? " is-active" : ""
+          }" role="option" aria-selected="${
+              index === active
+            }" data-command="${escape(command.command)}">
+            <span class="assistify-command-usage">${escape(
+              command.usage
+            )}</span>
+            <span class="assistify-command-description">${escape(
+              command.description
+            )}</span>
           </button>
-        </div>
+        `
+          )
+          .join("")}
       `;
+    },
 
-      // Create message container
-      const messageHtml = `
-        <div class="assistify-message assistify-message-assistant assistify-message-action" id="${messageId}">
-          <div class="assistify-message-content">${parsedContent}</div>
-          ${buttonsHtml}
-          <div class="assistify-message-footer">
-            <span class="assistify-message-time">${time}</span>
-          </div>
+    /**
+     * Render the parameters of a command being typed.
+     *
+     * @param {Object} command - Command.
+     * @return {string} HTML string.
+     */
+    renderHint: function (command) {
+      const escape = MarkdownParser.escapeHtml;
+      const rows = command.parameters
+        .map(
+          (param) => `
+          <li${param.required ? ' class="is-required"' : ""}>
+            <code>${escape(param.name)}</code>
+            <span class="assistify-command-param-type">${escape(
+              param.type
+            )}</span>
+            ${escape(param.description)}
+          </li>
+        `
+        )
+        .join("");
+
+      return `
+        <div class="assistify-command-hint">
+          <span class="assistify-command-usage">${escape(command.usage)}</span>
+          <span class="assistify-command-description">${escape(
+            command.name
+          )}</span>
+          ${rows ? `<ul class="assistify-command-params">${rows}</ul>` : ""}
         </div>
       `;
+    },
+  };
 
-      this.$messages.append(messageHtml);
-      this.scrollToBottom();
-
-      // Store the token for later use
-      this.pendingActionToken = data.confirmation_token;
+  /**
+   * Orders, customers and products mentioned in the chat input.
+   *
+   * A mention is typed as `#`, `@` or `+` followed by a search, and is sent
+   * with the message by its type and ID.
+   */
+  const Mentions = {
+    /**
+     * Record type started by each trigger character.
+     */
+    triggers: { "#": "order", "@": "customer", "+": "product" },
 
-      // Re-enable input
-      this.$input.prop("disabled", false);
-      this.$send.prop("disabled", false);
+    /**
+     * Milliseconds to wait after the last keystroke before searching.
+     */
+    searchDelay: 250,
 
-      // Bind button events
-      const self = this;
-      const $message = $("#" + messageId);
+    /**
+     * Find the mention being typed before the caret.
+     *
+     * @param {string} text - Input text.
+     * @param {number} caret - Caret position.
+     * @return {Object|null} Type, search text and the range it covers, or null.
+     */
+    find: function (text, caret) {
+      const match = /(^|\s)([#@+])([^\s#@+]*)$/.exec(text.slice(0, caret));
 
-      $message.find(".assistify-btn-confirm").on("click", function () {
-        self.confirmAction(data.confirmation_token, $message);
-      });
+      if (!match) {
+        return null;
+      }
 
-      $message.find(".assistify-btn-cancel").on("click", function () {
-        self.cancelAction(data.confirmation_token, $message);
-      });
+      return {
+        type: this.triggers[match[2]],
+        query: match[3],
+        start: caret - match[3].length - 1,
+        end: caret,
+      };
     },
 
     /**
-     * Confirm and execute a pending action.
+     * Get the menu title and the prompt shown before anything is typed.
      *
-     * @param {string} token - Confirmation token.
-     * @param {jQuery} $message - The message element.
+     * @param {string} type - Record type.
+     * @return {Object} Title and hint strings.
      */
-    confirmAction: function (token, $message) {
-      // Disable buttons while processing
-      $message
-        .find(".assistify-action-buttons")
-        .html('<span class="assistify-action-processing">Processing...</span>');
+    getLabels: function (type) {
+      const strings = assistifyAdmin.strings;
+
+      return {
+        order: { title: strings.orders, hint: strings.mentionOrder },
+        customer: { title: strings.customers, hint: strings.mentionCustomer },
+        product: { title: strings.products, hint: strings.mentionProduct },
+      }[type];
+    },
 
-      const self = this;
+    /**
+     * Get the type and ID of each mention, as sent with a message.
+     *
+     * @param {Array} mentions - Mentions.
+     * @return {Array} Mention references.
+     */
+    toRequest: function (mentions) {
+      return mentions.map((mention) => ({
+        type: mention.type,
+        id: mention.id,
+      }));
+    },
 
-      $.ajax({
-        url: assistifyAdmin.ajaxUrl,
-        type: "POST",
-        data: {
-          action: "assistify_confirm_action",
+    /**
+     * Render the records found for a mention.
+     *
+     * @param {string} type - Record type.
+     * @param {Array} items - Records found.
+     * @param {number} active - Index of the highlighted option.
+     * @return {string} HTML string.
+     */
+    renderOptions: function (type, items, active) {
+      const escape = MarkdownParser.escapeHtml;
+
+      return `
+        <span class="assistify-command-title">${
+          this.getLabels(type).title
+        }</span>
+        ${items
+          .map(
+            (item, index) => `
+          <button type="button" class="assistify-mention-option${
+            index === active ? " is-active" : ""
+          }" role="option" aria-selected="${
+              index === active
+            }" data-index="${index}">
+            <span class="assistify-mention-label">${escape(item.label)}</span>
+            <span class="assistify-mention-detail">${escape(item.detail)}</span>
+          </button>
+        `
+          )
+          .join("")}
+      `;
+    },
+
+    /**
+     * Render a note in the mention menu, such as what to type.
+     *
+     * @param {string} type - Record type.
+     * @param {string} note - Note text, already escaped.
+     * @return {string} HTML string.
+     */
+    renderNote: function (type, note) {
+      return `
+        <span class="assistify-command-title">${
+          this.getLabels(type).title
+        }</span>
+        <p class="assistify-mention-note">${note}</p>
+      `;
+    },
+
+    /**
+     * Render mentions as chips, after the screen a question is asked from.
+     *
+     * @param {Array} mentions - Mentions with type, id, label and url.
+     * @param {boolean} removable - Whether chips get a button to remove them, rather than a link.
+     * @param {Object|null} screen - Screen context, if any.
+     * @return {string} HTML string.
+     */
+    renderChips: function (mentions, removable, screen = null) {
+      const strings = assistifyAdmin.strings;
+      const chips = (mentions || []).map((mention, index) =>
+        this.renderChip(
+          mention,
+          removable
+            ? `<button type="button" class="assistify-mention-remove" data-index="${index}" aria-label="${strings.removeMention}" title="${strings.removeMention}">&times;</button>`
+            : ""
+        )
+      );
+
+      if (screen) {
+        chips.unshift(
+          this.renderChip(
+            screen,
+            removable
+              ? `<button type="button" class="assistify-context-dismiss" aria-label="${strings.dismissContext}" title="${strings.dismissContext}">&times;</button>`
+              : "",
+            true
+          )
+        );
+      }
+
+      return chips.length
+        ? `<div class="assistify-mention-chips">${chips.join("")}</div>`
+        : "";
+    },
+
+    /**
+     * Render a single chip.
+     *
+     * @param {Object} mention - Mention or screen context.
+     * @param {string} button - Remove button HTML; without one the label links to the record.
+     * @param {boolean} isScreen - Whether the chip is the screen context.
+     * @return {string} HTML string.
+     */
+    renderChip: function (mention, button, isScreen = false) {
+      const escape = MarkdownParser.escapeHtml;
+      const label =
+        !button && mention.url
+          ? `<a href="${escape(
+              mention.url
+            )}" target="_blank" rel="noopener noreferrer">${escape(
+              mention.label
+            )}</a>`
+          : escape(mention.label);
+
+      const classes =
+        "assistify-mention-chip is-" +
+        escape(mention.type) +
+        (isScreen ? " is-screen" : "");
+      const title = isScreen
+        ? ` title="${assistifyAdmin.strings.currentScreen}"`
+        : "";
+
+      return `<span class="${classes}"${title}>${label}${button}</span>`;
+    },
+  };
+
+  /**
+   * Images and CSV files attached to questions in the admin chat.
+   */
+  const Attachments = {
+    extensions: /\.(jpe?g|png|gif|webp|csv)$/i,
+
+    /**
+     * Check whether the admin can attach files.
+     *
+     * @return {boolean} True if files can be uploaded.
+     */
+    isEnabled: function () {
+      return !!assistifyAdmin.attachments;
+    },
+
+    /**
+     * Check a file before uploading it.
+     *
+     * @param {File} file - File picked, dropped or pasted.
+     * @return {string} Error message, or an empty string if the file can be attached.
+     */
+    validate: function (file) {
+      if (!this.extensions.test(file.name)) {
+        return assistifyAdmin.strings.fileType;
+      }
+
+      if (file.size > assistifyAdmin.attachments.maxSize) {
+        return assistifyAdmin.strings.fileTooLarge;
+      }
+
+      return "";
+    },
+
+    /**
+     * Get the IDs of the uploaded attachments, as sent with a message.
+     *
+     * @param {Array} attachments - Attachments.
+     * @return {Array} Attachment IDs.
+     */
+    toRequest: function (attachments) {
+      return attachments
+        .filter((attachment) => attachment.id)
+        .map((attachment) => attachment.id);
+    },
+
+    /**
+     * Render the files attached to the message being typed.
+     *
+     * @param {Array} attachments - Attachments, some possibly still uploading.
+     * @return {string} HTML string.
+     */
+    renderChips: function (attachments) {
+      const strings = assistifyAdmin.strings;
+      const escape = MarkdownParser.escapeHtml;
+
+      if (!attachments.length) {
+        return "";
+      }
+
+      return `<div class="assistify-attachment-chips">${attachments
+        .map(
+          (attachment, index) => `
+          <span class="assistify-attachment-chip is-${escape(attachment.type)}${
+            attachment.uploading ? " is-uploading" : ""
+          }"${attachment.uploading ? ` title="${strings.uploading}"` : ""}>
+            ${this.renderIcon(attachment)}
+            <span class="assistify-attachment-name">${escape(
+              attachment.name
+            )}</span>
+            <button type="button" class="assistify-attachment-remove" data-index="${index}" aria-label="${
+            strings.removeMention
+          }" title="${strings.removeMention}">&times;</button>
+          </span>
+        `
+        )
+        .join("")}</div>`;
+    },
+
+    /**
+     * Render the files attached to a sent question.
+     *
+     * Images show as thumbnails and CSV files as links.
+     *
+     * @param {Array} attachments - Attachments with name, type, url and thumb.
+     * @return {string} HTML string.
+     */
+    renderPreviews: function (attachments) {
+      const escape = MarkdownParser.escapeHtml;
+
+      if (!attachments || !attachments.length) {
+        return "";
+      }
+
+      return `<div class="assistify-attachment-previews">${attachments
+        .map((attachment) =>
+          attachment.type === "image"
+            ? `<a class="assistify-attachment-image" href="${escape(
+                attachment.url
+              )}" target="_blank" rel="noopener noreferrer"><img src="${escape(
+                attachment.thumb || attachment.url
+              )}" alt="${escape(attachment.name)}" loading="lazy"></a>`
+            : `<a class="assistify-attachment-chip is-csv" href="${escape(
+                attachment.url
+              )}" target="_blank" rel="noopener noreferrer">${this.renderIcon(
+                attachment
+              )}<span class="assistify-attachment-name">${escape(
+                attachment.name
+              )}</span></a>`
+        )
+        .join("")}</div>`;
+    },
+
+    /**
+     * Render the thumbnail or icon of an attachment.
+     *
+     * @param {Object} attachment - Attachment.
+     * @return {string} HTML string.
+     */
+    renderIcon: function (attachment) {
+      if (attachment.uploading) {
+        return '<span class="assistify-attachment-spinner"></span>';
+      }
+
+      if (attachment.thumb) {
+        return `<img src="${MarkdownParser.escapeHtml(
+          attachment.thumb
+        )}" alt="">`;
+      }
+
+      return '<span class="dashicons dashicons-media-spreadsheet"></span>';
+    },
+  };
+
+  /**
+   * Dictation and spoken answers, where the browser supports them.
+   */
+  const Voice = {
+    /**
+     * Get the browser's speech recognition constructor.
+     *
+     * @return {Function|null} Constructor, or null if unsupported.
+     */
+    getRecognition: function () {
+      return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    },
+
+    /**
+     * Check whether the browser can dictate into the input.
+     *
+     * @return {boolean} True if speech recognition is available.
+     */
+    canDictate: function () {
+      return !!this.getRecognition();
+    },
+
+    /**
+     * Check whether the browser can read answers aloud.
+     *
+     * @return {boolean} True if speech synthesis is available.
+     */
+    canSpeak: function () {
+      return (
+        "speechSynthesis" in window &&
+        typeof window.SpeechSynthesisUtterance === "function"
+      );
+    },
+
+    /**
+     * Get the language to listen and speak in.
+     *
+     * @return {string} BCP 47 language tag.
+     */
+    getLanguage: function () {
+      return document.documentElement.lang || navigator.language || "en-US";
+    },
+
+    /**
+     * Turn an answer into the text read aloud.
+     *
+     * Code blocks and tables are left out, since they do not read well.
+     *
+     * @param {string} content - Answer in Markdown.
+     * @return {string} Plain text.
+     */
+    toSpeech: function (content) {
+      const $html = $("<div>").html(MarkdownParser.parse(content));
+
+      $html.find("pre, table").remove();
+
+      return $html.text().replace(/\s+/g, " ").trim();
+    },
+
+    /**
+     * Read an answer aloud, interrupting any answer being read.
+     *
+     * @param {string} content - Answer in Markdown.
+     */
+    speak: function (content) {
+      const text = this.toSpeech(content);
+
+      if (!text) {
+        return;
+      }
+
+      const utterance = new window.SpeechSynthesisUtterance(text);
+      utterance.lang = this.getLanguage();
+
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(utterance);
+    },
+
+    /**
+     * Stop reading aloud.
+     */
+    stopSpeaking: function () {
+      if (this.canSpeak()) {
+        window.speechSynthesis.cancel();
+      }
+    },
+  };
+
+  /**
+   * Tells apart why a question could not be answered.
+   *
+   * Errors carry a type: "network" when the site could not be reached,
+   * "dropped" when the connection was lost after the question was sent,
+   * "nonce" when the security token expired, "rate_limit" when too many
+   * questions were asked, "provider" when the AI provider failed, or an
+   * empty string for anything else.
+   */
+  const ChatErrors = {
+    /**
+     * Create an error of a type.
+     *
+     * @param {string} type - Error type.
+     * @param {string} message - Message from the server, if any.
+     * @return {Error} Error with a type property.
+     */
+    create: function (type, message = "") {
+      const error = new Error(message);
+
+      error.type = type || "";
+
+      return error;
+    },
+
+    /**
+     * Get the error of a failed admin-ajax request.
+     *
+     * @param {Object} jqXHR - jQuery XHR object.
+     * @return {Error} Typed error.
+     */
+    fromXhr: function (jqXHR) {
+      if (!jqXHR.status) {
+        return this.create("network");
+      }
+
+      if (jqXHR.status === 429) {
+        return this.create("rate_limit");
+      }
+
+      // admin-ajax.php answers an expired nonce or login with -1 or 0
+      const body = (jqXHR.responseText || "").trim();
+
+      return this.create(body === "-1" || body === "0" ? "nonce" : "");
+    },
+
+    /**
+     * Get the error of an error response.
+     *
+     * @param {Object} data - Data of wp_send_json_error(), or a REST API error.
+     * @param {number} status - HTTP status code.
+     * @return {Error} Typed error.
+     */
+    fromResponse: function (data, status = 200) {
+      const code = (data && data.code) || "";
+      const message = (data && data.message) || "";
+      let type = "";
+
+      if (code === "invalid_nonce" || code === "rest_cookie_invalid_nonce") {
+        type = "nonce";
+      } else if (
+        code === "rate_limited" ||
+        code === "assistify_rate_limit_exceeded" ||
+        status === 429
+      ) {
+        type = "rate_limit";
+      } else if (code === "provider_error") {
+        type = "provider";
+      }
+
+      return this.create(type, message);
+    },
+
+    /**
+     * Get the typed error of anything thrown while streaming an answer.
+     *
+     * @param {*} error - Thrown value.
+     * @return {Error} Typed error.
+     */
+    normalize: function (error) {
+      if (error && typeof error.type === "string") {
+        return error;
+      }
+
+      // fetch() rejects with a TypeError when the site cannot be reached
+      return this.create(error instanceof TypeError ? "network" : "");
+    },
+
+    /**
+     * Get the message shown for an error.
+     *
+     * @param {Error} error - Typed error.
+     * @return {string} HTML string.
+     */
+    getMessage: function (error) {
+      const strings = assistifyAdmin.strings;
+      const message = MarkdownParser.escapeHtml(error.message || "");
+
+      switch (error.type) {
+        case "network":
+          return strings.errorNetwork;
+        case "dropped":
+          return strings.errorDropped;
+        case "nonce":
+          return strings.errorNonce;
+        case "rate_limit":
+          return strings.errorRateLimit;
+        case "provider":
+          return message
+            ? strings.errorProvider.replace("%s", message)
+            : strings.error;
+        default:
+          return message || strings.error;
+      }
+    },
+  };
+
+  /**
+   * Keeps the nonces of a page left open for a long time valid.
+   *
+   * WordPress nonces last a day at most, so a tab left open overnight asks
+   * for new ones before sending anything else.
+   */
+  const Nonces = {
+    issuedAt: Date.now(),
+    pending: null, // request for new nonces, shared by everyone waiting
+
+    /**
+     * Ask the server for new nonces.
+     *
+     * @return {Promise} Resolves once assistifyAdmin has the new nonces, and
+     *                   rejects if the user is no longer logged in.
+     */
+    refresh: function () {
+      if (!this.pending) {
+        this.pending = new Promise((resolve, reject) => {
+          $.ajax({
+            url: assistifyAdmin.ajaxUrl,
+            type: "POST",
+            data: { action: "assistify_refresh_admin_nonce" },
+            success: (response) => {
+              if (!response || !response.success) {
+                reject();
+                return;
+              }
+
+              this.update(response.data);
+              TabSync.send("nonces", response.data);
+              resolve();
+            },
+            error: () => reject(),
+            complete: () => {
+              this.pending = null;
+            },
+          });
+        });
+      }
+
+      return this.pending;
+    },
+
+    /**
+     * Send an admin-ajax request, sending it once more with new nonces if
+     * the site turned it down because the nonce had expired.
+     *
+     * @param {Object} options - Options for $.ajax, with the nonce in data.
+     * @return {Object} Handle whose abort() stops the request, sent again
+     *                  or not.
+     */
+    ajax: function (options) {
+      const handle = {
+        xhr: null,
+        aborted: false,
+        abort: function () {
+          this.aborted = true;
+          if (this.xhr) {
+            this.xhr.abort();
+          }
+        },
+      };
+
+      const send = (renewed) => {
+        let retrying = false;
+
+        // Ask for new nonces and send the request again, or give up with
+        // the answer already received
+        const retry = (callback, args) => {
+          retrying = true;
+          this.refresh().then(
+            () => {
+              if (handle.aborted) {
+                return;
+              }
+
+              if (options.data instanceof FormData) {
+                options.data.set("nonce", assistifyAdmin.nonce);
+              } else {
+                options.data = Object.assign({}, options.data, {
+                  nonce: assistifyAdmin.nonce,
+                });
+              }
+              send(true);
+            },
+            () => {
+              if (callback) {
+                callback(...args);
+              }
+              if (options.complete) {
+                options.complete();
+              }
+            }
+          );
+        };
+
+        handle.xhr = $.ajax(
+          Object.assign({}, options, {
+            success: (...args) => {
+              const response = args[0];
+
+              if (
+                !renewed &&
+                response &&
+                !response.success &&
+                ChatErrors.fromResponse(response.data).type === "nonce"
+              ) {
+                retry(options.success, args);
+              } else if (options.success) {
+                options.success(...args);
+              }
+            },
+            error: (...args) => {
+              if (
+                !renewed &&
+                args[1] !== "abort" &&
+                ChatErrors.fromXhr(args[0]).type === "nonce"
+              ) {
+                retry(options.error, args);
+              } else if (options.error) {
+                options.error(...args);
+              }
+            },
+            complete: (...args) => {
+              if (!retrying && options.complete) {
+                options.complete(...args);
+              }
+            },
+          })
+        );
+      };
+
+      send(false);
+
+      return handle;
+    },
+
+    /**
+     * Use new nonces, fetched here or in another tab.
+     *
+     * @param {Object} nonces - Nonce and REST API nonce.
+     */
+    update: function (nonces) {
+      if (!nonces.nonce) {
+        return;
+      }
+
+      assistifyAdmin.nonce = nonces.nonce;
+      assistifyAdmin.restNonce = nonces.restNonce;
+      this.issuedAt = Date.now();
+    },
+
+    /**
+     * Renew the nonces once they are half a day old, checking now and
+     * then and whenever the tab is shown again.
+     */
+    keepFresh: function () {
+      const check = () => {
+        if (Date.now() - this.issuedAt > 12 * 60 * 60 * 1000) {
+          this.refresh().catch(() => {});
+        }
+      };
+
+      setInterval(check, 15 * 60 * 1000);
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+          check();
+        }
+      });
+    },
+  };
+
+  /**
+   * Messages between the admin pages open in other tabs.
+   *
+   * Uses a BroadcastChannel, or storage events in browsers without one.
+   * Neither delivers a message to the tab that sent it.
+   */
+  const TabSync = {
+    channel: null,
+    storageKey: "assistify_tab_sync",
+    heartbeat: 10000, // ms between the "answering" messages of the tab answering
+    timeout: 30000, // ms without news after which the other tabs stop waiting
+
+    /**
+     * Start listening to the other tabs.
+     *
+     * @param {Function} onMessage - Called with the type and data of each message.
+     */
+    listen: function (onMessage) {
+      const receive = (json) => {
+        let message = null;
+
+        try {
+          message = JSON.parse(json);
+        } catch (error) {
+          return;
+        }
+
+        if (message && message.type) {
+          onMessage(message.type, message.data || {});
+        }
+      };
+
+      if (typeof window.BroadcastChannel === "function") {
+        this.channel = new window.BroadcastChannel("assistify_admin_chat");
+        this.channel.onmessage = (e) => receive(e.data);
+        return;
+      }
+
+      window.addEventListener("storage", (e) => {
+        if (e.key === this.storageKey && e.newValue) {
+          receive(e.newValue);
+        }
+      });
+    },
+
+    /**
+     * Tell the other tabs about a change.
+     *
+     * @param {string} type - Message type.
+     * @param {Object} data - Message data; sent as JSON.
+     */
+    send: function (type, data = {}) {
+      // The time makes every message a change the storage event sees
+      const json = JSON.stringify({ type: type, data: data, time: Date.now() });
+
+      if (this.channel) {
+        this.channel.postMessage(json);
+        return;
+      }
+
+      try {
+        localStorage.setItem(this.storageKey, json);
+      } catch (error) {
+        // Storage is full or disabled; the other tabs catch up on reload
+      }
+    },
+  };
+
+  /**
+   * Assistify Admin Chat
+   */
+  const AssistifyAdminChat = {
+    sessionId: null,
+    currentTab: "chat",
+    sessions: [],
+    sessionTags: [], // every tag in use, for the filter row
+    tagFilter: "",
+    showArchived: false,
+    selectedSessions: [],
+    sharedSessions: [], // sessions other users shared read-only
+    readOnly: null, // { owner } while viewing a session shared read-only
+    isStreaming: false,
+    streamingSpeed: 20, // milliseconds per word chunk (faster = smoother)
+    activeRequest: null, // request (see sendMessage) while an answer is pending
+    menuOptions: [], // commands or records listed in the autocomplete menu
+    menuIndex: 0,
+    menuType: "", // "command", or the type of record being mentioned
+    mentions: [], // records mentioned in the message being typed
+    mentionSearch: null, // { timer, xhr } while looking up records
+    mentionTrigger: null, // mention the listed records would replace
+    attachments: [], // files attached to the message being typed
+    screenContext: null, // admin screen questions are asked from, until dismissed
+    dictation: null, // speech recognition while dictating
+    speakReplies: false, // read answers aloud
+    prompts: null, // saved prompts, once loaded
+    remoteRequest: false, // another tab is answering a question in this session
+    remoteTimer: null, // stops waiting for a tab that went quiet
+    pendingSessionId: null, // session another tab switched to while an answer was pending
+    queue: [], // questions waiting to be sent again, oldest first
+    retryTimer: null,
+    monthUsage: null, // this month's spend and budget, see Usage_Meter
+
+    /**
+     * Initialize
+     */
+    init: function () {
+      // Check if assistifyAdmin exists and chat is enabled
+      if (
+        typeof assistifyAdmin === "undefined" ||
+        !assistifyAdmin.settings ||
+        assistifyAdmin.settings.chatEnabled !== "yes"
+      ) {
+        return;
+      }
+
+      this.screenContext =
+        assistifyAdmin.screen && assistifyAdmin.screen.type
+          ? assistifyAdmin.screen
+          : null;
+      this.speakReplies =
+        Voice.canSpeak() &&
+        localStorage.getItem("assistify_speak_replies") === "yes";
+      this.monthUsage = assistifyAdmin.usage || null;
+
+      // A chat linked from an email, such as the answer to a scheduled prompt
+      const linkedSession = new URLSearchParams(window.location.search).get(
+        "assistify_session"
+      );
+
+      this.createWidget();
+      this.bindEvents();
+      this.loadSessionId(linkedSession);
+      this.loadSessions();
+
+      // Load messages for current session if it exists
+      this.loadCurrentSessionMessages();
+
+      TabSync.listen((type, data) => this.handleTabMessage(type, data));
+      Nonces.keepFresh();
+      $(window).on("online", () => {
+        // Start over with short delays now the connection is back
+        this.queue.forEach((request) => {
+          request.attempts = 0;
+        });
+        this.scheduleRetry();
+      });
+      $(window).on("pagehide", () => {
+        // The answer of a closed tab is never shown there; let the others reload it
+        if (this.activeRequest) {
+          TabSync.send("answered", { sessionId: this.sessionId });
+        }
+      });
+
+      if (linkedSession) {
+        this.openChat();
+      }
+    },
+
+    /**
+     * Load messages for the current session on page load, or once another
+     * tab has changed it.
+     */
+    loadCurrentSessionMessages: function () {
+      const sessionId = this.sessionId;
+
+      if (!sessionId) {
+        return;
+      }
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_get_session_messages",
+          nonce: assistifyAdmin.nonce,
+          session_id: sessionId,
+        },
+        success: (response) => {
+          // A question asked in the meantime is already on screen
+          if (this.activeRequest || sessionId !== this.sessionId) {
+            return;
+          }
+
+          this.$messages.empty();
+
+          if (
+            response.success &&
+            response.data.messages &&
+            response.data.messages.length > 0
+          ) {
+            this.setReadOnly(response.data.shared);
+            response.data.messages.forEach((msg) => {
+              this.renderStoredMessage(msg);
+            });
+            // Always scroll to bottom to show last message
+            // Use multiple scroll attempts to handle async rendering
+            this.scrollToBottom();
+            setTimeout(() => this.scrollToBottom(), 200);
+            setTimeout(() => this.scrollToBottom(), 500);
+          } else {
+            // A new chat is only saved once its first question is asked
+            this.setReadOnly(null);
+            this.showWelcomeMessage();
+          }
+        },
+      });
+    },
+
+    /**
+     * Set the current session and tell the other tabs to show it too.
+     *
+     * @param {string} sessionId - Session ID.
+     */
+    setSessionId: function (sessionId) {
+      if (this.remoteRequest) {
+        this.releaseRemoteRequest();
+      }
+
+      this.sessionId = sessionId;
+      this.pendingSessionId = null;
+      this.clearQueue();
+      localStorage.setItem("assistify_session_id", sessionId);
+      TabSync.send("session", { sessionId: sessionId });
+    },
+
+    /**
+     * Apply a change made in another tab.
+     *
+     * @param {string} type - Message type.
+     * @param {Object} data - Message data.
+     */
+    handleTabMessage: function (type, data) {
+      const current = data.sessionId === this.sessionId;
+
+      switch (type) {
+        case "session":
+          if (current) {
+            break;
+          }
+
+          // Pending and unsent questions belong to the session they were asked in
+          if (this.activeRequest || this.queue.length) {
+            this.pendingSessionId = data.sessionId;
+            break;
+          }
+
+          this.followSession(data.sessionId);
+          break;
+
+        case "question":
+          // A question sent again with new nonces is already shown
+          if (!current || this.activeRequest || this.remoteRequest) {
+            break;
+          }
+
+          this.remoteRequest = true;
+          this.setBusy(true);
+          this.addMessage("user", data.message, true, false, false, [], {
+            mentions: data.mentions,
+            screen: data.screen,
+            attachments: data.attachments,
+          });
+          this.showTypingIndicator();
+          this.watchRemoteRequest();
+          break;
+
+        case "answering":
+          if (current && this.remoteRequest) {
+            this.watchRemoteRequest();
+          }
+          break;
+
+        case "answered":
+          if (current && this.remoteRequest) {
+            this.releaseRemoteRequest();
+            this.loadCurrentSessionMessages();
+          }
+          this.loadSessions();
+          break;
+
+        case "stop":
+          if (current && this.activeRequest) {
+            this.stopResponse();
+          }
+          break;
+
+        case "nonces":
+          Nonces.update(data);
+          break;
+      }
+    },
+
+    /**
+     * Wait for the tab answering a question, until it goes quiet.
+     *
+     * A tab that crashed or was closed without saying so would otherwise
+     * keep this one busy for good.
+     */
+    watchRemoteRequest: function () {
+      clearTimeout(this.remoteTimer);
+      this.remoteTimer = setTimeout(() => {
+        this.releaseRemoteRequest();
+        this.loadCurrentSessionMessages();
+      }, TabSync.timeout);
+    },
+
+    /**
+     * Stop waiting for the answer another tab was giving.
+     */
+    releaseRemoteRequest: function () {
+      clearTimeout(this.remoteTimer);
+      this.remoteTimer = null;
+      this.remoteRequest = false;
+      this.hideTypingIndicator();
+      this.setBusy(false);
+    },
+
+    /**
+     * Show the session another tab switched to.
+     *
+     * @param {string} sessionId - Session ID.
+     */
+    followSession: function (sessionId) {
+      this.sessionId = sessionId;
+      this.releaseRemoteRequest();
+      this.loadCurrentSessionMessages();
+
+      if (this.currentTab === "history") {
+        this.renderSessions();
+      }
+    },
+
+    /**
+     * Load or create session ID.
+     *
+     * @param {string|null} linked - Session to open instead of the last one.
+     */
+    loadSessionId: function (linked = null) {
+      const stored = linked || localStorage.getItem("assistify_session_id");
+      if (linked) {
+        this.setSessionId(linked);
+      } else if (stored) {
+        this.sessionId = stored;
+      } else {
+        this.sessionId = this.generateSessionId();
+        localStorage.setItem("assistify_session_id", this.sessionId);
+      }
+    },
+
+    /**
+     * Generate a simple session ID.
+     */
+    generateSessionId: function () {
+      return (
+        "afw_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9)
+      );
+    },
+
+    /**
+     * Load user's chat sessions from server.
+     */
+    loadSessions: function () {
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_get_sessions",
+          nonce: assistifyAdmin.nonce,
+          archived: this.showArchived ? 1 : 0,
+        },
+        success: (response) => {
+          if (response.success && response.data.sessions) {
+            this.sessions = response.data.sessions;
+            this.sessionTags = response.data.tags || [];
+            this.sharedSessions = response.data.shared || [];
+
+            // Drop selections and filters that no longer apply.
+            const ids = this.sessions.map((session) => session.id);
+            this.selectedSessions = this.selectedSessions.filter((id) =>
+              ids.includes(id)
+            );
+            if (!this.sessionTags.includes(this.tagFilter)) {
+              this.tagFilter = "";
+            }
+
+            // The badge counts the chats in the main list only.
+            if (!this.showArchived) {
+              this.updateSessionsCount();
+            }
+
+            // Re-render if currently viewing History tab.
+            if (this.currentTab === "history") {
+              this.renderSessions();
+            }
+          }
+        },
+      });
+    },
+
+    /**
+     * Update sessions count badge.
+     */
+    updateSessionsCount: function () {
+      const count = this.sessions.length;
+      const $badge = this.$widget.find(".assistify-tab-badge");
+      if (count > 0) {
+        $badge.text(count).show();
+      } else {
+        $badge.hide();
+      }
+    },
+
+    /**
+     * Create the chat widget
+     */
+    createWidget: function () {
+      const widgetHtml = `
+        <div class="assistify-admin-chat">
+          <button type="button" class="assistify-admin-chat-toggle" aria-expanded="false" aria-label="${
+            assistifyAdmin.strings.openChat || "Chat with Ayana"
+          }">
+            <span class="assistify-chat-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" fill="currentColor">
+                <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.57 0-3.05-.43-4.32-1.18l-.31-.18-3.22.89.89-3.22-.18-.31C4.43 15.05 4 13.57 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z"/>
+              </svg>
+            </span>
+            <span class="assistify-close-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" fill="currentColor">
+                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+              </svg>
+            </span>
+          </button>
+          <span class="assistify-keyboard-hint">Press <kbd>Ctrl</kbd>+<kbd>/</kbd></span>
+          <div class="assistify-admin-chat-container" data-drop-label="${
+            assistifyAdmin.strings.dropFiles
+          }">
+            <div class="assistify-admin-chat-header">
+              <div class="assistify-header-content">
+                <h3>Assistify<span class="assistify-status-dot ${
+                  assistifyAdmin.settings.apiConfigured
+                    ? "is-online"
+                    : "is-offline"
+                }" title="${
+        assistifyAdmin.settings.apiConfigured
+          ? "Connected"
+          : "API key not configured"
+      }"></span></h3>
+                <span class="assistify-header-subtitle">Store Intelligence</span>
+                <span class="assistify-usage-meter"></span>
+              </div>
+              <div class="assistify-header-actions">
+                ${
+                  Voice.canSpeak()
+                    ? `<button type="button" class="assistify-admin-chat-speak${
+                        this.speakReplies ? " is-active" : ""
+                      }" aria-pressed="${this.speakReplies}" aria-label="${
+                        assistifyAdmin.strings.speakReplies
+                      }" title="${assistifyAdmin.strings.speakReplies}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3A4.5 4.5 0 0 0 14 7.97v8.05A4.47 4.47 0 0 0 16.5 12zM14 3.23v2.06a7 7 0 0 1 0 13.42v2.06A9 9 0 0 0 14 3.23z"/>
+                  </svg>
+                </button>`
+                    : ""
+                }
+                <button type="button" class="assistify-admin-chat-export" aria-label="${
+                  assistifyAdmin.strings.exportChat
+                }" title="${assistifyAdmin.strings.exportChat}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-admin-chat-close" aria-label="Close chat">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                  </svg>
+                </button>
+              </div>
+            </div>
+            <div class="assistify-chat-tabs">
+              <button type="button" class="assistify-tab is-active" data-tab="chat">Chat</button>
+              <button type="button" class="assistify-tab" data-tab="history">History <span class="assistify-tab-badge" style="display:none;">0</span></button>
+              <button type="button" class="assistify-tab" data-tab="prompts">${
+                assistifyAdmin.strings.prompts
+              }</button>
+            </div>
+            <div class="assistify-tab-content assistify-tab-chat is-active">
+              <div class="assistify-admin-chat-messages" role="log" aria-live="polite"></div>
+              <div class="assistify-read-only-bar">
+                <span class="assistify-read-only-text"></span>
+                <button type="button" class="assistify-read-only-new">${
+                  assistifyAdmin.strings.newChat
+                }</button>
+              </div>
+              <div class="assistify-mention-bar"></div>
+              <form class="assistify-admin-chat-form">
+                <div class="assistify-input-menu" role="listbox"></div>
+                <input type="text" class="assistify-admin-chat-input" placeholder="${
+                  assistifyAdmin.strings.placeholder || "Ask Ayana anything..."
+                }" autocomplete="off">
+                ${
+                  Attachments.isEnabled()
+                    ? `<button type="button" class="assistify-admin-chat-attach" aria-label="${assistifyAdmin.strings.attachFiles}" title="${assistifyAdmin.strings.attachFiles}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M16.5 6v11.5a4 4 0 0 1-8 0V5a2.5 2.5 0 0 1 5 0v10.5a1 1 0 0 1-2 0V6H10v9.5a2.5 2.5 0 0 0 5 0V5a4 4 0 0 0-8 0v12.5a5.5 5.5 0 0 0 11 0V6h-1.5z"/>
+                  </svg>
+                </button>
+                <input type="file" class="assistify-admin-chat-file" accept=".jpg,.jpeg,.png,.gif,.webp,.csv" multiple hidden>`
+                    : ""
+                }
+                ${
+                  Voice.canDictate()
+                    ? `<button type="button" class="assistify-admin-chat-mic" aria-pressed="false" aria-label="${assistifyAdmin.strings.dictate}" title="${assistifyAdmin.strings.dictate}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M12 14a3 3 0 0 0 3-3V5a3 3 0 0 0-6 0v6a3 3 0 0 0 3 3zm5.3-3a5.3 5.3 0 0 1-10.6 0H5a7 7 0 0 0 6 6.92V21h2v-3.08A7 7 0 0 0 19 11h-1.7z"/>
+                  </svg>
+                </button>`
+                    : ""
+                }
+                <button type="submit" class="assistify-admin-chat-send" aria-label="Send message">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-admin-chat-stop" aria-label="${
+                  assistifyAdmin.strings.stop || "Stop generating"
+                }" title="${assistifyAdmin.strings.stop || "Stop generating"}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                    <path d="M6 6h12v12H6z"/>
+                  </svg>
+                </button>
+              </form>
+            </div>
+            <div class="assistify-tab-content assistify-tab-history">
+              <div class="assistify-history-search">
+                <input type="search" class="assistify-history-search-input" placeholder="${
+                  assistifyAdmin.strings.searchChats
+                }" aria-label="${
+        assistifyAdmin.strings.searchChats
+      }" autocomplete="off">
+              </div>
+              <div class="assistify-history-filters"></div>
+              <div class="assistify-history-bulk"></div>
+              <div class="assistify-sessions-list"></div>
+              <button type="button" class="assistify-new-chat-btn">+ Start New Chat</button>
+            </div>
+            <div class="assistify-tab-content assistify-tab-prompts">
+              <div class="assistify-prompts-list"></div>
+              <button type="button" class="assistify-new-chat-btn assistify-new-prompt-btn">+ ${
+                assistifyAdmin.strings.newPrompt
+              }</button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(widgetHtml);
+
+      this.$widget = $(".assistify-admin-chat");
+      this.$toggle = this.$widget.find(".assistify-admin-chat-toggle");
+      this.$container = this.$widget.find(".assistify-admin-chat-container");
+      this.$messages = this.$widget.find(".assistify-admin-chat-messages");
+      this.$form = this.$widget.find(".assistify-admin-chat-form");
+      this.$input = this.$widget.find(".assistify-admin-chat-input");
+      this.$close = this.$widget.find(".assistify-admin-chat-close");
+      this.$send = this.$widget.find(".assistify-admin-chat-send");
+      this.$stop = this.$widget.find(".assistify-admin-chat-stop");
+      this.$mic = this.$widget.find(".assistify-admin-chat-mic");
+      this.$attach = this.$widget.find(".assistify-admin-chat-attach");
+      this.$file = this.$widget.find(".assistify-admin-chat-file");
+      this.$speak = this.$widget.find(".assistify-admin-chat-speak");
+      this.$usageMeter = this.$widget.find(".assistify-usage-meter");
+      this.$inputMenu = this.$widget.find(".assistify-input-menu");
+      this.$mentionBar = this.$widget.find(".assistify-mention-bar");
+      this.$sessionsList = this.$widget.find(".assistify-sessions-list");
+      this.$promptsList = this.$widget.find(".assistify-prompts-list");
+      this.$search = this.$widget.find(".assistify-history-search-input");
+
+      // Add welcome message
+      this.showWelcomeMessage();
+      this.renderContextBar();
+    },
+
+    /**
+     * Get a random creative welcome message.
+     */
+    getWelcomeMessage: function () {
+      const greetings = [
+        "Hey, I'm **Ayana**. I work behind the scenes of your store and know your products, orders, customers, and sales inside out. Tell me what you need.",
+        "Hi, I'm **Ayana**. I keep an eye on your products, orders, customers, and sales. Ask me anything and I'll pull the answers for you.",
+        "I'm **Ayana**. I sit inside your store and understand your data from top to bottom. Tell me what you want to check or fix.",
+        "**Ayana** here. I know your store's numbers, customers, and products by heart. Ask away.",
+        "Hey! **Ayana** at your service. I've got full access to your store data. What would you like to know?",
+      ];
+
+      const randomIndex = Math.floor(Math.random() * greetings.length);
+
+      if (!this.screenContext) {
+        return greetings[randomIndex];
+      }
+
+      return (
+        greetings[randomIndex] +
+        "\n\n" +
+        assistifyAdmin.strings.screenIntro.replace(
+          "%s",
+          "**" + this.screenContext.label + "**"
+        )
+      );
+    },
+
+    /**
+     * Show the welcome message, with prompts suggested for the current
+     * screen.
+     */
+    showWelcomeMessage: function () {
+      this.addMessage("assistant", this.getWelcomeMessage());
+
+      const prompts = this.screenContext ? this.screenContext.prompts : [];
+
+      if (!prompts || !prompts.length) {
+        return;
+      }
+
+      this.$messages
+        .children(".assistify-message")
+        .last()
+        .find(".assistify-message-content")
+        .after(
+          `<div class="assistify-suggestions">${prompts
+            .map(
+              (prompt) =>
+                `<button type="button" class="assistify-suggestion">${MarkdownParser.escapeHtml(
+                  prompt
+                )}</button>`
+            )
+            .join("")}</div>`
+        );
+    },
+
+    /**
+     * Bind events
+     */
+    bindEvents: function () {
+      const self = this;
+
+      // Toggle chat
+      this.$toggle.on("click", function () {
+        self.toggleChat();
+      });
+
+      // Close chat
+      this.$close.on("click", function () {
+        self.closeChat();
+      });
+
+      // Submit message
+      this.$form.on("submit", function (e) {
+        e.preventDefault();
+        self.sendMessage();
+      });
+
+      // Stop the pending answer
+      this.$stop.on("click", function () {
+        self.stopResponse();
+      });
+
+      this.$mic.on("click", function () {
+        self.toggleDictation();
+      });
+
+      this.$speak.on("click", function () {
+        self.toggleSpeakReplies();
+      });
+
+      // Attach files picked, dropped on the chat or pasted into the input
+      this.$attach.on("click", function () {
+        self.$file.trigger("click");
+      });
+
+      this.$file.on("change", function () {
+        self.attachFiles(this.files);
+        this.value = "";
+      });
+
+      this.$container.on("dragenter dragover", function (e) {
+        const transfer = e.originalEvent.dataTransfer;
+
+        if (
+          Attachments.isEnabled() &&
+          !self.readOnly &&
+          transfer &&
+          Array.from(transfer.types || []).includes("Files")
+        ) {
+          e.preventDefault();
+          self.$container.addClass("is-dragging");
+        }
+      });
+
+      this.$container.on("dragleave", function (e) {
+        if (!$.contains(this, e.originalEvent.relatedTarget)) {
+          self.$container.removeClass("is-dragging");
+        }
+      });
+
+      this.$container.on("drop", function (e) {
+        if (!self.$container.hasClass("is-dragging")) {
+          return;
+        }
+
+        e.preventDefault();
+        self.$container.removeClass("is-dragging");
+        self.attachFiles(e.originalEvent.dataTransfer.files);
+      });
+
+      this.$input.on("paste", function (e) {
+        const clipboard = e.originalEvent.clipboardData;
+
+        if (
+          Attachments.isEnabled() &&
+          clipboard &&
+          clipboard.files &&
+          clipboard.files.length
+        ) {
+          e.preventDefault();
+          self.attachFiles(clipboard.files);
+        }
+      });
+
+      // Tab switching
+      this.$widget.on("click", ".assistify-tab", function () {
+        const tab = $(this).data("tab");
+        self.switchTab(tab);
+      });
+
+      // Load session from history
+      this.$widget.on("click", ".assistify-session-item", function () {
+        const sessionId = $(this).data("session-id");
+        self.loadSession(sessionId);
+      });
+
+      // Search message content across sessions
+      this.$search.on("input", function () {
+        self.searchSessions($(this).val());
+      });
+
+      // Open a search result at the matching message
+      this.$widget.on("click", ".assistify-search-result", function () {
+        self.loadSession($(this).data("session-id"), {
+          messageId: $(this).data("message-id"),
+          terms: (self.searchResults && self.searchResults.terms) || [],
+        });
+      });
+
+      // Leave a read-only shared session
+      this.$widget.on("click", ".assistify-read-only-new", function () {
+        self.startNewChat();
+      });
+
+      // Start new chat
+      this.$widget.on("click", ".assistify-new-chat-btn", function () {
+        self.startNewChat();
+      });
+
+      // Delete individual session
+      this.$widget.on("click", ".assistify-session-delete", function (e) {
+        e.stopPropagation(); // Prevent triggering session load
+        const sessionId = $(this).data("session-id");
+        self.deleteSession(sessionId);
+      });
+
+      // Keep clicks on the selection box and edit field inside the item
+      this.$widget.on(
+        "click",
+        ".assistify-session-check, .assistify-session-edit",
+        function (e) {
+          e.stopPropagation();
+        }
+      );
+
+      // Select sessions for a bulk operation
+      this.$widget.on("change", ".assistify-session-check", function () {
+        self.selectSession($(this).val(), this.checked);
+      });
+
+      // Pin, rename, tag or archive a session
+      this.$widget.on("click", ".assistify-session-action", function (e) {
+        e.stopPropagation(); // Prevent triggering session load
+        const sessionId = $(this)
+          .closest(".assistify-session-item")
+          .data("session-id");
+        const session = self.sessions
+          .concat(self.sharedSessions)
+          .find((item) => item.id === sessionId);
+
+        if (!session) {
+          return;
+        }
+
+        if ($(this).hasClass("assistify-session-export")) {
+          self.showExportMenu($(this), sessionId);
+        } else if ($(this).hasClass("assistify-session-share")) {
+          self.showShareModal(sessionId);
+        } else if ($(this).hasClass("assistify-session-pin")) {
+          self.updateSession(sessionId, { pinned: !session.pinned });
+        } else if ($(this).hasClass("assistify-session-archive")) {
+          self.updateSession(sessionId, { archived: !session.archived });
+        } else {
+          self.editSession(
+            sessionId,
+            $(this).hasClass("assistify-session-tags") ? "tags" : "title"
+          );
+        }
+      });
+
+      // Export the current chat
+      this.$widget.on("click", ".assistify-admin-chat-export", function () {
+        self.showExportMenu($(this), self.sessionId);
+      });
+
+      // Export in the chosen format
+      this.$widget.on("click", ".assistify-export-format", function (e) {
+        e.stopPropagation();
+        const $menu = $(this).closest(".assistify-export-menu");
+        self.exportSession($menu.data("session-id"), $(this).data("format"));
+      });
+
+      // Filter sessions by tag
+      this.$widget.on("click", ".assistify-history-chip", function () {
+        self.tagFilter = String($(this).data("tag"));
+        self.renderSessions();
+      });
+
+      // Switch between the main and the archived list
+      this.$widget.on("click", ".assistify-history-archived", function () {
+        self.toggleArchived();
+      });
+
+      // Act on the selected sessions
+      this.$widget.on("click", ".assistify-history-bulk-btn", function () {
+        self.bulkSessions($(this).data("operation"));
+      });
+
+      // Clear all history
+      this.$widget.on("click", ".assistify-clear-all-btn", function () {
+        self.clearAllSessions();
+      });
+
+      // Keyboard shortcut (Ctrl + /)
+      $(document).on("keydown", function (e) {
+        if (e.ctrlKey && e.key === "/") {
+          e.preventDefault();
+          self.toggleChat();
+        }
+        if (e.key === "Escape" && self.$container.hasClass("is-open")) {
+          self.closeChat();
+        }
+      });
+
+      // Handle Enter key in input
+      this.$input.on("keydown", function (e) {
+        if (self.handleMenuKey(e)) {
+          return;
+        }
+
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          self.sendMessage();
+        }
+      });
+
+      // Suggest slash commands and mentions while typing
+      this.$input.on("input", function () {
+        self.updateInputMenu();
+      });
+
+      this.$input.on("blur", function () {
+        // Let a click on an option land first.
+        setTimeout(() => self.closeInputMenu(), 150);
+      });
+
+      this.$inputMenu.on(
+        "mousedown",
+        ".assistify-command-option",
+        function (e) {
+          e.preventDefault();
+          self.acceptCommand($(this).data("command"));
+        }
+      );
+
+      this.$inputMenu.on(
+        "mousedown",
+        ".assistify-mention-option",
+        function (e) {
+          e.preventDefault();
+          self.acceptMention(self.menuOptions[$(this).data("index")]);
+        }
+      );
+
+      this.$mentionBar.on("click", ".assistify-attachment-remove", function () {
+        const attachment = self.attachments[$(this).data("index")];
+
+        if (attachment.xhr) {
+          attachment.xhr.abort();
+        }
+
+        self.attachments.splice($(this).data("index"), 1);
+        self.renderContextBar();
+        self.$input.trigger("focus");
+      });
+
+      this.$mentionBar.on("click", ".assistify-mention-remove", function () {
+        self.mentions.splice($(this).data("index"), 1);
+        self.renderContextBar();
+        self.$input.trigger("focus");
+      });
+
+      // Ask without the current screen as context
+      this.$mentionBar.on("click", ".assistify-context-dismiss", function () {
+        self.screenContext = null;
+        self.renderContextBar();
+        self.$messages.find(".assistify-suggestions").remove();
+        self.$input.trigger("focus");
+      });
+
+      this.$messages.on("click", ".assistify-suggestion", function () {
+        self.$input.val($(this).text());
+        self.sendMessage();
+      });
+
+      // Copy message button
+      this.$widget.on("click", ".assistify-copy-btn", function (e) {
+        e.preventDefault();
+        const messageId = $(this).data("message-id");
+        self.copyMessage(messageId);
+      });
+
+      // Edit and resend a question
+      this.$widget.on("click", ".assistify-edit-btn", function () {
+        self.editMessage($(this).closest(".assistify-message"));
+      });
+
+      // Send a question that was not answered again
+      this.$widget.on("click", ".assistify-retry-btn", function () {
+        self.retryRequest($(this).closest(".assistify-message"));
+      });
+
+      // Save a question to the prompt library
+      this.$widget.on("click", ".assistify-save-prompt-btn", function () {
+        self.showPromptModal({
+          prompt: self.decodeHtmlEntities(
+            $(this).closest(".assistify-message").data("raw-content")
+          ),
+        });
+      });
+
+      // Saved prompts
+      this.$widget.on("click", ".assistify-new-prompt-btn", function () {
+        self.showPromptModal();
+      });
+
+      this.$promptsList.on("click", ".assistify-prompt-run", function () {
+        self.runPrompt(self.findPrompt($(this).attr("data-id")));
+      });
+
+      this.$promptsList.on("click", ".assistify-prompt-edit", function () {
+        self.showPromptModal(self.findPrompt($(this).attr("data-id")));
+      });
+
+      this.$promptsList.on("click", ".assistify-prompt-delete", function () {
+        self.deletePrompt(self.findPrompt($(this).attr("data-id")));
+      });
+
+      this.$promptsList.on("click", ".assistify-prompt-session", function () {
+        self.loadSession($(this).data("session-id"));
+      });
+
+      // Flip between versions of an edited question
+      this.$widget.on("click", ".assistify-version-btn", function () {
+        self.switchBranch($(this).data("branch"));
+      });
+
+      // Pick a model to regenerate an answer with
+      this.$widget.on("click", ".assistify-regenerate-btn", function () {
+        self.showModelMenu($(this));
+      });
+
+      this.$widget.on("click", ".assistify-model-option", function (e) {
+        e.stopPropagation();
+        const $menu = $(this).closest(".assistify-model-menu");
+        const $answer = $($menu.data("anchor")).closest(".assistify-message");
+
+        self.closeModelMenu();
+        self.regenerateAnswer($answer, {
+          provider: $(this).data("provider"),
+          model: $(this).data("model"),
+        });
+      });
+
+      // Switch a chart between chart and table view
+      this.$widget.on("click", ".assistify-chart-view", function () {
+        TableCharts.setView(
+          $(this).closest(".assistify-chart-block"),
+          $(this).data("view")
+        );
+      });
+
+      // Chart another column of the table
+      this.$widget.on("change", ".assistify-chart-series", function () {
+        TableCharts.draw(
+          $(this).closest(".assistify-chart-block"),
+          parseInt($(this).val(), 10)
+        );
+      });
+
+      // Download a chart as PNG or its table as CSV
+      this.$widget.on("click", ".assistify-chart-download", function () {
+        const $block = $(this).closest(".assistify-chart-block");
+
+        if ($(this).data("format") === "csv") {
+          TableCharts.downloadCsv($block);
+        } else {
+          TableCharts.downloadPng($block);
+        }
+      });
+    },
+
+    /**
+     * Toggle chat open/closed
+     */
+    toggleChat: function () {
+      const isOpen = this.$container.hasClass("is-open");
+
+      if (isOpen) {
+        this.closeChat();
+      } else {
+        this.openChat();
+      }
+    },
+
+    /**
+     * Open chat
+     */
+    openChat: function () {
+      this.$toggle.attr("aria-expanded", "true");
+      // Small delay to allow CSS transition to work
+      requestAnimationFrame(() => {
+        this.$container.addClass("is-open");
+      });
+      this.$input.focus();
+      // Scroll to bottom when opening chat
+      setTimeout(() => this.scrollToBottom(), 100);
+    },
+
+    /**
+     * Close chat
+     */
+    closeChat: function () {
+      this.$container.removeClass("is-open");
+      this.$toggle.attr("aria-expanded", "false");
+    },
+
+    /**
+     * Send message
+     *
+     * @param {Object|null} model - Provider and model to answer with.
+     * @param {Object|null} screen - Screen the question is asked from.
+     */
+    sendMessage: function (model = null, screen = this.screenContext) {
+      const message = this.$input.val().trim();
+
+      if (
+        !message ||
+        this.isStreaming ||
+        this.activeRequest ||
+        this.remoteRequest ||
+        this.readOnly
+      ) {
+        return;
+      }
+
+      // Wait until every attached file is uploaded
+      if (this.attachments.some((attachment) => attachment.uploading)) {
+        this.addMessage(
+          "assistant",
+          assistifyAdmin.strings.waitForUploads,
+          false,
+          true
+        );
+        return;
+      }
+
+      if (this.dictation) {
+        this.dictation.abort();
+      }
+      Voice.stopSpeaking();
+
+      const requestId =
+        "req_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+
+      // Commands run on their own parameters, not on the context
+      const command = !!SlashCommands.match(message);
+      const mentions = command ? [] : this.mentions;
+      const context = command ? null : screen;
+      const attachments = command ? [] : this.attachments;
+
+      // Add user message, tied to its request so it can be edited later
+      this.addMessage("user", message, true, false, false, [], {
+        requestId: requestId,
+        mentions: mentions,
+        screen: context,
+        attachments: attachments,
+      });
+      this.$input.val("");
+      this.closeInputMenu();
+      this.mentions = [];
+      this.attachments = [];
+      this.renderContextBar();
+
+      const request = {
+        id: requestId,
+        message: message,
+        model: model,
+        command: command,
+        mentions: Mentions.toRequest(mentions),
+        screen: context ? { type: context.type, id: context.id } : null,
+        attachments: Attachments.toRequest(attachments),
+        context: {
+          mentions: mentions,
+          screen: context,
+          attachments: attachments,
+        },
+        $message: this.$messages.find(`[data-request-id="${requestId}"]`),
+        attempts: 0, // failed tries to reach the site
+        sent: false, // whether the site may have received the question
+        stop: null,
+        stream: null,
+        heartbeat: null, // keeps the other tabs waiting for the answer
+      };
+      request.$message.data("request", request);
+
+      // Questions asked offline wait, in order, for the connection
+      if (!navigator.onLine || this.queue.length) {
+        this.queue.push(request);
+        this.showFailure(request, ChatErrors.create("network"));
+        this.scheduleRetry();
+        return;
+      }
+
+      this.dispatchRequest(request);
+    },
+
+    /**
+     * Send a question to the server and show its answer.
+     *
+     * @param {Object} request - The request (see sendMessage).
+     */
+    dispatchRequest: function (request) {
+      this.queue = this.queue.filter((item) => item !== request);
+      request.sent = false;
+      request.stop = null;
+      request.stream = null;
+      request.$message
+        .removeClass("assistify-message-failed")
+        .find(".assistify-message-failure")
+        .remove();
+
+      // Disable input while processing
+      this.setBusy(true);
+      this.activeRequest = request;
+
+      TabSync.send("question", {
+        sessionId: this.sessionId,
+        message: request.message,
+        mentions: request.context.mentions,
+        screen: request.context.screen,
+        attachments: request.context.attachments,
+      });
+
+      // Tell the other tabs, now and then, that the answer is still coming
+      clearInterval(request.heartbeat);
+      request.heartbeat = setInterval(() => {
+        if (this.activeRequest !== request) {
+          clearInterval(request.heartbeat);
+          return;
+        }
+
+        TabSync.send("answering", { sessionId: this.sessionId });
+      }, TabSync.heartbeat);
+
+      // Show typing indicator
+      this.showTypingIndicator();
+
+      // Commands run their ability without asking the AI
+      if (request.command) {
+        this.runCommand(request);
+        return;
+      }
+
+      // Stream the answer from the REST API when the browser supports it
+      if (this.canStreamResponses()) {
+        this.sendStreamingMessage(request);
+        return;
+      }
+
+      // Send to server
+      const xhr = $.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_admin_chat",
+          nonce: assistifyAdmin.nonce,
+          message: request.message,
+          session_id: this.sessionId,
+          request_id: request.id,
+          provider: request.model ? request.model.provider : "",
+          model: request.model ? request.model.model : "",
+          mentions: request.mentions,
+          screen: request.screen || "",
+          attachments: request.attachments,
+        },
+        success: (response) => {
+          if (!response.success) {
+            this.failRequest(request, ChatErrors.fromResponse(response.data));
+            return;
+          }
+
+          this.hideTypingIndicator();
+          this.updateMonthUsage(response.data.usage_month);
+
+          // Check if this is an action requiring confirmation
+          if (response.data.pending_action) {
+            this.showActionConfirmation(response.data);
+          } else {
+            // Stream the response for better UX
+            this.streamResponse(
+              response.data.message,
+              response.data.cards,
+              response.data.model,
+              response.data.abilities,
+              response.data.usage
+            );
+          }
+        },
+        error: (jqXHR, textStatus) => {
+          // Stopped by the user; stopResponse() has already updated the UI
+          if (textStatus === "abort") {
+            return;
+          }
+
+          // Without an answer there is no telling whether the site got the
+          // question, unless the browser went offline
+          request.sent = navigator.onLine;
+          this.failRequest(request, ChatErrors.fromXhr(jqXHR));
+        },
+      });
+
+      request.stop = () => {
+        xhr.abort();
+        return "";
+      };
+    },
+
+    /**
+     * Keep a question that could not be answered, to be sent again.
+     *
+     * Questions that did not reach the site are retried on their own, with
+     * growing delays, and those turned down for an expired nonce are sent
+     * again once with new nonces; the others wait for the retry button.
+     * A question the site may already be answering is never sent again on
+     * its own, so a change it asked for is not made twice.
+     *
+     * @param {Object} request - The request (see sendMessage).
+     * @param {Error} error - Typed error (see ChatErrors).
+     */
+    failRequest: function (request, error) {
+      // An expired nonce is renewed and the question sent again unnoticed
+      if (error.type === "nonce" && !request.renewedNonces) {
+        request.renewedNonces = true;
+        Nonces.refresh().then(
+          () => {
+            // Unless the user stopped it in the meantime
+            if (this.activeRequest === request) {
+              this.hideTypingIndicator();
+              this.dispatchRequest(request);
+            }
+          },
+          () => {
+            if (this.activeRequest === request) {
+              this.failRequest(request, error);
+            }
+          }
+        );
+        return;
+      }
+
+      this.hideTypingIndicator();
+      if (request.stream) {
+        request.stream.$message.remove();
+      }
+      this.isStreaming = false;
+
+      if (error.type === "network" && request.sent) {
+        error = ChatErrors.create("dropped");
+      } else if (error.type === "network") {
+        request.attempts++;
+        this.queue.unshift(request);
+      }
+
+      this.showFailure(request, error);
+      this.setBusy(false);
+      this.$input.focus();
+    },
+
+    /**
+     * Show why a question was not answered, with a button to send it again.
+     *
+     * @param {Object} request - The request (see sendMessage).
+     * @param {Error} error - Typed error (see ChatErrors).
+     */
+    showFailure: function (request, error) {
+      request.$message
+        .addClass("assistify-message-failed")
+        .find(".assistify-message-failure")
+        .remove();
+      request.$message.append(`
+        <div class="assistify-message-failure" role="alert">
+          <span>${ChatErrors.getMessage(error)}</span>
+          <button type="button" class="assistify-retry-btn">${
+            assistifyAdmin.strings.retry
+          }</button>
+        </div>
+      `);
+      this.scrollToBottom();
+    },
+
+    /**
+     * Send a question that was not answered again, right away.
+     *
+     * @param {jQuery} $message - User message element.
+     */
+    retryRequest: function ($message) {
+      const request = $message.data("request");
+
+      if (
+        !request ||
+        this.activeRequest ||
+        this.isStreaming ||
+        this.remoteRequest
+      ) {
+        return;
+      }
+
+      request.attempts = 0;
+      request.renewedNonces = false;
+      this.queue = [request].concat(
+        this.queue.filter((item) => item !== request)
+      );
+      this.sendQueued();
+    },
+
+    /**
+     * Send the oldest waiting question once the delay after its last
+     * attempt has passed, or once the browser is back online.
+     */
+    scheduleRetry: function () {
+      const request = this.queue[0];
+
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+
+      if (!request || !navigator.onLine || request.attempts > 5) {
+        return;
+      }
+
+      // 2, 4, 8 … seconds after each failed attempt, up to a minute
+      const delay = request.attempts
+        ? Math.min(60, Math.pow(2, request.attempts)) * 1000
+        : 0;
+
+      this.retryTimer = setTimeout(() => this.sendQueued(), delay);
+    },
+
+    /**
+     * Send the oldest waiting question.
+     */
+    sendQueued: function () {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+
+      if (
+        !this.queue.length ||
+        this.activeRequest ||
+        this.isStreaming ||
+        this.remoteRequest ||
+        this.readOnly
+      ) {
+        return;
+      }
+
+      this.dispatchRequest(this.queue[0]);
+    },
+
+    /**
+     * Forget the questions waiting to be sent, when leaving their session.
+     */
+    clearQueue: function () {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.queue = [];
+    },
+
+    /**
+     * Run a slash command and show its result as the answer.
+     *
+     * @param {Object} request - The active request (see sendMessage).
+     */
+    runCommand: function (request) {
+      const xhr = $.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_run_command",
+          nonce: assistifyAdmin.nonce,
+          message: request.message,
+          session_id: this.sessionId,
+          request_id: request.id,
+        },
+        success: (response) => {
+          const error = response.success
+            ? null
+            : ChatErrors.fromResponse(response.data);
+
+          // An expired nonce is renewed and the command run again
+          if (error && error.type === "nonce") {
+            this.failRequest(request, error);
+            return;
+          }
+
+          this.hideTypingIndicator();
+          this.setBusy(false);
+          this.$input.focus();
+
+          if (!response.success) {
+            this.addMessage(
+              "assistant",
+              response.data.message || assistifyAdmin.strings.error,
+              false,
+              true
+            );
+            return;
+          }
+
+          this.addMessage(
+            "assistant",
+            response.data.message,
+            true,
+            false,
+            false,
+            [],
+            { command: response.data.command }
+          );
+          this.speakAnswer(response.data.message);
+          this.loadSessions();
+        },
+        error: (jqXHR, textStatus) => {
+          // Stopped by the user; stopResponse() has already updated the UI
+          if (textStatus === "abort") {
+            return;
+          }
+
+          // Without an answer there is no telling whether the site got the
+          // question, unless the browser went offline
+          request.sent = navigator.onLine;
+          this.failRequest(request, ChatErrors.fromXhr(jqXHR));
+        },
+      });
+
+      request.stop = () => {
+        xhr.abort();
+        return "";
+      };
+    },
+
+    /**
+     * Show the commands matching the input, the parameters of the command
+     * being typed, or the records matching a mention.
+     */
+    updateInputMenu: function () {
+      const text = this.$input.val();
+      const typing = /^\/([a-z0-9_-]*)$/i.exec(text);
+
+      this.cancelMentionSearch();
+
+      if (typing) {
+        this.showMenuOptions("command", SlashCommands.filter(typing[1]));
+        return;
+      }
+
+      const command = SlashCommands.match(text);
+
+      if (command) {
+        this.showMenuNote(SlashCommands.renderHint(command));
+        return;
+      }
+
+      const mention = Mentions.find(text, this.$input[0].selectionStart);
+
+      if (mention) {
+        this.searchMentions(mention);
+        return;
+      }
+
+      this.closeInputMenu();
+    },
+
+    /**
+     * List options in the input menu, highlighting the first.
+     *
+     * @param {string} type - "command", or the type of record mentioned.
+     * @param {Array} options - Commands or records.
+     */
+    showMenuOptions: function (type, options) {
+      if (!options.length) {
+        this.closeInputMenu();
+        return;
+      }
+
+      this.menuType = type;
+      this.menuOptions = options;
+      this.menuIndex = 0;
+      this.renderMenuOptions();
+      this.$inputMenu.addClass("is-visible");
+    },
+
+    /**
+     * Show the input menu without options to pick.
+     *
+     * @param {string} html - Menu content.
+     */
+    showMenuNote: function (html) {
+      this.menuType = "";
+      this.menuOptions = [];
+      this.$inputMenu.html(html).addClass("is-visible");
+    },
+
+    /**
+     * Render the options of the input menu.
+     */
+    renderMenuOptions: function () {
+      this.$inputMenu.html(
+        this.menuType === "command"
+          ? SlashCommands.renderOptions(this.menuOptions, this.menuIndex)
+          : Mentions.renderOptions(
+              this.menuType,
+              this.menuOptions,
+              this.menuIndex
+            )
+      );
+    },
+
+    /**
+     * Hide the input menu.
+     */
+    closeInputMenu: function () {
+      this.cancelMentionSearch();
+      this.menuType = "";
+      this.menuOptions = [];
+      this.$inputMenu.removeClass("is-visible").empty();
+    },
+
+    /**
+     * Move through the menu options with the keyboard.
+     *
+     * @param {KeyboardEvent} e - Keydown event from the input.
+     * @return {boolean} True if the key was handled by the menu.
+     */
+    handleMenuKey: function (e) {
+      if (!this.$inputMenu.hasClass("is-visible")) {
+        return false;
+      }
+
+      if (e.key === "Escape") {
+        // Keep the chat open; only the menu closes.
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeInputMenu();
+        return true;
+      }
+
+      const count = this.menuOptions.length;
+
+      if (!count) {
+        return false;
+      }
+
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        this.menuIndex =
+          (this.menuIndex + (e.key === "ArrowDown" ? 1 : count - 1)) % count;
+        this.renderMenuOptions();
+        return true;
+      }
+
+      if (e.key === "Tab" || (e.key === "Enter" && !e.shiftKey)) {
+        const option = this.menuOptions[this.menuIndex];
+
+        if (this.menuType !== "command") {
+          e.preventDefault();
+          this.acceptMention(option);
+          return true;
+        }
+
+        // A fully typed command without parameters is sent as it is.
+        if (
+          e.key === "Enter" &&
+          this.$input.val().trim() === "/" + option.command
+        ) {
+          return false;
+        }
+
+        e.preventDefault();
+        this.acceptCommand(option.command);
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Complete the input with a command and show its parameters.
+     *
+     * @param {string} name - Command name.
+     */
+    acceptCommand: function (name) {
+      this.$input.val("/" + name + " ").trigger("focus");
+      this.updateInputMenu();
+    },
+
+    /**
+     * Look up the records matching the mention being typed.
+     *
+     * @param {Object} mention - Mention from Mentions.find().
+     */
+    searchMentions: function (mention) {
+      if (!mention.query) {
+        this.showMenuNote(
+          Mentions.renderNote(
+            mention.type,
+            Mentions.getLabels(mention.type).hint
+          )
+        );
+        return;
+      }
+
+      const search = { timer: null, xhr: null };
+      this.mentionSearch = search;
+
+      search.timer = setTimeout(() => {
+        search.xhr = Nonces.ajax({
+          url: assistifyAdmin.ajaxUrl,
+          type: "POST",
+          data: {
+            action: "assistify_search_mentions",
+            nonce: assistifyAdmin.nonce,
+            type: mention.type,
+            query: mention.query,
+          },
+          success: (response) => {
+            this.mentionSearch = null;
+
+            if (!response.success) {
+              this.closeInputMenu();
+              return;
+            }
+
+            if (!response.data.items.length) {
+              this.showMenuNote(
+                Mentions.renderNote(
+                  mention.type,
+                  assistifyAdmin.strings.noMatches
+                )
+              );
+              return;
+            }
+
+            this.mentionTrigger = mention;
+            this.showMenuOptions(mention.type, response.data.items);
+          },
+          error: (jqXHR, textStatus) => {
+            if (textStatus !== "abort") {
+              this.closeInputMenu();
+            }
+          },
+        });
+      }, Mentions.searchDelay);
+    },
+
+    /**
+     * Stop a pending mention search.
+     */
+    cancelMentionSearch: function () {
+      const search = this.mentionSearch;
+
+      if (!search) {
+        return;
+      }
+
+      clearTimeout(search.timer);
+      if (search.xhr) {
+        search.xhr.abort();
+      }
+      this.mentionSearch = null;
+    },
+
+    /**
+     * Replace the mention being typed with the chosen record and add it to
+     * the records sent with the message.
+     *
+     * @param {Object} item - Record from the mention search.
+     */
+    acceptMention: function (item) {
+      const mention = this.mentionTrigger;
+      const text = this.$input.val();
+      const before = text.slice(0, mention.start) + item.token + " ";
+
+      this.$input
+        .val(before + text.slice(mention.end).replace(/^\s+/, ""))
+        .trigger("focus");
+      this.$input[0].setSelectionRange(before.length, before.length);
+
+      if (
+        !this.mentions.some(
+          (added) => added.type === item.type && added.id === item.id
+        )
+      ) {
+        this.mentions.push(item);
+      }
+
+      this.closeInputMenu();
+      this.renderContextBar();
+    },
+
+    /**
+     * Show the screen, records and files the message being typed is about.
+     */
+    renderContextBar: function () {
+      const chips =
+        Mentions.renderChips(this.mentions, true, this.screenContext) +
+        Attachments.renderChips(this.attachments);
+
+      this.$mentionBar.html(chips).toggleClass("is-visible", !!chips);
+    },
+
+    /**
+     * Upload files to attach to the message being typed.
+     *
+     * @param {FileList|Array} files - Files picked, dropped or pasted.
+     */
+    attachFiles: function (files) {
+      const strings = assistifyAdmin.strings;
+
+      if (!Attachments.isEnabled() || this.readOnly) {
+        return;
+      }
+
+      Array.from(files).forEach((file) => {
+        const error =
+          this.attachments.length >= assistifyAdmin.attachments.maxFiles
+            ? strings.tooManyFiles
+            : Attachments.validate(file);
+
+        if (error) {
+          this.addMessage("assistant", error, false, true);
+          return;
+        }
+
+        const attachment = {
+          name: file.name,
+          type: /\.csv$/i.test(file.name) ? "csv" : "image",
+          uploading: true,
+        };
+
+        this.attachments.push(attachment);
+        this.uploadAttachment(file, attachment);
+      });
+
+      this.renderContextBar();
+    },
+
+    /**
+     * Upload one attached file to the media library.
+     *
+     * @param {File} file - File to upload.
+     * @param {Object} attachment - Pending attachment, updated once uploaded.
+     */
+    uploadAttachment: function (file, attachment) {
+      const data = new FormData();
+
+      data.append("action", "assistify_upload_attachment");
+      data.append("nonce", assistifyAdmin.nonce);
+      data.append("file", file);
+
+      const fail = (message) => {
+        this.attachments = this.attachments.filter(
+          (item) => item !== attachment
+        );
+        this.addMessage("assistant", message, false, true);
+      };
+
+      attachment.xhr = Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: data,
+        processData: false,
+        contentType: false,
+        success: (response) => {
+          if (response.success) {
+            Object.assign(attachment, response.data.attachment);
+          } else {
+            fail(response.data.message);
+          }
+        },
+        error: (xhr, status) => {
+          if (status !== "abort") {
+            fail(assistifyAdmin.strings.uploadFailed);
+          }
+        },
+        complete: () => {
+          attachment.uploading = false;
+          attachment.xhr = null;
+          this.renderContextBar();
+        },
+      });
+    },
+
+    /**
+     * Stop the pending answer, keeping whatever was already shown.
+     *
+     * The partial answer is saved to the session history marked as
+     * interrupted, and the input is re-enabled.
+     */
+    stopResponse: function () {
+      const request = this.activeRequest;
+      const sessionId = this.sessionId;
+
+      // Ask the tab answering the question to stop
+      if (!request) {
+        if (this.remoteRequest) {
+          TabSync.send("stop", { sessionId: this.sessionId });
+        }
+        return;
+      }
+
+      const partial = request.stop ? request.stop() : "";
+      const stream = request.stream || this.createStreamingMessage();
+
+      this.hideTypingIndicator();
+      this.finalizeStreamedMessage(
+        stream.$message,
+        stream.$content,
+        partial,
+        stream.messageId,
+        true,
+        request.model
+      );
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_stop_chat",
+          nonce: assistifyAdmin.nonce,
+          session_id: sessionId,
+          request_id: request.id,
+          message: request.message,
+          partial: partial,
+          provider: request.model ? request.model.provider : "",
+          model: request.model ? request.model.model : "",
+          mentions: request.mentions,
+          screen: request.screen || "",
+          attachments: request.attachments,
+        },
+        complete: () => {
+          TabSync.send("answered", { sessionId: sessionId });
+          this.loadSessions();
+        },
+      });
+    },
+
+    /**
+     * Enable or disable the input while an answer is pending.
+     *
+     * @param {boolean} busy - Whether a request is in progress.
+     */
+    setBusy: function (busy) {
+      this.$input.prop("disabled", busy);
+      this.$send.prop("disabled", busy);
+      this.$mic.prop("disabled", busy);
+      this.$attach.prop("disabled", busy);
+      this.$form.toggleClass("is-busy", busy);
+
+      if (busy || !this.activeRequest) {
+        return;
+      }
+
+      this.activeRequest = null;
+      TabSync.send("answered", { sessionId: this.sessionId });
+
+      // Catch up with a session another tab switched to meanwhile
+      if (this.pendingSessionId && !this.queue.length) {
+        const sessionId = this.pendingSessionId;
+
+        this.pendingSessionId = null;
+        this.followSession(sessionId);
+        return;
+      }
+
+      this.scheduleRetry();
+    },
+
+    /**
+     * Check whether the browser can read a streamed response body.
+     *
+     * @return {boolean} True if true token streaming is available.
+     */
+    canStreamResponses: function () {
+      return (
+        !!assistifyAdmin.restUrl &&
+        typeof window.fetch === "function" &&
+        typeof window.AbortController === "function" &&
+        typeof window.ReadableStream === "function" &&
+        typeof window.TextDecoder === "function"
+      );
+    },
+
+    /**
+     * Send a message and render the answer as the server streams it.
+     *
+     * @param {Object} request - The active request (see sendMessage).
+     */
+    sendStreamingMessage: function (request) {
+      const controller = new AbortController();
+      let stream = null;
+      let content = "";
+      let finished = false;
+      let lastScrollTime = 0;
+
+      request.stop = () => {
+        controller.abort();
+        return content;
+      };
+
+      const render = () => {
+        if (!stream) {
+          this.hideTypingIndicator();
+          stream = this.createStreamingMessage();
+          request.stream = stream;
+        }
+
+        stream.$content.html(
+          this.escapeHtmlForStreaming(content) +
+            '<span class="assistify-stream-cursor"></span>'
+        );
+
+        // Throttle scrolling for performance (every 100ms)
+        if (Date.now() - lastScrollTime > 100) {
+          this.scrollToBottom();
+          lastScrollTime = Date.now();
+        }
+      };
+
+      const handleEvent = (event, data) => {
+        switch (event) {
+          case "delta":
+            content += data.text;
+            render();
+            break;
+
+          case "tool":
+            // Text before a tool call is not part of the final answer
+            content = "";
+            if (stream) {
+              render();
+            }
+            break;
+
+          case "done":
+            finished = true;
+            this.hideTypingIndicator();
+
+            if (data.pending_action) {
+              if (stream) {
+                stream.$message.remove();
+              }
+              this.isStreaming = false;
+              this.showActionConfirmation(data);
+              break;
+            }
+
+            if (!stream) {
+              stream = this.createStreamingMessage();
+            }
+            this.finalizeStreamedMessage(
+              stream.$message,
+              stream.$content,
+              data.message,
+              stream.messageId,
+              false,
+              data.model
+            );
+            this.appendResultCards(stream.$message, data.cards);
+            this.appendTrace(stream.$message, data.abilities);
+            this.setMessageUsage(stream.$message, data.usage);
+            this.updateMonthUsage(data.usage_month);
+            break;
+
+          case "error":
+            finished = true;
+            throw ChatErrors.fromResponse(data);
+        }
+      };
+
+      window
+        .fetch(assistifyAdmin.restUrl + "chat/admin", {
+          method: "POST",
+          credentials: "same-origin",
+          signal: controller.signal,
+          headers: {
+            "Content-Type": "application/json",
+            "X-WP-Nonce": assistifyAdmin.restNonce,
+          },
+          body: JSON.stringify({
+            message: request.message,
+            session_id: this.sessionId,
+            request_id: request.id,
+            provider: request.model ? request.model.provider : "",
+            model: request.model ? request.model.model : "",
+            mentions: request.mentions,
+            screen: request.screen,
+            attachments: request.attachments,
+            stream: true,
+          }),
+        })
+        .then((response) => {
+          const type = response.headers.get("Content-Type") || "";
+
+          request.sent = true;
+
+          if (!response.ok || type.indexOf("text/event-stream") === -1) {
+            return response.json().then(
+              (data) => {
+                throw ChatErrors.fromResponse(data, response.status);
+              },
+              () => {
+                throw ChatErrors.fromResponse(null, response.status);
+              }
+            );
+          }
+
+          return this.readEventStream(response.body, handleEvent);
+        })
+        .then(() => {
+          if (!finished) {
+            throw ChatErrors.create("");
+          }
+        })
+        .catch((error) => {
+          // Stopped by the user; stopResponse() has already updated the UI
+          if (this.activeRequest !== request) {
+            return;
+          }
+
+          this.failRequest(request, ChatErrors.normalize(error));
+        });
+    },
+
+    /**
+     * Read a server-sent event stream and dispatch each event.
+     *
+     * @param {ReadableStream} body - The response body.
+     * @param {Function} onEvent - Called with the event name and parsed data.
+     * @return {Promise} Resolves when the stream ends.
+     */
+    readEventStream: function (body, onEvent) {
+      const reader = body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      const dispatch = (block) => {
+        let event = "message";
+        let data = "";
+
+        block.split("\n").forEach((line) => {
+          if (line.indexOf("event:") === 0) {
+            event = line.slice(6).trim();
+          } else if (line.indexOf("data:") === 0) {
+            data += line.slice(5).trim();
+          }
+        });
+
+        if (data) {
+          onEvent(event, JSON.parse(data));
+        }
+      };
+
+      const pump = () =>
+        reader.read().then(({ done, value }) => {
+          buffer += decoder.decode(value || new Uint8Array(), {
+            stream: !done,
+          });
+
+          const blocks = buffer.split("\n\n");
+          buffer = done ? "" : blocks.pop();
+          blocks.forEach(dispatch);
+
+          return done ? undefined : pump();
+        });
+
+      return pump();
+    },
+
+    /**
+     * Append an empty assistant message to stream content into.
+     *
+     * @return {Object} The message element, content element and message ID.
+     */
+    createStreamingMessage: function () {
+      this.isStreaming = true;
+
+      const time = new Date().toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+
+      const messageId =
+        "msg_" + Date.now() + "_" + Math.random().toString(36).substr(2, 5);
+
+      // Create message container with streaming class
+      const messageHtml = `
+        <div class="assistify-message assistify-message-assistant assistify-message-streaming" id="${messageId}" data-raw-content="">
+          <div class="assistify-message-content"></div>
+          <div class="assistify-message-footer">
+            <span class="assistify-message-time">${time}</span>
+          </div>
+        </div>
+      `;
+
+      this.$messages.append(messageHtml);
+      const $message = $("#" + messageId);
+
+      return {
+        $message: $message,
+        $content: $message.find(".assistify-message-content"),
+        messageId: messageId,
+      };
+    },
+
+    /**
+     * Replay a complete response word by word for a smooth typing effect.
+     *
+     * Used when the answer arrives in one piece (non-streaming fallback).
+     *
+     * @param {string} content - The full response content.
+     * @param {Array} cards - Result cards shown once the replay finishes.
+     * @param {Object|null} model - Provider and model that wrote the answer.
+     * @param {Array} abilities - Abilities run for the answer.
+     * @param {Object} usage - Tokens used for the answer and their estimated cost.
+     */
+    streamResponse: function (content, cards, model, abilities, usage) {
+      const stream = this.createStreamingMessage();
+      const { $message, $content, messageId } = stream;
+      const request = this.activeRequest;
+
+      // Tokenize content into words for natural streaming
+      const words = this.tokenizeForStreaming(content);
+      let index = 0;
+      let displayedContent = "";
+      let lastScrollTime = 0;
+      let stopped = false;
+
+      // Stopping ends the replay at the words shown so far
+      if (request) {
+        request.stream = stream;
+        request.stop = () => {
+          stopped = true;
+          return displayedContent;
+        };
+      }
+
+      const self = this;
+
+      // Use requestAnimationFrame for smoother animation
+      const streamWord = (timestamp) => {
+        if (stopped) {
+          return;
+        }
+
+        if (index < words.length) {
+          // Add multiple words per frame for faster streaming
+          const wordsPerFrame = Math.min(2, words.length - index);
+
+          for (let i = 0; i < wordsPerFrame; i++) {
+            displayedContent += words[index];
+            index++;
+          }
+
+          // Update display with cursor
+          $content.html(
+            this.escapeHtmlForStreaming(displayedContent) +
+              '<span class="assistify-stream-cursor"></span>'
+          );
+
+          // Throttle scrolling for performance (every 100ms)
+          if (timestamp - lastScrollTime > 100) {
+            this.scrollToBottom();
+            lastScrollTime = timestamp;
+          }
+
+          // Schedule next frame with slight delay for natural feel
+          setTimeout(() => {
+            requestAnimationFrame(streamWord);
+          }, this.streamingSpeed);
+        } else {
+          // Streaming complete - finalize the message
+          this.finalizeStreamedMessage(
+            $message,
+            $content,
+            content,
+            messageId,
+            false,
+            model
+          );
+          this.appendResultCards($message, cards);
+          this.appendTrace($message, abilities);
+          this.setMessageUsage($message, usage);
+        }
+      };
+
+      // Start streaming
+      requestAnimationFrame(streamWord);
+    },
+
+    /**
+     * Escape HTML for streaming display (basic escaping without full parsing).
+     *
+     * @param {string} text - Text to escape.
+     * @return {string} Escaped text with newlines preserved.
+     */
+    escapeHtmlForStreaming: function (text) {
+      return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/\n/g, "<br>");
+    },
+
+    /**
+     * Finalize a streamed message with markdown parsing and copy button.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {jQuery} $content - The content element.
+     * @param {string} content - The full raw content.
+     * @param {string} messageId - The message ID.
+     * @param {boolean} interrupted - Whether the user stopped the answer.
+     * @param {Object|null} model - Provider and model that wrote the answer.
+     */
+    finalizeStreamedMessage: function (
+      $message,
+      $content,
+      content,
+      messageId,
+      interrupted = false,
+      model = null
+    ) {
+      // Remove cursor and parse markdown
+      $content.find(".assistify-stream-cursor").remove();
+      const parsedContent = MarkdownParser.parse(content);
+      $content.html(parsedContent);
+      TableCharts.enhance($content);
+
+      // Update raw content for copy functionality
+      $message.attr("data-raw-content", this.encodeHtmlEntities(content));
+      $message.removeClass("assistify-message-streaming");
+
+      // Add copy button
+      const copyButton = `
+        <button type="button" class="assistify-copy-btn" data-message-id="${messageId}" title="Copy message">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
+          </svg>
+        </button>
+      `;
+      $message
+        .find(".assistify-message-footer")
+        .append(this.getModelLabel(model) + copyButton)
+        .append(this.getRegenerateButton(model));
+
+      if (interrupted) {
+        $message.addClass("assistify-message-interrupted");
+        $message
+          .find(".assistify-message-time")
+          .after(this.getInterruptedLabel());
+      }
+
+      // Re-enable input
+      this.isStreaming = false;
+      this.setBusy(false);
+      this.$input.focus();
+
+      this.scrollToBottom();
+
+      if (!interrupted) {
+        this.speakAnswer(content);
+      }
+
+      // Refresh sessions list to include this session
+      this.loadSessions();
+    },
+
+    /**
+     * Read a new answer aloud when spoken answers are on.
+     *
+     * @param {string} content - Answer in Markdown.
+     */
+    speakAnswer: function (content) {
+      if (this.speakReplies) {
+        Voice.speak(content);
+      }
+    },
+
+    /**
+     * Turn reading answers aloud on or off, remembering the choice.
+     */
+    toggleSpeakReplies: function () {
+      this.speakReplies = !this.speakReplies;
+      localStorage.setItem(
+        "assistify_speak_replies",
+        this.speakReplies ? "yes" : "no"
+      );
+
+      this.$speak
+        .toggleClass("is-active", this.speakReplies)
+        .attr("aria-pressed", String(this.speakReplies));
+
+      if (!this.speakReplies) {
+        Voice.stopSpeaking();
+      }
+    },
+
+    /**
+     * Start dictating into the input, or stop if already listening.
+     *
+     * Speech is added after any text already typed, and the message is
+     * left in the input to check before sending.
+     */
+    toggleDictation: function () {
+      if (this.dictation) {
+        this.dictation.stop();
+        return;
+      }
+
+      const strings = assistifyAdmin.strings;
+      const Recognition = Voice.getRecognition();
+      const recognition = new Recognition();
+      const typed = this.$input.val();
+      const prefix = typed && !/\s$/.test(typed) ? typed + " " : typed;
+
+      const listening = (active) => {
+        const label = active ? strings.stopDictating : strings.dictate;
+
+        this.$mic.toggleClass("is-listening", active).attr({
+          "aria-pressed": String(active),
+          "aria-label": label,
+          title: label,
+        });
+      };
+
+      recognition.lang = Voice.getLanguage();
+      recognition.interimResults = true;
+
+      recognition.onresult = (event) => {
+        let transcript = "";
+
+        for (let i = 0; i < event.results.length; i++) {
+          transcript += event.results[i][0].transcript;
+        }
+
+        this.$input.val(prefix + transcript);
+      };
+
+      recognition.onerror = (event) => {
+        if (
+          event.error === "not-allowed" ||
+          event.error === "service-not-allowed"
+        ) {
+          this.addMessage("assistant", strings.micBlocked, false, true);
+        }
+      };
+
+      recognition.onend = () => {
+        this.dictation = null;
+        listening(false);
+
+        if (!this.$input.prop("disabled")) {
+          this.$input.trigger("focus");
+        }
+      };
+
+      Voice.stopSpeaking();
+      this.dictation = recognition;
+      listening(true);
+      recognition.start();
+    },
+
+    /**
+     * Show result cards below an assistant message.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {Array} cards - Result cards from the chat response.
+     */
+    appendResultCards: function ($message, cards) {
+      const html = ResultCards.render(cards);
+
+      if (html) {
+        $message.find(".assistify-message-content").after(html);
+        this.scrollToBottom();
+      }
+    },
+
+    /**
+     * Show how an answer was produced below it.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {Array} abilities - Abilities run for the answer.
+     */
+    appendTrace: function ($message, abilities) {
+      const html = AbilityTrace.render(abilities);
+
+      if (html) {
+        $message.find(".assistify-message-footer").before(html);
+      }
+    },
+
+    /**
+     * Label an answer with the tokens it used and update the header meter.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {Object} usage - Usage of the answer, if reported.
+     */
+    setMessageUsage: function ($message, usage) {
+      const label = UsageMeter.renderLabel(usage);
+
+      if (label) {
+        $message.data("usage", usage);
+        $message.find(".assistify-message-time").after(label);
+      }
+
+      this.updateUsageMeter();
+    },
+
+    /**
+     * Keep this month's spend reported with an answer.
+     *
+     * @param {Object} summary - Spend with cost, budget and warning.
+     */
+    updateMonthUsage: function (summary) {
+      if (summary) {
+        this.monthUsage = summary;
+        this.updateUsageMeter();
+      }
+    },
+
+    /**
+     * Show the usage of the answers on screen and this month's spend.
+     */
+    updateUsageMeter: function () {
+      const usages = this.$messages
+        .find(".assistify-message")
+        .map(function () {
+          return $(this).data("usage") || null;
+        })
+        .get();
+      const meter = UsageMeter.renderMeter(
+        UsageMeter.sum(usages),
+        this.monthUsage
+      );
+
+      this.$usageMeter
+        .html(meter.html)
+        .removeClass("is-warning is-over")
+        .addClass(meter.state);
+    },
+
+    /**
+     * Render a message loaded from the session history.
+     *
+     * @param {Object} msg - Stored message with role, content and metadata.
+     */
+    renderStoredMessage: function (msg) {
+      const metadata = msg.metadata || {};
+
+      if (metadata.pending_action) {
+        this.showActionConfirmation(
+          Object.assign({}, metadata.pending_action, {
+            message: msg.content,
+            cards: metadata.cards || [],
+            abilities: metadata.abilities || [],
+            usage: metadata.usage || null,
+            model: metadata.model || null,
+          }),
+          true
+        );
+        return;
+      }
+
+      this.addMessage(
+        msg.role,
+        msg.content,
+        true,
+        false,
+        !!metadata.interrupted,
+        metadata.cards || [],
+        {
+          storedId: msg.id,
+          versions: msg.versions,
+          model: metadata.model,
+          command: metadata.command,
+          mentions: metadata.mentions,
+          screen: metadata.screen,
+          attachments: metadata.attachments,
+          abilities: metadata.abilities,
+          usage: metadata.usage,
+        }
+      );
+    },
+
+    /**
+     * Show action confirmation UI with confirm/cancel buttons.
+     *
+     * @param {Object} data - Response data with pending action info.
+     * @param {boolean} restored - Whether the confirmation comes from the session history.
+     */
+    showActionConfirmation: function (data, restored = false) {
+      const time = new Date().toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+
+      const messageId =
+        "msg_" + Date.now() + "_" + Math.random().toString(36).substr(2, 5);
+
+      // Parse the message for display
+      const parsedContent = MarkdownParser.parse(data.message);
+
+      // Build confirmation buttons
+      const destructiveClass = data.is_destructive
+        ? "assistify-btn-destructive"
+        : "";
+      const confirmText = data.is_destructive ? "Yes, proceed" : "Confirm";
+
+      const buttonsHtml = `
+        <div class="assistify-action-buttons" data-token="${data.confirmation_token}">
+          <button type="button" class="assistify-btn assistify-btn-confirm ${destructiveClass}">
+            ${confirmText}
+          </button>
+          <button type="button" class="assistify-btn assistify-btn-cancel">
+            Cancel
+          </button>
+        </div>
+      `;
+
+      // Create message container
+      const messageHtml = `
+        <div class="assistify-message assistify-message-assistant assistify-message-action" id="${messageId}">
+          <div class="assistify-message-content">${parsedContent}</div>
+          ${ActionPreview.render(data.items)}
+          ${buttonsHtml}
+          <div class="assistify-message-footer">
+            <span class="assistify-message-time">${time}</span>
+            ${this.getModelLabel(data.model)}
+            ${this.getRegenerateButton(data.model)}
+          </div>
+        </div>
+      `;
+
+      this.$messages.append(messageHtml);
+      this.scrollToBottom();
+
+      // Bind button events
+      const self = this;
+      const $message = $("#" + messageId);
+      const $preview = $message.find(".assistify-action-preview");
+
+      $message.data("request", data.request || "");
+      this.appendResultCards($message, data.cards);
+      this.appendTrace($message, data.abilities);
+      this.setMessageUsage($message, data.usage);
+
+      // Nothing can be confirmed once every item is unticked
+      const updateSelection = function () {
+        const selected = ActionPreview.updateCount($preview);
+        $message
+          .find(".assistify-btn-confirm")
+          .prop("disabled", $preview.length > 0 && selected === 0);
+      };
+
+      $preview.on("change", ".assistify-action-select-all", function () {
+        $preview
+          .find(".assistify-action-item-check:not([disabled])")
+          .prop("checked", this.checked);
+        updateSelection();
+      });
+      $preview.on("change", ".assistify-action-item-check", updateSelection);
+      updateSelection();
+
+      $message.find(".assistify-btn-confirm").on("click", function () {
+        self.confirmAction(
+          data.confirmation_token,
+          $message,
+          $preview.length ? ActionPreview.getApproved($preview) : null
+        );
+      });
+
+      $message.find(".assistify-btn-cancel").on("click", function () {
+        self.cancelAction(data.confirmation_token, $message);
+      });
+
+      if (data.status === "expired" || data.expires_in <= 0) {
+        this.expireAction($message);
+      } else if (data.status === "confirmed" || data.status === "cancelled") {
+        this.settleAction($message, data.status, data.approved);
+      } else {
+        // Store the token for later use
+        this.pendingActionToken = data.confirmation_token;
+        this.startActionExpiry($message, data.expires_in);
+      }
+
+      if (!restored) {
+        // Re-enable input
+        this.setBusy(false);
+        this.speakAnswer(data.message);
+      }
+    },
+
+    /**
+     * Count down to the expiry of a pending confirmation.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {number} seconds - Seconds until the confirmation expires.
+     */
+    startActionExpiry: function ($message, seconds) {
+      if (!seconds) {
+        return;
+      }
+
+      const expires = Date.now() + seconds * 1000;
+      const $expiry = $('<span class="assistify-action-expiry"></span>');
+
+      $message.find(".assistify-action-buttons").append($expiry);
+
+      const tick = () => {
+        const left = Math.round((expires - Date.now()) / 1000);
+
+        if (left <= 0) {
+          this.expireAction($message);
+          return;
+        }
+
+        $expiry.html(
+          assistifyAdmin.strings.expiresIn.replace(
+            "%s",
+            this.formatCountdown(left)
+          )
+        );
+      };
+
+      $message.data("expiryTimer", setInterval(tick, 1000));
+      tick();
+    },
+
+    /**
+     * Stop the expiry countdown of a confirmation.
+     *
+     * @param {jQuery} $message - The message element.
+     */
+    stopActionExpiry: function ($message) {
+      clearInterval($message.data("expiryTimer"));
+      $message.removeData("expiryTimer");
+    },
+
+    /**
+     * Disable an expired confirmation and offer to ask again.
+     *
+     * @param {jQuery} $message - The message element.
+     */
+    expireAction: function ($message) {
+      const strings = assistifyAdmin.strings;
+      const request = $message.data("request");
+
+      this.stopActionExpiry($message);
+
+      $message
+        .removeClass("assistify-message-action")
+        .addClass("assistify-message-action-expired");
+      $message.find(".assistify-action-preview input").prop("disabled", true);
+
+      const $buttons = $message.find(".assistify-action-buttons");
+      $buttons.html(
+        `<span class="assistify-action-state">${strings.actionExpired}</span>` +
+          (request
+            ? `<button type="button" class="assistify-btn assistify-btn-rerequest">${strings.rerequest}</button>`
+            : "")
+      );
+
+      $buttons.find(".assistify-btn-rerequest").on("click", () => {
+        if (this.isStreaming || this.activeRequest) {
+          return;
+        }
+
+        $buttons.find(".assistify-btn-rerequest").remove();
+        this.$input.val(request);
+        this.sendMessage();
+      });
+    },
+
+    /**
+     * Show a confirmation from the history as confirmed or cancelled.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {string} status - Either "confirmed" or "cancelled".
+     * @param {Array} approved - IDs of the items that were approved.
+     */
+    settleAction: function ($message, status, approved) {
+      const strings = assistifyAdmin.strings;
+      const $preview = $message.find(".assistify-action-preview");
+
+      $message.removeClass("assistify-message-action");
+
+      if (Array.isArray(approved)) {
+        $preview.find(".assistify-action-item-check").each(function () {
+          this.checked = approved.indexOf(this.value) !== -1;
+        });
+        ActionPreview.updateCount($preview);
+      }
+      $preview.find("input").prop("disabled", true);
+
+      $message
+        .find(".assistify-action-buttons")
+        .html(
+          `<span class="assistify-action-state">${
+            status === "confirmed"
+              ? strings.actionConfirmed
+              : strings.actionCancelled
+          }</span>`
+        );
+    },
+
+    /**
+     * Format a number of seconds as m:ss.
+     *
+     * @param {number} seconds - Seconds.
+     * @return {string} Formatted time.
+     */
+    formatCountdown: function (seconds) {
+      return (
+        Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0")
+      );
+    },
+
+    /**
+     * Confirm and execute a pending action.
+     *
+     * @param {string} token - Confirmation token.
+     * @param {jQuery} $message - The message element.
+     * @param {Array|null} approved - IDs of the approved items, or null to approve the whole action.
+     */
+    confirmAction: function (token, $message, approved = null) {
+      this.stopActionExpiry($message);
+
+      // Disable buttons while processing
+      $message
+        .find(".assistify-action-buttons")
+        .html('<span class="assistify-action-processing">Processing...</span>');
+      $message.find(".assistify-action-preview input").prop("disabled", true);
+
+      const self = this;
+      const data = {
+        action: "assistify_confirm_action",
+        nonce: assistifyAdmin.nonce,
+        confirmation_token: token,
+        session_id: this.sessionId,
+      };
+
+      if (Array.isArray(approved)) {
+        data.approved = approved;
+      }
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: data,
+        success: function (response) {
+          // The token is gone; let the admin ask again instead
+          if (!response.success && response.data && response.data.expired) {
+            self.expireAction($message);
+            return;
+          }
+
+          // Remove the action buttons
+          $message
+            .find(".assistify-action-buttons, .assistify-action-processing")
+            .remove();
+          $message.removeClass("assistify-message-action");
+
+          if (response.success) {
+            // Add success message
+            self.addMessage(
+              "assistant",
+              response.data.message,
+              true,
+              false,
+              false,
+              [],
+              { abilities: response.data.abilities }
+            );
+
+            if (response.data.undo) {
+              self.showUndo(
+                self.$messages.find(".assistify-message").last(),
+                response.data.undo
+              );
+            }
+          } else {
+            self.addMessage(
+              "assistant",
+              "❌ " + (response.data.message || "Action failed."),
+              false,
+              true
+            );
+          }
+        },
+        error: function () {
+          $message
+            .find(".assistify-action-buttons, .assistify-action-processing")
+            .remove();
+          self.addMessage(
+            "assistant",
+            "❌ Failed to execute action. Please try again.",
+            false,
+            true
+          );
+        },
+      });
+    },
+
+    /**
+     * Cancel a pending action.
+     *
+     * @param {string} token - Confirmation token.
+     * @param {jQuery} $message - The message element.
+     */
+    cancelAction: function (token, $message) {
+      const self = this;
+
+      this.stopActionExpiry($message);
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_cancel_action",
+          nonce: assistifyAdmin.nonce,
+          confirmation_token: token,
+          session_id: this.sessionId,
+        },
+        success: function (response) {
+          // Remove the action buttons
+          $message.find(".assistify-action-buttons").remove();
+          $message
+            .find(".assistify-action-preview input")
+            .prop("disabled", true);
+          $message.removeClass("assistify-message-action");
+
+          // Update message to show cancelled
+          $message
+            .find(".assistify-message-content")
+            .html(
+              MarkdownParser.parse(
+                "~~Action cancelled.~~ Is there anything else I can help you with?"
+              )
+            );
+        },
+        error: function () {
+          $message.find(".assistify-action-buttons").remove();
+        },
+      });
+    },
+
+    /**
+     * Show an Undo button with a countdown on a completed action message.
+     *
+     * @param {jQuery} $message - The message element.
+     * @param {Object} undo - Undo token and seconds left.
+     */
+    showUndo: function ($message, undo) {
+      const strings = assistifyAdmin.strings;
+      const expires = Date.now() + undo.expires_in * 1000;
+      const $undo = $(`
+        <div class="assistify-undo">
+          <button type="button" class="assistify-btn assistify-btn-undo">${strings.undo}</button>
+          <span class="assistify-undo-timer"></span>
+        </div>
+      `);
+
+      $message.find(".assistify-message-content").after($undo);
+
+      const tick = () => {
+        const left = Math.round((expires - Date.now()) / 1000);
+
+        if (left <= 0) {
+          clearInterval(timer);
+          $undo.remove();
+          return;
+        }
+
+        $undo
+          .find(".assistify-undo-timer")
+          .html(strings.undoTimeLeft.replace("%s", this.formatCountdown(left)));
+      };
+
+      const timer = setInterval(tick, 1000);
+      tick();
+
+      $undo.find(".assistify-btn-undo").on("click", () => {
+        clearInterval(timer);
+        this.undoAction(undo.token, $undo);
+      });
+    },
+
+    /**
+     * Undo a confirmed action.
+     *
+     * @param {string} token - Undo token.
+     * @param {jQuery} $undo - The undo controls.
+     */
+    undoAction: function (token, $undo) {
+      $undo.html(
+        `<span class="assistify-action-processing">${assistifyAdmin.strings.undoing}</span>`
+      );
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_undo_action",
+          nonce: assistifyAdmin.nonce,
+          undo_token: token,
+          session_id: this.sessionId,
+        },
+        success: (response) => {
+          $undo.remove();
+
+          if (response.success) {
+            this.addMessage("assistant", response.data.message, true, false);
+          } else {
+            this.addMessage(
+              "assistant",
+              "❌ " + (response.data.message || assistifyAdmin.strings.error),
+              false,
+              true
+            );
+          }
+        },
+        error: () => {
+          $undo.remove();
+          this.addMessage(
+            "assistant",
+            assistifyAdmin.strings.error,
+            false,
+            true
+          );
+        },
+      });
+    },
+
+    /**
+     * Tokenize content into words for natural streaming like ChatGPT.
+     *
+     * @param {string} content - The content to tokenize.
+     * @return {Array} Array of word tokens.
+     */
+    tokenizeForStreaming: function (content) {
+      // Split into words while preserving spaces and punctuation
+      // This creates natural word-by-word flow like ChatGPT
+      const tokens = [];
+      const regex = /(\S+)(\s*)/g;
+      let match;
+
+      while ((match = regex.exec(content)) !== null) {
+        // Add word + following whitespace as one token
+        tokens.push(match[1] + match[2]);
+      }
+
+      return tokens;
+    },
+
+    /**
+     * Add message to chat
+     *
+     * @param {string} role - 'user' or 'assistant'
+     * @param {string} content - Message content
+     * @param {boolean} parseMarkdown - Whether to parse markdown
+     * @param {boolean} isError - Whether this is an error message
+     * @param {boolean} interrupted - Whether the answer was stopped early
+     * @param {Array} cards - Result cards shown below the answer
+     * @param {Object} source - Stored message ID or request ID, versions, mentions and screen of a question, and the model, command, abilities or usage of an answer
+     */
+    addMessage: function (
+      role,
+      content,
+      parseMarkdown = true,
+      isError = false,
+      interrupted = false,
+      cards = [],
+      source = {}
+    ) {
+      const time = new Date().toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+
+      let displayContent = content;
+      if (parseMarkdown && role === "assistant") {
+        displayContent = MarkdownParser.parse(content);
+      } else {
+        displayContent = MarkdownParser.escapeHtml(content);
+      }
+
+      const errorClass = isError ? " assistify-message-error" : "";
+      const interruptedClass = interrupted
+        ? " assistify-message-interrupted"
+        : "";
+      const messageId =
+        "msg_" + Date.now() + "_" + Math.random().toString(36).substr(2, 5);
+
+      // Copy button for assistant messages
+      const copyButton =
+        role === "assistant" && !isError
+          ? `
+        <button type="button" class="assistify-copy-btn" data-message-id="${messageId}" title="Copy message">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
+          </svg>
+        </button>
+      `
+          : "";
+
+      // Edit button for questions, with a switcher once they were edited
+      const editControls =
+        role === "user" && !isError
+          ? `${this.getVersionSwitcher(source.versions)}
+        <button type="button" class="assistify-save-prompt-btn" title="${
+          assistifyAdmin.strings.saveAsPrompt
+        }">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2z"/>
+          </svg>
+        </button>
+        <button type="button" class="assistify-edit-btn" title="${
+          assistifyAdmin.strings.editMessage
+        }">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+          </svg>
+        </button>
+      `
+          : "";
+      // Stored answers show their model and can be regenerated
+      const answered =
+        role === "assistant" &&
+        !isError &&
+        !!source.storedId &&
+        !source.command;
+
+      const sourceAttrs =
+        (source.storedId ? ` data-stored-id="${source.storedId}"` : "") +
+        (source.requestId ? ` data-request-id="${source.requestId}"` : "");
+
+      const messageHtml = `
+        <div class="assistify-message assistify-message-${role}${errorClass}${interruptedClass}" id="${messageId}"${sourceAttrs} data-raw-content="${this.encodeHtmlEntities(
+        content
+      )}">
+          <div class="assistify-message-content">${displayContent}</div>
+          ${
+            role === "user"
+              ? Mentions.renderChips(source.mentions, false, source.screen) +
+                Attachments.renderPreviews(source.attachments)
+              : ""
+          }
+          ${
+            role === "assistant"
+              ? ResultCards.render(cards) +
+                AbilityTrace.render(source.abilities)
+              : ""
+          }
+          <div class="assistify-message-footer">
+            <span class="assistify-message-time">${time}</span>
+            ${interrupted ? this.getInterruptedLabel() : ""}
+            ${source.command ? this.getCommandLabel(source.command) : ""}
+            ${answered ? this.getModelLabel(source.model) : ""}
+            ${copyButton}
+            ${answered ? this.getRegenerateButton(source.model) : ""}
+            ${editControls}
+          </div>
+        </div>
+      `;
+
+      this.$messages.append(messageHtml);
+
+      // Kept so an edited or regenerated question has the same context
+      if (role === "user") {
+        $(`#${messageId}`).data("context", {
+          mentions: source.mentions || [],
+          screen: source.screen || null,
+          attachments: source.attachments || [],
+        });
+      }
+
+      if (parseMarkdown && role === "assistant") {
+        TableCharts.enhance(
+          this.$messages.find(`#${messageId} .assistify-message-content`)
+        );
+      }
+
+      if (role === "assistant") {
+        this.setMessageUsage($(`#${messageId}`), source.usage);
+      }
+
+      this.scrollToBottom();
+    },
+
+    /**
+     * Get the footer label for an interrupted answer.
+     *
+     * @return {string} Label HTML.
+     */
+    getInterruptedLabel: function () {
+      return `<span class="assistify-message-interrupted-label">${
+        assistifyAdmin.strings.interrupted || "Interrupted"
+      }</span>`;
+    },
+
+    /**
+     * Get the footer label naming the model that wrote an answer.
+     *
+     * Always returns the element, empty for unknown models, since it keeps
+     * the footer buttons together on the right.
+     *
+     * @param {Object|null} model - Provider and model IDs.
+     * @return {string} Label HTML.
+     */
+    getModelLabel: function (model) {
+      if (!model || !model.model) {
+        return '<span class="assistify-model-label"></span>';
+      }
+
+      const models = assistifyAdmin.modelsByProvider[model.provider] || {};
+      const provider = (assistifyAdmin.chatProviders || {})[model.provider];
+      const title = assistifyAdmin.strings.answeredBy.replace(
+        "%s",
+        MarkdownParser.escapeHtml(provider ? provider.name : model.provider)
+      );
+
+      return `<span class="assistify-model-label" title="${title}">${MarkdownParser.escapeHtml(
+        models[model.model] || model.model
+      )}</span>`;
+    },
+
+    /**
+     * Get the footer label of an answer given by a slash command.
+     *
+     * @param {string} name - Command name.
+     * @return {string} Label HTML.
+     */
+    getCommandLabel: function (name) {
+      const command = SlashCommands.get(name);
+      const title = assistifyAdmin.strings.ranDirectly.replace(
+        "%s",
+        MarkdownParser.escapeHtml(command ? command.name : name)
+      );
+
+      return `<span class="assistify-model-label" title="${title}">/${MarkdownParser.escapeHtml(
+        name
+      )}</span>`;
+    },
+
+    /**
+     * Get the button that regenerates an answer with another model.
+     *
+     * @param {Object|null} model - Provider and model that wrote the answer.
+     * @return {string} Button HTML.
+     */
+    getRegenerateButton: function (model) {
+      const current = model && model.model ? model : {};
+
+      return `
+        <button type="button" class="assistify-regenerate-btn" data-provider="${MarkdownParser.escapeHtml(
+          current.provider || ""
+        )}" data-model="${MarkdownParser.escapeHtml(
+        current.model || ""
+      )}" title="${assistifyAdmin.strings.regenerate}" aria-haspopup="menu">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M17.65 6.35A7.96 7.96 0 0 0 12 4a8 8 0 1 0 7.75 10h-2.08A6 6 0 1 1 12 6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+          </svg>
+        </button>
+      `;
+    },
+
+    /**
+     * Get the switcher between the versions of an edited question.
+     *
+     * @param {Object|undefined} versions - Branch IDs and the index of the one shown.
+     * @return {string} Switcher HTML, empty if the question was never edited.
+     */
+    getVersionSwitcher: function (versions) {
+      if (!versions || versions.branches.length < 2) {
+        return "";
+      }
+
+      const strings = assistifyAdmin.strings;
+      const current = versions.current;
+      const count = versions.branches.length;
+      const prev = current > 0 ? versions.branches[current - 1] : null;
+      const next = current < count - 1 ? versions.branches[current + 1] : null;
+
+      return `
+        <span class="assistify-versions">
+          <button type="button" class="assistify-version-btn" data-branch="${
+            prev === null ? "" : prev
+          }" aria-label="${strings.previousVersion}"${
+        prev === null ? " disabled" : ""
+      }>&lsaquo;</button>
+          <span class="assistify-version-count">${strings.versionOf
+            .replace("%1$d", current + 1)
+            .replace("%2$d", count)}</span>
+          <button type="button" class="assistify-version-btn" data-branch="${
+            next === null ? "" : next
+          }" aria-label="${strings.nextVersion}"${
+        next === null ? " disabled" : ""
+      }>&rsaquo;</button>
+        </span>
+      `;
+    },
+
+    /**
+     * Turn a question into an editable field.
+     *
+     * @param {jQuery} $message - User message element.
+     */
+    editMessage: function ($message) {
+      if (this.readOnly || this.activeRequest || this.isStreaming) {
+        return;
+      }
+
+      const strings = assistifyAdmin.strings;
+      const original = this.decodeHtmlEntities($message.data("raw-content"));
+      const $editor = $(`
+        <div class="assistify-message-editor">
+          <textarea class="assistify-message-editor-input" rows="3"></textarea>
+          <p class="assistify-message-editor-error" role="alert"></p>
+          <div class="assistify-message-editor-actions">
+            <button type="button" class="assistify-btn assistify-btn-cancel">${strings.cancelEdit}</button>
+            <button type="button" class="assistify-btn assistify-btn-confirm">${strings.saveAndSend}</button>
+          </div>
+        </div>
+      `);
+      const $input = $editor.find("textarea").val(original);
+
+      $message.addClass("is-editing").append($editor);
+      $input.trigger("focus");
+
+      const close = () => {
+        $editor.remove();
+        $message.removeClass("is-editing");
+      };
+
+      $editor.find(".assistify-btn-cancel").on("click", close);
+      $editor.find(".assistify-btn-confirm").on("click", () => {
+        const text = $input.val().trim();
+
+        if (!text || text === original) {
+          close();
+          return;
+        }
+
+        this.resendMessage($message, text, $editor);
+      });
+
+      $input.on("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          $editor.find(".assistify-btn-confirm").trigger("click");
+        } else if (e.key === "Escape") {
+          e.stopPropagation();
+          close();
+        }
+      });
+    },
+
+    /**
+     * Branch the conversation at a question and send its edited text.
+     *
+     * @param {jQuery} $message - User message element.
+     * @param {string} text - Edited question.
+     * @param {jQuery|null} $editor - Editor element, null when regenerating.
+     * @param {Object|null} model - Provider and model to answer with.
+     */
+    resendMessage: function ($message, text, $editor, model = null) {
+      const fail = (error) => {
+        if (!$editor) {
+          this.addMessage("assistant", error, false, true);
+          return;
+        }
+
+        $editor.find(".assistify-message-editor-error").text(error);
+        $editor.find("button").prop("disabled", false);
+      };
+
+      if ($editor) {
+        $editor.find("button").prop("disabled", true);
+      }
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_branch_session",
           nonce: assistifyAdmin.nonce,
-          confirmation_token: token,
           session_id: this.sessionId,
+          message_id: $message.data("stored-id") || 0,
+          request_id: $message.data("request-id") || "",
         },
-        success: function (response) {
-          // Remove the action buttons
-          $message
-            .find(".assistify-action-buttons, .assistify-action-processing")
-            .remove();
-          $message.removeClass("assistify-message-action");
+        success: (response) => {
+          if (!response.success) {
+            fail(response.data.message);
+            return;
+          }
+
+          const context = $message.data("context") || {};
+          this.mentions = (context.mentions || []).slice();
+          this.attachments = (context.attachments || []).slice();
+
+          // The new branch keeps only what came before the question.
+          $message.nextAll().remove();
+          $message.remove();
+
+          this.$input.val(text);
+          this.sendMessage(model, context.screen || null);
+        },
+        error: () => {
+          fail(assistifyAdmin.strings.error);
+        },
+      });
+    },
+
+    /**
+     * Ask the question behind an answer again, keeping the old answer as
+     * another version of the question.
+     *
+     * @param {jQuery} $answer - Assistant message element.
+     * @param {Object} model - Provider and model to answer with.
+     */
+    regenerateAnswer: function ($answer, model) {
+      const $question = $answer.prevAll(".assistify-message-user").first();
+
+      if (
+        !$question.length ||
+        this.readOnly ||
+        this.activeRequest ||
+        this.isStreaming
+      ) {
+        return;
+      }
+
+      this.resendMessage(
+        $question,
+        this.decodeHtmlEntities($question.data("raw-content")),
+        null,
+        model
+      );
+    },
+
+    /**
+     * Show the models an answer can be regenerated with.
+     *
+     * Lists every model of the providers that have an API key.
+     *
+     * @param {jQuery} $anchor - Regenerate button.
+     */
+    showModelMenu: function ($anchor) {
+      const open = this.$container
+        .find(".assistify-model-menu")
+        .is((index, menu) => $(menu).data("anchor") === $anchor[0]);
+
+      this.closeModelMenu();
+
+      // A second click on the same button just closes the menu.
+      if (open) {
+        return;
+      }
+
+      const providers = assistifyAdmin.chatProviders || {};
+      let items = "";
+
+      Object.keys(providers).forEach((providerId) => {
+        const models = assistifyAdmin.modelsByProvider[providerId];
+
+        if (!providers[providerId].configured || !models) {
+          return;
+        }
+
+        items += `<span class="assistify-model-group">${MarkdownParser.escapeHtml(
+          providers[providerId].name
+        )}</span>`;
+
+        Object.keys(models).forEach((modelId) => {
+          const current =
+            providerId === $anchor.data("provider") &&
+            modelId === $anchor.data("model");
+
+          items += `<button type="button" class="assistify-model-option${
+            current ? " is-current" : ""
+          }" role="menuitemradio" aria-checked="${current}" data-provider="${providerId}" data-model="${MarkdownParser.escapeHtml(
+            modelId
+          )}">${MarkdownParser.escapeHtml(models[modelId])}</button>`;
+        });
+      });
+
+      const anchorRect = $anchor[0].getBoundingClientRect();
+      const containerRect = this.$container[0].getBoundingClientRect();
+      const $menu = $(`
+        <div class="assistify-model-menu" role="menu">
+          <span class="assistify-model-menu-title">${assistifyAdmin.strings.regenerateWith}</span>
+          ${items}
+        </div>
+      `)
+        .data("anchor", $anchor[0])
+        .css({
+          bottom: containerRect.bottom - anchorRect.top + 4,
+          right: Math.max(8, containerRect.right - anchorRect.right),
+        });
+
+      this.$container.append($menu);
+
+      // Close on the next click anywhere else.
+      setTimeout(() => {
+        $(document).on("click.assistifyModels", (e) => {
+          if (!$(e.target).closest(".assistify-model-menu").length) {
+            this.closeModelMenu();
+          }
+        });
+      });
+    },
+
+    /**
+     * Close the regenerate model menu.
+     */
+    closeModelMenu: function () {
+      this.$container.find(".assistify-model-menu").remove();
+      $(document).off("click.assistifyModels");
+    },
+
+    /**
+     * Show another version of an edited question and the answers after it.
+     *
+     * @param {number} branch - Branch ID.
+     */
+    switchBranch: function (branch) {
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_switch_branch",
+          nonce: assistifyAdmin.nonce,
+          session_id: this.sessionId,
+          branch: branch,
+        },
+        success: (response) => {
+          if (response.success) {
+            this.loadSession(this.sessionId);
+          }
+        },
+      });
+    },
+
+    /**
+     * Encode HTML entities for data attribute storage.
+     *
+     * @param {string} text - Text to encode.
+     * @return {string} Encoded text.
+     */
+    encodeHtmlEntities: function (text) {
+      return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    },
+
+    /**
+     * Decode HTML entities from data attribute.
+     *
+     * @param {string} text - Text to decode.
+     * @return {string} Decoded text.
+     */
+    decodeHtmlEntities: function (text) {
+      const textarea = document.createElement("textarea");
+      textarea.innerHTML = text;
+      return textarea.value;
+    },
+
+    /**
+     * Copy message content to clipboard.
+     *
+     * @param {string} messageId - The message element ID.
+     */
+    copyMessage: function (messageId) {
+      const $message = $("#" + messageId);
+      const rawContent = this.decodeHtmlEntities($message.data("raw-content"));
+      const $copyBtn = $message.find(".assistify-copy-btn");
+
+      navigator.clipboard
+        .writeText(rawContent)
+        .then(() => {
+          // Show success feedback
+          $copyBtn.addClass("is-copied");
+          $copyBtn.html(`
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+          </svg>
+        `);
+
+          // Reset after 2 seconds
+          setTimeout(() => {
+            $copyBtn.removeClass("is-copied");
+            $copyBtn.html(`
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+              <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
+            </svg>
+          `);
+          }, 2000);
+        })
+        .catch(() => {
+          // Fallback for older browsers
+          const textarea = document.createElement("textarea");
+          textarea.value = rawContent;
+          document.body.appendChild(textarea);
+          textarea.select();
+          document.execCommand("copy");
+          document.body.removeChild(textarea);
+
+          $copyBtn.addClass("is-copied");
+          setTimeout(() => $copyBtn.removeClass("is-copied"), 2000);
+        });
+    },
+
+    /**
+     * Show typing indicator
+     */
+    showTypingIndicator: function () {
+      const indicatorHtml = `
+        <div class="assistify-message assistify-message-assistant assistify-typing">
+          <div class="assistify-typing-indicator">
+            <span></span>
+            <span></span>
+            <span></span>
+          </div>
+        </div>
+      `;
 
-          if (response.success) {
-            // Add success message
-            self.addMessage("assistant", response.data.message, true, false);
-          } else {
-            self.addMessage(
-              "assistant",
-              "❌ " + (response.data.message || "Action failed."),
-              false,
-              true
-            );
-          }
-        },
-        error: function () {
-          $message
-            .find(".assistify-action-buttons, .assistify-action-processing")
-            .remove();
-          self.addMessage(
-            "assistant",
-            "❌ Failed to execute action. Please try again.",
-            false,
-            true
+      this.$messages.append(indicatorHtml);
+      this.scrollToBottom();
+    },
+
+    /**
+     * Hide typing indicator
+     */
+    hideTypingIndicator: function () {
+      this.$messages.find(".assistify-typing").remove();
+    },
+
+    /**
+     * Scroll messages to bottom with retry for reliable scrolling.
+     *
+     * @param {boolean} immediate - If true, scroll immediately without delay.
+     */
+    scrollToBottom: function (immediate) {
+      const doScroll = () => {
+        if (this.$messages && this.$messages[0]) {
+          const container = this.$messages[0];
+          // Force scroll to absolute bottom
+          container.scrollTop = container.scrollHeight + 10000;
+
+          // Also try scrollIntoView on last message for reliability
+          const lastMessage = container.querySelector(
+            ".assistify-message:last-child"
           );
-        },
+          if (lastMessage) {
+            lastMessage.scrollIntoView({ block: "end", behavior: "instant" });
+          }
+        }
+      };
+
+      if (immediate) {
+        doScroll();
+      } else {
+        // Use requestAnimationFrame for smoother, more reliable scroll
+        requestAnimationFrame(() => {
+          doScroll();
+          // Double-check scroll after a brief delay for content that renders async
+          setTimeout(doScroll, 150);
+        });
+      }
+    },
+
+    /**
+     * Switch between Chat and History tabs.
+     *
+     * @param {string} tab - 'chat' or 'history'
+     */
+    switchTab: function (tab) {
+      this.currentTab = tab;
+
+      // Update tab buttons
+      this.$widget.find(".assistify-tab").removeClass("is-active");
+      this.$widget
+        .find('.assistify-tab[data-tab="' + tab + '"]')
+        .addClass("is-active");
+
+      // Update tab content
+      this.$widget.find(".assistify-tab-content").removeClass("is-active");
+      this.$widget.find(".assistify-tab-" + tab).addClass("is-active");
+
+      // If switching to history, render sessions
+      if (tab === "history") {
+        this.renderSessions();
+      }
+
+      if (tab === "prompts") {
+        this.loadPrompts();
+      }
+
+      // Focus input if switching to chat
+      if (tab === "chat") {
+        this.$input.focus();
+      }
+    },
+
+    /**
+     * Render sessions list in History tab.
+     */
+    renderSessions: function () {
+      this.renderHistoryFilters();
+      this.renderBulkBar();
+
+      if (this.searchQuery) {
+        this.renderSearchResults();
+        return;
+      }
+
+      const sessions = this.tagFilter
+        ? this.sessions.filter((session) =>
+            (session.tags || []).includes(this.tagFilter)
+          )
+        : this.sessions;
+
+      const shared =
+        this.showArchived || this.tagFilter ? [] : this.sharedSessions;
+
+      if (sessions.length === 0 && shared.length === 0) {
+        const empty = this.showArchived
+          ? assistifyAdmin.strings.noArchived
+          : "No previous chats yet. Start a conversation!";
+        this.$sessionsList.html(
+          '<div class="assistify-no-sessions">' + empty + "</div>"
+        );
+        return;
+      }
+
+      const strings = assistifyAdmin.strings;
+      let html = "";
+      sessions.forEach((session) => {
+        const isActive = session.id === this.sessionId;
+        const activeClass =
+          (isActive ? " is-current" : "") +
+          (session.pinned ? " is-pinned" : "");
+        const activeDot = isActive
+          ? '<span class="assistify-session-active-dot"></span>'
+          : "";
+        const timeAgo = this.formatTimeAgo(session.last_activity);
+        const preview = this.truncateText(
+          session.title || session.preview || "New chat",
+          50
+        );
+        const checked = this.selectedSessions.includes(session.id)
+          ? " checked"
+          : "";
+        const tags = (session.tags || [])
+          .map(
+            (tag) =>
+              `<span class="assistify-session-tag">${MarkdownParser.escapeHtml(
+                tag
+              )}</span>`
+          )
+          .join("");
+
+        html += `
+          <div class="assistify-session-item${activeClass}" data-session-id="${
+          session.id
+        }">
+            <div class="assistify-session-preview">
+              <input type="checkbox" class="assistify-session-check" value="${
+                session.id
+              }" aria-label="${strings.selectChat}"${checked}>
+              <span class="assistify-session-text">${MarkdownParser.escapeHtml(
+                preview
+              )}</span>
+              <div class="assistify-session-actions">
+                ${activeDot}
+                <button type="button" class="assistify-session-action assistify-session-pin${
+                  session.pinned ? " is-active" : ""
+                }" title="${session.pinned ? strings.unpin : strings.pin}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M16 9V4h1V2H7v2h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-action assistify-session-rename" title="${
+                  strings.rename
+                }">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-action assistify-session-tags" title="${
+                  strings.editTags
+                }">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58s1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41s-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-action assistify-session-share" title="${
+                  strings.shareChat
+                }">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-action assistify-session-export" title="${
+                  strings.exportChat
+                }">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-action assistify-session-archive" title="${
+                  session.archived ? strings.unarchive : strings.archive
+                }">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M20.54 5.23l-1.39-1.68C18.88 3.21 18.47 3 18 3H6c-.47 0-.88.21-1.16.55L3.46 5.23C3.17 5.57 3 6.02 3 6.5V19c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V6.5c0-.48-.17-.93-.46-1.27zM12 17.5L6.5 12H10v-2h4v2h3.5L12 17.5zM5.12 5l.81-1h12l.94 1H5.12z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-delete" data-session-id="${
+                  session.id
+                }" title="Delete this chat">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                  </svg>
+                </button>
+              </div>
+            </div>
+            <div class="assistify-session-meta">
+              <span class="assistify-session-time">${timeAgo}</span>
+              <span class="assistify-session-count">${
+                session.message_count || 0
+              } messages</span>
+              ${
+                session.owner
+                  ? `<span class="assistify-session-owner">${strings.sharedBy.replace(
+                      "%s",
+                      MarkdownParser.escapeHtml(session.owner)
+                    )}</span>`
+                  : ""
+              }
+              ${tags}
+            </div>
+          </div>
+        `;
       });
+
+      // Add clear all button if there are sessions.
+      if (!this.showArchived && this.sessions.length > 1) {
+        html +=
+          '<button type="button" class="assistify-clear-all-btn">Clear All History</button>';
+      }
+
+      if (shared.length) {
+        html += `<div class="assistify-history-section">${strings.sharedWithYou}</div>`;
+        shared.forEach((session) => {
+          html += this.renderSharedSession(session);
+        });
+      }
+
+      this.$sessionsList.html(html);
     },
 
     /**
-     * Cancel a pending action.
+     * Render a session another user shared with the current user.
      *
-     * @param {string} token - Confirmation token.
-     * @param {jQuery} $message - The message element.
+     * @param {Object} session - Shared session.
+     * @return {string} HTML.
      */
-    cancelAction: function (token, $message) {
-      const self = this;
+    renderSharedSession: function (session) {
+      const strings = assistifyAdmin.strings;
+      const isActive = session.id === this.sessionId;
+      const preview = this.truncateText(
+        session.title || session.preview || "New chat",
+        50
+      );
+      const sharedBy = strings.sharedBy.replace(
+        "%s",
+        MarkdownParser.escapeHtml(session.owner)
+      );
+
+      return `
+        <div class="assistify-session-item is-shared${
+          isActive ? " is-current" : ""
+        }" data-session-id="${session.id}">
+          <div class="assistify-session-preview">
+            <span class="assistify-session-text">${MarkdownParser.escapeHtml(
+              preview
+            )}</span>
+            <div class="assistify-session-actions">
+              ${
+                isActive
+                  ? '<span class="assistify-session-active-dot"></span>'
+                  : ""
+              }
+              <button type="button" class="assistify-session-action assistify-session-export" title="${
+                strings.exportChat
+              }">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                  <path d="M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z"/>
+                </svg>
+              </button>
+            </div>
+          </div>
+          <div class="assistify-session-meta">
+            <span class="assistify-session-time">${this.formatTimeAgo(
+              session.last_activity
+            )}</span>
+            <span class="assistify-session-owner">${sharedBy}</span>
+            <span class="assistify-session-tag">${strings.shareRead}</span>
+          </div>
+        </div>
+      `;
+    },
+
+    /**
+     * Switch the chat between normal and read-only mode.
+     *
+     * @param {Object|null} shared - Owner details of a session shared read-only, or null.
+     */
+    setReadOnly: function (shared) {
+      this.readOnly = shared || null;
+      this.$container.toggleClass("is-read-only", !!this.readOnly);
+
+      if (this.readOnly) {
+        this.$widget
+          .find(".assistify-read-only-text")
+          .html(
+            assistifyAdmin.strings.readOnlyNote.replace(
+              "%s",
+              MarkdownParser.escapeHtml(this.readOnly.owner)
+            )
+          );
+      }
+    },
+
+    /**
+     * Show the dialog to share a session with another shop manager.
+     *
+     * @param {string} sessionId - Session ID.
+     */
+    showShareModal: function (sessionId) {
+      const strings = assistifyAdmin.strings;
+
+      // Remove existing modal if any.
+      $(".assistify-confirm-modal").remove();
+
+      const $modal = $(`
+        <div class="assistify-confirm-modal assistify-share-modal">
+          <div class="assistify-confirm-modal-backdrop"></div>
+          <div class="assistify-confirm-modal-content">
+            <h4>${strings.shareChat}</h4>
+            <label class="assistify-share-field">
+              <span>${strings.shareWith}</span>
+              <select class="assistify-share-user" disabled>
+                <option value="">${strings.loading}</option>
+              </select>
+            </label>
+            <label class="assistify-share-mode">
+              <input type="radio" name="assistify-share-mode" value="read" checked>
+              <span><strong>${strings.shareRead}</strong><small>${strings.shareReadHint}</small></span>
+            </label>
+            <label class="assistify-share-mode">
+              <input type="radio" name="assistify-share-mode" value="fork">
+              <span><strong>${strings.shareFork}</strong><small>${strings.shareForkHint}</small></span>
+            </label>
+            <div class="assistify-share-list" hidden>
+              <span>${strings.sharedWith}</span>
+              <ul></ul>
+            </div>
+            <p class="assistify-share-status" role="status"></p>
+            <div class="assistify-confirm-modal-actions">
+              <button type="button" class="assistify-confirm-cancel">Cancel</button>
+              <button type="button" class="assistify-share-submit" disabled>${strings.share}</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      this.$container.append($modal);
+
+      const $select = $modal.find(".assistify-share-user");
+      const $submit = $modal.find(".assistify-share-submit");
+      const $status = $modal.find(".assistify-share-status");
+      const $shares = $modal.find(".assistify-share-list");
+      const close = () => {
+        $modal.remove();
+        $(document).off("keydown.shareModal");
+      };
+      const showStatus = (response) => {
+        $status
+          .toggleClass("is-error", !response.success)
+          .text(
+            (response.data && response.data.message) ||
+              $("<span>").html(strings.error).text()
+          );
+      };
 
-      $.ajax({
+      Nonces.ajax({
         url: assistifyAdmin.ajaxUrl,
         type: "POST",
         data: {
-          action: "assistify_cancel_action",
+          action: "assistify_get_share_users",
           nonce: assistifyAdmin.nonce,
-          confirmation_token: token,
-          session_id: this.sessionId,
+          session_id: sessionId,
         },
-        success: function (response) {
-          // Remove the action buttons
-          $message.find(".assistify-action-buttons").remove();
-          $message.removeClass("assistify-message-action");
+        success: (response) => {
+          const users = response.success ? response.data.users : [];
 
-          // Update message to show cancelled
-          $message
-            .find(".assistify-message-content")
-            .html(
-              MarkdownParser.parse(
-                "~~Action cancelled.~~ Is there anything else I can help you with?"
-              )
+          $select.empty();
+
+          if (!users.length) {
+            $status.html(strings.noShareUsers);
+            return;
+          }
+
+          users.forEach((user) => {
+            $select.append(
+              $("<option>").val(user.id).text(`${user.name} (${user.email})`)
             );
-        },
-        error: function () {
-          $message.find(".assistify-action-buttons").remove();
+
+            // Users who can already read the chat, with a button to revoke
+            if (user.shared) {
+              $shares.find("ul").append(
+                $("<li>")
+                  .append($("<span>").text(user.name))
+                  .append(
+                    $("<button>", {
+                      type: "button",
+                      class: "assistify-share-revoke",
+                      "data-user-id": user.id,
+                    }).html(strings.stopSharing)
+                  )
+              );
+            }
+          });
+          $shares.prop("hidden", !$shares.find("li").length);
+          $select.prop("disabled", false);
+          $submit.prop("disabled", false);
         },
       });
+
+      $shares.on("click", ".assistify-share-revoke", function () {
+        const $button = $(this).prop("disabled", true);
+
+        Nonces.ajax({
+          url: assistifyAdmin.ajaxUrl,
+          type: "POST",
+          data: {
+            action: "assistify_unshare_session",
+            nonce: assistifyAdmin.nonce,
+            session_id: sessionId,
+            user_id: $button.data("user-id"),
+          },
+          success: (response) => {
+            showStatus(response);
+
+            if (!response.success) {
+              $button.prop("disabled", false);
+              return;
+            }
+
+            $button.closest("li").remove();
+            $shares.prop("hidden", !$shares.find("li").length);
+          },
+          error: () => {
+            $status.addClass("is-error").html(strings.error);
+            $button.prop("disabled", false);
+          },
+        });
+      });
+
+      $submit.on("click", () => {
+        $submit.prop("disabled", true);
+
+        Nonces.ajax({
+          url: assistifyAdmin.ajaxUrl,
+          type: "POST",
+          data: {
+            action: "assistify_share_session",
+            nonce: assistifyAdmin.nonce,
+            session_id: sessionId,
+            user_id: $select.val(),
+            mode: $modal
+              .find('input[name="assistify-share-mode"]:checked')
+              .val(),
+          },
+          success: (response) => {
+            showStatus(response);
+
+            if (response.success) {
+              setTimeout(close, 1500);
+            } else {
+              $submit.prop("disabled", false);
+            }
+          },
+          error: () => {
+            $status.addClass("is-error").html(strings.error);
+            $submit.prop("disabled", false);
+          },
+        });
+      });
+
+      $modal
+        .find(".assistify-confirm-cancel, .assistify-confirm-modal-backdrop")
+        .on("click", close);
+
+      $(document).on("keydown.shareModal", (e) => {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
     },
 
     /**
-     * Tokenize content into words for natural streaming like ChatGPT.
-     *
-     * @param {string} content - The content to tokenize.
-     * @return {Array} Array of word tokens.
+     * Render the tag filter chips and the archived toggle.
      */
-    tokenizeForStreaming: function (content) {
-      // Split into words while preserving spaces and punctuation
-      // This creates natural word-by-word flow like ChatGPT
-      const tokens = [];
-      const regex = /(\S+)(\s*)/g;
-      let match;
+    renderHistoryFilters: function () {
+      const $filters = this.$widget.find(".assistify-history-filters");
 
-      while ((match = regex.exec(content)) !== null) {
-        // Add word + following whitespace as one token
-        tokens.push(match[1] + match[2]);
+      if (this.searchQuery) {
+        $filters.empty();
+        return;
       }
 
-      return tokens;
+      const chip = (tag, label) =>
+        `<button type="button" class="assistify-history-chip${
+          this.tagFilter === tag ? " is-active" : ""
+        }" data-tag="${MarkdownParser.escapeHtml(tag)}">${label}</button>`;
+
+      let html = chip("", assistifyAdmin.strings.allChats);
+      this.sessionTags.forEach((tag) => {
+        html += chip(tag, MarkdownParser.escapeHtml(tag));
+      });
+
+      html += `<button type="button" class="assistify-history-archived${
+        this.showArchived ? " is-active" : ""
+      }" aria-pressed="${this.showArchived}">${
+        assistifyAdmin.strings.archivedChats
+      }</button>`;
+
+      $filters.html(html);
     },
 
     /**
-     * Add message to chat
-     *
-     * @param {string} role - 'user' or 'assistant'
-     * @param {string} content - Message content
-     * @param {boolean} parseMarkdown - Whether to parse markdown
-     * @param {boolean} isError - Whether this is an error message
+     * Render the bar for acting on the selected sessions.
      */
-    addMessage: function (
-      role,
-      content,
-      parseMarkdown = true,
-      isError = false
-    ) {
-      const time = new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
+    renderBulkBar: function () {
+      const $bar = this.$widget.find(".assistify-history-bulk");
+      const count = this.selectedSessions.length;
 
-      let displayContent = content;
-      if (parseMarkdown && role === "assistant") {
-        displayContent = MarkdownParser.parse(content);
-      } else {
-        displayContent = MarkdownParser.escapeHtml(content);
+      if (this.searchQuery || count === 0) {
+        $bar.empty().removeClass("is-visible");
+        return;
       }
 
-      const errorClass = isError ? " assistify-message-error" : "";
-      const messageId =
-        "msg_" + Date.now() + "_" + Math.random().toString(36).substr(2, 5);
+      const strings = assistifyAdmin.strings;
+      const operation = this.showArchived ? "unarchive" : "archive";
+
+      $bar
+        .html(
+          `<span class="assistify-history-bulk-count">${strings.chatsSelected.replace(
+            "%d",
+            count
+          )}</span>
+          <button type="button" class="assistify-history-bulk-btn" data-operation="${operation}">${
+            this.showArchived ? strings.unarchive : strings.archive
+          }</button>
+          <button type="button" class="assistify-history-bulk-btn is-destructive" data-operation="delete">${
+            strings.delete
+          }</button>`
+        )
+        .addClass("is-visible");
+    },
 
-      // Copy button for assistant messages
-      const copyButton =
-        role === "assistant" && !isError
-          ? `
-        <button type="button" class="assistify-copy-btn" data-message-id="${messageId}" title="Copy message">
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
-            <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
-          </svg>
-        </button>
-      `
-          : "";
+    /**
+     * Select or deselect a session for a bulk operation.
+     *
+     * @param {string} sessionId - Session ID.
+     * @param {boolean} selected - Whether the session is selected.
+     */
+    selectSession: function (sessionId, selected) {
+      this.selectedSessions = this.selectedSessions.filter(
+        (id) => id !== sessionId
+      );
 
-      const messageHtml = `
-        <div class="assistify-message assistify-message-${role}${errorClass}" id="${messageId}" data-raw-content="${this.encodeHtmlEntities(
-        content
-      )}">
-          <div class="assistify-message-content">${displayContent}</div>
-          <div class="assistify-message-footer">
-            <span class="assistify-message-time">${time}</span>
-            ${copyButton}
-          </div>
-        </div>
-      `;
+      if (selected) {
+        this.selectedSessions.push(sessionId);
+      }
 
-      this.$messages.append(messageHtml);
-      this.scrollToBottom();
+      this.renderBulkBar();
     },
 
     /**
-     * Encode HTML entities for data attribute storage.
-     *
-     * @param {string} text - Text to encode.
-     * @return {string} Encoded text.
+     * Switch between the main and the archived session list.
      */
-    encodeHtmlEntities: function (text) {
-      return text
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#39;");
+    toggleArchived: function () {
+      this.showArchived = !this.showArchived;
+      this.selectedSessions = [];
+      this.tagFilter = "";
+      this.sessions = [];
+      this.renderSessions();
+      this.loadSessions();
     },
 
     /**
-     * Decode HTML entities from data attribute.
+     * Rename, pin, tag or archive a session.
      *
-     * @param {string} text - Text to decode.
-     * @return {string} Decoded text.
+     * @param {string} sessionId - Session ID.
+     * @param {Object} changes - Fields to change: title, pinned, archived or tags.
      */
-    decodeHtmlEntities: function (text) {
-      const textarea = document.createElement("textarea");
-      textarea.innerHTML = text;
-      return textarea.value;
+    updateSession: function (sessionId, changes) {
+      const data = {
+        action: "assistify_update_session",
+        nonce: assistifyAdmin.nonce,
+        session_id: sessionId,
+      };
+
+      Object.keys(changes).forEach((key) => {
+        const value = changes[key];
+        data[key] = typeof value === "boolean" ? (value ? 1 : 0) : value;
+      });
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: data,
+        success: (response) => {
+          if (response.success) {
+            // Pinning and archiving move the session, so reload the list.
+            this.loadSessions();
+          } else {
+            this.renderSessions();
+          }
+        },
+      });
     },
 
     /**
-     * Copy message content to clipboard.
+     * Edit a session's title or tags in place.
      *
-     * @param {string} messageId - The message element ID.
+     * Enter or leaving the field saves, Escape cancels.
+     *
+     * @param {string} sessionId - Session ID.
+     * @param {string} field - Either "title" or "tags".
      */
-    copyMessage: function (messageId) {
-      const $message = $("#" + messageId);
-      const rawContent = this.decodeHtmlEntities($message.data("raw-content"));
-      const $copyBtn = $message.find(".assistify-copy-btn");
+    editSession: function (sessionId, field) {
+      const session = this.sessions.find((item) => item.id === sessionId);
+      const $item = this.$sessionsList.find(
+        '.assistify-session-item[data-session-id="' + sessionId + '"]'
+      );
 
-      navigator.clipboard
-        .writeText(rawContent)
-        .then(() => {
-          // Show success feedback
-          $copyBtn.addClass("is-copied");
-          $copyBtn.html(`
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
-            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-          </svg>
-        `);
+      if (!session || !$item.length) {
+        return;
+      }
 
-          // Reset after 2 seconds
-          setTimeout(() => {
-            $copyBtn.removeClass("is-copied");
-            $copyBtn.html(`
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
-              <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
-            </svg>
-          `);
-          }, 2000);
-        })
-        .catch(() => {
-          // Fallback for older browsers
-          const textarea = document.createElement("textarea");
-          textarea.value = rawContent;
-          document.body.appendChild(textarea);
-          textarea.select();
-          document.execCommand("copy");
-          document.body.removeChild(textarea);
+      const value =
+        field === "tags"
+          ? (session.tags || []).join(", ")
+          : session.title || session.preview || "";
+      const $input = $('<input type="text" class="assistify-session-edit">')
+        .attr(
+          "placeholder",
+          field === "tags"
+            ? $("<span>").html(assistifyAdmin.strings.tagsHint).text()
+            : ""
+        )
+        .attr("maxlength", field === "tags" ? 330 : 100)
+        .val(value);
+
+      if (field === "tags") {
+        $item.find(".assistify-session-meta").after($input);
+      } else {
+        $item.find(".assistify-session-text").replaceWith($input);
+      }
 
-          $copyBtn.addClass("is-copied");
-          setTimeout(() => $copyBtn.removeClass("is-copied"), 2000);
-        });
+      let done = false;
+      const finish = (save) => {
+        if (done) {
+          return;
+        }
+        done = true;
+
+        const newValue = $input.val().trim();
+        if (save && newValue !== value) {
+          this.updateSession(sessionId, { [field]: newValue });
+        } else {
+          this.renderSessions();
+        }
+      };
+
+      $input
+        .on("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            finish(true);
+          } else if (e.key === "Escape") {
+            e.stopPropagation();
+            finish(false);
+          }
+        })
+        .on("blur", () => finish(true))
+        .trigger("focus")
+        .trigger("select");
     },
 
     /**
-     * Show typing indicator
+     * Show the export format menu below a button.
+     *
+     * @param {jQuery} $anchor - Button the menu belongs to.
+     * @param {string} sessionId - Session to export.
      */
-    showTypingIndicator: function () {
-      const indicatorHtml = `
-        <div class="assistify-message assistify-message-assistant assistify-typing">
-          <div class="assistify-typing-indicator">
-            <span></span>
-            <span></span>
-            <span></span>
-          </div>
+    showExportMenu: function ($anchor, sessionId) {
+      const strings = assistifyAdmin.strings;
+      const open = this.$container
+        .find(".assistify-export-menu")
+        .is((index, menu) => $(menu).data("anchor") === $anchor[0]);
+
+      this.closeExportMenu();
+
+      // A second click on the same button just closes the menu.
+      if (open) {
+        return;
+      }
+
+      const anchorRect = $anchor[0].getBoundingClientRect();
+      const containerRect = this.$container[0].getBoundingClientRect();
+      const $menu = $(`
+        <div class="assistify-export-menu" role="menu">
+          <button type="button" class="assistify-export-format" role="menuitem" data-format="markdown">${strings.exportMarkdown}</button>
+          <button type="button" class="assistify-export-format" role="menuitem" data-format="pdf">${strings.exportPdf}</button>
+          <button type="button" class="assistify-export-format" role="menuitem" data-format="json">${strings.exportJson}</button>
         </div>
-      `;
+      `)
+        .data("session-id", sessionId)
+        .data("anchor", $anchor[0])
+        .css({
+          top: anchorRect.bottom - containerRect.top + 4,
+          right: Math.max(8, containerRect.right - anchorRect.right),
+        });
 
-      this.$messages.append(indicatorHtml);
-      this.scrollToBottom();
+      this.$container.append($menu);
+
+      // Close on the next click anywhere else.
+      setTimeout(() => {
+        $(document).on("click.assistifyExport", (e) => {
+          if (!$(e.target).closest(".assistify-export-menu").length) {
+            this.closeExportMenu();
+          }
+        });
+      });
     },
 
     /**
-     * Hide typing indicator
+     * Close the export format menu.
      */
-    hideTypingIndicator: function () {
-      this.$messages.find(".assistify-typing").remove();
+    closeExportMenu: function () {
+      this.$container.find(".assistify-export-menu").remove();
+      $(document).off("click.assistifyExport");
     },
 
     /**
-     * Scroll messages to bottom with retry for reliable scrolling.
+     * Export a session from its stored messages.
      *
-     * @param {boolean} immediate - If true, scroll immediately without delay.
+     * @param {string} sessionId - Session ID.
+     * @param {string} format - One of "markdown", "json" or "pdf".
      */
-    scrollToBottom: function (immediate) {
-      const doScroll = () => {
-        if (this.$messages && this.$messages[0]) {
-          const container = this.$messages[0];
-          // Force scroll to absolute bottom
-          container.scrollTop = container.scrollHeight + 10000;
+    exportSession: function (sessionId, format) {
+      const $menu = this.$container.find(".assistify-export-menu");
 
-          // Also try scrollIntoView on last message for reliability
-          const lastMessage = container.querySelector(
-            ".assistify-message:last-child"
-          );
-          if (lastMessage) {
-            lastMessage.scrollIntoView({ block: "end", behavior: "instant" });
-          }
+      // Open the print window now, while the click still allows pop-ups.
+      const printWindow = format === "pdf" ? window.open("", "_blank") : null;
+
+      if (format === "pdf" && !printWindow) {
+        $menu.html(
+          `<div class="assistify-export-note">${assistifyAdmin.strings.popupBlocked}</div>`
+        );
+        return;
+      }
+
+      $menu.find(".assistify-export-format").prop("disabled", true);
+
+      const fail = () => {
+        if (printWindow) {
+          printWindow.close();
         }
+        $menu.html(
+          `<div class="assistify-export-note">${assistifyAdmin.strings.nothingToExport}</div>`
+        );
       };
 
-      if (immediate) {
-        doScroll();
-      } else {
-        // Use requestAnimationFrame for smoother, more reliable scroll
-        requestAnimationFrame(() => {
-          doScroll();
-          // Double-check scroll after a brief delay for content that renders async
-          setTimeout(doScroll, 150);
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_get_session_messages",
+          nonce: assistifyAdmin.nonce,
+          session_id: sessionId,
+        },
+        success: (response) => {
+          const messages = response.success ? response.data.messages : [];
+
+          if (!messages || !messages.length) {
+            fail();
+            return;
+          }
+
+          const listed = this.sessions
+            .concat(this.sharedSessions)
+            .find((item) => item.id === sessionId);
+          const firstQuestion = messages.find((msg) => msg.role === "user");
+          const session = {
+            id: sessionId,
+            title:
+              (listed && (listed.title || listed.preview)) ||
+              (firstQuestion
+                ? this.truncateText(firstQuestion.content, 60)
+                : "") ||
+              SessionExport.text(assistifyAdmin.strings.assistant),
+            tags: listed ? listed.tags : [],
+          };
+
+          this.closeExportMenu();
+          SessionExport.run(format, session, messages, printWindow);
+        },
+        error: fail,
+      });
+    },
+
+    /**
+     * Delete, archive or unarchive the selected sessions.
+     *
+     * @param {string} operation - One of "delete", "archive" or "unarchive".
+     */
+    bulkSessions: function (operation) {
+      const sessionIds = this.selectedSessions.slice();
+
+      if (!sessionIds.length) {
+        return;
+      }
+
+      const run = () => {
+        Nonces.ajax({
+          url: assistifyAdmin.ajaxUrl,
+          type: "POST",
+          data: {
+            action: "assistify_bulk_sessions",
+            nonce: assistifyAdmin.nonce,
+            operation: operation,
+            session_ids: sessionIds,
+          },
+          success: (response) => {
+            if (!response.success) {
+              return;
+            }
+
+            this.selectedSessions = [];
+
+            if (
+              operation === "delete" &&
+              response.data.sessions.includes(this.sessionId)
+            ) {
+              this.startNewChat();
+            }
+
+            this.loadSessions();
+          },
         });
+      };
+
+      if (operation === "delete") {
+        this.showConfirmModal(
+          "Delete Chats",
+          assistifyAdmin.strings.deleteSelected.replace(
+            "%d",
+            sessionIds.length
+          ),
+          run
+        );
+      } else {
+        run();
       }
     },
 
     /**
-     * Switch between Chat and History tabs.
+     * Search message content across all sessions.
      *
-     * @param {string} tab - 'chat' or 'history'
+     * @param {string} query - Search query.
      */
-    switchTab: function (tab) {
-      this.currentTab = tab;
+    searchSessions: function (query) {
+      clearTimeout(this.searchTimer);
 
-      // Update tab buttons
-      this.$widget.find(".assistify-tab").removeClass("is-active");
-      this.$widget
-        .find('.assistify-tab[data-tab="' + tab + '"]')
-        .addClass("is-active");
+      if (this.searchRequest) {
+        this.searchRequest.abort();
+        this.searchRequest = null;
+      }
 
-      // Update tab content
-      this.$widget.find(".assistify-tab-content").removeClass("is-active");
-      this.$widget.find(".assistify-tab-" + tab).addClass("is-active");
+      this.searchQuery = query.trim().length >= 2 ? query.trim() : "";
+      this.searchResults = null;
+      this.renderSessions();
 
-      // If switching to history, render sessions
-      if (tab === "history") {
-        this.renderSessions();
+      if (!this.searchQuery) {
+        return;
       }
 
-      // Focus input if switching to chat
-      if (tab === "chat") {
-        this.$input.focus();
-      }
+      // Wait for a pause in typing
+      this.searchTimer = setTimeout(() => {
+        this.searchRequest = Nonces.ajax({
+          url: assistifyAdmin.ajaxUrl,
+          type: "POST",
+          data: {
+            action: "assistify_search_sessions",
+            nonce: assistifyAdmin.nonce,
+            query: this.searchQuery,
+          },
+          success: (response) => {
+            this.searchResults = response.success
+              ? response.data
+              : { results: [], terms: [] };
+            this.renderSessions();
+          },
+          complete: () => {
+            this.searchRequest = null;
+          },
+        });
+      }, 300);
     },
 
     /**
-     * Render sessions list in History tab.
+     * Render search results in History tab.
      */
-    renderSessions: function () {
-      if (!this.sessions || this.sessions.length === 0) {
+    renderSearchResults: function () {
+      const strings = assistifyAdmin.strings;
+      const data = this.searchResults;
+
+      if (!data || !data.results || data.results.length === 0) {
         this.$sessionsList.html(
-          '<div class="assistify-no-sessions">No previous chats yet. Start a conversation!</div>'
+          `<div class="assistify-no-sessions">${
+            data ? strings.noResults : strings.searching
+          }</div>`
         );
         return;
       }
 
-      let html = "";
-      this.sessions.forEach((session) => {
-        const isActive = session.id === this.sessionId;
-        const activeClass = isActive ? " is-current" : "";
-        const activeDot = isActive
-          ? '<span class="assistify-session-active-dot"></span>'
-          : "";
-        const timeAgo = this.formatTimeAgo(session.last_activity);
-        const preview = this.truncateText(session.preview || "New chat", 50);
-
-        html += `
-          <div class="assistify-session-item${activeClass}" data-session-id="${
-          session.id
-        }">
-            <div class="assistify-session-preview">
-              <span class="assistify-session-text">${MarkdownParser.escapeHtml(
-                preview
-              )}</span>
-              <div class="assistify-session-actions">
-                ${activeDot}
-                <button type="button" class="assistify-session-delete" data-session-id="${
-                  session.id
-                }" title="Delete this chat">
-                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
-                    <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
-                  </svg>
-                </button>
+      const html = data.results
+        .map(
+          (result) => `
+            <div class="assistify-search-result" data-session-id="${MarkdownParser.escapeHtml(
+              result.session_id
+            )}" data-message-id="${result.message_id}">
+              <div class="assistify-search-snippet">${this.highlightText(
+                result.snippet,
+                data.terms
+              )}</div>
+              <div class="assistify-session-meta">
+                <span>${
+                  result.role === "user" ? strings.you : strings.assistant
+                }</span>
+                <span class="assistify-session-time">${this.formatTimeAgo(
+                  result.created_at
+                )}</span>
               </div>
             </div>
-            <div class="assistify-session-meta">
-              <span class="assistify-session-time">${timeAgo}</span>
-              <span class="assistify-session-count">${
-                session.message_count || 0
-              } messages</span>
-            </div>
-          </div>
-        `;
+          `
+        )
+        .join("");
+
+      this.$sessionsList.html(html);
+    },
+
+    /**
+     * Build a case-insensitive pattern matching any of the search terms.
+     *
+     * @param {Array} terms - Search terms.
+     * @return {RegExp|null} Pattern with one capture group, or null.
+     */
+    getTermsPattern: function (terms) {
+      const escaped = (terms || [])
+        .filter(Boolean)
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+
+      return escaped.length ? new RegExp(`(${escaped.join("|")})`, "gi") : null;
+    },
+
+    /**
+     * Escape text and mark the search terms in it.
+     *
+     * @param {string} text - Plain text.
+     * @param {Array} terms - Search terms.
+     * @return {string} HTML string.
+     */
+    highlightText: function (text, terms) {
+      const esc = MarkdownParser.escapeHtml;
+      const pattern = this.getTermsPattern(terms);
+
+      if (!pattern) {
+        return esc(text);
+      }
+
+      // Split keeps the matches at odd indexes
+      return String(text)
+        .split(pattern)
+        .map((part, index) =>
+          index % 2 ? `<mark>${esc(part)}</mark>` : esc(part)
+        )
+        .join("");
+    },
+
+    /**
+     * Mark the search terms in a rendered message.
+     *
+     * @param {jQuery} $element - Message content element.
+     * @param {Array} terms - Search terms.
+     */
+    highlightMatches: function ($element, terms) {
+      const pattern = this.getTermsPattern(terms);
+
+      if (!pattern || !$element.length) {
+        return;
+      }
+
+      const walker = document.createTreeWalker(
+        $element[0],
+        NodeFilter.SHOW_TEXT
+      );
+      const nodes = [];
+
+      while (walker.nextNode()) {
+        // Chart labels are drawn, not read
+        if (!$(walker.currentNode.parentNode).closest("svg").length) {
+          nodes.push(walker.currentNode);
+        }
+      }
+
+      nodes.forEach((node) => {
+        const parts = node.nodeValue.split(pattern);
+
+        if (parts.length < 2) {
+          return;
+        }
+
+        const fragment = document.createDocumentFragment();
+
+        parts.forEach((part, index) => {
+          if (!part) {
+            return;
+          }
+
+          if (index % 2) {
+            const mark = document.createElement("mark");
+            mark.className = "assistify-search-hit";
+            mark.textContent = part;
+            fragment.appendChild(mark);
+          } else {
+            fragment.appendChild(document.createTextNode(part));
+          }
+        });
+
+        node.parentNode.replaceChild(fragment, node);
       });
+    },
 
-      // Add clear all button if there are sessions.
-      if (this.sessions.length > 1) {
-        html +=
-          '<button type="button" class="assistify-clear-all-btn">Clear All History</button>';
+    /**
+     * Scroll to and highlight the message a search result points at.
+     *
+     * @param {Array} messages - Messages of the loaded session.
+     * @param {Object} match - Message ID and search terms.
+     * @return {boolean} Whether the message was found.
+     */
+    showSearchMatch: function (messages, match) {
+      const index = messages.findIndex(
+        (msg) => Number(msg.id) === Number(match.messageId)
+      );
+
+      // Each stored message renders as exactly one message element
+      const $target = this.$messages.children(".assistify-message").eq(index);
+
+      if (index === -1 || !$target.length) {
+        return false;
       }
 
-      this.$sessionsList.html(html);
+      this.highlightMatches(
+        $target.find(".assistify-message-content"),
+        match.terms
+      );
+      $target.addClass("is-search-match");
+
+      const scroll = () => $target[0].scrollIntoView({ block: "center" });
+      scroll();
+      setTimeout(scroll, 200);
+      setTimeout(() => $target.removeClass("is-search-match"), 2500);
+
+      return true;
     },
 
     /**
      * Load a specific session from history.
      *
      * @param {string} sessionId - The session ID to load.
+     * @param {Object|null} match - Optional search match to scroll to, with messageId and terms.
      */
-    loadSession: function (sessionId) {
+    loadSession: function (sessionId, match = null) {
       // Update current session
-      this.sessionId = sessionId;
-      localStorage.setItem("assistify_session_id", sessionId);
+      this.setSessionId(sessionId);
 
       // Clear current messages
       this.$messages.empty();
@@ -1228,7 +7085,7 @@
       );
 
       // Fetch messages for this session
-      $.ajax({
+      Nonces.ajax({
         url: assistifyAdmin.ajaxUrl,
         type: "POST",
         data: {
@@ -1238,24 +7095,33 @@
         },
         success: (response) => {
           this.$messages.empty();
+          this.setReadOnly(response.success ? response.data.shared : null);
 
           if (response.success && response.data.messages) {
             if (response.data.messages.length === 0) {
               // Empty session, show welcome
-              this.addMessage("assistant", this.getWelcomeMessage());
+              this.showWelcomeMessage();
             } else {
               // Render all messages
               response.data.messages.forEach((msg) => {
-                this.addMessage(msg.role, msg.content, true, false);
+                this.renderStoredMessage(msg);
               });
             }
           } else {
-            this.addMessage("assistant", this.getWelcomeMessage());
+            this.showWelcomeMessage();
           }
 
           // Switch to chat tab and scroll to bottom
           this.switchTab("chat");
 
+          if (
+            match &&
+            response.success &&
+            this.showSearchMatch(response.data.messages || [], match)
+          ) {
+            return;
+          }
+
           // Use multiple scroll attempts to handle async rendering
           this.scrollToBottom();
           setTimeout(() => this.scrollToBottom(), 200);
@@ -1263,7 +7129,8 @@
         },
         error: () => {
           this.$messages.empty();
-          this.addMessage("assistant", this.getWelcomeMessage());
+          this.setReadOnly(null);
+          this.showWelcomeMessage();
           this.switchTab("chat");
         },
       });
@@ -1275,12 +7142,12 @@
      */
     startNewChat: function () {
       // Generate new session ID (not saved to DB yet)
-      this.sessionId = this.generateSessionId();
-      localStorage.setItem("assistify_session_id", this.sessionId);
+      this.setSessionId(this.generateSessionId());
 
       // Clear messages and show welcome
       this.$messages.empty();
-      this.addMessage("assistant", this.getWelcomeMessage());
+      this.setReadOnly(null);
+      this.showWelcomeMessage();
 
       // Switch to chat tab
       this.switchTab("chat");
@@ -1296,7 +7163,7 @@
         "Delete Chat",
         "Are you sure you want to delete this chat? This action cannot be undone.",
         () => {
-          $.ajax({
+          Nonces.ajax({
             url: assistifyAdmin.ajaxUrl,
             type: "POST",
             data: {
@@ -1327,7 +7194,7 @@
         "Clear All History",
         "Are you sure you want to delete all chat history? This action cannot be undone.",
         () => {
-          $.ajax({
+          Nonces.ajax({
             url: assistifyAdmin.ajaxUrl,
             type: "POST",
             data: {
@@ -1347,6 +7214,417 @@
       );
     },
 
+    /**
+     * Load the saved prompts and show them in the Prompts tab.
+     */
+    loadPrompts: function () {
+      const strings = assistifyAdmin.strings;
+
+      if (!this.prompts) {
+        this.$promptsList.html(
+          `<div class="assistify-loading">${strings.loading}</div>`
+        );
+      }
+
+      Nonces.ajax({
+        url: assistifyAdmin.ajaxUrl,
+        type: "POST",
+        data: {
+          action: "assistify_get_prompts",
+          nonce: assistifyAdmin.nonce,
+        },
+        success: (response) => {
+          this.prompts = response.success ? response.data.prompts : [];
+          this.renderPrompts();
+        },
+        error: () => {
+          this.$promptsList.html(
+            `<div class="assistify-no-sessions">${strings.error}</div>`
+          );
+        },
+      });
+    },
+
+    /**
+     * Find a saved prompt by ID.
+     *
+     * @param {string} id - Prompt ID.
+     * @return {Object|null} Saved prompt, or null if not found.
+     */
+    findPrompt: function (id) {
+      return (this.prompts || []).find((prompt) => prompt.id === id) || null;
+    },
+
+    /**
+     * Render the saved prompts, grouped by category.
+     */
+    renderPrompts: function () {
+      const strings = assistifyAdmin.strings;
+      const escape = MarkdownParser.escapeHtml;
+
+      if (!this.prompts.length) {
+        this.$promptsList.html(
+          `<div class="assistify-no-sessions">${strings.noPrompts}</div>`
+        );
+        return;
+      }
+
+      let html = "";
+      let category = null;
+
+      this.prompts.forEach((prompt) => {
+        if (prompt.category !== category) {
+          category = prompt.category;
+          html += `<div class="assistify-history-section">${
+            category ? escape(category) : strings.uncategorized
+          }</div>`;
+        }
+
+        html += `
+          <div class="assistify-prompt-item">
+            <div class="assistify-prompt-header">
+              <span class="assistify-prompt-title">${escape(
+                prompt.title
+              )}</span>
+              <div class="assistify-session-actions">
+                <button type="button" class="assistify-session-action assistify-prompt-edit" data-id="${escape(
+                  prompt.id
+                )}" title="${strings.editPrompt}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                  </svg>
+                </button>
+                <button type="button" class="assistify-session-action assistify-prompt-delete" data-id="${escape(
+                  prompt.id
+                )}" title="${strings.delete}">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                  </svg>
+                </button>
+              </div>
+            </div>
+            <p class="assistify-prompt-text">${escape(prompt.prompt)}</p>
+            <div class="assistify-prompt-footer">
+              <span class="assistify-prompt-schedule">${this.getScheduleText(
+                prompt
+              )}</span>
+              <button type="button" class="assistify-prompt-run" data-id="${escape(
+                prompt.id
+              )}">${strings.runPrompt}</button>
+            </div>
+          </div>
+        `;
+      });
+
+      this.$promptsList.html(html);
+    },
+
+    /**
+     * Describe when a saved prompt runs and how its last run went.
+     *
+     * @param {Object} prompt - Saved prompt.
+     * @return {string} HTML string, empty if the prompt is not scheduled.
+     */
+    getScheduleText: function (prompt) {
+      const strings = assistifyAdmin.strings;
+      const escape = MarkdownParser.escapeHtml;
+
+      if (!prompt.schedule || !prompt.schedule.frequency) {
+        return "";
+      }
+
+      let text = `${
+        strings[prompt.schedule.frequency]
+      } · ${strings.nextRun.replace("%s", escape(prompt.next_run_text))}`;
+
+      if (prompt.last_error) {
+        text += `<span class="is-error">${strings.lastRunFailed.replace(
+          "%s",
+          escape(prompt.last_error)
+        )}</span>`;
+      } else if (prompt.last_session) {
+        text += `<button type="button" class="assistify-prompt-session" data-session-id="${escape(
+          prompt.last_session
+        )}">${strings.openLastRun}</button>`;
+      }
+
+      return text;
+    },
+
+    /**
+     * Ask a saved prompt in the chat.
+     *
+     * @param {Object|null} prompt - Saved prompt.
+     */
+    runPrompt: function (prompt) {
+      if (!prompt || this.activeRequest || this.isStreaming) {
+        return;
+      }
+
+      // A read-only shared chat cannot be asked anything
+      if (this.readOnly) {
+        this.startNewChat();
+      } else {
+        this.switchTab("chat");
+      }
+
+      this.$input.val(prompt.prompt);
+      this.sendMessage();
+    },
+
+    /**
+     * Delete a saved prompt after confirmation.
+     *
+     * @param {Object|null} prompt - Saved prompt.
+     */
+    deletePrompt: function (prompt) {
+      const strings = assistifyAdmin.strings;
+
+      if (!prompt) {
+        return;
+      }
+
+      this.showConfirmModal(
+        strings.deletePrompt,
+        strings.confirmDelete.replace(
+          "%s",
+          MarkdownParser.escapeHtml(prompt.title)
+        ),
+        () => {
+          Nonces.ajax({
+            url: assistifyAdmin.ajaxUrl,
+            type: "POST",
+            data: {
+              action: "assistify_delete_prompt",
+              nonce: assistifyAdmin.nonce,
+              id: prompt.id,
+            },
+            success: (response) => {
+              if (response.success) {
+                this.prompts = response.data.prompts;
+                this.renderPrompts();
+              }
+            },
+          });
+        }
+      );
+    },
+
+    /**
+     * Show the dialog to save or edit a prompt and its schedule.
+     *
+     * @param {Object} prompt - Saved prompt to edit, or the fields to start a new one with.
+     */
+    showPromptModal: function (prompt = {}) {
+      const strings = assistifyAdmin.strings;
+      const escape = MarkdownParser.escapeHtml;
+      const schedule = prompt.schedule || {};
+      const categories = [
+        ...new Set((this.prompts || []).map((item) => item.category)),
+      ].filter(Boolean);
+      const option = (value, label, selected) =>
+        `<option value="${value}"${
+          selected ? " selected" : ""
+        }>${label}</option>`;
+
+      // Weekdays and hours are named in the browser's language; 1 January 2024 was a Monday
+      const weekdays = [1, 2, 3, 4, 5, 6, 7]
+        .map((day) =>
+          option(
+            day,
+            new Date(2024, 0, day).toLocaleDateString([], { weekday: "long" }),
+            day === (schedule.weekday || 1)
+          )
+        )
+        .join("");
+      const days = Array.from({ length: 28 }, (_, index) =>
+        option(index + 1, index + 1, index + 1 === (schedule.day || 1))
+      ).join("");
+      const hours = Array.from({ length: 24 }, (_, hour) =>
+        option(
+          hour,
+          new Date(2024, 0, 1, hour).toLocaleTimeString([], {
+            hour: "numeric",
+            minute: "2-digit",
+          }),
+          hour === (schedule.hour === undefined ? 8 : schedule.hour)
+        )
+      ).join("");
+
+      // Remove existing modal if any.
+      $(".assistify-confirm-modal").remove();
+
+      const $modal = $(`
+        <div class="assistify-confirm-modal assistify-prompt-modal">
+          <div class="assistify-confirm-modal-backdrop"></div>
+          <form class="assistify-confirm-modal-content">
+            <h4>${prompt.id ? strings.editPrompt : strings.savePrompt}</h4>
+            <label class="assistify-prompt-field">
+              <span>${strings.promptTitle}</span>
+              <input type="text" class="assistify-prompt-title-input" maxlength="100" value="${escape(
+                prompt.title || ""
+              )}">
+            </label>
+            <label class="assistify-prompt-field">
+              <span>${strings.promptText}</span>
+              <textarea class="assistify-prompt-text-input" rows="4" required>${escape(
+                prompt.prompt || ""
+              )}</textarea>
+            </label>
+            <label class="assistify-prompt-field">
+              <span>${strings.promptCategory}</span>
+              <input type="text" class="assistify-prompt-category-input" maxlength="50" list="assistify-prompt-categories" value="${escape(
+                prompt.category || ""
+              )}">
+              <datalist id="assistify-prompt-categories">${categories
+                .map((category) => `<option value="${escape(category)}">`)
+                .join("")}</datalist>
+            </label>
+            <label class="assistify-prompt-field">
+              <span>${strings.schedule}</span>
+              <select class="assistify-prompt-frequency">
+                ${option("", strings.notScheduled, !schedule.frequency)}
+                ${option(
+                  "daily",
+                  strings.daily,
+                  schedule.frequency === "daily"
+                )}
+                ${option(
+                  "weekly",
+                  strings.weekly,
+                  schedule.frequency === "weekly"
+                )}
+                ${option(
+                  "monthly",
+                  strings.monthly,
+                  schedule.frequency === "monthly"
+                )}
+              </select>
+            </label>
+            <div class="assistify-prompt-schedule-fields">
+              <label class="assistify-prompt-field assistify-prompt-weekday">
+                <span>${strings.scheduleWeekday}</span>
+                <select class="assistify-prompt-weekday-input">${weekdays}</select>
+              </label>
+              <label class="assistify-prompt-field assistify-prompt-day">
+                <span>${strings.scheduleDay}</span>
+                <select class="assistify-prompt-day-input">${days}</select>
+              </label>
+              <label class="assistify-prompt-field">
+                <span>${strings.scheduleTime}</span>
+                <select class="assistify-prompt-hour-input">${hours}</select>
+              </label>
+              <label class="assistify-prompt-option">
+                <input type="checkbox" class="assistify-prompt-session-input"${
+                  schedule.session !== false ? " checked" : ""
+                }>
+                <span>${strings.postToChat}</span>
+              </label>
+              <label class="assistify-prompt-option">
+                <input type="checkbox" class="assistify-prompt-email-input"${
+                  schedule.email ? " checked" : ""
+                }>
+                <span>${strings.emailAnswer}</span>
+              </label>
+            </div>
+            <p class="assistify-prompt-status" role="status"></p>
+            <div class="assistify-confirm-modal-actions">
+              <button type="button" class="assistify-confirm-cancel">${
+                strings.cancelEdit
+              }</button>
+              <button type="submit" class="assistify-prompt-submit">${
+                strings.savePrompt
+              }</button>
+            </div>
+          </form>
+        </div>
+      `);
+
+      this.$container.append($modal);
+
+      const $frequency = $modal.find(".assistify-prompt-frequency");
+      const $submit = $modal.find(".assistify-prompt-submit");
+      const $status = $modal.find(".assistify-prompt-status");
+      const close = () => {
+        $modal.remove();
+        $(document).off("keydown.promptModal");
+      };
+      const showFields = () => {
+        const frequency = $frequency.val();
+
+        $modal.find(".assistify-prompt-schedule-fields").toggle(!!frequency);
+        $modal.find(".assistify-prompt-weekday").toggle(frequency === "weekly");
+        $modal.find(".assistify-prompt-day").toggle(frequency === "monthly");
+      };
+
+      showFields();
+      $frequency.on("change", showFields);
+      $modal.find(".assistify-prompt-title-input").trigger("focus");
+
+      $modal.find("form").on("submit", (e) => {
+        e.preventDefault();
+        $submit.prop("disabled", true);
+
+        const frequency = $frequency.val();
+
+        Nonces.ajax({
+          url: assistifyAdmin.ajaxUrl,
+          type: "POST",
+          data: {
+            action: "assistify_save_prompt",
+            nonce: assistifyAdmin.nonce,
+            id: prompt.id || "",
+            title: $modal.find(".assistify-prompt-title-input").val(),
+            prompt: $modal.find(".assistify-prompt-text-input").val(),
+            category: $modal.find(".assistify-prompt-category-input").val(),
+            schedule: frequency
+              ? {
+                  frequency: frequency,
+                  weekday: $modal.find(".assistify-prompt-weekday-input").val(),
+                  day: $modal.find(".assistify-prompt-day-input").val(),
+                  hour: $modal.find(".assistify-prompt-hour-input").val(),
+                  session: $modal
+                    .find(".assistify-prompt-session-input")
+                    .is(":checked")
+                    ? 1
+                    : 0,
+                  email: $modal
+                    .find(".assistify-prompt-email-input")
+                    .is(":checked")
+                    ? 1
+                    : 0,
+                }
+              : "",
+          },
+          success: (response) => {
+            if (!response.success) {
+              $status.addClass("is-error").text(response.data.message);
+              $submit.prop("disabled", false);
+              return;
+            }
+
+            this.prompts = response.data.prompts;
+            this.renderPrompts();
+            close();
+          },
+          error: () => {
+            $status.addClass("is-error").html(strings.error);
+            $submit.prop("disabled", false);
+          },
+        });
+      });
+
+      $modal
+        .find(".assistify-confirm-cancel, .assistify-confirm-modal-backdrop")
+        .on("click", close);
+
+      $(document).on("keydown.promptModal", (e) => {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+    },
+
     /**
      * Show a confirmation modal.
      *
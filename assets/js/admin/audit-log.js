@@ -24,6 +24,32 @@
     init: function () {
       this.bindEvents();
       this.loadLogs();
+      this.openLinkedLog();
+    },
+
+    /**
+     * Show the entry linked with a `log` URL parameter, e.g. from the chat.
+     */
+    openLinkedLog: function () {
+      const logId = parseInt(
+        new URLSearchParams(window.location.search).get("log"),
+        10
+      );
+
+      if (!logId) {
+        return;
+      }
+
+      $.ajax({
+        url: assistifyAuditLog.restUrl + "/" + logId,
+        method: "GET",
+        headers: {
+          "X-WP-Nonce": assistifyAuditLog.nonce,
+        },
+        success: (log) => {
+          this.showDetails(log);
+        },
+      });
     },
 
     /**
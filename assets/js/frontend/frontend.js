@@ -7,7 +7,7 @@
  * @since   1.0.0
  */
 
-/* global jQuery, assistifyFrontend */
+/* global jQuery, assistifyFrontend, AssistifyMarkdown */
 
 (function ($) {
   "use strict";
@@ -654,7 +654,27 @@
       // Show typing indicator
       this.showTypingIndicator();
 
-      // Send to server
+      this.requestAnswer(message);
+    },
+
+    /**
+     * Send a message to the server and show the answer.
+     *
+     * @param {string} message - The customer's message.
+     * @param {boolean} renewedNonce - Whether the nonce was already renewed for this message.
+     */
+    requestAnswer: function (message, renewedNonce = false) {
+      const fail = (error) => {
+        this.hideTypingIndicator();
+        this.addMessage(
+          "assistant",
+          error || assistifyFrontend.strings.error,
+          false,
+          false
+        );
+        this.$input.prop("disabled", false).focus();
+      };
+
       $.ajax({
         url: assistifyFrontend.ajaxUrl,
         type: "POST",
@@ -666,6 +686,20 @@
           history: this.messageHistory.slice(-10),
         },
         success: (response) => {
+          // An expired nonce is renewed and the message sent again unnoticed
+          if (
+            !response.success &&
+            response.data &&
+            response.data.code === "invalid_nonce" &&
+            !renewedNonce
+          ) {
+            this.refreshNonce().then(
+              () => this.requestAnswer(message, true),
+              () => fail(response.data.message)
+            );
+            return;
+          }
+
           this.hideTypingIndicator();
 
           if (response.success) {
@@ -684,28 +718,40 @@
             });
             this.saveSession();
           } else {
-            this.addMessage(
-              "assistant",
-              response.data.message || assistifyFrontend.strings.error,
-              false,
-              false
-            );
-            this.$input.prop("disabled", false).focus();
+            fail(response.data.message);
           }
         },
         error: () => {
-          this.hideTypingIndicator();
-          this.addMessage(
-            "assistant",
-            assistifyFrontend.strings.error,
-            false,
-            false
-          );
-          this.$input.prop("disabled", false).focus();
+          fail();
         },
       });
     },
 
+    /**
+     * Ask the server for a new nonce, for pages open longer than a nonce
+     * lasts or served from a page cache.
+     *
+     * @return {Promise} Resolves once assistifyFrontend has the new nonce.
+     */
+    refreshNonce: function () {
+      return new Promise((resolve, reject) => {
+        $.ajax({
+          url: assistifyFrontend.ajaxUrl,
+          type: "POST",
+          data: { action: "assistify_refresh_frontend_nonce" },
+          success: (response) => {
+            if (response && response.success) {
+              assistifyFrontend.nonce = response.data.nonce;
+              resolve();
+            } else {
+              reject();
+            }
+          },
+          error: () => reject(),
+        });
+      });
+    },
+
     /**
      * Stream response like ChatGPT
      */
@@ -857,42 +903,7 @@
      * Parse markdown to HTML
      */
     parseMarkdown: function (text) {
-      if (!text) return "";
-
-      let html = this.escapeHtml(text);
-
-      // Code blocks
-      html = html.replace(
-        /```(\w*)\n?([\s\S]*?)```/g,
-        '<pre><code class="language-$1">$2</code></pre>'
-      );
-
-      // Inline code
-      html = html.replace(/`([^`]+)`/g, "<code>$1</code>");
-
-      // Bold
-      html = html.replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>");
-
-      // Italic
-      html = html.replace(/\*([^*]+)\*/g, "<em>$1</em>");
-
-      // Links - internal links open in same tab, external in new tab
-      html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, url) => {
-        const isInternal = this.isInternalLink(url);
-        if (isInternal) {
-          return `<a href="${url}">${text}</a>`;
-        }
-        return `<a href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>`;
-      });
-
-      // Line breaks
-      html = html.replace(/\n/g, "<br>");
-
-      // Lists
-      html = html.replace(/^- (.+)$/gm, "<li>$1</li>");
-      html = html.replace(/(<li>[\s\S]*?<\/li>)/g, "<ul>$1</ul>");
-
-      return html;
+      return AssistifyMarkdown.parse(text);
     },
 
     /**
@@ -1064,25 +1075,6 @@
         .replace(/>/g, "&gt;");
     },
 
-    /**
-     * Check if URL is internal (same domain)
-     */
-    isInternalLink: function (url) {
-      if (!url) return false;
-
-      // Relative URLs are internal
-      if (url.startsWith("/") || url.startsWith("#")) {
-        return true;
-      }
-
-      try {
-        const linkUrl = new URL(url, window.location.origin);
-        return linkUrl.hostname === window.location.hostname;
-      } catch (e) {
-        return false;
-      }
-    },
-
     /**
      * Start new chat
      */
@@ -0,0 +1,1345 @@
+/**
+ * Assistify for WooCommerce - Markdown Renderer
+ *
+ * CommonMark + GFM renderer shared by the admin and customer chat widgets.
+ * Every rendered message goes through an allow-list sanitizer.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+(function (window, document) {
+  "use strict";
+
+  /**
+   * Block-level patterns.
+   */
+  const BLOCK = {
+    blank: /^[ \t]*$/,
+    fence: /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/,
+    fenceClose: /^ {0,3}(`{3,}|~{3,})[ \t]*$/,
+    heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    rule: /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+    quote: /^ {0,3}> ?/,
+    bullet: /^( {0,3})([-+*])([ \t]+|$)/,
+    ordered: /^( {0,3})(\d{1,9})([.)])([ \t]+|$)/,
+    setext: /^ {0,3}(=+|-+)[ \t]*$/,
+    tableDelimiter:
+      /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    task: /^\[([ xX])\](?:[ \t]+|$)/,
+  };
+
+  /**
+   * ASCII punctuation that may be backslash-escaped.
+   */
+  const ESCAPABLE = /[!-/:-@[-`{-~]/;
+
+  /**
+   * Punctuation used by the emphasis flanking rules.
+   */
+  const PUNCTUATION = /[!-/:-@[-`{-~¡-¿‐-‧‰-⁞]/;
+
+  /**
+   * Tags and attributes allowed in rendered output.
+   */
+  const ALLOWED_TAGS = {
+    a: ["href", "title", "target", "rel"],
+    blockquote: [],
+    br: [],
+    code: ["class"],
+    del: [],
+    em: [],
+    h2: ["class"],
+    h3: ["class"],
+    h4: ["class"],
+    h5: ["class"],
+    h6: ["class"],
+    hr: [],
+    img: ["src", "alt", "title"],
+    input: ["type", "checked", "disabled"],
+    li: ["class"],
+    ol: ["start"],
+    p: [],
+    pre: ["class"],
+    strong: [],
+    table: ["class"],
+    tbody: [],
+    td: ["class"],
+    th: ["class"],
+    thead: [],
+    tr: [],
+    ul: ["class"],
+  };
+
+  /**
+   * Disallowed tags whose content is dropped rather than unwrapped.
+   */
+  const DROP_TAGS = [
+    "script",
+    "style",
+    "iframe",
+    "object",
+    "embed",
+    "template",
+    "svg",
+    "math",
+    "textarea",
+    "select",
+    "button",
+    "form",
+  ];
+
+  /**
+   * URL schemes allowed in links and images. Images must also be on the
+   * site the page is on; others are shown as links.
+   */
+  const LINK_SCHEMES = ["http", "https", "mailto", "tel"];
+  const IMAGE_SCHEMES = ["http", "https"];
+
+  const AssistifyMarkdown = {
+    /**
+     * Render markdown to sanitized HTML.
+     *
+     * @param {string} text - Markdown text.
+     * @return {string} Sanitized HTML string.
+     */
+    parse: function (text) {
+      if (!text) {
+        return "";
+      }
+
+      const lines = String(text)
+        .replace(/\r\n?/g, "\n")
+        .replace(/\t/g, "    ")
+        .replace(/\u0000/g, "�")
+        .split("\n");
+
+      return this.sanitize(this.renderBlocks(this.parseBlocks(lines), false));
+    },
+
+    /**
+     * Split lines into a tree of block nodes.
+     *
+     * @param {Array} lines - Source lines.
+     * @return {Array} Block nodes.
+     */
+    parseBlocks: function (lines) {
+      const blocks = [];
+      let i = 0;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (BLOCK.blank.test(line)) {
+          i++;
+          continue;
+        }
+
+        // Fenced code block
+        const fence = BLOCK.fence.exec(line);
+        if (fence) {
+          const body = [];
+          i++;
+
+          while (i < lines.length) {
+            const close = BLOCK.fenceClose.exec(lines[i]);
+            if (
+              close &&
+              close[1][0] === fence[2][0] &&
+              close[1].length >= fence[2].length
+            ) {
+              i++;
+              break;
+            }
+            body.push(this.stripIndent(lines[i], fence[1].length));
+            i++;
+          }
+
+          blocks.push({ type: "code", lang: fence[3], text: body.join("\n") });
+          continue;
+        }
+
+        // ATX heading
+        const heading = BLOCK.heading.exec(line);
+        if (heading) {
+          blocks.push({
+            type: "heading",
+            level: heading[1].length,
+            text: heading[2] || "",
+          });
+          i++;
+          continue;
+        }
+
+        // Thematic break
+        if (BLOCK.rule.test(line)) {
+          blocks.push({ type: "rule" });
+          i++;
+          continue;
+        }
+
+        // Block quote
+        if (BLOCK.quote.test(line)) {
+          const body = [];
+
+          while (i < lines.length) {
+            if (BLOCK.quote.test(lines[i])) {
+              body.push(lines[i].replace(BLOCK.quote, ""));
+            } else if (
+              !BLOCK.blank.test(lines[i]) &&
+              body.length &&
+              !BLOCK.blank.test(body[body.length - 1]) &&
+              !this.startsBlock(lines[i])
+            ) {
+              // Lazy paragraph continuation
+              body.push(lines[i]);
+            } else {
+              break;
+            }
+            i++;
+          }
+
+          blocks.push({ type: "quote", children: this.parseBlocks(body) });
+          continue;
+        }
+
+        // List
+        if (this.getListMarker(line)) {
+          const list = this.parseList(lines, i);
+          blocks.push(list.node);
+          i = list.next;
+          continue;
+        }
+
+        // GFM table
+        if (this.isTableStart(lines, i)) {
+          const table = this.parseTable(lines, i);
+          blocks.push(table.node);
+          i = table.next;
+          continue;
+        }
+
+        // Indented code block
+        if (this.countIndent(line) >= 4) {
+          const body = [];
+
+          while (
+            i < lines.length &&
+            (BLOCK.blank.test(lines[i]) || this.countIndent(lines[i]) >= 4)
+          ) {
+            body.push(this.stripIndent(lines[i], 4));
+            i++;
+          }
+
+          while (body.length && BLOCK.blank.test(body[body.length - 1])) {
+            body.pop();
+          }
+
+          blocks.push({ type: "code", lang: "", text: body.join("\n") });
+          continue;
+        }
+
+        // Paragraph, possibly turned into a setext heading
+        const body = [line.trim()];
+        let level = 0;
+        i++;
+
+        while (i < lines.length && !BLOCK.blank.test(lines[i])) {
+          const setext = BLOCK.setext.exec(lines[i]);
+          if (setext) {
+            level = setext[1][0] === "=" ? 1 : 2;
+            i++;
+            break;
+          }
+
+          if (this.startsBlock(lines[i]) || this.isTableStart(lines, i)) {
+            break;
+          }
+
+          body.push(lines[i].trim());
+          i++;
+        }
+
+        if (level) {
+          blocks.push({ type: "heading", level: level, text: body.join("\n") });
+        } else {
+          blocks.push({ type: "paragraph", text: body.join("\n") });
+        }
+      }
+
+      return blocks;
+    },
+
+    /**
+     * Parse a list starting at the given line.
+     *
+     * @param {Array} lines - Source lines.
+     * @param {number} start - Index of the first list item.
+     * @return {Object} The list node and the index after the list.
+     */
+    parseList: function (lines, start) {
+      const first = this.getListMarker(lines[start]);
+      const items = [];
+      let current = [first.content];
+      let offset = first.offset;
+      let loose = false;
+      let previousBlank = false;
+      let i = start + 1;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (BLOCK.blank.test(line)) {
+          current.push("");
+          previousBlank = true;
+          i++;
+          continue;
+        }
+
+        // Continuation of the current item
+        if (this.countIndent(line) >= offset) {
+          current.push(line.slice(offset));
+          previousBlank = false;
+          i++;
+          continue;
+        }
+
+        // Next item of the same list
+        const marker = this.getListMarker(line);
+        if (
+          marker &&
+          marker.ordered === first.ordered &&
+          marker.symbol === first.symbol &&
+          !BLOCK.rule.test(line)
+        ) {
+          if (previousBlank) {
+            loose = true;
+          }
+          items.push(current);
+          current = [marker.content];
+          offset = marker.offset;
+          previousBlank = false;
+          i++;
+          continue;
+        }
+
+        // Lazy paragraph continuation
+        if (!previousBlank && !this.startsBlock(line)) {
+          current.push(line.trim());
+          i++;
+          continue;
+        }
+
+        break;
+      }
+
+      items.push(current);
+
+      const nodes = items.map((itemLines) => {
+        while (
+          itemLines.length &&
+          BLOCK.blank.test(itemLines[itemLines.length - 1])
+        ) {
+          itemLines.pop();
+        }
+
+        let task = null;
+        const taskMatch = BLOCK.task.exec(itemLines[0] || "");
+        if (taskMatch) {
+          task = taskMatch[1] !== " ";
+          itemLines[0] = itemLines[0].slice(taskMatch[0].length);
+        }
+
+        const children = this.parseBlocks(itemLines);
+
+        // A blank line between two blocks of an item makes the list loose
+        if (children.length > 1 && itemLines.some((l) => BLOCK.blank.test(l))) {
+          loose = true;
+        }
+
+        return { task: task, children: children };
+      });
+
+      return {
+        node: {
+          type: "list",
+          ordered: first.ordered,
+          start: first.start,
+          tight: !loose,
+          items: nodes,
+        },
+        next: i,
+      };
+    },
+
+    /**
+     * Parse a GFM table starting at the given line.
+     *
+     * @param {Array} lines - Source lines.
+     * @param {number} start - Index of the header row.
+     * @return {Object} The table node and the index after the table.
+     */
+    parseTable: function (lines, start) {
+      const header = this.splitTableRow(lines[start]);
+      const align = this.splitTableRow(lines[start + 1]).map((cell) => {
+        const left = cell.charAt(0) === ":";
+        const right = cell.charAt(cell.length - 1) === ":";
+        if (left && right) {
+          return "center";
+        }
+        if (right) {
+          return "right";
+        }
+        if (left) {
+          return "left";
+        }
+        return "";
+      });
+      const rows = [];
+      let i = start + 2;
+
+      while (
+        i < lines.length &&
+        !BLOCK.blank.test(lines[i]) &&
+        !this.startsBlock(lines[i])
+      ) {
+        const cells = this.splitTableRow(lines[i]);
+        rows.push(header.map((cell, index) => cells[index] || ""));
+        i++;
+      }
+
+      return {
+        node: { type: "table", header: header, align: align, rows: rows },
+        next: i,
+      };
+    },
+
+    /**
+     * Check whether a GFM table starts at the given line.
+     *
+     * @param {Array} lines - Source lines.
+     * @param {number} index - Line index.
+     * @return {boolean} True if the line is a table header row.
+     */
+    isTableStart: function (lines, index) {
+      const line = lines[index];
+      const delimiter = lines[index + 1];
+
+      if (
+        delimiter === undefined ||
+        line.indexOf("|") === -1 ||
+        !BLOCK.tableDelimiter.test(delimiter) ||
+        (delimiter.indexOf("|") === -1 && delimiter.indexOf(":") === -1)
+      ) {
+        return false;
+      }
+
+      return (
+        this.splitTableRow(line).length === this.splitTableRow(delimiter).length
+      );
+    },
+
+    /**
+     * Split a table row into trimmed cells, honouring escaped pipes.
+     *
+     * @param {string} line - Table row.
+     * @return {Array} Cell contents.
+     */
+    splitTableRow: function (line) {
+      let row = line.trim();
+
+      if (row.charAt(0) === "|") {
+        row = row.slice(1);
+      }
+      if (
+        row.charAt(row.length - 1) === "|" &&
+        row.charAt(row.length - 2) !== "\\"
+      ) {
+        row = row.slice(0, -1);
+      }
+
+      const cells = [];
+      let cell = "";
+
+      for (let i = 0; i < row.length; i++) {
+        if (row[i] === "\\" && row[i + 1] === "|") {
+          cell += "|";
+          i++;
+        } else if (row[i] === "|") {
+          cells.push(cell.trim());
+          cell = "";
+        } else {
+          cell += row[i];
+        }
+      }
+      cells.push(cell.trim());
+
+      return cells;
+    },
+
+    /**
+     * Get the list marker of a line, if it starts a list item.
+     *
+     * @param {string} line - Source line.
+     * @return {Object|null} Marker details or null.
+     */
+    getListMarker: function (line) {
+      let match = BLOCK.bullet.exec(line);
+      let marker = null;
+
+      if (match) {
+        marker = {
+          ordered: false,
+          symbol: match[2],
+          start: 1,
+          width: match[1].length + 1,
+          spaces: match[3].length,
+        };
+      } else {
+        match = BLOCK.ordered.exec(line);
+        if (!match) {
+          return null;
+        }
+        marker = {
+          ordered: true,
+          symbol: match[3],
+          start: parseInt(match[2], 10),
+          width: match[1].length + match[2].length + 1,
+          spaces: match[4].length,
+        };
+      }
+
+      // An empty item, or content indented as code, sits one space in
+      const rest = line.slice(match[0].length);
+      if (!marker.spaces || !rest || marker.spaces > 4) {
+        marker.offset = marker.width + 1;
+        marker.content = " ".repeat(Math.max(marker.spaces - 1, 0)) + rest;
+      } else {
+        marker.offset = marker.width + marker.spaces;
+        marker.content = rest;
+      }
+
+      return marker;
+    },
+
+    /**
+     * Check whether a line can interrupt a paragraph.
+     *
+     * @param {string} line - Source line.
+     * @return {boolean} True if the line starts a new block.
+     */
+    startsBlock: function (line) {
+      if (
+        BLOCK.fence.test(line) ||
+        BLOCK.heading.test(line) ||
+        BLOCK.rule.test(line) ||
+        BLOCK.quote.test(line)
+      ) {
+        return true;
+      }
+
+      const marker = this.getListMarker(line);
+      return (
+        !!marker &&
+        marker.content.trim() !== "" &&
+        (!marker.ordered || marker.start === 1)
+      );
+    },
+
+    /**
+     * Count the leading spaces of a line.
+     *
+     * @param {string} line - Source line.
+     * @return {number} Number of leading spaces.
+     */
+    countIndent: function (line) {
+      return line.length - line.replace(/^ +/, "").length;
+    },
+
+    /**
+     * Remove up to the given number of leading spaces.
+     *
+     * @param {string} line - Source line.
+     * @param {number} count - Maximum spaces to remove.
+     * @return {string} The line without its indentation.
+     */
+    stripIndent: function (line, count) {
+      return line.slice(Math.min(this.countIndent(line), count));
+    },
+
+    /**
+     * Render block nodes to HTML.
+     *
+     * @param {Array} blocks - Block nodes.
+     * @param {boolean} tight - Whether paragraphs belong to a tight list.
+     * @return {string} HTML string.
+     */
+    renderBlocks: function (blocks, tight) {
+      return blocks.map((block) => this.renderBlock(block, tight)).join("");
+    },
+
+    /**
+     * Render a single block node to HTML.
+     *
+     * @param {Object} block - Block node.
+     * @param {boolean} tight - Whether paragraphs belong to a tight list.
+     * @return {string} HTML string.
+     */
+    renderBlock: function (block, tight) {
+      switch (block.type) {
+        case "paragraph":
+          return tight
+            ? this.parseInline(block.text)
+            : `<p>${this.parseInline(block.text)}</p>`;
+
+        case "heading": {
+          // Message bubbles start at h2, matching the widget styles
+          const level = Math.min(block.level + 1, 6);
+          return `<h${level} class="assistify-h${level}">${this.parseInline(
+            block.text
+          )}</h${level}>`;
+        }
+
+        case "code": {
+          const lang = (block.lang || "").replace(/[^\w+-]/g, "");
+          const langClass = lang ? ` class="language-${lang}"` : "";
+          return `<pre class="assistify-code-block"><code${langClass}>${this.escapeHtml(
+            block.text
+          )}</code></pre>`;
+        }
+
+        case "rule":
+          return "<hr>";
+
+        case "quote":
+          return `<blockquote>${this.renderBlocks(
+            block.children,
+            false
+          )}</blockquote>`;
+
+        case "list":
+          return this.renderList(block);
+
+        case "table":
+          return this.renderTable(block);
+      }
+
+      return "";
+    },
+
+    /**
+     * Render a list node to HTML.
+     *
+     * @param {Object} list - List node.
+     * @return {string} HTML string.
+     */
+    renderList: function (list) {
+      const tag = list.ordered ? "ol" : "ul";
+      const start =
+        list.ordered && list.start !== 1 ? ` start="${list.start}"` : "";
+      const isTaskList = list.items.every((item) => item.task !== null);
+      const listClass = isTaskList ? ' class="assistify-task-list"' : "";
+
+      const items = list.items
+        .map((item) => {
+          const content = this.renderBlocks(item.children, list.tight);
+
+          if (item.task === null) {
+            return `<li>${content}</li>`;
+          }
+
+          const checked = item.task ? " checked" : "";
+          return `<li class="assistify-task-item"><input type="checkbox" disabled${checked}> ${content}</li>`;
+        })
+        .join("");
+
+      return `<${tag}${start}${listClass}>${items}</${tag}>`;
+    },
+
+    /**
+     * Render a table node to HTML.
+     *
+     * @param {Object} table - Table node.
+     * @return {string} HTML string.
+     */
+    renderTable: function (table) {
+      const cell = (tag, content, index) => {
+        const align = table.align[index]
+          ? ` class="assistify-align-${table.align[index]}"`
+          : "";
+        return `<${tag}${align}>${this.parseInline(content)}</${tag}>`;
+      };
+
+      let html = '<table class="assistify-table"><thead><tr>';
+      html += table.header.map((content, i) => cell("th", content, i)).join("");
+      html += "</tr></thead>";
+
+      if (table.rows.length) {
+        html += "<tbody>";
+        table.rows.forEach((row) => {
+          html +=
+            "<tr>" +
+            row.map((content, i) => cell("td", content, i)).join("") +
+            "</tr>";
+        });
+        html += "</tbody>";
+      }
+
+      return html + "</table>";
+    },
+
+    /**
+     * Render inline markdown to HTML.
+     *
+     * @param {string} text - Inline markdown.
+     * @return {string} HTML string.
+     */
+    parseInline: function (text) {
+      const nodes = [];
+      let buffer = "";
+      let i = 0;
+
+      const flush = () => {
+        if (buffer) {
+          nodes.push({ type: "html", value: buffer });
+          buffer = "";
+        }
+      };
+
+      const push = (html) => {
+        flush();
+        nodes.push({ type: "html", value: html });
+      };
+
+      while (i < text.length) {
+        const ch = text[i];
+
+        // Backslash escapes and hard breaks
+        if (ch === "\\") {
+          const next = text[i + 1];
+          if (next === "\n") {
+            push("<br>");
+            i += 2;
+            continue;
+          }
+          if (next && ESCAPABLE.test(next)) {
+            buffer += this.escapeHtml(next);
+            i += 2;
+            continue;
+          }
+          buffer += "\\";
+          i++;
+          continue;
+        }
+
+        // Code spans
+        if (ch === "`") {
+          const span = this.matchCodeSpan(text, i);
+          if (span) {
+            push(
+              `<code class="assistify-inline-code">${this.escapeHtml(
+                span.content
+              )}</code>`
+            );
+            i = span.end;
+          } else {
+            const run = /^`+/.exec(text.slice(i))[0];
+            buffer += run;
+            i += run.length;
+          }
+          continue;
+        }
+
+        // Images
+        if (ch === "!" && text[i + 1] === "[") {
+          const image = this.matchLink(text, i + 1);
+          if (image) {
+            const title = image.title
+              ? ` title="${this.escapeHtml(image.title)}"`
+              : "";
+            push(
+              `<img src="${this.escapeHtml(image.url)}" alt="${this.escapeHtml(
+                image.label
+              )}"${title}>`
+            );
+            i = image.end;
+            continue;
+          }
+        }
+
+        // Links
+        if (ch === "[") {
+          const link = this.matchLink(text, i);
+          if (link) {
+            const title = link.title
+              ? ` title="${this.escapeHtml(link.title)}"`
+              : "";
+            push(
+              `<a href="${this.escapeHtml(
+                link.url
+              )}"${title}>${this.parseInline(link.label)}</a>`
+            );
+            i = link.end;
+            continue;
+          }
+        }
+
+        // Autolinks (<https://...> or <name@example.com>)
+        if (ch === "<") {
+          const rest = text.slice(i);
+          const uri = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/.exec(rest);
+          const email = /^<([^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/.exec(rest);
+
+          if (uri || email) {
+            const href = uri ? uri[1] : "mailto:" + email[1];
+            const label = uri ? uri[1] : email[1];
+            push(
+              `<a href="${this.escapeHtml(href)}">${this.escapeHtml(label)}</a>`
+            );
+            i += (uri || email)[0].length;
+            continue;
+          }
+        }
+
+        // GFM extended autolinks (https://... or www....)
+        if (
+          (ch === "h" || ch === "H" || ch === "w" || ch === "W") &&
+          (i === 0 || /[\s*_~(]/.test(text[i - 1]))
+        ) {
+          const url = this.matchBareUrl(text.slice(i));
+          if (url) {
+            const href = /^www\./i.test(url) ? "http://" + url : url;
+            push(
+              `<a href="${this.escapeHtml(href)}">${this.escapeHtml(url)}</a>`
+            );
+            i += url.length;
+            continue;
+          }
+        }
+
+        // Emphasis and strikethrough delimiter runs
+        if (ch === "*" || ch === "_" || ch === "~") {
+          let end = i;
+          while (text[end] === ch) {
+            end++;
+          }
+          const count = end - i;
+
+          if (ch === "~" && count > 2) {
+            buffer += text.slice(i, end);
+            i = end;
+            continue;
+          }
+
+          const before = i === 0 ? " " : text[i - 1];
+          const after = end >= text.length ? " " : text[end];
+          const left =
+            !/\s/.test(after) &&
+            (!PUNCTUATION.test(after) ||
+              /\s/.test(before) ||
+              PUNCTUATION.test(before));
+          const right =
+            !/\s/.test(before) &&
+            (!PUNCTUATION.test(before) ||
+              /\s/.test(after) ||
+              PUNCTUATION.test(after));
+
+          flush();
+          nodes.push({
+            type: "delimiter",
+            char: ch,
+            count: count,
+            original: count,
+            canOpen:
+              ch === "_" ? left && (!right || PUNCTUATION.test(before)) : left,
+            canClose:
+              ch === "_" ? right && (!left || PUNCTUATION.test(after)) : right,
+            open: [],
+            close: [],
+          });
+          i = end;
+          continue;
+        }
+
+        // Line breaks; chat answers keep single newlines as breaks
+        if (ch === "\n") {
+          buffer = buffer.replace(/ +$/, "");
+          push("<br>");
+          i++;
+          while (text[i] === " ") {
+            i++;
+          }
+          continue;
+        }
+
+        // Keep valid entity references, escape everything else
+        if (ch === "&") {
+          const entity =
+            /^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/.exec(
+              text.slice(i)
+            );
+          if (entity) {
+            buffer += entity[0];
+            i += entity[0].length;
+            continue;
+          }
+        }
+
+        buffer += this.escapeHtml(ch);
+        i++;
+      }
+
+      flush();
+      this.processEmphasis(nodes);
+
+      return nodes
+        .map((node) => {
+          if (node.type === "html") {
+            return node.value;
+          }
+          return (
+            node.close.map((tag) => `</${tag}>`).join("") +
+            node.char.repeat(node.count) +
+            node.open
+              .slice()
+              .reverse()
+              .map((tag) => `<${tag}>`)
+              .join("")
+          );
+        })
+        .join("");
+    },
+
+    /**
+     * Pair emphasis delimiter runs into em, strong and del tags.
+     *
+     * Follows the CommonMark delimiter algorithm: each closer is matched
+     * with the nearest compatible opener, innermost pairs first.
+     *
+     * @param {Array} nodes - Inline nodes, updated in place.
+     */
+    processEmphasis: function (nodes) {
+      for (let c = 0; c < nodes.length; c++) {
+        const closer = nodes[c];
+
+        if (closer.type !== "delimiter" || !closer.canClose) {
+          continue;
+        }
+
+        while (closer.count > 0) {
+          let opener = null;
+          let o = c - 1;
+
+          for (; o >= 0; o--) {
+            const node = nodes[o];
+
+            if (
+              node.type !== "delimiter" ||
+              node.char !== closer.char ||
+              !node.canOpen ||
+              node.count === 0
+            ) {
+              continue;
+            }
+
+            if (closer.char === "~") {
+              if (node.count !== closer.count) {
+                continue;
+              }
+            } else if (
+              (node.canClose || closer.canOpen) &&
+              (node.original + closer.original) % 3 === 0 &&
+              !(node.original % 3 === 0 && closer.original % 3 === 0)
+            ) {
+              continue;
+            }
+
+            opener = node;
+            break;
+          }
+
+          if (!opener) {
+            break;
+          }
+
+          let use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+          let tag = use === 2 ? "strong" : "em";
+          if (closer.char === "~") {
+            use = closer.count;
+            tag = "del";
+          }
+
+          opener.count -= use;
+          closer.count -= use;
+          opener.open.push(tag);
+          closer.close.push(tag);
+
+          // Delimiters between a matched pair can no longer match
+          for (let k = o + 1; k < c; k++) {
+            if (nodes[k].type === "delimiter") {
+              nodes[k].canOpen = false;
+              nodes[k].canClose = false;
+            }
+          }
+        }
+      }
+    },
+
+    /**
+     * Match a code span starting at a backtick run.
+     *
+     * @param {string} text - Inline text.
+     * @param {number} start - Index of the opening backtick.
+     * @return {Object|null} Span content and end index, or null.
+     */
+    matchCodeSpan: function (text, start) {
+      const open = /^`+/.exec(text.slice(start))[0];
+      let i = start + open.length;
+
+      while (i < text.length) {
+        if (text[i] !== "`") {
+          i++;
+          continue;
+        }
+
+        const run = /^`+/.exec(text.slice(i))[0];
+        if (run.length === open.length) {
+          let content = text.slice(start + open.length, i).replace(/\n/g, " ");
+          if (/^ [\s\S]* $/.test(content) && content.trim() !== "") {
+            content = content.slice(1, -1);
+          }
+          return { content: content, end: i + run.length };
+        }
+        i += run.length;
+      }
+
+      return null;
+    },
+
+    /**
+     * Match an inline link or image starting at an opening bracket.
+     *
+     * Supports balanced parentheses and <...> destinations and an optional
+     * quoted title.
+     *
+     * @param {string} text - Inline text.
+     * @param {number} start - Index of the opening bracket.
+     * @return {Object|null} Label, URL, title and end index, or null.
+     */
+    matchLink: function (text, start) {
+      let depth = 0;
+      let close = -1;
+
+      for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+
+        if (ch === "\\") {
+          i++;
+        } else if (ch === "`") {
+          const span = this.matchCodeSpan(text, i);
+          if (span) {
+            i = span.end - 1;
+          }
+        } else if (ch === "[") {
+          depth++;
+        } else if (ch === "]") {
+          depth--;
+          if (depth === 0) {
+            close = i;
+            break;
+          }
+        }
+      }
+
+      if (close === -1 || text[close + 1] !== "(") {
+        return null;
+      }
+
+      let i = close + 2;
+      let url = "";
+      let title = "";
+
+      while (/\s/.test(text[i] || "")) {
+        i++;
+      }
+
+      if (text[i] === "<") {
+        const end = text.indexOf(">", i);
+        if (end === -1 || text.slice(i + 1, end).indexOf("\n") !== -1) {
+          return null;
+        }
+        url = text.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        const begin = i;
+        let parens = 0;
+
+        while (i < text.length) {
+          const ch = text[i];
+          if (ch === "\\" && i + 1 < text.length) {
+            i += 2;
+            continue;
+          }
+          if (/\s/.test(ch)) {
+            break;
+          }
+          if (ch === "(") {
+            parens++;
+          } else if (ch === ")") {
+            if (parens === 0) {
+              break;
+            }
+            parens--;
+          }
+          i++;
+        }
+
+        if (parens !== 0) {
+          return null;
+        }
+        url = text.slice(begin, i);
+      }
+
+      while (/\s/.test(text[i] || "")) {
+        i++;
+      }
+
+      const quote = text[i];
+      if (quote === '"' || quote === "'" || quote === "(") {
+        const end = text.indexOf(quote === "(" ? ")" : quote, i + 1);
+        if (end === -1) {
+          return null;
+        }
+        title = text.slice(i + 1, end);
+        i = end + 1;
+
+        while (/\s/.test(text[i] || "")) {
+          i++;
+        }
+      }
+
+      if (text[i] !== ")") {
+        return null;
+      }
+
+      return {
+        label: text.slice(start + 1, close),
+        url: url.replace(/\\([!-/:-@[-`{-~])/g, "$1"),
+        title: title,
+        end: i + 1,
+      };
+    },
+
+    /**
+     * Match a GFM extended autolink at the start of the text.
+     *
+     * @param {string} text - Text starting at a possible URL.
+     * @return {string} The URL, or an empty string.
+     */
+    matchBareUrl: function (text) {
+      const match = /^(?:https?:\/\/|www\.)[^\s<]+/i.exec(text);
+      if (!match) {
+        return "";
+      }
+
+      let url = match[0].replace(/[?!.,:*_~'"]+$/, "");
+
+      // Drop trailing parentheses that are not balanced inside the URL
+      while (
+        url.charAt(url.length - 1) === ")" &&
+        (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length
+      ) {
+        url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, "");
+      }
+
+      return /^(?:https?:\/\/|www\.)./i.test(url) ? url : "";
+    },
+
+    /**
+     * Remove anything not on the allow-list from rendered HTML.
+     *
+     * @param {string} html - HTML string.
+     * @return {string} Sanitized HTML string.
+     */
+    sanitize: function (html) {
+      const template = document.createElement("template");
+      template.innerHTML = html;
+      this.sanitizeNode(template.content);
+      return template.innerHTML;
+    },
+
+    /**
+     * Sanitize the children of a DOM node in place.
+     *
+     * @param {Node} parent - Parent node.
+     */
+    sanitizeNode: function (parent) {
+      Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        const tag = node.nodeName.toLowerCase();
+
+        if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+          if (DROP_TAGS.indexOf(tag) !== -1) {
+            node.remove();
+          } else {
+            this.sanitizeNode(node);
+            node.replaceWith(...Array.from(node.childNodes));
+          }
+          return;
+        }
+
+        Array.from(node.attributes).forEach((attr) => {
+          if (ALLOWED_TAGS[tag].indexOf(attr.name.toLowerCase()) === -1) {
+            node.removeAttribute(attr.name);
+          }
+        });
+
+        if (node.hasAttribute("class")) {
+          const classes = node
+            .getAttribute("class")
+            .split(/\s+/)
+            .filter((name) => /^(assistify|language)-[\w+-]+$/.test(name));
+          if (classes.length) {
+            node.setAttribute("class", classes.join(" "));
+          } else {
+            node.removeAttribute("class");
+          }
+        }
+
+        if (tag === "a") {
+          this.sanitizeLink(node);
+        } else if (tag === "img") {
+          const src = node.getAttribute("src") || "";
+
+          if (!this.isSafeUrl(src, IMAGE_SCHEMES)) {
+            node.remove();
+            return;
+          }
+
+          // Images from other sites would load, and leak whatever their URL
+          // carries, without a click; they are shown as links instead
+          if (!this.isSameOriginUrl(src)) {
+            const link = document.createElement("a");
+
+            link.setAttribute("href", src);
+            link.textContent =
+              node.getAttribute("alt") || node.getAttribute("title") || src;
+            this.sanitizeLink(link);
+            node.replaceWith(link);
+            return;
+          }
+          node.setAttribute("loading", "lazy");
+        } else if (tag === "input") {
+          if ((node.getAttribute("type") || "").toLowerCase() !== "checkbox") {
+            node.remove();
+            return;
+          }
+          node.setAttribute("disabled", "");
+        }
+
+        this.sanitizeNode(node);
+      });
+    },
+
+    /**
+     * Validate a link and apply the new-tab policy for external URLs.
+     *
+     * @param {Element} link - Anchor element.
+     */
+    sanitizeLink: function (link) {
+      const href = link.getAttribute("href") || "";
+
+      link.removeAttribute("target");
+      link.removeAttribute("rel");
+
+      if (!href || !this.isSafeUrl(href, LINK_SCHEMES)) {
+        link.removeAttribute("href");
+        return;
+      }
+
+      if (this.isExternalUrl(href)) {
+        link.setAttribute("target", "_blank");
+        link.setAttribute("rel", "noopener noreferrer");
+      }
+    },
+
+    /**
+     * Check a URL against a list of allowed schemes.
+     *
+     * Relative URLs are always allowed.
+     *
+     * @param {string} url - URL to check.
+     * @param {Array} schemes - Allowed schemes.
+     * @return {boolean} True if the URL is safe.
+     */
+    isSafeUrl: function (url, schemes) {
+      // Browsers skip control characters and spaces when reading the scheme
+      const value = Array.from(url)
+        .filter((char) => char.charCodeAt(0) > 32 && char.charCodeAt(0) !== 127)
+        .join("")
+        .toLowerCase();
+      const scheme = /^([a-z][a-z0-9+.-]*):/.exec(value);
+
+      return !scheme || schemes.indexOf(scheme[1]) !== -1;
+    },
+
+    /**
+     * Check whether a URL points to the site the page is on.
+     *
+     * @param {string} url - URL to check.
+     * @return {boolean} True for URLs on the same origin.
+     */
+    isSameOriginUrl: function (url) {
+      try {
+        return (
+          new URL(url, window.location.href).origin === window.location.origin
+        );
+      } catch (e) {
+        return false;
+      }
+    },
+
+    /**
+     * Check whether an http(s) URL points to another site.
+     *
+     * @param {string} url - URL to check.
+     * @return {boolean} True for links to other hosts.
+     */
+    isExternalUrl: function (url) {
+      try {
+        const parsed = new URL(url, window.location.href);
+        return (
+          (parsed.protocol === "http:" || parsed.protocol === "https:") &&
+          parsed.hostname !== window.location.hostname
+        );
+      } catch (e) {
+        return false;
+      }
+    },
+
+    /**
+     * Escape HTML special characters.
+     *
+     * @param {string} text - Text to escape.
+     * @return {string} Escaped text.
+     */
+    escapeHtml: function (text) {
+      return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+    },
+  };
+
+  window.AssistifyMarkdown = AssistifyMarkdown;
+})(window, document);
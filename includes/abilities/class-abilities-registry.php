@@ -106,6 +106,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -135,6 +136,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -153,6 +155,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -177,6 +180,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -297,6 +301,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -354,6 +359,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -404,6 +410,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -662,6 +669,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -687,6 +695,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -717,6 +726,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -742,6 +752,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -777,6 +788,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -808,6 +820,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -827,6 +840,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -847,6 +861,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -867,6 +882,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -887,6 +903,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -900,6 +917,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_products_stock_value' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -920,6 +938,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -940,6 +959,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -966,6 +986,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -992,6 +1013,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1018,6 +1040,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1038,6 +1061,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1064,6 +1088,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1084,6 +1109,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1110,6 +1136,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1130,6 +1157,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1154,6 +1182,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => '', // Public - no capability required.
+				'read_only'   => true,
 			)
 		);
 
@@ -1184,6 +1213,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => '', // Public - no capability required.
+				'read_only'   => true,
 			)
 		);
 
@@ -1203,6 +1233,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1234,6 +1265,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1258,6 +1290,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1282,6 +1315,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1305,6 +1339,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1317,6 +1352,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_store_status' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1329,6 +1365,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_store_payment_gateways' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1341,6 +1378,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_store_shipping_zones' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1353,6 +1391,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_store_shipping_classes' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1371,6 +1410,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1383,6 +1423,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_store_tax_classes' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1412,6 +1453,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1435,6 +1477,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1622,6 +1665,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1656,6 +1700,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1675,6 +1720,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1700,6 +1746,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1718,6 +1765,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1745,6 +1793,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1768,6 +1817,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1786,6 +1836,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1804,6 +1855,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1827,6 +1879,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1845,6 +1898,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -1873,6 +1927,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'read',
+				'read_only'   => true,
 			)
 		);
 
@@ -1902,6 +1957,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => '', // Public - no capability required.
+				'read_only'   => true,
 			)
 		);
 
@@ -1922,6 +1978,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => '', // Public - no capability required.
+				'read_only'   => true,
 			)
 		);
 
@@ -1942,6 +1999,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => '', // Public - no capability required.
+				'read_only'   => true,
 			)
 		);
 
@@ -1961,6 +2019,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => '', // Public - no capability required.
+				'read_only'   => true,
 			)
 		);
 
@@ -1991,6 +2050,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2022,6 +2082,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2048,6 +2109,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2061,6 +2123,7 @@ class Abilities_Registry {
 				'callback'    => array( $this, 'ability_orders_processing_count' ),
 				'parameters'  => array(),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2081,6 +2144,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2101,6 +2165,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2125,6 +2190,7 @@ class Abilities_Registry {
 					),
 				),
 				'capability'  => 'manage_woocommerce',
+				'read_only'   => true,
 			)
 		);
 
@@ -2466,6 +2532,9 @@ class Abilities_Registry {
 	/**
 	 * Register an ability.
 	 *
+	 * Abilities that never change store data should set 'read_only'; only
+	 * those can be run directly as admin chat slash commands.
+	 *
 	 * @since 1.0.0
 	 * @param string $ability_id Unique ability identifier (e.g., 'afw/orders/get').
 	 * @param array  $args       Ability arguments.
@@ -2481,6 +2550,7 @@ class Abilities_Registry {
 			'capability'       => 'manage_woocommerce',
 			'requires_confirm' => false,
 			'is_destructive'   => false,
+			'read_only'        => false,
 		);
 
 		$args = wp_parse_args( $args, $defaults );
@@ -0,0 +1,463 @@
+<?php
+/**
+ * Undo for Confirmed Admin Chat Actions
+ *
+ * Records the state of orders and products before a confirmed tool runs so
+ * the admin can revert the change for a limited time afterwards.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Action Undo class.
+ *
+ * @since 1.1.0
+ */
+class Action_Undo {
+
+	/**
+	 * Transient prefix for undo records.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'assistify_undo_';
+
+	/**
+	 * Default undo window in minutes.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const DEFAULT_WINDOW = 10;
+
+	/**
+	 * Product props that can be restored, in the order they are set back.
+	 *
+	 * Stock management comes before the quantity and the stock status last,
+	 * since WooCommerce derives the status from the other two.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	const PRODUCT_PROPS = array(
+		'name',
+		'description',
+		'short_description',
+		'sku',
+		'regular_price',
+		'sale_price',
+		'status',
+		'catalog_visibility',
+		'featured',
+		'virtual',
+		'downloadable',
+		'tax_status',
+		'tax_class',
+		'manage_stock',
+		'stock_quantity',
+		'backorders',
+		'weight',
+		'length',
+		'width',
+		'height',
+		'category_ids',
+		'tag_ids',
+		'stock_status',
+	);
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Action_Undo|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Action_Undo
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Get the undo window.
+	 *
+	 * @since 1.1.0
+	 * @return int Window in seconds, 0 when undo is disabled.
+	 */
+	public function get_window() {
+		return absint( get_option( 'assistify_undo_window', self::DEFAULT_WINDOW ) ) * MINUTE_IN_SECONDS;
+	}
+
+	/**
+	 * Check whether a tool can be undone.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @return bool True if the tool is reversible.
+	 */
+	public function is_reversible( $name ) {
+		return in_array(
+			$name,
+			array(
+				'update_order_status',
+				'bulk_order_status',
+				'add_order_note',
+				'update_product',
+				'update_product_price',
+				'update_product_stock',
+				'bulk_update_prices',
+			),
+			true
+		);
+	}
+
+	/**
+	 * Explain why a tool cannot be undone.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @return string Reason.
+	 */
+	public function get_restriction( $name ) {
+		if ( 'create_refund' === $name ) {
+			return __( 'Refunds cannot be undone.', 'assistify-for-woocommerce' );
+		}
+
+		if ( 0 === strpos( $name, 'delete_' ) ) {
+			return __( 'Deleted items cannot be restored.', 'assistify-for-woocommerce' );
+		}
+
+		return __( 'This action cannot be undone from the chat.', 'assistify-for-woocommerce' );
+	}
+
+	/**
+	 * Record the state a tool is about to change.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @param array  $args Tool arguments.
+	 * @return array|null Entries describing the current state, or null if the tool is not reversible.
+	 */
+	public function capture( $name, $args ) {
+		if ( ! $this->is_reversible( $name ) ) {
+			return null;
+		}
+
+		$entries = array();
+
+		switch ( $name ) {
+			case 'update_order_status':
+			case 'bulk_order_status':
+			case 'add_order_note':
+				$order_ids   = 'bulk_order_status' === $name ? (array) ( $args['order_ids'] ?? array() ) : array( $args['order_id'] ?? 0 );
+				$with_status = 'add_order_note' !== $name;
+
+				foreach ( array_unique( array_filter( array_map( 'absint', $order_ids ) ) ) as $order_id ) {
+					$order = wc_get_order( $order_id );
+
+					if ( $order ) {
+						$entries[] = array(
+							'type'   => 'order',
+							'id'     => $order_id,
+							'status' => $with_status ? $order->get_status() : null,
+							'notes'  => $this->get_note_ids( $order_id ),
+						);
+					}
+				}
+				break;
+
+			case 'bulk_update_prices':
+				foreach ( Admin_Tools::instance()->get_bulk_price_products( $args ) as $product ) {
+					$entries[] = $this->capture_product( $product, array( 'regular_price', 'sale_price' ) );
+				}
+				break;
+
+			default:
+				$product = wc_get_product( absint( $args['product_id'] ?? 0 ) );
+
+				if ( ! $product ) {
+					break;
+				}
+
+				if ( 'update_product_price' === $name ) {
+					$props = array( 'regular_price', 'sale_price' );
+				} elseif ( 'update_product_stock' === $name ) {
+					$props = array( 'manage_stock', 'stock_quantity' );
+				} else {
+					$props = array_intersect( self::PRODUCT_PROPS, array_keys( $args ) );
+				}
+
+				if ( array_intersect( array( 'manage_stock', 'stock_quantity' ), $props ) ) {
+					$props[] = 'stock_status';
+				}
+
+				$entries[] = $this->capture_product( $product, $props );
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Record the state a tool left behind, to detect later edits.
+	 *
+	 * @since 1.1.0
+	 * @param array $entries Entries from capture().
+	 * @return array Entries with the state after the change.
+	 */
+	public function complete( array $entries ) {
+		foreach ( $entries as $index => $entry ) {
+			if ( 'order' === $entry['type'] ) {
+				$order = wc_get_order( $entry['id'] );
+
+				$entries[ $index ]['after'] = $order && null !== $entry['status'] ? $order->get_status() : null;
+				$entries[ $index ]['added'] = array_values( array_diff( $this->get_note_ids( $entry['id'] ), $entry['notes'] ) );
+				unset( $entries[ $index ]['notes'] );
+				continue;
+			}
+
+			$product = wc_get_product( $entry['id'] );
+
+			$entries[ $index ]['after'] = $product ? $this->get_props( $product, array_keys( $entry['props'] ) ) : array();
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Store completed operations so they can be undone.
+	 *
+	 * @since 1.1.0
+	 * @param array  $operations Operations, each with 'tool', 'summary', 'category' and 'entries'.
+	 * @param string $session_id Chat session ID.
+	 * @return array|null Undo token and seconds left, or null if undo is disabled.
+	 */
+	public function store( array $operations, $session_id = '' ) {
+		$window = $this->get_window();
+
+		if ( ! $window || empty( $operations ) ) {
+			return null;
+		}
+
+		$token = wp_generate_password( 32, false );
+
+		set_transient(
+			self::TRANSIENT_PREFIX . $token,
+			array(
+				'operations' => $operations,
+				'user_id'    => get_current_user_id(),
+				'session_id' => $session_id,
+				'expires'    => time() + $window,
+			),
+			$window
+		);
+
+		return array(
+			'token'      => $token,
+			'expires_in' => $window,
+		);
+	}
+
+	/**
+	 * Revert the operations stored under an undo token.
+	 *
+	 * Records edited by someone else since the action ran are left alone.
+	 *
+	 * @since 1.1.0
+	 * @param string $token Undo token.
+	 * @return array|\WP_Error Result per operation, or error if the undo window has passed.
+	 */
+	public function undo( $token ) {
+		$record = get_transient( self::TRANSIENT_PREFIX . $token );
+
+		if ( ! is_array( $record ) || (int) $record['user_id'] !== get_current_user_id() || time() > $record['expires'] ) {
+			return new \WP_Error(
+				'undo_expired',
+				__( 'This action can no longer be undone.', 'assistify-for-woocommerce' )
+			);
+		}
+
+		// One-time use.
+		delete_transient( self::TRANSIENT_PREFIX . $token );
+
+		$results = array();
+
+		foreach ( $record['operations'] as $operation ) {
+			$restored = 0;
+			$skipped  = 0;
+
+			foreach ( $operation['entries'] as $entry ) {
+				$reverted = 'order' === $entry['type'] ? $this->revert_order( $entry ) : $this->revert_product( $entry );
+
+				if ( $reverted ) {
+					++$restored;
+				} else {
+					++$skipped;
+				}
+			}
+
+			$result = array(
+				'success'  => $restored > 0 || 0 === $skipped,
+				'restored' => $restored,
+				'skipped'  => $skipped,
+			);
+
+			$this->log( $operation, $result, $record['session_id'] );
+
+			$results[] = array(
+				'tool'    => $operation['tool'],
+				'summary' => $operation['summary'],
+				'result'  => $result,
+			);
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Restore an order's status and remove the notes the action added.
+	 *
+	 * @since 1.1.0
+	 * @param array $entry Order entry.
+	 * @return bool True if restored, false if the order is gone or changed since.
+	 */
+	private function revert_order( $entry ) {
+		$order = wc_get_order( $entry['id'] );
+
+		if ( ! $order ) {
+			return false;
+		}
+
+		if ( null !== $entry['status'] && $order->get_status() !== $entry['after'] ) {
+			return false;
+		}
+
+		foreach ( $entry['added'] as $note_id ) {
+			wc_delete_order_note( $note_id );
+		}
+
+		if ( null !== $entry['status'] && $entry['status'] !== $entry['after'] ) {
+			$order->update_status( $entry['status'], __( 'Status change undone from the Assistify chat.', 'assistify-for-woocommerce' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Restore the product props an action changed.
+	 *
+	 * @since 1.1.0
+	 * @param array $entry Product entry.
+	 * @return bool True if restored, false if the product is gone or changed since.
+	 */
+	private function revert_product( $entry ) {
+		$product = wc_get_product( $entry['id'] );
+
+		if ( ! $product || $this->get_props( $product, array_keys( $entry['props'] ) ) !== $entry['after'] ) {
+			return false;
+		}
+
+		foreach ( $entry['props'] as $prop => $value ) {
+			$setter = 'set_' . $prop;
+			$product->$setter( $value );
+		}
+
+		$product->save();
+
+		return true;
+	}
+
+	/**
+	 * Record the current value of some product props.
+	 *
+	 * @since 1.1.0
+	 * @param \WC_Product $product Product.
+	 * @param array       $props   Prop names.
+	 * @return array Product entry.
+	 */
+	private function capture_product( $product, array $props ) {
+		return array(
+			'type'  => 'product',
+			'id'    => $product->get_id(),
+			'props' => $this->get_props( $product, array_values( array_intersect( self::PRODUCT_PROPS, $props ) ) ),
+		);
+	}
+
+	/**
+	 * Read product props without display filters.
+	 *
+	 * @since 1.1.0
+	 * @param \WC_Product $product Product.
+	 * @param array       $props   Prop names.
+	 * @return array Values keyed by prop.
+	 */
+	private function get_props( $product, array $props ) {
+		$values = array();
+
+		foreach ( $props as $prop ) {
+			$getter          = 'get_' . $prop;
+			$values[ $prop ] = $product->$getter( 'edit' );
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Get the IDs of an order's notes.
+	 *
+	 * @since 1.1.0
+	 * @param int $order_id Order ID.
+	 * @return array Note IDs.
+	 */
+	private function get_note_ids( $order_id ) {
+		return array_map( 'absint', wp_list_pluck( wc_get_order_notes( array( 'order_id' => $order_id ) ), 'id' ) );
+	}
+
+	/**
+	 * Record an undo in the audit log.
+	 *
+	 * @since 1.1.0
+	 * @param array  $operation  Undone operation.
+	 * @param array  $result     Undo result.
+	 * @param string $session_id Chat session ID.
+	 * @return void
+	 */
+	private function log( $operation, $result, $session_id ) {
+		if ( ! class_exists( '\Assistify_For_WooCommerce\Audit_Logger' ) ) {
+			return;
+		}
+
+		\Assistify_For_WooCommerce\Audit_Logger::instance()->log(
+			array(
+				'action_type'     => 'undo_action',
+				'action_category' => $operation['category'],
+				'description'     => sprintf(
+					/* translators: %s: action summary. */
+					__( 'Undone: %s', 'assistify-for-woocommerce' ),
+					$operation['summary']
+				),
+				'ability_id'      => $operation['tool'],
+				'parameters'      => $operation['entries'],
+				'result'          => $result,
+				'status'          => $result['success'] ? 'success' : 'failed',
+				'session_id'      => $session_id,
+			)
+		);
+	}
+}
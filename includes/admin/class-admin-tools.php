@@ -632,6 +632,11 @@ class Admin_Tools {
 							'type'        => 'integer',
 							'description' => 'Optional: Only update products in this category',
 						),
+						'product_ids'     => array(
+							'type'        => 'array',
+							'items'       => array( 'type' => 'integer' ),
+							'description' => 'Optional: Only update these products',
+						),
 						'round_to'        => array(
 							'type'        => 'integer',
 							'description' => 'Optional: Round prices to nearest value (e.g., 99 for $X.99 pricing)',
@@ -735,6 +740,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_shipping_zones' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -816,6 +822,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_tax_rates' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -990,6 +997,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_export_orders' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1080,6 +1088,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_sales_trends' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1100,6 +1109,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_order_details' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1123,6 +1133,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_recent_orders' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1142,6 +1153,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_product_details' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1165,6 +1177,31 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_search_products' ),
 				'destructive' => false,
+				'read_only'   => true,
+			)
+		);
+
+		$this->register_tool(
+			'get_customer_details',
+			array(
+				'description' => 'Get details about a registered customer by customer ID or email, including order count and total spent',
+				'parameters'  => array(
+					'type'       => 'object',
+					'properties' => array(
+						'customer_id' => array(
+							'type'        => 'integer',
+							'description' => 'The customer (user) ID',
+						),
+						'email'       => array(
+							'type'        => 'string',
+							'description' => 'Customer email address (used when no ID is given)',
+						),
+					),
+					'required'   => array(),
+				),
+				'callback'    => array( $this, 'tool_get_customer_details' ),
+				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1184,6 +1221,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_coupons' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1198,6 +1236,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_payment_gateways' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1212,6 +1251,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_store_settings' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1227,6 +1267,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_system_info' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1241,6 +1282,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_active_theme' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1255,6 +1297,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_installed_themes' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1275,6 +1318,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_plugins' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1289,6 +1333,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_check_updates' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1313,6 +1358,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_store_health' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1332,6 +1378,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_sales_summary' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1361,6 +1408,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_sales_by_date' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1390,6 +1438,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_top_products' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1419,6 +1468,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_top_customers' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1444,6 +1494,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_revenue_trends' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1458,6 +1509,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_customer_retention' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1477,6 +1529,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_aov_trends' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1496,6 +1549,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_refund_patterns' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1510,6 +1564,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_analytics_summary' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1534,6 +1589,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_product_views' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1557,6 +1613,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_top_viewed_products' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1588,6 +1645,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_low_conversion_products' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1607,6 +1665,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_conversion_summary' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1627,6 +1686,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_traffic_sources' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1650,6 +1710,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_top_traffic_sources' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1669,6 +1730,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_campaign_performance' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1688,6 +1750,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_channel_breakdown' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1708,6 +1771,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_cart_behavior' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1727,6 +1791,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_abandonment_rate' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1746,6 +1811,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_search_analytics' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1765,6 +1831,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_behavior_summary' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1785,6 +1852,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_orders_by_region' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1799,6 +1867,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_analytics_status' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1819,6 +1888,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_orders_by_status' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1842,6 +1912,7 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_low_stock_products' ),
 				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1866,6 +1937,36 @@ class Admin_Tools {
 				),
 				'callback'    => array( $this, 'tool_get_category_performance' ),
 				'destructive' => false,
+				'read_only'   => true,
+			)
+		);
+
+		// Attachment Tools.
+		$this->register_tool(
+			'read_csv_attachment',
+			array(
+				'description' => 'Read rows from a CSV file the admin attached in the chat, for example a supplier price list to apply with bulk product updates',
+				'parameters'  => array(
+					'type'       => 'object',
+					'properties' => array(
+						'attachment_id' => array(
+							'type'        => 'string',
+							'description' => 'Attachment ID of the CSV file',
+						),
+						'offset'        => array(
+							'type'        => 'integer',
+							'description' => 'Number of rows to skip, not counting the header row (default: 0)',
+						),
+						'limit'         => array(
+							'type'        => 'integer',
+							'description' => 'Number of rows to return (default: 100, max: 200)',
+						),
+					),
+					'required'   => array( 'attachment_id' ),
+				),
+				'callback'    => array( $this, 'tool_read_csv_attachment' ),
+				'destructive' => false,
+				'read_only'   => true,
 			)
 		);
 
@@ -1881,6 +1982,9 @@ class Admin_Tools {
 	/**
 	 * Register a tool.
 	 *
+	 * Tools that only read store data must set 'read_only', so the chat runs
+	 * them without asking; any other tool counts as a change.
+	 *
 	 * @param string $name Tool name.
 	 * @param array  $args Tool arguments.
 	 */
@@ -1892,6 +1996,7 @@ class Admin_Tools {
 				'parameters'  => array(),
 				'callback'    => null,
 				'destructive' => false,
+				'read_only'   => false,
 			)
 		);
 	}
@@ -1920,12 +2025,17 @@ class Admin_Tools {
 	/**
 	 * Get all tools formatted for OpenAI API.
 	 *
+	 * @param bool $read_only Optional. Only include tools that read store data. Default false.
 	 * @return array Tools in OpenAI format.
 	 */
-	public function get_tools_for_openai() {
+	public function get_tools_for_openai( $read_only = false ) {
 		$tools = array();
 
 		foreach ( $this->tools as $name => $tool ) {
+			if ( $read_only && empty( $tool['read_only'] ) ) {
+				continue;
+			}
+
 			$tools[] = array(
 				'type'     => 'function',
 				'function' => array(
@@ -1968,6 +2078,17 @@ class Admin_Tools {
 		return isset( $this->tools[ $name ] ) && ! empty( $this->tools[ $name ]['destructive'] );
 	}
 
+	/**
+	 * Check if a tool only reads store data.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @return bool True if the tool makes no changes.
+	 */
+	public function is_read_only( $name ) {
+		return isset( $this->tools[ $name ] ) && ! empty( $this->tools[ $name ]['read_only'] );
+	}
+
 	/**
 	 * Execute a tool.
 	 *
@@ -3266,6 +3387,56 @@ class Admin_Tools {
 		);
 	}
 
+	/**
+	 * Get customer details.
+	 *
+	 * @since 1.1.0
+	 * @param array $args Arguments.
+	 * @return array Result.
+	 */
+	public function tool_get_customer_details( $args ) {
+		$customer_id = intval( $args['customer_id'] ?? 0 );
+		$email       = sanitize_email( $args['email'] ?? '' );
+
+		if ( ! $customer_id && $email ) {
+			$user        = get_user_by( 'email', $email );
+			$customer_id = $user ? $user->ID : 0;
+		}
+
+		if ( ! $customer_id ) {
+			return array(
+				'success' => false,
+				'message' => $email ? sprintf( 'No registered customer found for %s.', $email ) : 'Customer ID or email is required.',
+			);
+		}
+
+		$customer = new \WC_Customer( $customer_id );
+
+		if ( ! $customer->get_id() ) {
+			return array(
+				'success' => false,
+				'message' => sprintf( 'Customer #%d not found.', $customer_id ),
+			);
+		}
+
+		$last_order = $customer->get_last_order();
+
+		return array(
+			'success'     => true,
+			'customer_id' => $customer_id,
+			'name'        => trim( $customer->get_first_name() . ' ' . $customer->get_last_name() ),
+			'email'       => $customer->get_email(),
+			'phone'       => $customer->get_billing_phone(),
+			'city'        => $customer->get_billing_city(),
+			'country'     => $customer->get_billing_country(),
+			'registered'  => $customer->get_date_created() ? $customer->get_date_created()->format( 'Y-m-d' ) : '',
+			'order_count' => $customer->get_order_count(),
+			'total_spent' => wc_price( $customer->get_total_spent() ),
+			'last_order'  => $last_order ? $last_order->get_id() : null,
+			'edit_url'    => get_edit_user_link( $customer_id ),
+		);
+	}
+
 	/**
 	 * Get coupons.
 	 *
@@ -3845,7 +4016,6 @@ class Admin_Tools {
 		$adjustment_type = sanitize_text_field( $args['adjustment_type'] ?? 'percentage' );
 		$amount          = floatval( $args['amount'] ?? 0 );
 		$price_type      = sanitize_text_field( $args['price_type'] ?? 'regular' );
-		$category_id     = intval( $args['category_id'] ?? 0 );
 		$round_to        = isset( $args['round_to'] ) ? intval( $args['round_to'] ) : null;
 
 		if ( 0 === $amount ) {
@@ -3855,18 +4025,7 @@ class Admin_Tools {
 			);
 		}
 
-		// Build query args.
-		$query_args = array(
-			'limit'  => -1,
-			'status' => 'publish',
-			'type'   => array( 'simple', 'variable' ),
-		);
-
-		if ( $category_id > 0 ) {
-			$query_args['category'] = array( get_term( $category_id )->slug );
-		}
-
-		$products = wc_get_products( $query_args );
+		$products = $this->get_bulk_price_products( $args );
 		$updated  = 0;
 
 		foreach ( $products as $product ) {
@@ -3916,6 +4075,39 @@ class Admin_Tools {
 		);
 	}
 
+	/**
+	 * Get the products a bulk price update applies to.
+	 *
+	 * @since 1.1.0
+	 * @param array $args Bulk update arguments.
+	 * @return \WC_Product[] Products.
+	 */
+	public function get_bulk_price_products( $args ) {
+		$category_id = intval( $args['category_id'] ?? 0 );
+		$product_ids = isset( $args['product_ids'] ) ? array_filter( array_map( 'absint', (array) $args['product_ids'] ) ) : array();
+
+		// Build query args.
+		$query_args = array(
+			'limit'  => -1,
+			'status' => 'publish',
+			'type'   => array( 'simple', 'variable' ),
+		);
+
+		if ( $category_id > 0 ) {
+			$query_args['category'] = array( get_term( $category_id )->slug );
+		}
+
+		if ( isset( $args['product_ids'] ) ) {
+			if ( empty( $product_ids ) ) {
+				return array();
+			}
+
+			$query_args['include'] = $product_ids;
+		}
+
+		return wc_get_products( $query_args );
+	}
+
 	/**
 	 * Calculate new price after adjustment.
 	 *
@@ -3925,7 +4117,7 @@ class Admin_Tools {
 	 * @param int|null $round_to      Optional rounding value.
 	 * @return float New price.
 	 */
-	private function calculate_new_price( $current_price, $type, $amount, $round_to = null ) {
+	public function calculate_new_price( $current_price, $type, $amount, $round_to = null ) {
 		if ( 'percentage' === $type ) {
 			$new_price = $current_price * ( 1 + ( $amount / 100 ) );
 		} else {
@@ -6658,4 +6850,46 @@ This email was sent from ' . esc_html( $from_name ) . '
 			'summary' => $summary,
 		);
 	}
+
+	/**
+	 * Read rows from a CSV file attached in the admin chat.
+	 *
+	 * @since 1.1.0
+	 * @param array $args Arguments.
+	 * @return array Result.
+	 */
+	public function tool_read_csv_attachment( $args ) {
+		$attachment_id = sanitize_key( (string) ( $args['attachment_id'] ?? '' ) );
+		$attachments   = Chat_Attachments::instance()->sanitize( array( $attachment_id ) );
+
+		if ( empty( $attachments ) ) {
+			return array(
+				'success' => false,
+				'message' => sprintf( 'Attachment %s not found in this chat.', $attachment_id ),
+			);
+		}
+
+		$csv = Chat_Attachments::instance()->read_csv( $attachment_id, intval( $args['offset'] ?? 0 ), intval( $args['limit'] ?? 100 ) );
+
+		if ( is_wp_error( $csv ) ) {
+			return array(
+				'success' => false,
+				'message' => $csv->get_error_message(),
+			);
+		}
+
+		return array(
+			'success' => true,
+			'message' => sprintf(
+				'Read rows %1$d to %2$d of %3$d from %4$s.',
+				min( $csv['offset'] + 1, $csv['total'] ),
+				$csv['offset'] + count( $csv['rows'] ),
+				$csv['total'],
+				$attachments[0]['name']
+			),
+			'columns' => $csv['columns'],
+			'rows'    => $csv['rows'],
+			'total'   => $csv['total'],
+		);
+	}
 }
@@ -20,6 +20,15 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class Assistify_Admin {
 
+	/**
+	 * Number of admin chat sessions kept per user, besides pinned, archived
+	 * and shared ones.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_SESSIONS = 50;
+
 	/**
 	 * Constructor.
 	 *
@@ -64,10 +73,18 @@ class Assistify_Admin {
 			return;
 		}
 
+		wp_register_script(
+			'assistify-markdown',
+			ASSISTIFY_PLUGIN_URL . 'assets/js/shared/markdown.js',
+			array(),
+			ASSISTIFY_VERSION,
+			true
+		);
+
 		wp_enqueue_script(
 			'assistify-admin',
 			ASSISTIFY_PLUGIN_URL . 'assets/js/admin/admin.js',
-			array( 'jquery', 'selectWoo' ),
+			array( 'jquery', 'selectWoo', 'assistify-markdown' ),
 			ASSISTIFY_VERSION,
 			true
 		);
@@ -78,11 +95,200 @@ class Assistify_Admin {
 			array(
 				'ajaxUrl'               => admin_url( 'admin-ajax.php' ),
 				'nonce'                 => wp_create_nonce( 'assistify_admin_nonce' ),
+				'restUrl'               => esc_url_raw( rest_url( 'assistify/v1/' ) ),
+				'restNonce'             => wp_create_nonce( 'wp_rest' ),
+				'auditLogUrl'           => admin_url( 'admin.php?page=assistify-audit-log' ),
+				'usage'                 => Usage_Meter::instance()->get_month_summary(),
 				'strings'               => array(
-					'error'       => esc_html__( 'Sorry, something went wrong. Please try again.', 'assistify-for-woocommerce' ),
-					'loading'     => esc_html__( 'Loading...', 'assistify-for-woocommerce' ),
-					'placeholder' => esc_html__( 'Ask Ayana anything...', 'assistify-for-woocommerce' ),
-					'openChat'    => esc_html__( 'Chat with Ayana', 'assistify-for-woocommerce' ),
+					'error'           => esc_html__( 'Sorry, something went wrong. Please try again.', 'assistify-for-woocommerce' ),
+					'loading'         => esc_html__( 'Loading...', 'assistify-for-woocommerce' ),
+					'placeholder'     => esc_html__( 'Ask Ayana anything, type / for commands or # @ + to mention records...', 'assistify-for-woocommerce' ),
+					'openChat'        => esc_html__( 'Chat with Ayana', 'assistify-for-woocommerce' ),
+					'stop'            => esc_html__( 'Stop generating', 'assistify-for-woocommerce' ),
+					'interrupted'     => esc_html__( 'Interrupted', 'assistify-for-woocommerce' ),
+					'order'           => esc_html__( 'Order', 'assistify-for-woocommerce' ),
+					'openOrder'       => esc_html__( 'Open order', 'assistify-for-woocommerce' ),
+					'openCustomer'    => esc_html__( 'Open customer', 'assistify-for-woocommerce' ),
+					'subtotal'        => esc_html__( 'Subtotal', 'assistify-for-woocommerce' ),
+					'shipping'        => esc_html__( 'Shipping', 'assistify-for-woocommerce' ),
+					'discount'        => esc_html__( 'Discount', 'assistify-for-woocommerce' ),
+					'refunded'        => esc_html__( 'Refunded', 'assistify-for-woocommerce' ),
+					'total'           => esc_html__( 'Total', 'assistify-for-woocommerce' ),
+					'orders'          => esc_html__( 'Orders', 'assistify-for-woocommerce' ),
+					'totalSpent'      => esc_html__( 'Total spent', 'assistify-for-woocommerce' ),
+					'customerSince'   => esc_html__( 'Customer since', 'assistify-for-woocommerce' ),
+					'sku'             => esc_html__( 'SKU', 'assistify-for-woocommerce' ),
+					/* translators: 1: number of products shown, 2: number of products found. */
+					'showingOf'       => esc_html__( 'Showing %1$d of %2$d', 'assistify-for-woocommerce' ),
+					'chartView'       => esc_html__( 'Chart', 'assistify-for-woocommerce' ),
+					'tableView'       => esc_html__( 'Table', 'assistify-for-woocommerce' ),
+					'chartSeries'     => esc_html__( 'Chart column', 'assistify-for-woocommerce' ),
+					'downloadPng'     => esc_html__( 'Download PNG', 'assistify-for-woocommerce' ),
+					'downloadCsv'     => esc_html__( 'Download CSV', 'assistify-for-woocommerce' ),
+					'selectAll'       => esc_html__( 'Select all', 'assistify-for-woocommerce' ),
+					/* translators: 1: number of selected changes, 2: number of changes. */
+					'selectedOf'      => esc_html__( '%1$d of %2$d selected', 'assistify-for-woocommerce' ),
+					'notSet'          => esc_html__( 'Not set', 'assistify-for-woocommerce' ),
+					'openRecord'      => esc_html__( 'Open', 'assistify-for-woocommerce' ),
+					'undo'            => esc_html__( 'Undo', 'assistify-for-woocommerce' ),
+					/* translators: %s: time left, such as 4:59. */
+					'undoTimeLeft'    => esc_html__( '%s left to undo', 'assistify-for-woocommerce' ),
+					'undoing'         => esc_html__( 'Undoing...', 'assistify-for-woocommerce' ),
+					/* translators: %s: time left, such as 4:59. */
+					'expiresIn'       => esc_html__( 'Expires in %s', 'assistify-for-woocommerce' ),
+					'actionExpired'   => esc_html__( 'Expired — ask again', 'assistify-for-woocommerce' ),
+					'rerequest'       => esc_html__( 'Re-request this action', 'assistify-for-woocommerce' ),
+					'actionConfirmed' => esc_html__( 'Confirmed', 'assistify-for-woocommerce' ),
+					'actionCancelled' => esc_html__( 'Cancelled', 'assistify-for-woocommerce' ),
+					'searchChats'     => esc_html__( 'Search all chats...', 'assistify-for-woocommerce' ),
+					'searching'       => esc_html__( 'Searching...', 'assistify-for-woocommerce' ),
+					'noResults'       => esc_html__( 'No messages match your search.', 'assistify-for-woocommerce' ),
+					'you'             => esc_html__( 'You', 'assistify-for-woocommerce' ),
+					'assistant'       => esc_html__( 'Ayana', 'assistify-for-woocommerce' ),
+					'rename'          => esc_html__( 'Rename', 'assistify-for-woocommerce' ),
+					'pin'             => esc_html__( 'Pin to top', 'assistify-for-woocommerce' ),
+					'unpin'           => esc_html__( 'Unpin', 'assistify-for-woocommerce' ),
+					'editTags'        => esc_html__( 'Edit tags', 'assistify-for-woocommerce' ),
+					'tagsHint'        => esc_html__( 'Tags, separated by commas', 'assistify-for-woocommerce' ),
+					'archive'         => esc_html__( 'Archive', 'assistify-for-woocommerce' ),
+					'unarchive'       => esc_html__( 'Unarchive', 'assistify-for-woocommerce' ),
+					'archivedChats'   => esc_html__( 'Archived', 'assistify-for-woocommerce' ),
+					'noArchived'      => esc_html__( 'No archived chats.', 'assistify-for-woocommerce' ),
+					'allChats'        => esc_html__( 'All', 'assistify-for-woocommerce' ),
+					'selectChat'      => esc_html__( 'Select chat', 'assistify-for-woocommerce' ),
+					/* translators: %d: number of selected chats. */
+					'chatsSelected'   => esc_html__( '%d selected', 'assistify-for-woocommerce' ),
+					'delete'          => esc_html__( 'Delete', 'assistify-for-woocommerce' ),
+					/* translators: %d: number of selected chats. */
+					'deleteSelected'  => esc_html__( 'Delete %d selected chats? This action cannot be undone.', 'assistify-for-woocommerce' ),
+					'exportChat'      => esc_html__( 'Export chat', 'assistify-for-woocommerce' ),
+					'exportMarkdown'  => esc_html__( 'Markdown (.md)', 'assistify-for-woocommerce' ),
+					'exportPdf'       => esc_html__( 'Print / PDF', 'assistify-for-woocommerce' ),
+					'exportJson'      => esc_html__( 'JSON (.json)', 'assistify-for-woocommerce' ),
+					'exportedOn'      => esc_html__( 'Exported on', 'assistify-for-woocommerce' ),
+					'abilitiesUsed'   => esc_html__( 'Abilities used', 'assistify-for-woocommerce' ),
+					'howIGotThis'     => esc_html__( 'How I got this', 'assistify-for-woocommerce' ),
+					'viewInLog'       => esc_html__( 'View in activity log', 'assistify-for-woocommerce' ),
+					'traceSuccess'    => esc_html__( 'Succeeded', 'assistify-for-woocommerce' ),
+					'traceFailed'     => esc_html__( 'Failed', 'assistify-for-woocommerce' ),
+					'traceNoParams'   => esc_html__( 'No parameters', 'assistify-for-woocommerce' ),
+					/* translators: %s: duration in milliseconds. */
+					'durationMs'      => esc_html__( '%s ms', 'assistify-for-woocommerce' ),
+					/* translators: %s: duration in seconds. */
+					'durationSec'     => esc_html__( '%s s', 'assistify-for-woocommerce' ),
+					/* translators: %s: number of tokens, such as 1.2k. */
+					'usageTokens'     => esc_html__( '%s tokens', 'assistify-for-woocommerce' ),
+					/* translators: 1: number of prompt tokens, 2: number of completion tokens. */
+					'usageDetail'     => esc_html__( '%1$s prompt and %2$s completion tokens', 'assistify-for-woocommerce' ),
+					/* translators: %s: amount in US dollars. */
+					'usageCost'       => esc_html__( '$%s', 'assistify-for-woocommerce' ),
+					/* translators: %s: tokens and cost of the session, such as 1.2k tokens · $0.0031. */
+					'usageSession'    => esc_html__( 'Session: %s', 'assistify-for-woocommerce' ),
+					/* translators: %s: amount spent this month. */
+					'usageMonth'      => esc_html__( 'Month: %s', 'assistify-for-woocommerce' ),
+					/* translators: 1: amount spent this month, 2: monthly budget. */
+					'usageMonthOf'    => esc_html__( 'Month: %1$s of %2$s', 'assistify-for-woocommerce' ),
+					'usageEstimate'   => esc_html__( 'Estimated from list prices. This month includes all AI requests made by Assistify.', 'assistify-for-woocommerce' ),
+					/* translators: 1: amount spent this month, 2: monthly budget. */
+					'budgetWarning'   => esc_html__( '%1$s of the %2$s monthly AI budget has been spent.', 'assistify-for-woocommerce' ),
+					/* translators: %s: monthly budget. */
+					'budgetOver'      => esc_html__( 'The %s monthly AI budget has been exceeded.', 'assistify-for-woocommerce' ),
+					'confirmation'    => esc_html__( 'Confirmation', 'assistify-for-woocommerce' ),
+					'actionPending'   => esc_html__( 'Awaiting confirmation', 'assistify-for-woocommerce' ),
+					'actionLapsed'    => esc_html__( 'Expired', 'assistify-for-woocommerce' ),
+					'nothingToExport' => esc_html__( 'This chat has no saved messages yet.', 'assistify-for-woocommerce' ),
+					'popupBlocked'    => esc_html__( 'Allow pop-ups for this site to print the chat.', 'assistify-for-woocommerce' ),
+					'shareChat'       => esc_html__( 'Share chat', 'assistify-for-woocommerce' ),
+					'shareWith'       => esc_html__( 'Share with', 'assistify-for-woocommerce' ),
+					'shareRead'       => esc_html__( 'Read-only', 'assistify-for-woocommerce' ),
+					'shareReadHint'   => esc_html__( 'They can open this chat and follow new messages.', 'assistify-for-woocommerce' ),
+					'shareFork'       => esc_html__( 'Copy', 'assistify-for-woocommerce' ),
+					'shareForkHint'   => esc_html__( 'They get their own copy to continue the conversation.', 'assistify-for-woocommerce' ),
+					'share'           => esc_html__( 'Share', 'assistify-for-woocommerce' ),
+					'noShareUsers'    => esc_html__( 'There are no other shop managers to share with.', 'assistify-for-woocommerce' ),
+					'sharedWith'      => esc_html__( 'Shared read-only with', 'assistify-for-woocommerce' ),
+					'stopSharing'     => esc_html__( 'Stop sharing', 'assistify-for-woocommerce' ),
+					'sharedWithYou'   => esc_html__( 'Shared with you', 'assistify-for-woocommerce' ),
+					/* translators: %s: user name. */
+					'sharedBy'        => esc_html__( 'Shared by %s', 'assistify-for-woocommerce' ),
+					/* translators: %s: user name. */
+					'readOnlyNote'    => esc_html__( 'Shared by %s. This chat is read-only.', 'assistify-for-woocommerce' ),
+					'newChat'         => esc_html__( 'Start new chat', 'assistify-for-woocommerce' ),
+					'editMessage'     => esc_html__( 'Edit and resend', 'assistify-for-woocommerce' ),
+					'cancelEdit'      => esc_html__( 'Cancel', 'assistify-for-woocommerce' ),
+					'saveAndSend'     => esc_html__( 'Save & send', 'assistify-for-woocommerce' ),
+					'previousVersion' => esc_html__( 'Previous version', 'assistify-for-woocommerce' ),
+					'nextVersion'     => esc_html__( 'Next version', 'assistify-for-woocommerce' ),
+					/* translators: 1: version shown, 2: number of versions. */
+					'versionOf'       => esc_html__( '%1$d / %2$d', 'assistify-for-woocommerce' ),
+					'regenerate'      => esc_html__( 'Regenerate', 'assistify-for-woocommerce' ),
+					'regenerateWith'  => esc_html__( 'Regenerate with', 'assistify-for-woocommerce' ),
+					/* translators: %s: provider name. */
+					'answeredBy'      => esc_html__( 'Answered by %s', 'assistify-for-woocommerce' ),
+					/* translators: %s: ability name. */
+					'ranDirectly'     => esc_html__( 'Answered directly by the %s ability', 'assistify-for-woocommerce' ),
+					'commands'        => esc_html__( 'Commands', 'assistify-for-woocommerce' ),
+					'customers'       => esc_html__( 'Customers', 'assistify-for-woocommerce' ),
+					'products'        => esc_html__( 'Products', 'assistify-for-woocommerce' ),
+					'mentionOrder'    => esc_html__( 'Type an order number, customer name or email', 'assistify-for-woocommerce' ),
+					'mentionCustomer' => esc_html__( 'Type a customer name or email', 'assistify-for-woocommerce' ),
+					'mentionProduct'  => esc_html__( 'Type a product name or SKU', 'assistify-for-woocommerce' ),
+					'noMatches'       => esc_html__( 'No matches found.', 'assistify-for-woocommerce' ),
+					'removeMention'   => esc_html__( 'Remove', 'assistify-for-woocommerce' ),
+					'currentScreen'   => esc_html__( 'Asking about the screen you are on', 'assistify-for-woocommerce' ),
+					'dismissContext'  => esc_html__( 'Ask without this screen', 'assistify-for-woocommerce' ),
+					/* translators: %s: order number, customer or product name. */
+					'screenIntro'     => esc_html__( 'You are looking at %s. Here are a few things I can help with:', 'assistify-for-woocommerce' ),
+					'dictate'         => esc_html__( 'Dictate', 'assistify-for-woocommerce' ),
+					'stopDictating'   => esc_html__( 'Stop dictating', 'assistify-for-woocommerce' ),
+					'micBlocked'      => esc_html__( 'Allow microphone access for this site to dictate messages.', 'assistify-for-woocommerce' ),
+					'speakReplies'    => esc_html__( 'Read answers aloud', 'assistify-for-woocommerce' ),
+					'attachFiles'     => esc_html__( 'Attach images or CSV files', 'assistify-for-woocommerce' ),
+					'dropFiles'       => esc_html__( 'Drop images or CSV files to attach them', 'assistify-for-woocommerce' ),
+					'uploading'       => esc_html__( 'Uploading...', 'assistify-for-woocommerce' ),
+					'waitForUploads'  => esc_html__( 'Wait for the files to finish uploading, then send your message.', 'assistify-for-woocommerce' ),
+					'uploadFailed'    => esc_html__( 'The file could not be uploaded.', 'assistify-for-woocommerce' ),
+					'fileType'        => esc_html__( 'Only images (JPG, PNG, GIF, WebP) and CSV files can be attached.', 'assistify-for-woocommerce' ),
+					/* translators: %s: maximum file size, such as 5 MB. */
+					'fileTooLarge'    => esc_html( sprintf( __( 'Files can be up to %s.', 'assistify-for-woocommerce' ), size_format( Chat_Attachments::MAX_SIZE ) ) ),
+					/* translators: %d: maximum number of files. */
+					'tooManyFiles'    => esc_html( sprintf( __( 'You can attach up to %d files to a message.', 'assistify-for-woocommerce' ), Chat_Attachments::MAX_FILES ) ),
+					'prompts'         => esc_html__( 'Prompts', 'assistify-for-woocommerce' ),
+					'newPrompt'       => esc_html__( 'New prompt', 'assistify-for-woocommerce' ),
+					'savePrompt'      => esc_html__( 'Save prompt', 'assistify-for-woocommerce' ),
+					'saveAsPrompt'    => esc_html__( 'Save as prompt', 'assistify-for-woocommerce' ),
+					'editPrompt'      => esc_html__( 'Edit prompt', 'assistify-for-woocommerce' ),
+					'deletePrompt'    => esc_html__( 'Delete saved prompt', 'assistify-for-woocommerce' ),
+					/* translators: %s: saved prompt title. */
+					'confirmDelete'   => esc_html__( 'Delete "%s"? This cannot be undone.', 'assistify-for-woocommerce' ),
+					'promptTitle'     => esc_html__( 'Title', 'assistify-for-woocommerce' ),
+					'promptText'      => esc_html__( 'Prompt', 'assistify-for-woocommerce' ),
+					'promptCategory'  => esc_html__( 'Category', 'assistify-for-woocommerce' ),
+					'uncategorized'   => esc_html__( 'Uncategorized', 'assistify-for-woocommerce' ),
+					'noPrompts'       => esc_html__( 'No saved prompts yet. Save a question you ask often to run it again with one click.', 'assistify-for-woocommerce' ),
+					'runPrompt'       => esc_html__( 'Run', 'assistify-for-woocommerce' ),
+					'schedule'        => esc_html__( 'Schedule', 'assistify-for-woocommerce' ),
+					'notScheduled'    => esc_html__( 'Not scheduled', 'assistify-for-woocommerce' ),
+					'daily'           => esc_html__( 'Every day', 'assistify-for-woocommerce' ),
+					'weekly'          => esc_html__( 'Every week', 'assistify-for-woocommerce' ),
+					'monthly'         => esc_html__( 'Every month', 'assistify-for-woocommerce' ),
+					'scheduleWeekday' => esc_html__( 'Day of the week', 'assistify-for-woocommerce' ),
+					'scheduleDay'     => esc_html__( 'Day of the month', 'assistify-for-woocommerce' ),
+					'scheduleTime'    => esc_html__( 'Time', 'assistify-for-woocommerce' ),
+					'postToChat'      => esc_html__( 'Post the answer as a new chat', 'assistify-for-woocommerce' ),
+					'emailAnswer'     => esc_html__( 'Email me the answer', 'assistify-for-woocommerce' ),
+					'openLastRun'     => esc_html__( 'Open last answer', 'assistify-for-woocommerce' ),
+					/* translators: %s: date and time of the next run. */
+					'nextRun'         => esc_html__( 'Next run: %s', 'assistify-for-woocommerce' ),
+					/* translators: %s: error message. */
+					'lastRunFailed'   => esc_html__( 'Last run failed: %s', 'assistify-for-woocommerce' ),
+					'retry'           => esc_html__( 'Retry', 'assistify-for-woocommerce' ),
+					'errorNetwork'    => esc_html__( 'No connection. This message will be sent again automatically.', 'assistify-for-woocommerce' ),
+					'errorDropped'    => esc_html__( 'The connection was lost before the answer arrived. Reload the conversation to see whether it was answered before trying again.', 'assistify-for-woocommerce' ),
+					'errorNonce'      => esc_html__( 'Your session has expired. Refresh the page, then try again.', 'assistify-for-woocommerce' ),
+					'errorRateLimit'  => esc_html__( 'Too many questions in a short time. Please wait a minute, then try again.', 'assistify-for-woocommerce' ),
+					/* translators: %s: error message from the AI provider. */
+					'errorProvider'   => esc_html__( 'The AI provider could not answer: %s', 'assistify-for-woocommerce' ),
 				),
 				'settings'              => array(
 					'chatEnabled'   => get_option( 'assistify_admin_chat_enabled', 'yes' ),
@@ -90,6 +296,13 @@ class Assistify_Admin {
 					'apiConfigured' => $this->is_api_key_configured(),
 				),
 				'modelsByProvider'      => $this->get_models_by_provider(),
+				'chatProviders'         => $this->get_chat_providers(),
+				'commands'              => Slash_Commands::instance()->get_commands(),
+				'screen'                => $this->get_screen_context(),
+				'attachments'           => current_user_can( 'upload_files' ) ? array(
+					'maxFiles' => Chat_Attachments::MAX_FILES,
+					'maxSize'  => Chat_Attachments::MAX_SIZE,
+				) : false,
 				'defaultModels'         => $this->get_default_models(),
 				'imageModelsByProvider' => $this->get_image_models_by_provider(),
 				'defaultImageModels'    => $this->get_default_image_models(),
@@ -530,6 +743,44 @@ class Assistify_Admin {
 				'type'    => 'checkbox',
 				'default' => 'yes',
 			),
+			array(
+				'title'             => esc_html__( 'Undo Window (Minutes)', 'assistify-for-woocommerce' ),
+				'desc'              => esc_html__( 'How long confirmed chat actions such as order status or product changes can be undone. Set to 0 to turn undo off. Refunds can never be undone.', 'assistify-for-woocommerce' ),
+				'id'                => 'assistify_undo_window',
+				'type'              => 'number',
+				'default'           => '10',
+				'custom_attributes' => array(
+					'min'  => '0',
+					'max'  => '1440',
+					'step' => '1',
+				),
+				'desc_tip'          => true,
+			),
+			array(
+				'title'             => esc_html__( 'Monthly Budget (USD)', 'assistify-for-woocommerce' ),
+				'desc'              => esc_html__( 'Estimated AI spend per month, shown in the admin chat header. Set to 0 to turn the budget warning off.', 'assistify-for-woocommerce' ),
+				'id'                => 'assistify_monthly_budget',
+				'type'              => 'number',
+				'default'           => '0',
+				'custom_attributes' => array(
+					'min'  => '0',
+					'step' => '0.01',
+				),
+				'desc_tip'          => true,
+			),
+			array(
+				'title'             => esc_html__( 'Budget Warning (%)', 'assistify-for-woocommerce' ),
+				'desc'              => esc_html__( 'Warn in the admin chat once this share of the monthly budget has been spent.', 'assistify-for-woocommerce' ),
+				'id'                => 'assistify_budget_warning',
+				'type'              => 'number',
+				'default'           => '80',
+				'custom_attributes' => array(
+					'min'  => '1',
+					'max'  => '100',
+					'step' => '1',
+				),
+				'desc_tip'          => true,
+			),
 			array(
 				'type' => 'sectionend',
 				'id'   => 'assistify_admin_chat_settings',
@@ -1002,7 +1253,10 @@ class Assistify_Admin {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
 			wp_send_json_error(
-				array( 'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ) )
+				array(
+					'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
 			);
 		}
 
@@ -1030,17 +1284,29 @@ class Assistify_Admin {
 			);
 		}
 
-		// Get the AI provider.
-		$provider = \Assistify_For_WooCommerce\AI_Providers\AI_Provider_Factory::get_configured_provider();
+		// Get the AI provider, or the one picked to regenerate an answer.
+		$provider = $this->get_chat_provider(
+			isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '',
+			isset( $_POST['model'] ) ? sanitize_text_field( wp_unslash( $_POST['model'] ) ) : ''
+		);
 
 		if ( is_wp_error( $provider ) ) {
 			wp_send_json_error(
-				array( 'message' => $provider->get_error_message() )
+				array(
+					'message' => $provider->get_error_message(),
+					'code'    => $this->get_chat_error_code( $provider ),
+				)
 			);
 		}
 
 		// Get session ID from client.
 		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$request_id = isset( $_POST['request_id'] ) ? sanitize_text_field( wp_unslash( $_POST['request_id'] ) ) : '';
+		$context    = $this->get_question_context(
+			isset( $_POST['mentions'] ) ? wp_unslash( $_POST['mentions'] ) : array(), // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by get_question_context().
+			isset( $_POST['screen'] ) ? wp_unslash( $_POST['screen'] ) : array(), // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by get_question_context().
+			isset( $_POST['attachments'] ) ? wp_unslash( $_POST['attachments'] ) : array() // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by get_question_context().
+		);
 
 		// Log admin chat request if debug enabled.
 		\Assistify_For_WooCommerce\Assistify_Logger::debug(
@@ -1049,670 +1315,2133 @@ class Assistify_Admin {
 			array( 'message' => substr( $message, 0, 100 ) )
 		);
 
+		// A question sent again after a lost connection is not answered twice.
+		if ( ! $this->claim_chat_request( $session_id, $request_id ) ) {
+			wp_send_json_error( $this->get_repeated_request_error() );
+		}
+
 		// Use agentic approach with function calling.
-		$response = $this->process_agentic_chat( $provider, $message, $session_id );
+		$response = $this->process_agentic_chat( $provider, $message, $session_id, null, $context );
 
 		if ( is_wp_error( $response ) ) {
+			$this->release_chat_request( $request_id );
 			wp_send_json_error(
-				array( 'message' => $response->get_error_message() )
+				array(
+					'message' => $response->get_error_message(),
+					'code'    => $this->get_chat_error_code( $response ),
+				)
 			);
 		}
 
-		// Save to database session.
-		if ( ! empty( $session_id ) ) {
-			$this->save_message_to_db( $session_id, 'user', $message );
-			$this->save_message_to_db( $session_id, 'assistant', $response['content'] );
-		}
-
-		// Also store in transient for context continuity.
-		$this->save_chat_to_session( $message, $response['content'] );
+		// Save the turn unless the user stopped it in the meantime.
+		$this->save_chat_turn( $session_id, $request_id, $message, $response['content'], $this->get_chat_turn_metadata( $response ), $context );
 
-		wp_send_json_success(
-			array(
-				'message'       => $response['content'],
-				'usage'         => isset( $response['usage'] ) ? $response['usage'] : array(),
-				'actions_taken' => isset( $response['actions_taken'] ) ? $response['actions_taken'] : array(),
-			)
-		);
+		wp_send_json_success( $this->get_chat_response_data( $response ) );
 	}
 
 	/**
-	 * Process chat using agentic approach with function calling.
+	 * Handle AJAX request to run a slash command.
 	 *
-	 * This method implements a tool-calling loop where:
-	 * 1. Send message to AI with available tools
-	 * 2. If AI calls tools, execute them and send results back
-	 * 3. Continue until AI returns a final text response
+	 * The command's ability runs directly and its result is saved to the
+	 * session as the answer, without a call to the AI provider.
 	 *
-	 * @since 1.0.0
-	 * @param object $provider   The AI provider instance.
-	 * @param string $message    User message.
-	 * @param string $session_id Session ID for context.
-	 * @return array|\WP_Error Response with content or error.
+	 * @since 1.1.0
+	 * @return void
 	 */
-	private function process_agentic_chat( $provider, $message, $session_id ) {
-		// Get admin tools.
-		$admin_tools = Admin_Tools::instance();
-		$tools       = $admin_tools->get_tools_for_openai();
+	public function handle_run_command() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
 
-		// Build system prompt for agentic mode.
-		$system_prompt = $this->get_agentic_system_prompt();
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'You do not have permission to use this feature.', 'assistify-for-woocommerce' ) )
+			);
+		}
 
-		// Get chat history.
-		$history = $this->get_chat_history_from_session( $session_id );
+		$message    = isset( $_POST['message'] ) ? sanitize_textarea_field( wp_unslash( $_POST['message'] ) ) : '';
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$request_id = isset( $_POST['request_id'] ) ? sanitize_text_field( wp_unslash( $_POST['request_id'] ) ) : '';
 
-		// Build initial messages.
-		$messages   = $history;
-		$messages[] = array(
-			'role'    => 'user',
-			'content' => $message,
-		);
+		$commands = Slash_Commands::instance();
+		$parsed   = $commands->parse( $message );
 
-		// Get selected model.
-		$model = get_option( 'assistify_ai_model', '' );
+		if ( null === $parsed ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request.', 'assistify-for-woocommerce' ) ) );
+		}
 
-		$options = array(
-			'system_prompt' => $system_prompt,
-			'model'         => ! empty( $model ) ? $model : null,
-			'max_tokens'    => 2048,
-			'temperature'   => 0.7,
-		);
+		if ( is_wp_error( $parsed ) ) {
+			wp_send_json_error( array( 'message' => $parsed->get_error_message() ) );
+		}
 
-		// Track actions taken.
-		$actions_taken  = array();
-		$max_iterations = 5; // Prevent infinite loops.
-		$iteration      = 0;
+		$answer = $commands->run( $parsed );
 
-		// Check if provider supports tool calling.
-		if ( ! method_exists( $provider, 'chat_with_tools' ) ) {
-			// Fallback to regular chat for providers without tool support.
-			\Assistify_For_WooCommerce\Assistify_Logger::debug(
-				'Provider does not support tools, using regular chat',
-				'admin-chat'
-			);
+		if ( is_wp_error( $answer ) ) {
+			wp_send_json_error( array( 'message' => $answer->get_error_message() ) );
+		}
 
-			$response = $provider->chat( $messages, $options );
+		$this->save_chat_turn(
+			$session_id,
+			$request_id,
+			$message,
+			$answer,
+			array(
+				'command'   => $parsed['command']['command'],
+				'abilities' => array(
+					array(
+						'tool'    => $parsed['command']['ability'],
+						'success' => true,
+					),
+				),
+			)
+		);
 
-			if ( is_wp_error( $response ) ) {
-				return $response;
-			}
+		wp_send_json_success(
+			array(
+				'message' => $answer,
+				'command' => $parsed['command']['command'],
+			)
+		);
+	}
 
-			return array(
-				'content'       => $response['content'],
-				'usage'         => $response['usage'] ?? array(),
-				'actions_taken' => array(),
-			);
+	/**
+	 * Handle AJAX request for fresh nonces.
+	 *
+	 * The admin chat asks for new nonces when a page was left open longer
+	 * than they last, then sends the failed request again. Like the
+	 * rest-nonce action of WordPress, this needs no nonce itself: the login
+	 * cookie identifies the user and other sites cannot read the response.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_refresh_nonce() {
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
 		}
 
-		// Tool calling loop.
-		while ( $iteration < $max_iterations ) {
-			++$iteration;
+		wp_send_json_success(
+			array(
+				'nonce'     => wp_create_nonce( 'assistify_admin_nonce' ),
+				'restNonce' => wp_create_nonce( 'wp_rest' ),
+			)
+		);
+	}
 
-			\Assistify_For_WooCommerce\Assistify_Logger::debug(
-				sprintf( 'Agentic chat iteration %d', $iteration ),
-				'admin-chat'
+	/**
+	 * Handle AJAX request to search records to mention in the admin chat.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_search_mentions() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
 			);
+		}
 
-			// Call AI with tools.
-			$response = $provider->chat_with_tools( $messages, $tools, $options );
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
 
-			if ( is_wp_error( $response ) ) {
-				return $response;
-			}
+		$type  = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+		$query = isset( $_POST['query'] ) ? sanitize_text_field( wp_unslash( $_POST['query'] ) ) : '';
 
-			// Check response type.
-			if ( 'content' === $response['type'] ) {
-				// AI returned a final text response.
-				return array(
-					'content'       => $response['content'],
-					'usage'         => $response['usage'] ?? array(),
-					'actions_taken' => $actions_taken,
-				);
-			}
+		wp_send_json_success(
+			array(
+				'items' => Chat_Mentions::instance()->search( $type, $query ),
+			)
+		);
+	}
 
-			if ( 'tool_calls' === $response['type'] && ! empty( $response['tool_calls'] ) ) {
-				// AI wants to call tools.
-				// Add assistant message with tool calls to conversation.
-				$messages[] = $response['message'];
+	/**
+	 * Handle AJAX request to upload a file attached in the admin chat.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_upload_attachment() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
 
-				// Process each tool call.
-				foreach ( $response['tool_calls'] as $tool_call ) {
-					$tool_name = $tool_call['function']['name'] ?? '';
-					$tool_args = array();
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) || ! current_user_can( 'upload_files' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
 
-					if ( isset( $tool_call['function']['arguments'] ) ) {
-						$tool_args = json_decode( $tool_call['function']['arguments'], true );
-						if ( ! is_array( $tool_args ) ) {
-							$tool_args = array();
-						}
-					}
+		$attachment = Chat_Attachments::instance()->upload( 'file' );
 
-					\Assistify_For_WooCommerce\Assistify_Logger::info(
-						sprintf( 'Executing tool: %s', $tool_name ),
-						'admin-chat',
-						array( 'args' => $tool_args )
-					);
+		if ( is_wp_error( $attachment ) ) {
+			wp_send_json_error( array( 'message' => $attachment->get_error_message() ) );
+		}
 
-					// Execute the tool.
-					$tool_result = $admin_tools->execute( $tool_name, $tool_args );
+		wp_send_json_success( array( 'attachment' => $attachment ) );
+	}
 
-					if ( is_wp_error( $tool_result ) ) {
-						$tool_result = array(
-							'success' => false,
-							'error'   => $tool_result->get_error_message(),
-						);
-					}
+	/**
+	 * Handle AJAX request to view a file attached in the admin chat.
+	 *
+	 * Files are only served to the user who uploaded them.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_get_attachment() {
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_die( esc_html__( 'Permission denied.', 'assistify-for-woocommerce' ), '', array( 'response' => 403 ) );
+		}
 
-					// Track action taken.
-					$actions_taken[] = array(
-						'tool'   => $tool_name,
-						'args'   => $tool_args,
-						'result' => $tool_result,
-					);
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Loaded as an image or link; send() checks the file belongs to the current user.
+		$id = isset( $_GET['id'] ) ? sanitize_key( wp_unslash( $_GET['id'] ) ) : '';
 
-					// Add tool result to conversation.
-					$messages[] = array(
-						'role'         => 'tool',
-						'tool_call_id' => $tool_call['id'],
-						'content'      => wp_json_encode( $tool_result ),
-					);
-				}
+		Chat_Attachments::instance()->send( $id );
 
-				// Continue the loop to get AI's response to tool results.
-				continue;
-			}
+		wp_die( esc_html__( 'Attachment not found.', 'assistify-for-woocommerce' ), '', array( 'response' => 404 ) );
+	}
 
-			// Unexpected response type - break loop.
-			break;
+	/**
+	 * Handle AJAX request to get the saved prompts of the current user.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_get_prompts() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
-		// If we exit the loop without a content response, return error.
-		return new \WP_Error(
-			'assistify_agent_error',
-			__( 'Agent could not complete the request. Please try again.', 'assistify-for-woocommerce' )
-		);
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( array( 'prompts' => $this->get_prompts_data() ) );
 	}
 
 	/**
-	 * Get the system prompt for agentic mode.
+	 * Handle AJAX request to create or update a saved prompt.
 	 *
-	 * @since 1.0.0
-	 * @return string System prompt.
+	 * @since 1.1.0
+	 * @return void
 	 */
-	private function get_agentic_system_prompt() {
-		$store_name      = get_bloginfo( 'name' );
-		$currency_symbol = function_exists( 'get_woocommerce_currency_symbol' )
-			? html_entity_decode( get_woocommerce_currency_symbol() )
-			: '$';
-		$admin_name      = wp_get_current_user()->display_name;
-
-		$prompt = sprintf(
-			'You are Ayana, an AI assistant for the "%s" WooCommerce store. You help %s manage their store.
-
-## YOUR CAPABILITIES
-You have access to tools that let you ACTUALLY perform actions, not just describe them:
-
-### Actions You Can Take:
-- **Create coupons** with any discount type, amount, and conditions
-- **Enable/disable payment gateways** (PayPal, Stripe, Cash on Delivery, etc.)
-- **Update WooCommerce settings** (guest checkout, coupons, reviews, etc.)
-- **Update order status** and add order notes
-- **Update product stock** and prices
-
-### Information You Can Retrieve:
-- Order details and recent orders
-- Product details and search products
-- Coupon list and details
-- Payment gateway status
-- Store settings
-- Sales summaries
-
-## HOW TO RESPOND
-
-1. **For action requests**: USE THE TOOLS to actually perform the action, then confirm what you did.
-   Example: "Create a 10%% coupon" → Call create_coupon tool → "Done! Created coupon SAVE10 for 10%% off."
-
-2. **For information requests**: USE THE TOOLS to get real data, then present it clearly.
-   Example: "How many payment methods?" → Call get_payment_gateways → "You have 3 enabled: PayPal, Stripe, COD."
+	public function handle_save_prompt() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
 
-3. **Be concise**: After performing an action, confirm briefly. No lengthy explanations.
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
 
-4. **Use markdown**: Bold for emphasis, backticks for codes like `COUPON123`.
+		$prompt = Saved_Prompts::instance()->save(
+			array(
+				'id'       => isset( $_POST['id'] ) ? sanitize_key( wp_unslash( $_POST['id'] ) ) : '',
+				'title'    => isset( $_POST['title'] ) ? sanitize_text_field( wp_unslash( $_POST['title'] ) ) : '',
+				'prompt'   => isset( $_POST['prompt'] ) ? sanitize_textarea_field( wp_unslash( $_POST['prompt'] ) ) : '',
+				'category' => isset( $_POST['category'] ) ? sanitize_text_field( wp_unslash( $_POST['category'] ) ) : '',
+				'schedule' => isset( $_POST['schedule'] ) ? map_deep( wp_unslash( $_POST['schedule'] ), 'sanitize_text_field' ) : array(), // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized with map_deep().
+			)
+		);
 
-## IMPORTANT RULES
-- NEVER say "I cannot do that" if you have a tool for it - USE THE TOOL
-- NEVER give step-by-step instructions for things you can do directly
-- ALWAYS use tools to get real data instead of making assumptions
-- After tool execution, report what actually happened based on the result
+		if ( is_wp_error( $prompt ) ) {
+			wp_send_json_error( array( 'message' => $prompt->get_error_message() ) );
+		}
 
-## STORE INFO
-- Currency: %s
-- Admin: %s',
-			$store_name,
-			$admin_name,
-			$currency_symbol,
-			$admin_name
+		wp_send_json_success(
+			array(
+				'id'      => $prompt['id'],
+				'prompts' => $this->get_prompts_data(),
+			)
 		);
-
-		return $prompt;
 	}
 
 	/**
-	 * Build the confirmation message for a pending action.
+	 * Handle AJAX request to delete a saved prompt.
 	 *
-	 * @since 1.0.0
-	 * @param array $pending Pending action data.
-	 * @return string Formatted confirmation message.
+	 * @since 1.1.0
+	 * @return void
 	 */
-	private function build_action_confirmation_message( $pending ) {
-		$message  = "## Action Confirmation Required\n\n";
-		$message .= "I understand you want to perform the following action:\n\n";
-		$message .= '**' . esc_html( $pending['preview'] ) . "**\n\n";
+	public function handle_delete_prompt() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
 
-		if ( ! empty( $pending['is_destructive'] ) ) {
-			$message .= "**Warning: This is a destructive action and cannot be undone.**\n\n";
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
 		}
 
-		$message .= "Please confirm or cancel this action using the buttons below.\n";
+		$id = isset( $_POST['id'] ) ? sanitize_key( wp_unslash( $_POST['id'] ) ) : '';
 
-		return $message;
+		if ( ! Saved_Prompts::instance()->delete( $id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Saved prompt not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( array( 'prompts' => $this->get_prompts_data() ) );
 	}
 
 	/**
-	 * Handle action confirmation AJAX request.
+	 * Get the saved prompts of the current user for the chat widget.
 	 *
-	 * @since 1.0.0
+	 * Adds the next and last run times, formatted in the store's timezone.
+	 *
+	 * @since 1.1.0
+	 * @return array List of prompts.
 	 */
-	public function handle_confirm_action() {
-		// Verify nonce.
-		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error(
-				array( 'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ) )
-			);
+	private function get_prompts_data() {
+		$format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+		return array_map(
+			function ( $prompt ) use ( $format ) {
+				$prompt['next_run_text'] = $prompt['next_run'] ? wp_date( $format, $prompt['next_run'] ) : '';
+				$prompt['last_run_text'] = $prompt['last_run'] ? wp_date( $format, $prompt['last_run'] ) : '';
+				return $prompt;
+			},
+			Saved_Prompts::instance()->get_prompts()
+		);
+	}
+
+	/**
+	 * Get the provider that answers an admin chat turn.
+	 *
+	 * Without a provider ID this is the provider and model chosen in the
+	 * settings. Any other provider with an API key can be picked per turn,
+	 * with one of its listed models.
+	 *
+	 * @since 1.1.0
+	 * @param string $provider_id Optional. Provider ID.
+	 * @param string $model       Optional. Model ID, required with a provider ID.
+	 * @return object|\WP_Error Provider instance set to the model, or error.
+	 */
+	public function get_chat_provider( $provider_id = '', $model = '' ) {
+		if ( empty( $provider_id ) ) {
+			$provider = \Assistify_For_WooCommerce\AI_Providers\AI_Provider_Factory::get_configured_provider();
+			$model    = get_option( 'assistify_ai_model', '' );
+
+			if ( ! is_wp_error( $provider ) && ! empty( $model ) ) {
+				$provider->set_model( $model );
+			}
+
+			return $provider;
 		}
 
-		// Check capabilities.
-		if ( ! current_user_can( 'manage_woocommerce' ) ) {
-			wp_send_json_error(
-				array( 'message' => __( 'You do not have permission to perform this action.', 'assistify-for-woocommerce' ) )
+		$models = $this->get_models_by_provider();
+
+		if ( ! isset( $models[ $provider_id ][ $model ] ) ) {
+			return new \WP_Error(
+				'assistify_invalid_model',
+				__( 'This model is not available.', 'assistify-for-woocommerce' )
 			);
 		}
 
-		// Get confirmation token.
-		$token = isset( $_POST['confirmation_token'] ) ? sanitize_text_field( wp_unslash( $_POST['confirmation_token'] ) ) : '';
+		$api_key = \Assistify_For_WooCommerce\AI_Providers\AI_Provider_Factory::get_api_key_for_provider( $provider_id );
 
-		if ( empty( $token ) ) {
-			wp_send_json_error(
-				array( 'message' => __( 'Invalid confirmation token.', 'assistify-for-woocommerce' ) )
+		if ( empty( $api_key ) ) {
+			return new \WP_Error(
+				'assistify_provider_not_configured',
+				__( 'Add an API key for this provider in the settings to use its models.', 'assistify-for-woocommerce' )
 			);
 		}
 
-		// Execute the confirmed action.
-		$classifier = new \Assistify_For_WooCommerce\Intent_Classifier();
-		$result     = $classifier->execute_confirmed_action( $token );
+		$provider = \Assistify_For_WooCommerce\AI_Providers\AI_Provider_Factory::create( $provider_id, $api_key );
 
-		if ( is_wp_error( $result ) ) {
-			wp_send_json_error(
-				array( 'message' => $result->get_error_message() )
-			);
+		if ( ! is_wp_error( $provider ) ) {
+			$provider->set_model( $model );
 		}
 
-		// Get session ID for logging.
-		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		return $provider;
+	}
 
-		// Build success message.
-		$success_message  = "## Action Completed\n\n";
-		$success_message .= esc_html( $result['message'] ) . "\n\n";
+	/**
+	 * Get the providers the admin chat can answer with.
+	 *
+	 * @since 1.1.0
+	 * @return array Name and whether an API key is set, keyed by provider ID.
+	 */
+	private function get_chat_providers() {
+		$providers = array();
 
-		if ( ! empty( $result['result'] ) && is_array( $result['result'] ) ) {
-			// Add relevant details from the result.
-			if ( isset( $result['result']['id'] ) ) {
-				$success_message .= '**ID:** ' . $result['result']['id'] . "\n";
-			}
-			if ( isset( $result['result']['status'] ) ) {
-				$success_message .= '**Status:** ' . ucfirst( $result['result']['status'] ) . "\n";
-			}
-			if ( isset( $result['result']['edit_url'] ) ) {
-				$success_message .= "\n[View/Edit →](" . esc_url( $result['result']['edit_url'] ) . ")\n";
-			}
-		}
+		foreach ( array_keys( $this->get_models_by_provider() ) as $provider_id ) {
+			$provider = \Assistify_For_WooCommerce\AI_Providers\AI_Provider_Factory::create( $provider_id );
 
-		// Save to database session.
-		if ( ! empty( $session_id ) ) {
-			$this->save_message_to_db( $session_id, 'assistant', $success_message );
+			$providers[ $provider_id ] = array(
+				'name'       => is_wp_error( $provider ) ? $provider_id : $provider->get_name(),
+				'configured' => '' !== \Assistify_For_WooCommerce\AI_Providers\AI_Provider_Factory::get_api_key_for_provider( $provider_id ),
+			);
 		}
 
-		wp_send_json_success(
-			array(
-				'message' => $success_message,
-				'result'  => $result['result'],
-			)
+		return $providers;
+	}
+
+	/**
+	 * Describe the model a provider answers with, to store with the answer.
+	 *
+	 * @since 1.1.0
+	 * @param object $provider The AI provider instance.
+	 * @return array Provider ID and model ID.
+	 */
+	private function get_model_metadata( $provider ) {
+		return array(
+			'provider' => $provider->get_id(),
+			'model'    => $provider->get_model(),
 		);
 	}
 
 	/**
-	 * Handle action cancellation AJAX request.
+	 * Build the payload sent to the client for a finished agentic chat turn.
 	 *
-	 * @since 1.0.0
+	 * @since 1.1.0
+	 * @param array $response Response from process_agentic_chat().
+	 * @return array Response payload.
 	 */
-	public function handle_cancel_action() {
-		// Verify nonce.
-		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error(
-				array( 'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ) )
-			);
+	private function get_chat_response_data( $response ) {
+		$data = array(
+			'message'       => $response['content'],
+			'usage'         => isset( $response['usage'] ) ? $response['usage'] : array(),
+			'usage_month'   => Usage_Meter::instance()->get_month_summary(),
+			'actions_taken' => isset( $response['actions_taken'] ) ? $response['actions_taken'] : array(),
+			'cards'         => isset( $response['cards'] ) ? $response['cards'] : array(),
+			'abilities'     => isset( $response['actions_taken'] ) ? $this->get_abilities_metadata( $response['actions_taken'] ) : array(),
+			'model'         => isset( $response['model'] ) ? $response['model'] : null,
+		);
+
+		if ( ! empty( $response['pending_action'] ) ) {
+			$pending = $response['pending_action'];
+
+			$data['pending_action']     = true;
+			$data['confirmation_token'] = $pending['confirmation_token'];
+			$data['is_destructive']     = $pending['is_destructive'];
+			$data['items']              = $pending['items'];
+			$data['expires_in']         = $pending['expires_in'];
+			$data['request']            = $pending['request'];
+			$data['status']             = 'pending';
 		}
 
-		// Get confirmation token and delete the pending action.
-		$token = isset( $_POST['confirmation_token'] ) ? sanitize_text_field( wp_unslash( $_POST['confirmation_token'] ) ) : '';
+		return $data;
+	}
 
-		if ( ! empty( $token ) ) {
-			delete_transient( 'assistify_pending_action_' . $token );
+	/**
+	 * Build the metadata stored with the answer of an agentic chat turn.
+	 *
+	 * A pending confirmation is stored with the answer so it can be shown
+	 * again, in its current state, when the session is reloaded.
+	 *
+	 * @since 1.1.0
+	 * @param array $response Response from process_agentic_chat().
+	 * @return array Message metadata.
+	 */
+	private function get_chat_turn_metadata( $response ) {
+		$metadata = array();
+
+		if ( ! empty( $response['model'] ) ) {
+			$metadata['model'] = $response['model'];
 		}
 
-		// Get session ID for logging.
-		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		if ( ! empty( $response['actions_taken'] ) ) {
+			$metadata['abilities'] = $this->get_abilities_metadata( $response['actions_taken'] );
+		}
 
-		$cancel_message = __( 'Action cancelled. Is there anything else I can help you with?', 'assistify-for-woocommerce' );
+		if ( ! empty( $response['usage'] ) ) {
+			$metadata['usage'] = $response['usage'];
+		}
 
-		// Save to database session.
-		if ( ! empty( $session_id ) ) {
-			$this->save_message_to_db( $session_id, 'assistant', $cancel_message );
+		if ( ! empty( $response['cards'] ) ) {
+			$metadata['cards'] = $response['cards'];
 		}
 
-		wp_send_json_success(
-			array( 'message' => $cancel_message )
-		);
+		if ( ! empty( $response['pending_action'] ) ) {
+			$pending = $response['pending_action'];
+
+			$metadata['pending_action'] = array(
+				'confirmation_token' => $pending['confirmation_token'],
+				'is_destructive'     => $pending['is_destructive'],
+				'summaries'          => $pending['summaries'],
+				'items'              => $pending['items'],
+				'expires_at'         => $pending['expires_at'],
+				'request'            => $pending['request'],
+				'status'             => 'pending',
+			);
+		}
+
+		return $metadata;
 	}
 
 	/**
-	 * Fetch relevant store data based on user message intent.
+	 * Reduce executed tools to the trace stored with a message.
 	 *
-	 * Uses a hybrid approach:
-	 * 1. Always provide baseline context (recent activity, summary)
-	 * 2. Use Intent Classifier for specific queries
-	 *
-	 * This ensures the AI always has context (like customer chat) while
-	 * still allowing specific data fetching for detailed queries.
-	 *
-	 * @since 1.0.0
-	 * @param string $message User message.
-	 * @return array Store data relevant to the query.
+	 * @since 1.1.0
+	 * @param array $actions Executed tools, each with 'tool', 'args' and 'result'.
+	 * @return array Abilities, each with 'tool', 'args', 'success', 'duration'
+	 *               in milliseconds and the audit 'log_id'.
 	 */
+	private function get_abilities_metadata( array $actions ) {
+		$abilities = array();
+
+		foreach ( $actions as $action ) {
+			$abilities[] = array(
+				'tool'     => $action['tool'],
+				'args'     => isset( $action['args'] ) ? $action['args'] : array(),
+				'success'  => ! empty( $action['result']['success'] ),
+				'duration' => isset( $action['duration'] ) ? (int) $action['duration'] : null,
+				'log_id'   => ! empty( $action['log_id'] ) ? (int) $action['log_id'] : 0,
+			);
+		}
+
+		return $abilities;
+	}
+
 	/**
-	 * Fetch relevant store data for admin chat.
+	 * Record a tool the agent ran during a chat turn in the audit log.
 	 *
-	 * Simplified approach: Always inject comprehensive context like customer chat.
-	 * No intent classification - let AI respond naturally based on provided data.
+	 * The results of tools that only read store data are left out, so the
+	 * log does not keep copies of customer and order details.
 	 *
-	 * @since 1.0.0
-	 * @param string $message The user message.
-	 * @return array Store data context.
+	 * @since 1.1.0
+	 * @param string $name       Tool name.
+	 * @param array  $args       Arguments the tool ran with.
+	 * @param array  $result     Tool result.
+	 * @param string $session_id Chat session ID.
+	 * @return int Log ID, 0 if nothing was logged.
 	 */
-	private function fetch_relevant_store_data( $message ) {
-		$results = array();
-
-		// Get comprehensive baseline context.
-		$baseline = $this->get_baseline_admin_context();
-		if ( ! empty( $baseline ) ) {
-			$results['store_overview'] = $baseline;
+	private function log_tool_call( $name, $args, $result, $session_id ) {
+		if ( ! class_exists( '\Assistify_For_WooCommerce\Audit_Logger' ) ) {
+			return 0;
 		}
 
-		// For specific queries, add additional context based on simple keyword detection.
-		$additional = $this->get_additional_context_for_query( $message );
-		if ( ! empty( $additional ) ) {
-			$results = array_merge( $results, $additional );
+		$status = empty( $result['success'] ) ? 'failed' : 'success';
+
+		if ( Admin_Tools::instance()->is_read_only( $name ) ) {
+			$result = null;
 		}
 
-		return $results;
+		return (int) \Assistify_For_WooCommerce\Audit_Logger::instance()->log(
+			array(
+				'action_type'     => 'chat_tool',
+				'action_category' => Tool_Confirmation::instance()->get_category( $name ),
+				'description'     => sprintf(
+					/* translators: %s: tool name. */
+					__( 'Admin chat ran %s', 'assistify-for-woocommerce' ),
+					$name
+				),
+				'ability_id'      => $name,
+				'parameters'      => $args,
+				'result'          => $result,
+				'status'          => $status,
+				'session_id'      => $session_id,
+			)
+		);
 	}
 
 	/**
-	 * Get additional context based on user query keywords.
-	 *
-	 * Simple keyword detection (not intent classification) to enrich context
-	 * when user asks about specific things.
+	 * Record what happened to a pending confirmation in the stored answer.
 	 *
-	 * @since 1.0.0
-	 * @param string $message The user message.
-	 * @return array Additional context data.
+	 * @since 1.1.0
+	 * @param string     $session_id Session ID.
+	 * @param string     $token      Confirmation token.
+	 * @param string     $status     New status: 'confirmed' or 'cancelled'.
+	 * @param array|null $approved   Optional. IDs of the approved items.
+	 * @return void
 	 */
-	private function get_additional_context_for_query( $message ) {
-		$abilities = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance();
-		$results   = array();
-		$message   = strtolower( $message );
+	private function update_pending_action_status( $session_id, $token, $status, $approved = null ) {
+		global $wpdb;
 
-		// If asking about specific order number.
-		if ( preg_match( '/order\s*#?\s*(\d+)/i', $message, $matches ) ) {
-			$order_data = $abilities->execute( 'afw/orders/get', array( 'order_id' => (int) $matches[1] ) );
-			if ( ! is_wp_error( $order_data ) ) {
-				$results['specific_order'] = $order_data;
-			}
+		if ( empty( $session_id ) || empty( $token ) ) {
+			return;
 		}
 
-		// If asking about products.
-		if ( preg_match( '/product|item|inventory|stock/i', $message ) ) {
-			// Get recent products.
-			$products = $abilities->execute( 'afw/products/list', array( 'limit' => 10 ) );
-			if ( ! is_wp_error( $products ) ) {
-				$results['products'] = $products;
-			}
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT m.id, m.metadata FROM {$wpdb->prefix}afw_messages m
+				INNER JOIN {$wpdb->prefix}afw_sessions s ON s.session_id = m.session_id
+				WHERE m.session_id = %s AND s.user_id = %d AND m.metadata LIKE %s
+				ORDER BY m.id DESC LIMIT 1",
+				$session_id,
+				get_current_user_id(),
+				'%' . $wpdb->esc_like( $token ) . '%'
+			)
+		);
 
-			// Check for low stock.
-			if ( preg_match( '/low\s*stock|out\s*of\s*stock/i', $message ) ) {
-				$low_stock = $abilities->execute( 'afw/products/low-stock', array( 'threshold' => 5 ) );
-				if ( ! is_wp_error( $low_stock ) ) {
-					$results['low_stock_products'] = $low_stock;
-				}
-			}
+		$metadata = $row ? json_decode( $row->metadata, true ) : null;
+
+		if ( empty( $metadata['pending_action'] ) || $metadata['pending_action']['confirmation_token'] !== $token ) {
+			return;
 		}
 
-		// If asking about coupons.
-		if ( preg_match( '/coupon|discount|promo/i', $message ) ) {
-			$coupons = $abilities->execute( 'afw/coupons/list', array( 'limit' => 10 ) );
-			if ( ! is_wp_error( $coupons ) ) {
-				$results['coupons'] = $coupons;
-			}
+		$metadata['pending_action']['status'] = $status;
+
+		if ( null !== $approved ) {
+			$metadata['pending_action']['approved'] = array_values( $approved );
 		}
 
-		// If asking about customers.
-		if ( preg_match( '/customer|buyer|client/i', $message ) ) {
-			$customers = $abilities->execute( 'afw/customers/recent', array( 'limit' => 10 ) );
-			if ( ! is_wp_error( $customers ) ) {
-				$results['recent_customers'] = $customers;
-			}
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update(
+			$wpdb->prefix . 'afw_messages',
+			array( 'metadata' => wp_json_encode( $metadata ) ),
+			array( 'id' => $row->id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+	}
+
+	/**
+	 * Handle AJAX request to stop an in-flight admin chat request.
+	 *
+	 * Stores the partial answer the user saw, marked as interrupted, and
+	 * prevents the still-running request from saving its full answer. If the
+	 * full answer was already saved, it is replaced by the partial one.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_stop_chat() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
-		// If asking about sales/revenue/analytics.
-		if ( preg_match( '/sales|revenue|earning|analytics|report/i', $message ) ) {
-			$sales = $abilities->execute( 'afw/analytics/sales', array( 'days' => 30 ) );
-			if ( ! is_wp_error( $sales ) ) {
-				$results['sales_analytics'] = $sales;
-			}
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
 		}
 
-		// If asking about settings, payment, or shipping.
-		if ( preg_match( '/setting|payment|gateway|checkout|shipping|tax/i', $message ) ) {
-			// Full store settings.
-			$store_settings = $abilities->execute( 'afw/store/settings', array() );
-			if ( ! is_wp_error( $store_settings ) ) {
-				$results['store_settings'] = $store_settings;
-			}
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$request_id = isset( $_POST['request_id'] ) ? sanitize_text_field( wp_unslash( $_POST['request_id'] ) ) : '';
+		$message    = isset( $_POST['message'] ) ? sanitize_textarea_field( wp_unslash( $_POST['message'] ) ) : '';
+		$partial    = isset( $_POST['partial'] ) ? sanitize_textarea_field( wp_unslash( $_POST['partial'] ) ) : '';
+		$context    = $this->get_question_context(
+			isset( $_POST['mentions'] ) ? wp_unslash( $_POST['mentions'] ) : array(), // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by get_question_context().
+			isset( $_POST['screen'] ) ? wp_unslash( $_POST['screen'] ) : array(), // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by get_question_context().
+			isset( $_POST['attachments'] ) ? wp_unslash( $_POST['attachments'] ) : array() // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by get_question_context().
+		);
 
-			// Full payment gateways list.
-			$gateways = $abilities->execute( 'afw/store/payment-gateways', array() );
-			if ( ! is_wp_error( $gateways ) ) {
-				$results['all_payment_gateways'] = $gateways;
-			}
+		if ( empty( $session_id ) || empty( $request_id ) || empty( $message ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request.', 'assistify-for-woocommerce' ) ) );
+		}
 
-			// Shipping zones details.
-			if ( preg_match( '/shipping/i', $message ) ) {
-				$shipping = $abilities->execute( 'afw/store/shipping-zones', array() );
-				if ( ! is_wp_error( $shipping ) ) {
-					$results['shipping_zones'] = $shipping;
-				}
+		$request_key = $this->get_chat_request_key( $request_id );
+		$metadata    = array( 'interrupted' => true );
+		$answer_id   = (int) get_transient( 'assistify_chat_answered_' . $request_key );
+
+		// Record the model that was answering.
+		$provider = $this->get_chat_provider(
+			isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '',
+			isset( $_POST['model'] ) ? sanitize_text_field( wp_unslash( $_POST['model'] ) ) : ''
+		);
+
+		if ( ! is_wp_error( $provider ) ) {
+			$metadata['model'] = $this->get_model_metadata( $provider );
+		}
+
+		if ( $answer_id > 0 ) {
+			// The request finished first; keep history in line with what the user saw.
+			global $wpdb;
+
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$saved = json_decode( (string) $wpdb->get_var( $wpdb->prepare( "SELECT metadata FROM {$wpdb->prefix}afw_messages WHERE id = %d", $answer_id ) ), true );
+
+			// The answer stays on the branch it was given on.
+			if ( ! empty( $saved['branch'] ) ) {
+				$metadata['branch'] = $saved['branch'];
 			}
 
-			// Tax settings.
-			if ( preg_match( '/tax/i', $message ) ) {
-				$tax_rates = $abilities->execute( 'afw/store/tax-rates', array() );
-				if ( ! is_wp_error( $tax_rates ) ) {
-					$results['tax_rates'] = $tax_rates;
-				}
+			if ( ! empty( $saved['model'] ) ) {
+				$metadata['model'] = $saved['model'];
 			}
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->update(
+				$wpdb->prefix . 'afw_messages',
+				array(
+					'content'  => $partial,
+					'metadata' => wp_json_encode( $metadata ),
+				),
+				array(
+					'id'         => $answer_id,
+					'session_id' => $session_id,
+				),
+				array( '%s', '%s' ),
+				array( '%d', '%s' )
+			);
+
+			delete_transient( 'assistify_chat_answered_' . $request_key );
+			wp_send_json_success();
 		}
 
-		return $results;
+		set_transient( 'assistify_chat_stopped_' . $request_key, 1, 10 * MINUTE_IN_SECONDS );
+
+		$this->save_question( $session_id, $request_id, $message, $context );
+		$this->save_message_to_db( $session_id, 'assistant', $partial, $metadata );
+		$this->save_chat_to_session( $message, $partial );
+
+		wp_send_json_success();
 	}
 
 	/**
-	 * Get baseline admin context that is ALWAYS injected.
+	 * Save a completed chat turn to the session history.
 	 *
-	 * Similar to how customer chat always has order/cart context,
-	 * admin chat always has recent activity context.
+	 * Skipped when the user stopped the request before it finished, since the
+	 * stop handler has already stored the partial answer.
 	 *
-	 * @since 1.0.0
-	 * @return array Baseline context data.
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @param string $request_id Client request ID.
+	 * @param string $message    User message.
+	 * @param string $answer     Assistant answer.
+	 * @param array  $metadata   Optional. Metadata stored with the answer, such as result cards.
+	 * @param array  $context    Optional. Question context from get_question_context().
+	 * @return bool True if saved, false if the request was stopped.
 	 */
-	private function get_baseline_admin_context() {
-		$abilities = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance();
-		$context   = array();
+	private function save_chat_turn( $session_id, $request_id, $message, $answer, $metadata = array(), $context = array() ) {
+		$request_key = ! empty( $request_id ) ? $this->get_chat_request_key( $request_id ) : '';
 
-		// Today's summary (orders, revenue, customers).
-		$summary = $abilities->execute( 'afw/analytics/daily-summary', array( 'days' => 1 ) );
-		if ( ! is_wp_error( $summary ) && ! empty( $summary ) ) {
-			$context['today'] = array(
-				'orders'        => $summary['total_orders'] ?? 0,
-				'revenue'       => $summary['total_sales_formatted'] ?? '$0.00',
-				'new_customers' => $summary['new_customers'] ?? 0,
-			);
+		if ( $request_key && get_transient( 'assistify_chat_stopped_' . $request_key ) ) {
+			delete_transient( 'assistify_chat_stopped_' . $request_key );
+			return false;
 		}
 
-		// Recent orders (last 5).
-		$recent_orders_result = $abilities->execute( 'afw/orders/list', array( 'limit' => 5 ) );
-		if ( ! is_wp_error( $recent_orders_result ) && ! empty( $recent_orders_result['orders'] ) ) {
-			$context['recent_orders'] = array();
-			foreach ( $recent_orders_result['orders'] as $order ) {
-				$order_id                   = $order['id'] ?? 0;
-				$context['recent_orders'][] = array(
-					'id'       => $order_id,
-					'number'   => $order['number'] ?? $order_id,
-					'status'   => $order['status_label'] ?? $order['status'] ?? 'unknown',
-					'total'    => $order['total'] ?? 'N/A',
-					'customer' => $order['customer'] ?? 'Guest',
-					'date'     => $order['date_created'] ?? '',
-					'edit_url' => $order_id ? admin_url( 'post.php?post=' . $order_id . '&action=edit' ) : '',
-				);
+		// Save to database session.
+		if ( ! empty( $session_id ) ) {
+			$this->save_question( $session_id, $request_id, $message, $context );
+			$answer_id = $this->save_message_to_db( $session_id, 'assistant', $answer, $metadata );
+
+			// Remember the answer so a late stop request can mark it interrupted.
+			if ( $answer_id && $request_key ) {
+				set_transient( 'assistify_chat_answered_' . $request_key, $answer_id, 10 * MINUTE_IN_SECONDS );
 			}
 		}
 
-		// Pending actions count.
-		$processing = $abilities->execute( 'afw/orders/processing-count', array() );
-		if ( ! is_wp_error( $processing ) && ! empty( $processing ) ) {
-			$context['pending_actions'] = array(
-				'to_ship'          => $processing['processing'] ?? 0,
-				'awaiting_payment' => $processing['pending'] ?? 0,
-				'on_hold'          => $processing['on-hold'] ?? 0,
-			);
-		}
+		// Also store in transient for context continuity.
+		$this->save_chat_to_session( $message, $answer );
 
-		// Low stock products (top 5).
-		$low_stock = $abilities->execute(
-			'afw/products/low-stock',
-			array(
-				'threshold' => 5,
-				'limit'     => 5,
-			)
-		);
-		if ( ! is_wp_error( $low_stock ) && ! empty( $low_stock ) ) {
-			$context['low_stock_alert'] = count( $low_stock ) . ' products low on stock';
+		return true;
+	}
+
+	/**
+	 * Save a question to the session history, and keep its attachments as
+	 * long as the session.
+	 *
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @param string $request_id Client request ID.
+	 * @param string $message    User message.
+	 * @param array  $context    Question context from get_question_context().
+	 * @return void
+	 */
+	private function save_question( $session_id, $request_id, $message, $context ) {
+		$this->save_message_to_db( $session_id, 'user', $message, $this->get_question_metadata( $request_id, $context ) );
+
+		if ( ! empty( $context['attachments'] ) ) {
+			Chat_Attachments::instance()->add_to_session( $context['attachments'], $session_id );
 		}
+	}
 
-		// Active coupons count.
-		$coupons = $abilities->execute(
-			'afw/coupons/list',
-			array(
-				'status' => 'publish',
-				'limit'  => 100,
-			)
-		);
-		if ( ! is_wp_error( $coupons ) ) {
-			$context['active_coupons'] = count( $coupons );
+	/**
+	 * Get the metadata stored with a question.
+	 *
+	 * @since 1.1.0
+	 * @param string $request_id Client request ID.
+	 * @param array  $context    Question context from get_question_context().
+	 * @return array Question metadata.
+	 */
+	private function get_question_metadata( $request_id, $context ) {
+		$metadata = array();
+
+		if ( $request_id ) {
+			$metadata['request_id'] = $request_id;
 		}
 
-		// Store currency.
-		$context['currency'] = html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' );
+		return array_merge( $metadata, $context );
+	}
 
-		// Payment gateways (enabled ones).
-		$payment_gateways = $abilities->execute( 'afw/store/payment-gateways', array() );
-		if ( ! is_wp_error( $payment_gateways ) && ! empty( $payment_gateways ) ) {
-			$enabled_gateways      = array();
-			$enabled_gateways_list = array();
-			foreach ( $payment_gateways as $gateway ) {
-				if ( ! empty( $gateway['enabled'] ) ) {
-					$enabled_gateways_list[] = array(
-						'id'    => $gateway['id'] ?? '',
-						'title' => $gateway['title'] ?? $gateway['id'],
-					);
-				}
-			}
-			$context['payment_gateways'] = array(
-				'enabled_count' => count( $enabled_gateways_list ),
-				'enabled_list'  => $enabled_gateways_list,
-				'settings_url'  => admin_url( 'admin.php?page=wc-settings&tab=checkout' ),
-			);
+	/**
+	 * Get the context sent with a question: the records it mentions, the
+	 * admin screen it was asked from and the files attached to it.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $mentions    Raw mentions, each with a type and an ID.
+	 * @param mixed $screen      Raw screen context with a type and an ID.
+	 * @param mixed $attachments Optional. Raw list of attachment IDs.
+	 * @return array Context with the 'mentions', 'screen' and 'attachments' that are set.
+	 */
+	public function get_question_context( $mentions, $screen, $attachments = array() ) {
+		$context     = array();
+		$mentions    = Chat_Mentions::instance()->sanitize( $mentions );
+		$screen      = $this->sanitize_screen_context( $screen );
+		$attachments = Chat_Attachments::instance()->sanitize( $attachments );
+
+		if ( ! empty( $mentions ) ) {
+			$context['mentions'] = $mentions;
 		}
 
-		// Shipping zones count.
-		$shipping_zones = $abilities->execute( 'afw/store/shipping-zones', array() );
-		if ( ! is_wp_error( $shipping_zones ) && ! empty( $shipping_zones ) ) {
-			$context['shipping'] = array(
-				'zones_count'  => count( $shipping_zones ),
-				'settings_url' => admin_url( 'admin.php?page=wc-settings&tab=shipping' ),
-			);
+		if ( ! empty( $screen ) ) {
+			$context['screen'] = $screen;
+		}
+
+		if ( ! empty( $attachments ) ) {
+			$context['attachments'] = $attachments;
 		}
 
 		return $context;
 	}
 
 	/**
-	 * Check if message matches any keywords.
+	 * Get the note added to a question for the model about its context.
 	 *
-	 * @since 1.0.0
-	 * @param string $message  Message to check.
-	 * @param array  $keywords Keywords to match.
-	 * @return bool True if matches.
+	 * CSV rows are only included for the question being asked; earlier
+	 * questions just name their files.
+	 *
+	 * @since 1.1.0
+	 * @param array $context      Question context, or the stored question metadata.
+	 * @param bool  $current      Optional. Whether this is the question being asked.
+	 * @param bool  $images_shown Optional. Whether attached images are sent to the model.
+	 * @return string Note to append to the question, or an empty string.
 	 */
-	private function message_matches( $message, $keywords ) {
-		foreach ( $keywords as $keyword ) {
-			if ( strpos( $message, $keyword ) !== false ) {
-				return true;
+	private function get_question_context_note( array $context, $current = false, $images_shown = false ) {
+		$note = '';
+
+		if ( ! empty( $context['screen']['type'] ) ) {
+			if ( 'reports' === $context['screen']['type'] ) {
+				$note .= "\n\nThe admin is asking from the WooCommerce reports screen.";
+			} else {
+				$note .= "\n\n" . sprintf(
+					'The admin is asking from the edit screen of %1$s, so "this %2$s" means that record.',
+					Chat_Mentions::instance()->get_reference( $context['screen'] ),
+					$context['screen']['type']
+				);
 			}
 		}
-		return false;
+
+		if ( ! empty( $context['mentions'] ) ) {
+			$note .= Chat_Mentions::instance()->get_context( $context['mentions'] );
+		}
+
+		if ( ! empty( $context['attachments'] ) ) {
+			$note .= Chat_Attachments::instance()->get_context( $context['attachments'], $current, $images_shown );
+		}
+
+		return $note;
 	}
 
 	/**
-	 * Get system prompt with injected store data.
+	 * Get the WooCommerce screen the admin is on.
 	 *
-	 * @since 1.0.0
-	 * @param array $store_data Fetched store data.
-	 * @return string System prompt with data.
+	 * Order, product and user edit screens are described by the record they
+	 * edit, with prompts suggested for it. The legacy reports and the
+	 * Analytics pages count as the reports screen.
+	 *
+	 * @since 1.1.0
+	 * @return array Screen context with type, id, label, url and prompts, or an empty array.
 	 */
-	private function get_admin_system_prompt_with_data( $store_data ) {
-		$base_prompt = $this->get_admin_system_prompt();
-
-		// Decode any HTML entities in the data for clean AI processing.
-		$store_data = $this->decode_html_entities_recursive( $store_data );
+	private function get_screen_context() {
+		$screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
 
-		$data_context = "\n\n## 📊 LIVE STORE DATA\n\n";
+		if ( ! $screen ) {
+			return array();
+		}
 
-		// Check if we have baseline overview.
-		$has_overview = isset( $store_data['store_overview'] ) && ! empty( $store_data['store_overview'] );
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Only reading which record the screen shows.
+		$type = '';
+		$id   = 0;
+
+		if ( in_array( $screen->id, array( 'shop_order', 'woocommerce_page_wc-orders' ), true ) ) {
+			$type = 'order';
+			$id   = isset( $_GET['id'] ) ? absint( $_GET['id'] ) : ( isset( $_GET['post'] ) ? absint( $_GET['post'] ) : 0 );
+		} elseif ( 'product' === $screen->id ) {
+			$type = 'product';
+			$id   = isset( $_GET['post'] ) ? absint( $_GET['post'] ) : 0;
+		} elseif ( 'user-edit' === $screen->id ) {
+			$type = 'customer';
+			$id   = isset( $_GET['user_id'] ) ? absint( $_GET['user_id'] ) : 0;
+		} elseif (
+			'woocommerce_page_wc-reports' === $screen->id ||
+			( 'woocommerce_page_wc-admin' === $screen->id && isset( $_GET['path'] ) && 0 === strpos( sanitize_text_field( wp_unslash( $_GET['path'] ) ), '/analytics' ) )
+		) {
+			$type = 'reports';
+		}
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
 
-		if ( $has_overview ) {
-			$overview      = $store_data['store_overview'];
-			$data_context .= "### 🏪 Store Overview (Real-time):\n";
+		$context = $this->sanitize_screen_context(
+			array(
+				'type' => $type,
+				'id'   => $id,
+			)
+		);
+
+		if ( empty( $context ) ) {
+			return array();
+		}
+
+		$prompts = array(
+			'order'    => array(
+				__( 'Summarize this order', 'assistify-for-woocommerce' ),
+				__( 'Show the other orders from this customer', 'assistify-for-woocommerce' ),
+				__( 'Draft a reply to the customer about this order', 'assistify-for-woocommerce' ),
+			),
+			'product'  => array(
+				__( 'How is this product selling this month?', 'assistify-for-woocommerce' ),
+				__( 'Is this product running low on stock?', 'assistify-for-woocommerce' ),
+				__( 'Suggest a better description for this product', 'assistify-for-woocommerce' ),
+			),
+			'customer' => array(
+				__( 'Summarize this customer\'s orders', 'assistify-for-woocommerce' ),
+				__( 'How much has this customer spent?', 'assistify-for-woocommerce' ),
+				__( 'When did this customer last order?', 'assistify-for-woocommerce' ),
+			),
+			'reports'  => array(
+				__( 'How do sales this month compare to last month?', 'assistify-for-woocommerce' ),
+				__( 'What are my top products this month?', 'assistify-for-woocommerce' ),
+				__( 'Give me a summary of yesterday', 'assistify-for-woocommerce' ),
+			),
+		);
+
+		$context['prompts'] = $prompts[ $context['type'] ];
+
+		return $context;
+	}
+
+	/**
+	 * Sanitize the screen context sent with a question.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $screen Raw screen context with a type and, for records, an ID.
+	 * @return array Screen context with type, id, label and url, or an empty array.
+	 */
+	private function sanitize_screen_context( $screen ) {
+		if ( ! is_array( $screen ) || empty( $screen['type'] ) ) {
+			return array();
+		}
+
+		if ( 'reports' === $screen['type'] ) {
+			return array(
+				'type'  => 'reports',
+				'id'    => 0,
+				'label' => __( 'Reports', 'assistify-for-woocommerce' ),
+				'url'   => '',
+			);
+		}
+
+		$records = Chat_Mentions::instance()->sanitize( array( $screen ) );
+
+		return ! empty( $records ) ? $records[0] : array();
+	}
+
+	/**
+	 * Get the transient key for a client chat request.
+	 *
+	 * @since 1.1.0
+	 * @param string $request_id Client request ID.
+	 * @return string Request key scoped to the current user.
+	 */
+	private function get_chat_request_key( $request_id ) {
+		return md5( get_current_user_id() . '|' . $request_id );
+	}
+
+	/**
+	 * Claim a client chat request before answering it.
+	 *
+	 * The claim is held while the question is answered and its saved
+	 * question is found afterwards, so the same request is only answered
+	 * once, even when the browser sends it again.
+	 *
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @param string $request_id Client request ID.
+	 * @return bool True if the request can be answered, false if it was already received.
+	 */
+	private function claim_chat_request( $session_id, $request_id ) {
+		global $wpdb;
+
+		if ( empty( $request_id ) ) {
+			return true;
+		}
+
+		$request_key = $this->get_chat_request_key( $request_id );
+
+		if ( get_transient( 'assistify_chat_claimed_' . $request_key ) ) {
+			return false;
+		}
+
+		if ( ! empty( $session_id ) ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$saved = $wpdb->get_var(
+				$wpdb->prepare(
+					"SELECT id FROM {$wpdb->prefix}afw_messages WHERE session_id = %s AND role = 'user' AND metadata LIKE %s LIMIT 1",
+					$session_id,
+					'%' . $wpdb->esc_like( '"request_id":' . wp_json_encode( $request_id ) ) . '%'
+				)
+			);
+
+			if ( $saved ) {
+				return false;
+			}
+		}
+
+		set_transient( 'assistify_chat_claimed_' . $request_key, 1, DAY_IN_SECONDS );
+
+		return true;
+	}
+
+	/**
+	 * Release the claim on a chat request that could not be answered, so it
+	 * can be sent again.
+	 *
+	 * @since 1.1.0
+	 * @param string $request_id Client request ID.
+	 * @return void
+	 */
+	private function release_chat_request( $request_id ) {
+		if ( ! empty( $request_id ) ) {
+			delete_transient( 'assistify_chat_claimed_' . $this->get_chat_request_key( $request_id ) );
+		}
+	}
+
+	/**
+	 * Get the error sent for a chat request that was already received.
+	 *
+	 * @since 1.1.0
+	 * @return array Error data with 'message' and 'code'.
+	 */
+	private function get_repeated_request_error() {
+		return array(
+			'message' => __( 'This question was already received. Reload the conversation to see its answer.', 'assistify-for-woocommerce' ),
+			'code'    => 'repeated_request',
+		);
+	}
+
+	/**
+	 * Get the code the chat widget tells a failed answer apart by.
+	 *
+	 * @since 1.1.0
+	 * @param \WP_Error $error Error from the AI provider.
+	 * @return string 'rate_limited' when the provider turned the request down for exceeding its rate limit, otherwise 'provider_error'.
+	 */
+	private function get_chat_error_code( $error ) {
+		$data = $error->get_error_data();
+
+		return is_array( $data ) && isset( $data['status_code'] ) && 429 === (int) $data['status_code'] ? 'rate_limited' : 'provider_error';
+	}
+
+	/**
+	 * Stream an admin chat response as server-sent events.
+	 *
+	 * Runs the same agentic loop as handle_admin_chat() but writes the answer
+	 * to the client as it is generated. Emits 'delta', 'tool', 'done' and
+	 * 'error' events, then ends the request.
+	 *
+	 * @since 1.1.0
+	 * @param object $provider   The AI provider instance.
+	 * @param string $message    User message.
+	 * @param string $session_id Session ID for context.
+	 * @param string $request_id Optional. Client request ID, used to honour a stop request and to answer it only once.
+	 * @param array  $context    Optional. Question context from get_question_context().
+	 * @return void
+	 */
+	public function stream_admin_chat( $provider, $message, $session_id, $request_id = '', $context = array() ) {
+		$this->start_event_stream();
+
+		\Assistify_For_WooCommerce\Assistify_Logger::debug(
+			'Admin chat request (streaming)',
+			'admin-chat',
+			array( 'message' => substr( $message, 0, 100 ) )
+		);
+
+		// A question sent again after a lost connection is not answered twice.
+		if ( ! $this->claim_chat_request( $session_id, $request_id ) ) {
+			$this->send_stream_event( 'error', $this->get_repeated_request_error() );
+			exit;
+		}
+
+		$response = $this->process_agentic_chat( $provider, $message, $session_id, array( $this, 'send_stream_event' ), $context );
+
+		if ( is_wp_error( $response ) ) {
+			$this->release_chat_request( $request_id );
+			$this->send_stream_event(
+				'error',
+				array(
+					'message' => $response->get_error_message(),
+					'code'    => $this->get_chat_error_code( $response ),
+				)
+			);
+			exit;
+		}
+
+		// Save the turn unless the user stopped it in the meantime.
+		$this->save_chat_turn( $session_id, $request_id, $message, $response['content'], $this->get_chat_turn_metadata( $response ), $context );
+
+		$this->send_stream_event( 'done', $this->get_chat_response_data( $response ) );
+		exit;
+	}
+
+	/**
+	 * Answer a question for the current user outside the chat widget, such
+	 * as a scheduled prompt.
+	 *
+	 * With a title, the question and answer are saved as a new session,
+	 * tagged as scheduled. Nobody reviews the answer as it runs, so only
+	 * tools that read store data are available.
+	 *
+	 * @since 1.1.0
+	 * @param string $message       Question.
+	 * @param string $session_title Optional. Title of the session to save the answer to.
+	 * @return array|\WP_Error Answer with content and session_id, or error.
+	 */
+	public function answer_question( $message, $session_title = '' ) {
+		$provider = $this->get_chat_provider();
+
+		if ( is_wp_error( $provider ) ) {
+			return $provider;
+		}
+
+		$session_id = $session_title ? $this->generate_session_id() : '';
+		$response   = $this->process_agentic_chat( $provider, $message, $session_id, null, array(), true );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		if ( $session_id ) {
+			$this->save_message_to_db( $session_id, 'user', $message );
+			$this->save_message_to_db( $session_id, 'assistant', $response['content'], $this->get_chat_turn_metadata( $response ) );
+			$this->update_session_metadata(
+				$session_id,
+				array(
+					'title' => $session_title,
+					'tags'  => array( __( 'Scheduled', 'assistify-for-woocommerce' ) ),
+				)
+			);
+		}
+
+		return array(
+			'content'    => $response['content'],
+			'session_id' => $session_id,
+		);
+	}
+
+	/**
+	 * Send a single server-sent event to the client.
+	 *
+	 * @since 1.1.0
+	 * @param string $event Event name.
+	 * @param array  $data  Event payload.
+	 * @return void
+	 */
+	public function send_stream_event( $event, $data ) {
+		echo 'event: ' . esc_html( $event ) . "\n";
+		echo 'data: ' . wp_json_encode( $data ) . "\n\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- JSON payload for the event stream.
+		flush();
+	}
+
+	/**
+	 * Prepare the response for server-sent events.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function start_event_stream() {
+		// Drop output buffers so each event reaches the browser immediately.
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		header( 'Content-Type: text/event-stream; charset=' . get_option( 'blog_charset' ) );
+		header( 'Cache-Control: no-cache' );
+		header( 'X-Accel-Buffering: no' );
+	}
+
+	/**
+	 * Process chat using agentic approach with function calling.
+	 *
+	 * This method implements a tool-calling loop where:
+	 * 1. Send message to AI with available tools
+	 * 2. If AI calls tools, execute them and send results back
+	 * 3. Continue until AI returns a final text response
+	 *
+	 * When an event callback is given and the provider supports it, the model
+	 * output is streamed: the callback receives a 'delta' event for each text
+	 * fragment and a 'tool' event before each tool runs.
+	 *
+	 * @since 1.0.0
+	 * @param object        $provider   The AI provider instance.
+	 * @param string        $message    User message.
+	 * @param string        $session_id Session ID for context.
+	 * @param callable|null $on_event   Optional. Callback receiving ( $event, $data ).
+	 * @param array         $context    Optional. Question context from get_question_context().
+	 * @param bool          $read_only  Optional. Only offer and run tools that read store data,
+	 *                                  for answers nobody is watching. Default false.
+	 * @return array|\WP_Error Response with content or error.
+	 */
+	private function process_agentic_chat( $provider, $message, $session_id, $on_event = null, $context = array(), $read_only = false ) {
+		// Get admin tools.
+		$admin_tools = Admin_Tools::instance();
+		$tools       = $admin_tools->get_tools_for_openai( $read_only );
+
+		// Build system prompt for agentic mode.
+		$system_prompt = $this->get_agentic_system_prompt();
+
+		// Get chat history.
+		$history = $this->get_chat_history_from_session( $session_id );
+
+		// Attached images are only sent to models that can see them.
+		$images = array();
+		if ( ! empty( $context['attachments'] ) && method_exists( $provider, 'supports_images' ) && $provider->supports_images() ) {
+			$images = Chat_Attachments::instance()->get_images( $context['attachments'] );
+		}
+
+		// Build initial messages, naming the screen, records and files the question is about.
+		$content = $message . $this->get_question_context_note( $context, true, ! empty( $images ) );
+
+		if ( ! empty( $images ) ) {
+			$content = array(
+				array(
+					'type' => 'text',
+					'text' => $content,
+				),
+			);
+
+			foreach ( $images as $image ) {
+				$content[] = array(
+					'type'      => 'image_url',
+					'image_url' => array( 'url' => 'data:' . $image['mime'] . ';base64,' . $image['data'] ),
+				);
+			}
+		}
+
+		$messages   = $history;
+		$messages[] = array(
+			'role'    => 'user',
+			'content' => $content,
+		);
+
+		// Model set by get_chat_provider(), recorded with the answer.
+		$model = $this->get_model_metadata( $provider );
+
+		$options = array(
+			'system_prompt' => $system_prompt,
+			'model'         => $model['model'],
+			'max_tokens'    => 2048,
+			'temperature'   => 0.7,
+		);
+
+		// Track actions taken, and the tokens used over every step.
+		$actions_taken  = array();
+		$usage          = array();
+		$meter          = Usage_Meter::instance();
+		$max_iterations = 5; // Prevent infinite loops.
+		$iteration      = 0;
+		$stream         = is_callable( $on_event ) && method_exists( $provider, 'chat_with_tools_stream' );
+
+		// Check if provider supports tool calling.
+		if ( ! method_exists( $provider, 'chat_with_tools' ) ) {
+			// Fallback to regular chat for providers without tool support.
+			\Assistify_For_WooCommerce\Assistify_Logger::debug(
+				'Provider does not support tools, using regular chat',
+				'admin-chat'
+			);
+
+			$response = $provider->chat( $messages, $options );
+
+			if ( is_wp_error( $response ) ) {
+				return $response;
+			}
+
+			return array(
+				'content'       => $response['content'],
+				'usage'         => $meter->summarize( $provider, $response['usage'] ?? array() ),
+				'actions_taken' => array(),
+				'model'         => $model,
+			);
+		}
+
+		// Tool calling loop.
+		while ( $iteration < $max_iterations ) {
+			++$iteration;
+
+			\Assistify_For_WooCommerce\Assistify_Logger::debug(
+				sprintf( 'Agentic chat iteration %d', $iteration ),
+				'admin-chat'
+			);
+
+			// Call AI with tools.
+			if ( $stream ) {
+				$response = $provider->chat_with_tools_stream(
+					$messages,
+					$tools,
+					$options,
+					function ( $text ) use ( $on_event ) {
+						call_user_func( $on_event, 'delta', array( 'text' => $text ) );
+					}
+				);
+			} else {
+				$response = $provider->chat_with_tools( $messages, $tools, $options );
+			}
+
+			if ( is_wp_error( $response ) ) {
+				return $response;
+			}
+
+			$usage = $meter->add( $usage, $response['usage'] ?? array() );
+
+			// Check response type.
+			if ( 'content' === $response['type'] ) {
+				// AI returned a final text response.
+				return array(
+					'content'       => $response['content'],
+					'usage'         => $meter->summarize( $provider, $usage ),
+					'actions_taken' => $actions_taken,
+					'cards'         => Result_Cards::instance()->build( $actions_taken ),
+					'model'         => $model,
+				);
+			}
+
+			if ( 'tool_calls' === $response['type'] && ! empty( $response['tool_calls'] ) ) {
+				// AI wants to call tools.
+				$calls = array();
+				foreach ( $response['tool_calls'] as $tool_call ) {
+					$tool_args = array();
+
+					if ( isset( $tool_call['function']['arguments'] ) ) {
+						$tool_args = json_decode( $tool_call['function']['arguments'], true );
+						if ( ! is_array( $tool_args ) ) {
+							$tool_args = array();
+						}
+					}
+
+					$calls[] = array(
+						'name' => $tool_call['function']['name'] ?? '',
+						'args' => $tool_args,
+					);
+				}
+
+				// Hold batch, multi-step and destructive changes for the admin to review.
+				$confirmation = Tool_Confirmation::instance();
+				$writes_done  = count(
+					array_filter(
+						$actions_taken,
+						function ( $action ) use ( $admin_tools ) {
+							return ! $admin_tools->is_read_only( $action['tool'] );
+						}
+					)
+				);
+				if ( ! $read_only && $confirmation->requires_confirmation( $calls, $writes_done ) ) {
+					// Reads asked for alongside the held changes still run.
+					foreach ( $calls as $call ) {
+						if ( $admin_tools->is_read_only( $call['name'] ) ) {
+							$actions_taken[] = $this->run_chat_tool( $call['name'], $call['args'], $session_id, $on_event, $read_only );
+						}
+					}
+
+					$pending = $confirmation->create( $confirmation->get_write_calls( $calls ), $session_id );
+
+					// Kept so the admin can ask again once the confirmation expires.
+					$pending['request'] = $message;
+
+					return array(
+						'content'        => $this->build_action_confirmation_message( $pending ),
+						'usage'          => $meter->summarize( $provider, $usage ),
+						'actions_taken'  => $actions_taken,
+						'cards'          => Result_Cards::instance()->build( $actions_taken ),
+						'model'          => $model,
+						'pending_action' => $pending,
+					);
+				}
+
+				// Add assistant message with tool calls to conversation.
+				$messages[] = $response['message'];
+
+				// Process each tool call.
+				foreach ( $response['tool_calls'] as $index => $tool_call ) {
+					$action          = $this->run_chat_tool( $calls[ $index ]['name'], $calls[ $index ]['args'], $session_id, $on_event, $read_only );
+					$actions_taken[] = $action;
+
+					// Add tool result to conversation.
+					$messages[] = array(
+						'role'         => 'tool',
+						'tool_call_id' => $tool_call['id'],
+						'content'      => wp_json_encode( $action['result'] ),
+					);
+				}
+
+				// Continue the loop to get AI's response to tool results.
+				continue;
+			}
+
+			// Unexpected response type - break loop.
+			break;
+		}
+
+		// If we exit the loop without a content response, return error.
+		return new \WP_Error(
+			'assistify_agent_error',
+			__( 'Agent could not complete the request. Please try again.', 'assistify-for-woocommerce' )
+		);
+	}
+
+	/**
+	 * Run a tool the agent called and record it in the audit log.
+	 *
+	 * @since 1.1.0
+	 * @param string        $tool_name  Tool name.
+	 * @param array         $tool_args  Tool arguments.
+	 * @param string        $session_id Session ID.
+	 * @param callable|null $on_event   Optional. Callback receiving ( $event, $data ).
+	 * @param bool          $read_only  Optional. Refuse tools that change store data.
+	 * @return array Action taken, with 'tool', 'args', 'result', 'duration' and 'log_id'.
+	 */
+	private function run_chat_tool( $tool_name, $tool_args, $session_id, $on_event = null, $read_only = false ) {
+		$admin_tools = Admin_Tools::instance();
+
+		\Assistify_For_WooCommerce\Assistify_Logger::info(
+			sprintf( 'Executing tool: %s', $tool_name ),
+			'admin-chat',
+			array( 'args' => $tool_args )
+		);
+
+		// Let a streaming client discard any interim text and show progress.
+		if ( is_callable( $on_event ) ) {
+			call_user_func( $on_event, 'tool', array( 'tool' => $tool_name ) );
+		}
+
+		// Execute the tool, refusing changes when nobody can review them.
+		$started = microtime( true );
+		if ( $read_only && ! $admin_tools->is_read_only( $tool_name ) ) {
+			$tool_result = array(
+				'success' => false,
+				'error'   => 'This answer runs unattended and can only read store data. Tell the user to make this change from the chat.',
+			);
+		} else {
+			$tool_result = $admin_tools->execute( $tool_name, $tool_args );
+		}
+		$duration = (int) round( ( microtime( true ) - $started ) * 1000 );
+
+		if ( is_wp_error( $tool_result ) ) {
+			$tool_result = array(
+				'success' => false,
+				'error'   => $tool_result->get_error_message(),
+			);
+		}
+
+		return array(
+			'tool'     => $tool_name,
+			'args'     => $tool_args,
+			'result'   => $tool_result,
+			'duration' => $duration,
+			'log_id'   => $this->log_tool_call( $tool_name, $tool_args, $tool_result, $session_id ),
+		);
+	}
+
+	/**
+	 * Get the system prompt for agentic mode.
+	 *
+	 * @since 1.0.0
+	 * @return string System prompt.
+	 */
+	private function get_agentic_system_prompt() {
+		$store_name      = get_bloginfo( 'name' );
+		$currency_symbol = function_exists( 'get_woocommerce_currency_symbol' )
+			? html_entity_decode( get_woocommerce_currency_symbol() )
+			: '$';
+		$admin_name      = wp_get_current_user()->display_name;
+
+		$prompt = sprintf(
+			'You are Ayana, an AI assistant for the "%s" WooCommerce store. You help %s manage their store.
+
+## YOUR CAPABILITIES
+You have access to tools that let you ACTUALLY perform actions, not just describe them:
+
+### Actions You Can Take:
+- **Create coupons** with any discount type, amount, and conditions
+- **Enable/disable payment gateways** (PayPal, Stripe, Cash on Delivery, etc.)
+- **Update WooCommerce settings** (guest checkout, coupons, reviews, etc.)
+- **Update order status** and add order notes
+- **Update product stock** and prices
+
+### Information You Can Retrieve:
+- Order details and recent orders
+- Product details and search products
+- Customer details
+- Coupon list and details
+- Payment gateway status
+- Store settings
+- Sales summaries
+
+## HOW TO RESPOND
+
+1. **For action requests**: USE THE TOOLS to actually perform the action, then confirm what you did.
+   Example: "Create a 10%% coupon" → Call create_coupon tool → "Done! Created coupon SAVE10 for 10%% off."
+
+2. **For information requests**: USE THE TOOLS to get real data, then present it clearly.
+   Example: "How many payment methods?" → Call get_payment_gateways → "You have 3 enabled: PayPal, Stripe, COD."
+
+3. **Be concise**: After performing an action, confirm briefly. No lengthy explanations.
+
+4. **Use markdown**: Bold for emphasis, backticks for codes like `COUPON123`.
+
+5. **Result cards**: Order details, product lookups (details, search, low stock, top products) and customer details are also shown to the admin as cards. Summarize the key points instead of repeating every field.
+
+## IMPORTANT RULES
+- NEVER say "I cannot do that" if you have a tool for it - USE THE TOOL
+- NEVER give step-by-step instructions for things you can do directly
+- ALWAYS use tools to get real data instead of making assumptions
+- After tool execution, report what actually happened based on the result
+
+## STORE INFO
+- Currency: %s
+- Admin: %s',
+			$store_name,
+			$admin_name,
+			$currency_symbol,
+			$admin_name
+		);
+
+		return $prompt;
+	}
+
+	/**
+	 * Build the confirmation message for a pending action.
+	 *
+	 * @since 1.0.0
+	 * @param array $pending Pending action data.
+	 * @return string Formatted confirmation message.
+	 */
+	private function build_action_confirmation_message( $pending ) {
+		$message = "## Action Confirmation Required\n\n";
+
+		if ( ! empty( $pending['summaries'] ) ) {
+			$message .= "I'm ready to make the following changes:\n\n";
+			foreach ( $pending['summaries'] as $summary ) {
+				$message .= '- **' . esc_html( $summary ) . "**\n";
+			}
+			$message .= "\n";
+		} else {
+			$message .= "I understand you want to perform the following action:\n\n";
+			$message .= '**' . esc_html( $pending['preview'] ) . "**\n\n";
+		}
+
+		if ( ! empty( $pending['is_destructive'] ) ) {
+			$message .= "**Warning: This is a destructive action and cannot be undone.**\n\n";
+		}
+
+		if ( ! empty( $pending['summaries'] ) ) {
+			$message .= "Review each change below, untick anything you want to skip, then confirm or cancel.\n";
+		} else {
+			$message .= "Please confirm or cancel this action using the buttons below.\n";
+		}
+
+		return $message;
+	}
+
+	/**
+	 * Handle action confirmation AJAX request.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_confirm_action() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'You do not have permission to perform this action.', 'assistify-for-woocommerce' ) )
+			);
+		}
+
+		// Get confirmation token.
+		$token = isset( $_POST['confirmation_token'] ) ? sanitize_text_field( wp_unslash( $_POST['confirmation_token'] ) ) : '';
+
+		if ( empty( $token ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Invalid confirmation token.', 'assistify-for-woocommerce' ) )
+			);
+		}
+
+		// Tool calls held back by the agentic chat, approved in full or in part.
+		if ( Tool_Confirmation::instance()->get( $token ) ) {
+			$approved = null;
+			if ( isset( $_POST['approved'] ) ) {
+				$approved = array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['approved'] ) ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by array_map.
+			}
+
+			$result = Tool_Confirmation::instance()->execute( $token, $approved );
+
+			if ( is_wp_error( $result ) ) {
+				wp_send_json_error(
+					array(
+						'message' => $result->get_error_message(),
+						'expired' => 'action_expired' === $result->get_error_code(),
+					)
+				);
+			}
+
+			$session_id      = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+			$success_message = $this->build_tool_results_message( $result );
+
+			$this->update_pending_action_status( $session_id, $token, 'confirmed', $approved );
+
+			if ( ! empty( $session_id ) ) {
+				$this->save_message_to_db( $session_id, 'assistant', $success_message, array( 'abilities' => $this->get_abilities_metadata( $result['results'] ) ) );
+			}
+
+			wp_send_json_success(
+				array(
+					'message'   => $success_message,
+					'result'    => $result['results'],
+					'abilities' => $this->get_abilities_metadata( $result['results'] ),
+					'undo'      => $result['undo'],
+				)
+			);
+		}
+
+		// Tell the client apart a stale token from a failed action.
+		if ( false === get_transient( Tool_Confirmation::TRANSIENT_PREFIX . $token ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'This confirmation has expired. Ask again to get a fresh one.', 'assistify-for-woocommerce' ),
+					'expired' => true,
+				)
+			);
+		}
+
+		// Execute the confirmed action.
+		$classifier = new \Assistify_For_WooCommerce\Intent_Classifier();
+		$result     = $classifier->execute_confirmed_action( $token );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error(
+				array( 'message' => $result->get_error_message() )
+			);
+		}
+
+		// Get session ID for logging.
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+
+		// Build success message.
+		$success_message  = "## Action Completed\n\n";
+		$success_message .= esc_html( $result['message'] ) . "\n\n";
+
+		if ( ! empty( $result['result'] ) && is_array( $result['result'] ) ) {
+			// Add relevant details from the result.
+			if ( isset( $result['result']['id'] ) ) {
+				$success_message .= '**ID:** ' . $result['result']['id'] . "\n";
+			}
+			if ( isset( $result['result']['status'] ) ) {
+				$success_message .= '**Status:** ' . ucfirst( $result['result']['status'] ) . "\n";
+			}
+			if ( isset( $result['result']['edit_url'] ) ) {
+				$success_message .= "\n[View/Edit →](" . esc_url( $result['result']['edit_url'] ) . ")\n";
+			}
+		}
+
+		// Save to database session.
+		if ( ! empty( $session_id ) ) {
+			$this->save_message_to_db( $session_id, 'assistant', $success_message );
+		}
+
+		wp_send_json_success(
+			array(
+				'message' => $success_message,
+				'result'  => $result['result'],
+			)
+		);
+	}
+
+	/**
+	 * Build the message reporting the outcome of confirmed tool calls.
+	 *
+	 * @since 1.1.0
+	 * @param array $result Result from Tool_Confirmation::execute().
+	 * @return string Formatted message.
+	 */
+	private function build_tool_results_message( $result ) {
+		if ( empty( $result['results'] ) ) {
+			return __( 'No changes were selected, so nothing was changed.', 'assistify-for-woocommerce' );
+		}
+
+		$message = "## Actions Completed\n\n";
+
+		foreach ( $result['results'] as $executed ) {
+			$outcome  = $executed['result'];
+			$details  = ! empty( $outcome['message'] ) ? $outcome['message'] : ( $outcome['error'] ?? '' );
+			$message .= '- ' . ( empty( $outcome['success'] ) ? '❌' : '✅' ) . ' **' . esc_html( $executed['summary'] ) . '**';
+			$message .= $details ? ' – ' . esc_html( wp_strip_all_tags( $details ) ) . "\n" : "\n";
+		}
+
+		$skipped = $result['total'] - $result['approved'];
+		if ( $skipped > 0 ) {
+			$message .= "\n_" . sprintf(
+				/* translators: 1: number of skipped changes, 2: total number of changes. */
+				_n( '%1$d of %2$d change was skipped.', '%1$d of %2$d changes were skipped.', $skipped, 'assistify-for-woocommerce' ),
+				$skipped,
+				$result['total']
+			) . "_\n";
+		}
+
+		// Say up front which changes the Undo button will not revert.
+		$permanent = array();
+		foreach ( $result['results'] as $executed ) {
+			if ( ! $executed['reversible'] && ! empty( $executed['result']['success'] ) ) {
+				$permanent[] = '- **' . esc_html( $executed['summary'] ) . '** – ' . Action_Undo::instance()->get_restriction( $executed['tool'] );
+			}
+		}
+
+		if ( $permanent && Action_Undo::instance()->get_window() ) {
+			$message .= "\n" . __( 'These changes are permanent:', 'assistify-for-woocommerce' ) . "\n\n" . implode( "\n", $permanent ) . "\n";
+		}
+
+		return $message;
+	}
+
+	/**
+	 * Handle AJAX request to undo confirmed admin chat actions.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_undo_action() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'You do not have permission to perform this action.', 'assistify-for-woocommerce' ) )
+			);
+		}
+
+		$token = isset( $_POST['undo_token'] ) ? sanitize_text_field( wp_unslash( $_POST['undo_token'] ) ) : '';
+
+		if ( empty( $token ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Invalid undo token.', 'assistify-for-woocommerce' ) )
+			);
+		}
+
+		$results = Action_Undo::instance()->undo( $token );
+
+		if ( is_wp_error( $results ) ) {
+			wp_send_json_error(
+				array( 'message' => $results->get_error_message() )
+			);
+		}
+
+		$message = "## Changes Undone\n\n";
+
+		foreach ( $results as $undone ) {
+			$outcome  = $undone['result'];
+			$message .= '- ' . ( $outcome['success'] ? '↩️' : '❌' ) . ' **' . esc_html( $undone['summary'] ) . '**';
+
+			if ( $outcome['skipped'] > 0 ) {
+				$message .= ' – ' . sprintf(
+					/* translators: %d: number of records left unchanged. */
+					_n( '%d record was changed since and was left as is.', '%d records were changed since and were left as is.', $outcome['skipped'], 'assistify-for-woocommerce' ),
+					$outcome['skipped']
+				);
+			}
+
+			$message .= "\n";
+		}
+
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+
+		if ( ! empty( $session_id ) ) {
+			$this->save_message_to_db( $session_id, 'assistant', $message );
+		}
+
+		wp_send_json_success(
+			array(
+				'message' => $message,
+				'result'  => $results,
+			)
+		);
+	}
+
+	/**
+	 * Handle action cancellation AJAX request.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_cancel_action() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Get confirmation token and delete the pending action.
+		$token = isset( $_POST['confirmation_token'] ) ? sanitize_text_field( wp_unslash( $_POST['confirmation_token'] ) ) : '';
+
+		if ( ! empty( $token ) ) {
+			delete_transient( 'assistify_pending_action_' . $token );
+		}
+
+		// Get session ID for logging.
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+
+		$this->update_pending_action_status( $session_id, $token, 'cancelled' );
+
+		$cancel_message = __( 'Action cancelled. Is there anything else I can help you with?', 'assistify-for-woocommerce' );
+
+		// Save to database session.
+		if ( ! empty( $session_id ) ) {
+			$this->save_message_to_db( $session_id, 'assistant', $cancel_message );
+		}
+
+		wp_send_json_success(
+			array( 'message' => $cancel_message )
+		);
+	}
+
+	/**
+	 * Fetch relevant store data based on user message intent.
+	 *
+	 * Uses a hybrid approach:
+	 * 1. Always provide baseline context (recent activity, summary)
+	 * 2. Use Intent Classifier for specific queries
+	 *
+	 * This ensures the AI always has context (like customer chat) while
+	 * still allowing specific data fetching for detailed queries.
+	 *
+	 * @since 1.0.0
+	 * @param string $message User message.
+	 * @return array Store data relevant to the query.
+	 */
+	/**
+	 * Fetch relevant store data for admin chat.
+	 *
+	 * Simplified approach: Always inject comprehensive context like customer chat.
+	 * No intent classification - let AI respond naturally based on provided data.
+	 *
+	 * @since 1.0.0
+	 * @param string $message The user message.
+	 * @return array Store data context.
+	 */
+	private function fetch_relevant_store_data( $message ) {
+		$results = array();
+
+		// Get comprehensive baseline context.
+		$baseline = $this->get_baseline_admin_context();
+		if ( ! empty( $baseline ) ) {
+			$results['store_overview'] = $baseline;
+		}
+
+		// For specific queries, add additional context based on simple keyword detection.
+		$additional = $this->get_additional_context_for_query( $message );
+		if ( ! empty( $additional ) ) {
+			$results = array_merge( $results, $additional );
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Get additional context based on user query keywords.
+	 *
+	 * Simple keyword detection (not intent classification) to enrich context
+	 * when user asks about specific things.
+	 *
+	 * @since 1.0.0
+	 * @param string $message The user message.
+	 * @return array Additional context data.
+	 */
+	private function get_additional_context_for_query( $message ) {
+		$abilities = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance();
+		$results   = array();
+		$message   = strtolower( $message );
+
+		// If asking about specific order number.
+		if ( preg_match( '/order\s*#?\s*(\d+)/i', $message, $matches ) ) {
+			$order_data = $abilities->execute( 'afw/orders/get', array( 'order_id' => (int) $matches[1] ) );
+			if ( ! is_wp_error( $order_data ) ) {
+				$results['specific_order'] = $order_data;
+			}
+		}
+
+		// If asking about products.
+		if ( preg_match( '/product|item|inventory|stock/i', $message ) ) {
+			// Get recent products.
+			$products = $abilities->execute( 'afw/products/list', array( 'limit' => 10 ) );
+			if ( ! is_wp_error( $products ) ) {
+				$results['products'] = $products;
+			}
+
+			// Check for low stock.
+			if ( preg_match( '/low\s*stock|out\s*of\s*stock/i', $message ) ) {
+				$low_stock = $abilities->execute( 'afw/products/low-stock', array( 'threshold' => 5 ) );
+				if ( ! is_wp_error( $low_stock ) ) {
+					$results['low_stock_products'] = $low_stock;
+				}
+			}
+		}
+
+		// If asking about coupons.
+		if ( preg_match( '/coupon|discount|promo/i', $message ) ) {
+			$coupons = $abilities->execute( 'afw/coupons/list', array( 'limit' => 10 ) );
+			if ( ! is_wp_error( $coupons ) ) {
+				$results['coupons'] = $coupons;
+			}
+		}
+
+		// If asking about customers.
+		if ( preg_match( '/customer|buyer|client/i', $message ) ) {
+			$customers = $abilities->execute( 'afw/customers/recent', array( 'limit' => 10 ) );
+			if ( ! is_wp_error( $customers ) ) {
+				$results['recent_customers'] = $customers;
+			}
+		}
+
+		// If asking about sales/revenue/analytics.
+		if ( preg_match( '/sales|revenue|earning|analytics|report/i', $message ) ) {
+			$sales = $abilities->execute( 'afw/analytics/sales', array( 'days' => 30 ) );
+			if ( ! is_wp_error( $sales ) ) {
+				$results['sales_analytics'] = $sales;
+			}
+		}
+
+		// If asking about settings, payment, or shipping.
+		if ( preg_match( '/setting|payment|gateway|checkout|shipping|tax/i', $message ) ) {
+			// Full store settings.
+			$store_settings = $abilities->execute( 'afw/store/settings', array() );
+			if ( ! is_wp_error( $store_settings ) ) {
+				$results['store_settings'] = $store_settings;
+			}
+
+			// Full payment gateways list.
+			$gateways = $abilities->execute( 'afw/store/payment-gateways', array() );
+			if ( ! is_wp_error( $gateways ) ) {
+				$results['all_payment_gateways'] = $gateways;
+			}
+
+			// Shipping zones details.
+			if ( preg_match( '/shipping/i', $message ) ) {
+				$shipping = $abilities->execute( 'afw/store/shipping-zones', array() );
+				if ( ! is_wp_error( $shipping ) ) {
+					$results['shipping_zones'] = $shipping;
+				}
+			}
+
+			// Tax settings.
+			if ( preg_match( '/tax/i', $message ) ) {
+				$tax_rates = $abilities->execute( 'afw/store/tax-rates', array() );
+				if ( ! is_wp_error( $tax_rates ) ) {
+					$results['tax_rates'] = $tax_rates;
+				}
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Get baseline admin context that is ALWAYS injected.
+	 *
+	 * Similar to how customer chat always has order/cart context,
+	 * admin chat always has recent activity context.
+	 *
+	 * @since 1.0.0
+	 * @return array Baseline context data.
+	 */
+	private function get_baseline_admin_context() {
+		$abilities = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance();
+		$context   = array();
+
+		// Today's summary (orders, revenue, customers).
+		$summary = $abilities->execute( 'afw/analytics/daily-summary', array( 'days' => 1 ) );
+		if ( ! is_wp_error( $summary ) && ! empty( $summary ) ) {
+			$context['today'] = array(
+				'orders'        => $summary['total_orders'] ?? 0,
+				'revenue'       => $summary['total_sales_formatted'] ?? '$0.00',
+				'new_customers' => $summary['new_customers'] ?? 0,
+			);
+		}
+
+		// Recent orders (last 5).
+		$recent_orders_result = $abilities->execute( 'afw/orders/list', array( 'limit' => 5 ) );
+		if ( ! is_wp_error( $recent_orders_result ) && ! empty( $recent_orders_result['orders'] ) ) {
+			$context['recent_orders'] = array();
+			foreach ( $recent_orders_result['orders'] as $order ) {
+				$order_id                   = $order['id'] ?? 0;
+				$context['recent_orders'][] = array(
+					'id'       => $order_id,
+					'number'   => $order['number'] ?? $order_id,
+					'status'   => $order['status_label'] ?? $order['status'] ?? 'unknown',
+					'total'    => $order['total'] ?? 'N/A',
+					'customer' => $order['customer'] ?? 'Guest',
+					'date'     => $order['date_created'] ?? '',
+					'edit_url' => $order_id ? admin_url( 'post.php?post=' . $order_id . '&action=edit' ) : '',
+				);
+			}
+		}
+
+		// Pending actions count.
+		$processing = $abilities->execute( 'afw/orders/processing-count', array() );
+		if ( ! is_wp_error( $processing ) && ! empty( $processing ) ) {
+			$context['pending_actions'] = array(
+				'to_ship'          => $processing['processing'] ?? 0,
+				'awaiting_payment' => $processing['pending'] ?? 0,
+				'on_hold'          => $processing['on-hold'] ?? 0,
+			);
+		}
+
+		// Low stock products (top 5).
+		$low_stock = $abilities->execute(
+			'afw/products/low-stock',
+			array(
+				'threshold' => 5,
+				'limit'     => 5,
+			)
+		);
+		if ( ! is_wp_error( $low_stock ) && ! empty( $low_stock ) ) {
+			$context['low_stock_alert'] = count( $low_stock ) . ' products low on stock';
+		}
+
+		// Active coupons count.
+		$coupons = $abilities->execute(
+			'afw/coupons/list',
+			array(
+				'status' => 'publish',
+				'limit'  => 100,
+			)
+		);
+		if ( ! is_wp_error( $coupons ) ) {
+			$context['active_coupons'] = count( $coupons );
+		}
+
+		// Store currency.
+		$context['currency'] = html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' );
+
+		// Payment gateways (enabled ones).
+		$payment_gateways = $abilities->execute( 'afw/store/payment-gateways', array() );
+		if ( ! is_wp_error( $payment_gateways ) && ! empty( $payment_gateways ) ) {
+			$enabled_gateways      = array();
+			$enabled_gateways_list = array();
+			foreach ( $payment_gateways as $gateway ) {
+				if ( ! empty( $gateway['enabled'] ) ) {
+					$enabled_gateways_list[] = array(
+						'id'    => $gateway['id'] ?? '',
+						'title' => $gateway['title'] ?? $gateway['id'],
+					);
+				}
+			}
+			$context['payment_gateways'] = array(
+				'enabled_count' => count( $enabled_gateways_list ),
+				'enabled_list'  => $enabled_gateways_list,
+				'settings_url'  => admin_url( 'admin.php?page=wc-settings&tab=checkout' ),
+			);
+		}
+
+		// Shipping zones count.
+		$shipping_zones = $abilities->execute( 'afw/store/shipping-zones', array() );
+		if ( ! is_wp_error( $shipping_zones ) && ! empty( $shipping_zones ) ) {
+			$context['shipping'] = array(
+				'zones_count'  => count( $shipping_zones ),
+				'settings_url' => admin_url( 'admin.php?page=wc-settings&tab=shipping' ),
+			);
+		}
+
+		return $context;
+	}
+
+	/**
+	 * Check if message matches any keywords.
+	 *
+	 * @since 1.0.0
+	 * @param string $message  Message to check.
+	 * @param array  $keywords Keywords to match.
+	 * @return bool True if matches.
+	 */
+	private function message_matches( $message, $keywords ) {
+		foreach ( $keywords as $keyword ) {
+			if ( strpos( $message, $keyword ) !== false ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Get system prompt with injected store data.
+	 *
+	 * @since 1.0.0
+	 * @param array $store_data Fetched store data.
+	 * @return string System prompt with data.
+	 */
+	private function get_admin_system_prompt_with_data( $store_data ) {
+		$base_prompt = $this->get_admin_system_prompt();
+
+		// Decode any HTML entities in the data for clean AI processing.
+		$store_data = $this->decode_html_entities_recursive( $store_data );
+
+		$data_context = "\n\n## 📊 LIVE STORE DATA\n\n";
+
+		// Check if we have baseline overview.
+		$has_overview = isset( $store_data['store_overview'] ) && ! empty( $store_data['store_overview'] );
+
+		if ( $has_overview ) {
+			$overview      = $store_data['store_overview'];
+			$data_context .= "### 🏪 Store Overview (Real-time):\n";
 
 			if ( isset( $overview['today'] ) ) {
 				$data_context .= "**Today's Activity:**\n";
@@ -1721,263 +3450,958 @@ You have access to tools that let you ACTUALLY perform actions, not just describ
 				$data_context .= '- New Customers: ' . ( $overview['today']['new_customers'] ?? 0 ) . "\n\n";
 			}
 
-			if ( isset( $overview['pending_actions'] ) ) {
-				$data_context .= "**Pending Actions:**\n";
-				$data_context .= '- Orders to Ship: ' . ( $overview['pending_actions']['to_ship'] ?? 0 ) . "\n";
-				$data_context .= '- Awaiting Payment: ' . ( $overview['pending_actions']['awaiting_payment'] ?? 0 ) . "\n";
-				$data_context .= '- On Hold: ' . ( $overview['pending_actions']['on_hold'] ?? 0 ) . "\n\n";
+			if ( isset( $overview['pending_actions'] ) ) {
+				$data_context .= "**Pending Actions:**\n";
+				$data_context .= '- Orders to Ship: ' . ( $overview['pending_actions']['to_ship'] ?? 0 ) . "\n";
+				$data_context .= '- Awaiting Payment: ' . ( $overview['pending_actions']['awaiting_payment'] ?? 0 ) . "\n";
+				$data_context .= '- On Hold: ' . ( $overview['pending_actions']['on_hold'] ?? 0 ) . "\n\n";
+			}
+
+			if ( isset( $overview['low_stock_alert'] ) ) {
+				$data_context .= '**Low Stock Alert:** ' . $overview['low_stock_alert'] . "\n\n";
+			}
+
+			if ( isset( $overview['recent_orders'] ) && ! empty( $overview['recent_orders'] ) ) {
+				$data_context .= "**Recent Orders:**\n";
+				foreach ( $overview['recent_orders'] as $order ) {
+					$data_context .= sprintf(
+						"- [Order #%s](%s): %s - %s (%s)\n",
+						$order['number'],
+						$order['edit_url'] ?? '#',
+						$order['status'],
+						$order['total'],
+						$order['customer']
+					);
+				}
+				$data_context .= "\n";
+			}
+
+			$data_context .= '**Active Coupons:** ' . ( $overview['active_coupons'] ?? 0 ) . "\n";
+			$data_context .= '**Currency:** ' . ( $overview['currency'] ?? '$' ) . "\n";
+
+			// Payment gateways.
+			if ( isset( $overview['payment_gateways'] ) && ! empty( $overview['payment_gateways']['enabled_list'] ) ) {
+				$gateway_names = array_map(
+					function ( $gw ) {
+						return $gw['title'];
+					},
+					$overview['payment_gateways']['enabled_list']
+				);
+				$data_context .= '**Payment Methods Enabled:** ' . count( $gateway_names ) . ' - ' . implode( ', ', $gateway_names ) . "\n";
+				$data_context .= '[Payment Settings](' . ( $overview['payment_gateways']['settings_url'] ?? '#' ) . ")\n";
+			}
+
+			// Shipping zones.
+			if ( isset( $overview['shipping'] ) ) {
+				$data_context .= '**Shipping Zones:** ' . ( $overview['shipping']['zones_count'] ?? 0 ) . ' configured\n';
+				$data_context .= '[Shipping Settings](' . ( $overview['shipping']['settings_url'] ?? '#' ) . ")\n";
+			}
+
+			$data_context .= "\n";
+
+			// Remove overview from store_data to avoid duplication.
+			unset( $store_data['store_overview'] );
+		}
+
+		// Add any additional specific data (from intent matching).
+		if ( ! empty( $store_data ) ) {
+			$data_context .= "### 📋 Specific Query Results:\n";
+			foreach ( $store_data as $key => $value ) {
+				$data_context .= "\n#### " . ucwords( str_replace( '_', ' ', $key ) ) . ":\n";
+				$data_context .= "```json\n" . wp_json_encode( $value, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE ) . "\n```\n";
+			}
+		}
+
+		$data_context .= "\n---\n\n";
+		$data_context .= "## ABSOLUTE RULES - MUST FOLLOW:\n\n";
+		$data_context .= "1. **USE ONLY DATA ABOVE** - Never invent data. If not shown, say \"I don't see that in my current data.\"\n";
+		$data_context .= "2. **NEVER SAY \"LOG IN\"** - Admin is ALREADY logged in. Just give the link.\n";
+		$data_context .= "3. **NO NUMBERED STEPS** - Don't write \"Step 1, Step 2...\" Just give link + one sentence.\n";
+		$data_context .= "4. **BE BRIEF** - Maximum 2-3 sentences for action requests.\n\n";
+		$data_context .= "## Quick Links for Actions:\n";
+		$data_context .= '- Checkout/Guest Settings: ' . admin_url( 'admin.php?page=wc-settings&tab=checkout' ) . "\n";
+		$data_context .= '- Payment Methods: ' . admin_url( 'admin.php?page=wc-settings&tab=checkout' ) . "\n";
+		$data_context .= '- Shipping Settings: ' . admin_url( 'admin.php?page=wc-settings&tab=shipping' ) . "\n";
+		$data_context .= '- General Settings: ' . admin_url( 'admin.php?page=wc-settings' ) . "\n";
+		$data_context .= '- Create Coupon: ' . admin_url( 'post-new.php?post_type=shop_coupon' ) . "\n";
+		$data_context .= '- All Orders: ' . admin_url( 'edit.php?post_type=shop_order' ) . "\n";
+		$data_context .= '- Add Product: ' . admin_url( 'post-new.php?post_type=product' ) . "\n";
+
+		return $base_prompt . $data_context;
+	}
+
+	/**
+	 * Recursively decode HTML entities in data.
+	 *
+	 * @since 1.0.0
+	 * @param mixed $data Data to decode.
+	 * @return mixed Decoded data.
+	 */
+	private function decode_html_entities_recursive( $data ) {
+		if ( is_string( $data ) ) {
+			return html_entity_decode( $data, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+		}
+
+		if ( is_array( $data ) ) {
+			foreach ( $data as $key => $value ) {
+				$data[ $key ] = $this->decode_html_entities_recursive( $value );
+			}
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Get the system prompt for admin chat.
+	 *
+	 * @since 1.0.0
+	 * @return string System prompt.
+	 */
+	private function get_admin_system_prompt() {
+		$store_name      = get_bloginfo( 'name' );
+		$currency        = function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : 'USD';
+		$currency_symbol = function_exists( 'get_woocommerce_currency_symbol' ) ? html_entity_decode( get_woocommerce_currency_symbol() ) : '$';
+		$admin_name      = wp_get_current_user()->display_name;
+
+		$prompt = sprintf(
+			/* translators: %1$s: Admin name, %2$s: Store name, %3$s: Currency code, %4$s: Currency symbol. */
+			__(
+				'You are Ayana, the AI assistant for "%2$s" WooCommerce store. You help %1$s manage their business.
+
+## CRITICAL CONTEXT - READ FIRST:
+- %1$s is ALREADY LOGGED IN to WordPress Admin Dashboard
+- They are chatting with you FROM INSIDE the admin panel
+- NEVER say "Log in to WordPress" or "Go to your dashboard" - they are already there!
+- Just provide direct links and brief instructions
+
+## Your Capabilities:
+- **View Data**: Orders, products, customers, analytics, coupons, settings - use the LIVE DATA provided
+- **Provide Links**: Give direct admin URLs for any action
+- **Generate Content**: Product titles, descriptions, meta descriptions, tags
+
+## Store Info:
+- Currency: %3$s (%4$s)
+- Platform: WooCommerce
+
+## Response Style - BE CONCISE:
+1. Use the LIVE STORE DATA provided - never say "I cannot access" if data is given
+2. For actions: Give ONE direct link + brief instruction (1-2 sentences max)
+3. NEVER list numbered steps like "Step 1, Step 2..." - just give the link
+4. Format: **bold** for emphasis, bullets for lists
+5. Keep responses SHORT and actionable
+
+## Example Good Response:
+User: "Disable guest checkout"
+Good: "Go to [Checkout Settings](link) and uncheck "Allow guest checkout", then save."
+Bad: "Step 1: Log in... Step 2: Navigate to... Step 3: Click on..."
+
+## Coupon Display:
+- **Code**: `COUPONCODE` (in backticks)
+- Show discount, expiry, usage
+
+## Content Generation:
+- **Product Title**: SEO-optimized, under 60 characters
+- **Description**: HTML with features/benefits
+- **Short Description**: 2-3 sentences
+- **Meta Description**: 150-160 characters for SEO
+
+## Tone:
+Direct, helpful, efficient. No fluff.',
+				'assistify-for-woocommerce'
+			),
+			$admin_name,
+			$store_name,
+			$currency,
+			$currency_symbol
+		);
+
+		/**
+		 * Filter the admin system prompt.
+		 *
+		 * @since 1.0.0
+		 * @param string $prompt The system prompt.
+		 */
+		return apply_filters( 'assistify_admin_system_prompt', $prompt );
+	}
+
+	/**
+	 * Get chat history from user session.
+	 *
+	 * @since 1.0.0
+	 * @param string $session_id Optional session ID to load from database.
+	 * @return array Chat history messages.
+	 */
+	private function get_chat_history_from_session( $session_id = '' ) {
+		// If session ID provided, try to load from database first.
+		if ( ! empty( $session_id ) ) {
+			global $wpdb;
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$session_metadata = $wpdb->get_var(
+				$wpdb->prepare(
+					"SELECT metadata FROM {$wpdb->prefix}afw_sessions WHERE session_id = %s",
+					$session_id
+				)
+			);
+
+			// Only the branch the admin is on counts as context.
+			$messages = array();
+			foreach ( $this->get_branch_messages( $session_id, $this->decode_session_metadata( $session_metadata ) ) as $row ) {
+				$messages[] = array(
+					'role'    => $row['role'],
+					'content' => 'user' === $row['role'] ? $row['content'] . $this->get_question_context_note( $row['metadata'] ) : $row['content'],
+				);
+			}
+
+			if ( ! empty( $messages ) ) {
+				// Limit to last 10 messages for token management.
+				return array_slice( $messages, -10 );
+			}
+		}
+
+		// Fallback to transient.
+		$user_id     = get_current_user_id();
+		$session_key = 'assistify_chat_history_' . $user_id;
+		$history     = get_transient( $session_key );
+
+		if ( ! is_array( $history ) ) {
+			return array();
+		}
+
+		// Limit history to last 10 messages to manage token usage.
+		return array_slice( $history, -10 );
+	}
+
+	/**
+	 * Save chat messages to user session.
+	 *
+	 * @since 1.0.0
+	 * @param string $user_message      User's message.
+	 * @param string $assistant_message AI response.
+	 * @return void
+	 */
+	private function save_chat_to_session( $user_message, $assistant_message ) {
+		$user_id     = get_current_user_id();
+		$session_key = 'assistify_chat_history_' . $user_id;
+		$history     = get_transient( $session_key );
+
+		if ( ! is_array( $history ) ) {
+			$history = array();
+		}
+
+		// Add new messages.
+		$history[] = array(
+			'role'    => 'user',
+			'content' => $user_message,
+		);
+		$history[] = array(
+			'role'    => 'assistant',
+			'content' => $assistant_message,
+		);
+
+		// Keep only last 20 messages.
+		$history = array_slice( $history, -20 );
+
+		// Store for 1 hour.
+		set_transient( $session_key, $history, HOUR_IN_SECONDS );
+	}
+
+	/**
+	 * Handle AJAX request to get user's chat sessions.
+	 *
+	 * @since 1.0.0
+	 * @return void
+	 */
+	public function handle_get_sessions() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		global $wpdb;
+		$user_id  = get_current_user_id();
+		$archived = ! empty( $_POST['archived'] );
+
+		// Get user's sessions with message count and preview (only sessions with messages).
+		// Not limited in SQL, as pinned, archived and shared sessions are kept beyond the cap.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT s.session_id as id, s.last_activity, s.metadata,
+				(SELECT COUNT(*) FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id) as message_count,
+				(SELECT content FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id AND role = %s ORDER BY created_at DESC LIMIT 1) as preview
+				FROM ' . $wpdb->prefix . 'afw_sessions s 
+				WHERE s.user_id = %d AND s.context = %s
+				AND EXISTS (SELECT 1 FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id)
+				ORDER BY s.last_activity DESC',
+				'user',
+				$user_id,
+				'admin'
+			),
+			ARRAY_A
+		);
+
+		$pinned   = array();
+		$sessions = array();
+		$shared   = $this->get_shared_sessions();
+		$tags     = array();
+		$counted  = 0;
+
+		foreach ( (array) $rows as $session ) {
+			$metadata = $this->decode_session_metadata( $session['metadata'] );
+			unset( $session['metadata'] );
+
+			// Sessions beyond the cap are about to be cleaned up.
+			if ( ! $this->is_kept_session( $metadata ) && ++$counted > self::MAX_SESSIONS ) {
+				continue;
+			}
+
+			$tags = array_merge( $tags, $metadata['tags'] );
+
+			if ( $metadata['archived'] !== $archived ) {
+				continue;
 			}
 
-			if ( isset( $overview['low_stock_alert'] ) ) {
-				$data_context .= '**Low Stock Alert:** ' . $overview['low_stock_alert'] . "\n\n";
+			$session = array_merge( $session, $metadata );
+
+			// A copy of a colleague's chat names who shared it.
+			if ( ! empty( $metadata['shared_by'] ) ) {
+				$session['owner'] = $this->get_user_name( $metadata['shared_by'] );
 			}
 
-			if ( isset( $overview['recent_orders'] ) && ! empty( $overview['recent_orders'] ) ) {
-				$data_context .= "**Recent Orders:**\n";
-				foreach ( $overview['recent_orders'] as $order ) {
-					$data_context .= sprintf(
-						"- [Order #%s](%s): %s - %s (%s)\n",
-						$order['number'],
-						$order['edit_url'] ?? '#',
-						$order['status'],
-						$order['total'],
-						$order['customer']
-					);
-				}
-				$data_context .= "\n";
+			if ( $metadata['pinned'] ) {
+				$pinned[] = $session;
+			} else {
+				$sessions[] = $session;
 			}
+		}
 
-			$data_context .= '**Active Coupons:** ' . ( $overview['active_coupons'] ?? 0 ) . "\n";
-			$data_context .= '**Currency:** ' . ( $overview['currency'] ?? '$' ) . "\n";
+		$tags = array_values( array_unique( $tags ) );
+		natcasesort( $tags );
 
-			// Payment gateways.
-			if ( isset( $overview['payment_gateways'] ) && ! empty( $overview['payment_gateways']['enabled_list'] ) ) {
-				$gateway_names = array_map(
-					function ( $gw ) {
-						return $gw['title'];
-					},
-					$overview['payment_gateways']['enabled_list']
-				);
-				$data_context .= '**Payment Methods Enabled:** ' . count( $gateway_names ) . ' - ' . implode( ', ', $gateway_names ) . "\n";
-				$data_context .= '[Payment Settings](' . ( $overview['payment_gateways']['settings_url'] ?? '#' ) . ")\n";
+		usort(
+			$shared,
+			function ( $a, $b ) {
+				return strcmp( $b['last_activity'], $a['last_activity'] );
+			}
+		);
+
+		// Pinned sessions always show, on top of the 20 most recent others.
+		wp_send_json_success(
+			array(
+				'sessions' => array_merge( $pinned, array_slice( $sessions, 0, 20 ) ),
+				'tags'     => array_values( $tags ),
+				'shared'   => $shared,
+			)
+		);
+	}
+
+	/**
+	 * Get the sessions other users shared read-only with the current user.
+	 *
+	 * Shares of sessions that have since been deleted are dropped.
+	 *
+	 * @since 1.1.0
+	 * @return array Sessions, each with 'mode' set to 'read' and the owner's name.
+	 */
+	private function get_shared_sessions() {
+		global $wpdb;
+
+		$shares   = $this->get_session_shares();
+		$sessions = array();
+		$stale    = false;
+
+		foreach ( $shares as $session_id => $share ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$session = $wpdb->get_row(
+				$wpdb->prepare(
+					'SELECT s.session_id as id, s.last_activity, s.metadata,
+					(SELECT COUNT(*) FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id) as message_count,
+					(SELECT content FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id AND role = %s ORDER BY created_at DESC LIMIT 1) as preview
+					FROM ' . $wpdb->prefix . 'afw_sessions s
+					WHERE s.session_id = %s AND s.user_id = %d AND s.context = %s',
+					'user',
+					$session_id,
+					$share['owner'],
+					'admin'
+				),
+				ARRAY_A
+			);
+
+			if ( ! $session ) {
+				unset( $shares[ $session_id ] );
+				$stale = true;
+				continue;
 			}
 
-			// Shipping zones.
-			if ( isset( $overview['shipping'] ) ) {
-				$data_context .= '**Shipping Zones:** ' . ( $overview['shipping']['zones_count'] ?? 0 ) . ' configured\n';
-				$data_context .= '[Shipping Settings](' . ( $overview['shipping']['settings_url'] ?? '#' ) . ")\n";
-			}
+			$metadata = $this->decode_session_metadata( $session['metadata'] );
+
+			$sessions[] = array(
+				'id'            => $session['id'],
+				'last_activity' => $session['last_activity'],
+				'message_count' => $session['message_count'],
+				'preview'       => $session['preview'],
+				'title'         => $metadata['title'],
+				'mode'          => 'read',
+				'owner'         => $this->get_user_name( $share['owner'] ),
+			);
+		}
+
+		if ( $stale ) {
+			update_user_meta( get_current_user_id(), 'assistify_shared_sessions', $shares );
+		}
+
+		return $sessions;
+	}
+
+	/**
+	 * Get the read-only shares of the current user.
+	 *
+	 * @since 1.1.0
+	 * @return array Shares keyed by session ID, each with 'owner' and 'shared_at'.
+	 */
+	private function get_session_shares() {
+		$shares = get_user_meta( get_current_user_id(), 'assistify_shared_sessions', true );
+
+		return is_array( $shares ) ? $shares : array();
+	}
+
+	/**
+	 * Get a user's display name.
+	 *
+	 * @since 1.1.0
+	 * @param int $user_id User ID.
+	 * @return string Display name.
+	 */
+	private function get_user_name( $user_id ) {
+		$user = get_userdata( absint( $user_id ) );
+
+		return $user ? $user->display_name : __( 'Unknown user', 'assistify-for-woocommerce' );
+	}
+
+	/**
+	 * Handle AJAX request to list the users a session can be shared with.
+	 *
+	 * Each user is flagged when the session is already shared read-only
+	 * with them, so the share can be revoked.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_get_share_users() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+
+		$users = get_users(
+			array(
+				'capability' => 'manage_woocommerce',
+				'exclude'    => array( get_current_user_id() ),
+				'orderby'    => 'display_name',
+				'number'     => 200,
+			)
+		);
+
+		$list = array();
+		foreach ( $users as $user ) {
+			$shares = get_user_meta( $user->ID, 'assistify_shared_sessions', true );
+
+			$list[] = array(
+				'id'     => $user->ID,
+				'name'   => $user->display_name,
+				'email'  => $user->user_email,
+				'shared' => isset( $shares[ $session_id ]['owner'] ) && (int) $shares[ $session_id ]['owner'] === get_current_user_id(),
+			);
+		}
+
+		wp_send_json_success( array( 'users' => $list ) );
+	}
+
+	/**
+	 * Handle AJAX request to share a session with another shop manager.
+	 *
+	 * A read-only share lets the other user open the session as it grows. A
+	 * fork gives them their own copy of the conversation to continue.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_share_session() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		global $wpdb;
+
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$user_id    = isset( $_POST['user_id'] ) ? absint( $_POST['user_id'] ) : 0;
+		$mode       = isset( $_POST['mode'] ) && 'fork' === sanitize_key( wp_unslash( $_POST['mode'] ) ) ? 'fork' : 'read';
+		$owner_id   = get_current_user_id();
+		$user       = get_userdata( $user_id );
+
+		if ( ! $user || $user_id === $owner_id || ! user_can( $user, 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'This user cannot receive shared chats.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$session = $wpdb->get_row(
+			$wpdb->prepare(
+				'SELECT s.metadata,
+				(SELECT content FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id AND role = %s ORDER BY created_at ASC LIMIT 1) as first_message
+				FROM ' . $wpdb->prefix . 'afw_sessions s
+				WHERE s.session_id = %s AND s.user_id = %d AND s.context = %s',
+				'user',
+				$session_id,
+				$owner_id,
+				'admin'
+			)
+		);
+
+		if ( ! $session || null === $session->first_message ) {
+			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$metadata = $this->decode_session_metadata( $session->metadata );
+		$title    = '' !== $metadata['title'] ? $metadata['title'] : wp_html_excerpt( $session->first_message, 60, '...' );
+		$fork_id  = '';
+
+		if ( 'fork' === $mode ) {
+			$fork_id = $this->fork_session( $session_id, $user_id, $title, $metadata );
+		} else {
+			$shares = get_user_meta( $user_id, 'assistify_shared_sessions', true );
+			$shares = is_array( $shares ) ? $shares : array();
+
+			$shares[ $session_id ] = array(
+				'owner'     => $owner_id,
+				'shared_at' => current_time( 'mysql' ),
+			);
+
+			update_user_meta( $user_id, 'assistify_shared_sessions', $shares );
+		}
+
+		if ( class_exists( '\Assistify_For_WooCommerce\Audit_Logger' ) ) {
+			\Assistify_For_WooCommerce\Audit_Logger::instance()->log(
+				array(
+					'action_type'     => 'share_session',
+					'action_category' => 'general',
+					'description'     => sprintf(
+						/* translators: 1: chat title, 2: user name. */
+						'fork' === $mode ? __( 'Shared a copy of chat "%1$s" with %2$s', 'assistify-for-woocommerce' ) : __( 'Shared chat "%1$s" read-only with %2$s', 'assistify-for-woocommerce' ),
+						$title,
+						$user->display_name
+					),
+					'parameters'      => array(
+						'session_id' => $session_id,
+						'user_id'    => $user_id,
+						'mode'       => $mode,
+						'fork_id'    => $fork_id,
+					),
+					'session_id'      => $session_id,
+					'object_type'     => 'user',
+					'object_id'       => $user_id,
+				)
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				'message' => sprintf(
+					/* translators: %s: user name. */
+					__( 'Shared with %s.', 'assistify-for-woocommerce' ),
+					$user->display_name
+				),
+			)
+		);
+	}
+
+	/**
+	 * Handle AJAX request to stop sharing a session read-only with a user.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_unshare_session() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$user_id    = isset( $_POST['user_id'] ) ? absint( $_POST['user_id'] ) : 0;
+		$shares     = get_user_meta( $user_id, 'assistify_shared_sessions', true );
+
+		// Only the owner of a session can revoke its shares.
+		if ( ! isset( $shares[ $session_id ]['owner'] ) || (int) $shares[ $session_id ]['owner'] !== get_current_user_id() ) {
+			wp_send_json_error( array( 'message' => __( 'This chat is not shared with this user.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		unset( $shares[ $session_id ] );
+		update_user_meta( $user_id, 'assistify_shared_sessions', $shares );
+
+		$name = $this->get_user_name( $user_id );
+
+		if ( class_exists( '\Assistify_For_WooCommerce\Audit_Logger' ) ) {
+			\Assistify_For_WooCommerce\Audit_Logger::instance()->log(
+				array(
+					'action_type'     => 'unshare_session',
+					'action_category' => 'general',
+					'description'     => sprintf(
+						/* translators: %s: user name. */
+						__( 'Stopped sharing a chat with %s', 'assistify-for-woocommerce' ),
+						$name
+					),
+					'parameters'      => array(
+						'session_id' => $session_id,
+						'user_id'    => $user_id,
+					),
+					'session_id'      => $session_id,
+					'object_type'     => 'user',
+					'object_id'       => $user_id,
+				)
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				'message' => sprintf(
+					/* translators: %s: user name. */
+					__( 'Stopped sharing with %s.', 'assistify-for-woocommerce' ),
+					$name
+				),
+			)
+		);
+	}
+
+	/**
+	 * Copy a session and its messages to another user.
+	 *
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @param int    $user_id    User who receives the copy.
+	 * @param string $title      Title of the copy.
+	 * @param array  $metadata   Session metadata from decode_session_metadata().
+	 * @return string ID of the copy.
+	 */
+	private function fork_session( $session_id, $user_id, $title, array $metadata ) {
+		global $wpdb;
 
-			$data_context .= "\n";
+		$fork_id = $this->generate_session_id();
 
-			// Remove overview from store_data to avoid duplication.
-			unset( $store_data['store_overview'] );
-		}
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$wpdb->insert(
+			$wpdb->prefix . 'afw_sessions',
+			array(
+				'session_id'    => $fork_id,
+				'user_id'       => $user_id,
+				'context'       => 'admin',
+				'metadata'      => wp_json_encode(
+					array(
+						'title'     => $title,
+						'shared_by' => get_current_user_id(),
+					)
+				),
+				'started_at'    => current_time( 'mysql' ),
+				'last_activity' => current_time( 'mysql' ),
+			),
+			array( '%s', '%d', '%s', '%s', '%s', '%s' )
+		);
 
-		// Add any additional specific data (from intent matching).
-		if ( ! empty( $store_data ) ) {
-			$data_context .= "### 📋 Specific Query Results:\n";
-			foreach ( $store_data as $key => $value ) {
-				$data_context .= "\n#### " . ucwords( str_replace( '_', ' ', $key ) ) . ":\n";
-				$data_context .= "```json\n" . wp_json_encode( $value, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE ) . "\n```\n";
-			}
+		// The copy is the conversation as shown, without the other branches.
+		foreach ( $this->get_branch_messages( $session_id, $metadata ) as $row ) {
+			unset( $row['metadata']['branch'], $row['metadata']['request_id'] );
+
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+			$wpdb->insert(
+				$wpdb->prefix . 'afw_messages',
+				array(
+					'session_id' => $fork_id,
+					'role'       => $row['role'],
+					'content'    => $row['content'],
+					'context'    => 'admin',
+					'metadata'   => ! empty( $row['metadata'] ) ? wp_json_encode( $row['metadata'] ) : null,
+					'created_at' => $row['created_at'],
+				),
+				array( '%s', '%s', '%s', '%s', '%s', '%s' )
+			);
 		}
 
-		$data_context .= "\n---\n\n";
-		$data_context .= "## ABSOLUTE RULES - MUST FOLLOW:\n\n";
-		$data_context .= "1. **USE ONLY DATA ABOVE** - Never invent data. If not shown, say \"I don't see that in my current data.\"\n";
-		$data_context .= "2. **NEVER SAY \"LOG IN\"** - Admin is ALREADY logged in. Just give the link.\n";
-		$data_context .= "3. **NO NUMBERED STEPS** - Don't write \"Step 1, Step 2...\" Just give link + one sentence.\n";
-		$data_context .= "4. **BE BRIEF** - Maximum 2-3 sentences for action requests.\n\n";
-		$data_context .= "## Quick Links for Actions:\n";
-		$data_context .= '- Checkout/Guest Settings: ' . admin_url( 'admin.php?page=wc-settings&tab=checkout' ) . "\n";
-		$data_context .= '- Payment Methods: ' . admin_url( 'admin.php?page=wc-settings&tab=checkout' ) . "\n";
-		$data_context .= '- Shipping Settings: ' . admin_url( 'admin.php?page=wc-settings&tab=shipping' ) . "\n";
-		$data_context .= '- General Settings: ' . admin_url( 'admin.php?page=wc-settings' ) . "\n";
-		$data_context .= '- Create Coupon: ' . admin_url( 'post-new.php?post_type=shop_coupon' ) . "\n";
-		$data_context .= '- All Orders: ' . admin_url( 'edit.php?post_type=shop_order' ) . "\n";
-		$data_context .= '- Add Product: ' . admin_url( 'post-new.php?post_type=product' ) . "\n";
+		return $fork_id;
+	}
 
-		return $base_prompt . $data_context;
+	/**
+	 * Generate a session ID in the same format as the chat widget.
+	 *
+	 * @since 1.1.0
+	 * @return string Session ID.
+	 */
+	private function generate_session_id() {
+		return 'afw_' . (int) ( microtime( true ) * 1000 ) . '_' . strtolower( wp_generate_password( 9, false ) );
 	}
 
 	/**
-	 * Recursively decode HTML entities in data.
+	 * Handle AJAX request to rename, pin, tag or archive a session.
 	 *
-	 * @since 1.0.0
-	 * @param mixed $data Data to decode.
-	 * @return mixed Decoded data.
+	 * Only the fields sent are changed. An empty title restores the title
+	 * derived from the conversation.
+	 *
+	 * @since 1.1.0
+	 * @return void
 	 */
-	private function decode_html_entities_recursive( $data ) {
-		if ( is_string( $data ) ) {
-			return html_entity_decode( $data, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+	public function handle_update_session() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
-		if ( is_array( $data ) ) {
-			foreach ( $data as $key => $value ) {
-				$data[ $key ] = $this->decode_html_entities_recursive( $value );
-			}
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
 		}
 
-		return $data;
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$changes    = array();
+
+		if ( isset( $_POST['title'] ) ) {
+			$changes['title'] = mb_substr( sanitize_text_field( wp_unslash( $_POST['title'] ) ), 0, 100 );
+		}
+
+		if ( isset( $_POST['pinned'] ) ) {
+			$changes['pinned'] = rest_sanitize_boolean( wp_unslash( $_POST['pinned'] ) );
+		}
+
+		if ( isset( $_POST['archived'] ) ) {
+			$changes['archived'] = rest_sanitize_boolean( wp_unslash( $_POST['archived'] ) );
+		}
+
+		if ( isset( $_POST['tags'] ) ) {
+			$changes['tags'] = $this->sanitize_session_tags( sanitize_text_field( wp_unslash( $_POST['tags'] ) ) );
+		}
+
+		$metadata = $this->update_session_metadata( $session_id, $changes );
+
+		if ( null === $metadata ) {
+			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( array( 'session' => array_merge( array( 'id' => $session_id ), $metadata ) ) );
 	}
 
 	/**
-	 * Get the system prompt for admin chat.
+	 * Handle AJAX request to delete, archive or restore several sessions at once.
 	 *
-	 * @since 1.0.0
-	 * @return string System prompt.
+	 * @since 1.1.0
+	 * @return void
 	 */
-	private function get_admin_system_prompt() {
-		$store_name      = get_bloginfo( 'name' );
-		$currency        = function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : 'USD';
-		$currency_symbol = function_exists( 'get_woocommerce_currency_symbol' ) ? html_entity_decode( get_woocommerce_currency_symbol() ) : '$';
-		$admin_name      = wp_get_current_user()->display_name;
+	public function handle_bulk_sessions() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
 
-		$prompt = sprintf(
-			/* translators: %1$s: Admin name, %2$s: Store name, %3$s: Currency code, %4$s: Currency symbol. */
-			__(
-				'You are Ayana, the AI assistant for "%2$s" WooCommerce store. You help %1$s manage their business.
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
 
-## CRITICAL CONTEXT - READ FIRST:
-- %1$s is ALREADY LOGGED IN to WordPress Admin Dashboard
-- They are chatting with you FROM INSIDE the admin panel
-- NEVER say "Log in to WordPress" or "Go to your dashboard" - they are already there!
-- Just provide direct links and brief instructions
+		$operation   = isset( $_POST['operation'] ) ? sanitize_key( wp_unslash( $_POST['operation'] ) ) : '';
+		$session_ids = isset( $_POST['session_ids'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['session_ids'] ) ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by array_map.
 
-## Your Capabilities:
-- **View Data**: Orders, products, customers, analytics, coupons, settings - use the LIVE DATA provided
-- **Provide Links**: Give direct admin URLs for any action
-- **Generate Content**: Product titles, descriptions, meta descriptions, tags
+		if ( ! in_array( $operation, array( 'delete', 'archive', 'unarchive' ), true ) || empty( $session_ids ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request.', 'assistify-for-woocommerce' ) ) );
+		}
 
-## Store Info:
-- Currency: %3$s (%4$s)
-- Platform: WooCommerce
+		$done = array();
 
-## Response Style - BE CONCISE:
-1. Use the LIVE STORE DATA provided - never say "I cannot access" if data is given
-2. For actions: Give ONE direct link + brief instruction (1-2 sentences max)
-3. NEVER list numbered steps like "Step 1, Step 2..." - just give the link
-4. Format: **bold** for emphasis, bullets for lists
-5. Keep responses SHORT and actionable
+		foreach ( array_unique( $session_ids ) as $session_id ) {
+			if ( 'delete' === $operation ) {
+				$updated = $this->delete_session( $session_id );
+			} else {
+				$updated = null !== $this->update_session_metadata( $session_id, array( 'archived' => 'archive' === $operation ) );
+			}
 
-## Example Good Response:
-User: "Disable guest checkout"
-Good: "Go to [Checkout Settings](link) and uncheck "Allow guest checkout", then save."
-Bad: "Step 1: Log in... Step 2: Navigate to... Step 3: Click on..."
+			if ( $updated ) {
+				$done[] = $session_id;
+			}
+		}
 
-## Coupon Display:
-- **Code**: `COUPONCODE` (in backticks)
-- Show discount, expiry, usage
+		wp_send_json_success( array( 'sessions' => $done ) );
+	}
 
-## Content Generation:
-- **Product Title**: SEO-optimized, under 60 characters
-- **Description**: HTML with features/benefits
-- **Short Description**: 2-3 sentences
-- **Meta Description**: 150-160 characters for SEO
+	/**
+	 * Decode stored session metadata and fill in the defaults.
+	 *
+	 * @since 1.1.0
+	 * @param string|null $json Metadata column value.
+	 * @return array Metadata with title, pinned, archived, tags, branches and the active branch.
+	 */
+	private function decode_session_metadata( $json ) {
+		$metadata = $json ? json_decode( $json, true ) : array();
 
-## Tone:
-Direct, helpful, efficient. No fluff.',
-				'assistify-for-woocommerce'
+		return array_merge(
+			array(
+				'title'    => '',
+				'pinned'   => false,
+				'archived' => false,
+				'tags'     => array(),
+				'branches' => array(),
+				'branch'   => 0,
 			),
-			$admin_name,
-			$store_name,
-			$currency,
-			$currency_symbol
+			is_array( $metadata ) ? $metadata : array()
 		);
-
-		/**
-		 * Filter the admin system prompt.
-		 *
-		 * @since 1.0.0
-		 * @param string $prompt The system prompt.
-		 */
-		return apply_filters( 'assistify_admin_system_prompt', $prompt );
 	}
 
 	/**
-	 * Get chat history from user session.
+	 * Get the metadata of a session owned by the current user.
 	 *
-	 * @since 1.0.0
-	 * @param string $session_id Optional session ID to load from database.
-	 * @return array Chat history messages.
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @return array|null Metadata, or null if the session was not found.
 	 */
-	private function get_chat_history_from_session( $session_id = '' ) {
-		// If session ID provided, try to load from database first.
-		if ( ! empty( $session_id ) ) {
-			global $wpdb;
-			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-			$messages = $wpdb->get_results(
-				$wpdb->prepare(
-					"SELECT role, content FROM {$wpdb->prefix}afw_messages WHERE session_id = %s ORDER BY created_at ASC LIMIT 20",
-					$session_id
-				),
-				ARRAY_A
-			);
+	private function get_session_metadata( $session_id ) {
+		global $wpdb;
 
-			if ( ! empty( $messages ) ) {
-				// Limit to last 10 messages for token management.
-				return array_slice( $messages, -10 );
-			}
+		if ( empty( $session_id ) ) {
+			return null;
 		}
 
-		// Fallback to transient.
-		$user_id     = get_current_user_id();
-		$session_key = 'assistify_chat_history_' . $user_id;
-		$history     = get_transient( $session_key );
-
-		if ( ! is_array( $history ) ) {
-			return array();
-		}
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$session = $wpdb->get_row(
+			$wpdb->prepare(
+				'SELECT metadata FROM ' . $wpdb->prefix . 'afw_sessions WHERE session_id = %s AND user_id = %d AND context = %s',
+				$session_id,
+				get_current_user_id(),
+				'admin'
+			)
+		);
 
-		// Limit history to last 10 messages to manage token usage.
-		return array_slice( $history, -10 );
+		return $session ? $this->decode_session_metadata( $session->metadata ) : null;
 	}
 
 	/**
-	 * Save chat messages to user session.
+	 * Merge changes into the metadata of a session owned by the current user.
 	 *
-	 * @since 1.0.0
-	 * @param string $user_message      User's message.
-	 * @param string $assistant_message AI response.
-	 * @return void
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @param array  $changes    Metadata fields to change.
+	 * @return array|null Updated metadata, or null if the session was not found.
 	 */
-	private function save_chat_to_session( $user_message, $assistant_message ) {
-		$user_id     = get_current_user_id();
-		$session_key = 'assistify_chat_history_' . $user_id;
-		$history     = get_transient( $session_key );
+	private function update_session_metadata( $session_id, array $changes ) {
+		global $wpdb;
 
-		if ( ! is_array( $history ) ) {
-			$history = array();
+		$metadata = $this->get_session_metadata( $session_id );
+
+		if ( null === $metadata ) {
+			return null;
 		}
 
-		// Add new messages.
-		$history[] = array(
-			'role'    => 'user',
-			'content' => $user_message,
-		);
-		$history[] = array(
-			'role'    => 'assistant',
-			'content' => $assistant_message,
+		$metadata = array_merge( $metadata, $changes );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update(
+			$wpdb->prefix . 'afw_sessions',
+			array( 'metadata' => wp_json_encode( $metadata ) ),
+			array( 'session_id' => $session_id ),
+			array( '%s' ),
+			array( '%s' )
 		);
 
-		// Keep only last 20 messages.
-		$history = array_slice( $history, -20 );
+		return $metadata;
+	}
 
-		// Store for 1 hour.
-		set_transient( $session_key, $history, HOUR_IN_SECONDS );
+	/**
+	 * Turn a comma-separated tag list into clean, unique tags.
+	 *
+	 * @since 1.1.0
+	 * @param string $tags Comma-separated tags.
+	 * @return array Tags.
+	 */
+	private function sanitize_session_tags( $tags ) {
+		$clean = array();
+
+		foreach ( explode( ',', $tags ) as $tag ) {
+			$tag = mb_substr( trim( $tag ), 0, 30 );
+
+			if ( '' !== $tag && ! in_array( mb_strtolower( $tag ), array_map( 'mb_strtolower', $clean ), true ) ) {
+				$clean[] = $tag;
+			}
+		}
+
+		return array_slice( $clean, 0, 10 );
 	}
 
 	/**
-	 * Handle AJAX request to get user's chat sessions.
+	 * Handle AJAX request to search message content across the user's sessions.
 	 *
-	 * @since 1.0.0
+	 * Every word of the query must appear in a message for it to match.
+	 * Results are returned newest first with a plain-text snippet around the
+	 * first match. Messages on branches a session does not show are left
+	 * out, since they cannot be opened.
+	 *
+	 * @since 1.1.0
 	 * @return void
 	 */
-	public function handle_get_sessions() {
+	public function handle_search_sessions() {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error( array( 'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ) ) );
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
 		// Check capabilities.
@@ -1985,29 +4409,103 @@ Direct, helpful, efficient. No fluff.',
 			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
 		}
 
+		$query = isset( $_POST['query'] ) ? sanitize_text_field( wp_unslash( $_POST['query'] ) ) : '';
+		$terms = array_slice( array_unique( preg_split( '/\s+/u', trim( $query ), -1, PREG_SPLIT_NO_EMPTY ) ), 0, 5 );
+
+		if ( mb_strlen( trim( $query ) ) < 2 || empty( $terms ) ) {
+			wp_send_json_success( array( 'results' => array() ) );
+		}
+
 		global $wpdb;
-		$user_id = get_current_user_id();
 
-		// Get user's sessions with message count and preview (only sessions with messages).
+		// Five fixed term slots keep the SQL a literal string; unused slots are empty.
+		$values = array( get_current_user_id(), 'admin' );
+		foreach ( array_pad( $terms, 5, '' ) as $term ) {
+			$values[] = $term;
+			$values[] = '%' . $wpdb->esc_like( $term ) . '%';
+		}
+
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$sessions = $wpdb->get_results(
+		$rows = $wpdb->get_results(
 			$wpdb->prepare(
-				'SELECT s.session_id as id, s.last_activity, 
-				(SELECT COUNT(*) FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id) as message_count,
-				(SELECT content FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id AND role = %s ORDER BY created_at DESC LIMIT 1) as preview
-				FROM ' . $wpdb->prefix . 'afw_sessions s 
-				WHERE s.user_id = %d AND s.context = %s
-				AND EXISTS (SELECT 1 FROM ' . $wpdb->prefix . 'afw_messages WHERE session_id = s.session_id)
-				ORDER BY s.last_activity DESC
-				LIMIT 20',
-				'user',
-				$user_id,
-				'admin'
+				"SELECT m.id, m.session_id, m.role, m.content, m.created_at FROM {$wpdb->prefix}afw_messages m INNER JOIN {$wpdb->prefix}afw_sessions s ON s.session_id = m.session_id WHERE s.user_id = %d AND s.context = %s AND (%s = '' OR m.content LIKE %s) AND (%s = '' OR m.content LIKE %s) AND (%s = '' OR m.content LIKE %s) AND (%s = '' OR m.content LIKE %s) AND (%s = '' OR m.content LIKE %s) ORDER BY m.created_at DESC, m.id DESC LIMIT 100",
+				...$values
 			),
 			ARRAY_A
 		);
 
-		wp_send_json_success( array( 'sessions' => $sessions ? $sessions : array() ) );
+		$results = array();
+		$visible = array();
+
+		foreach ( (array) $rows as $row ) {
+			$session_id = $row['session_id'];
+
+			// Only hits on the branch a session shows can be opened.
+			if ( ! isset( $visible[ $session_id ] ) ) {
+				$metadata = $this->get_session_metadata( $session_id );
+
+				$visible[ $session_id ] = null === $metadata ? array() : array_map( 'intval', array_column( $this->get_branch_messages( $session_id, $metadata ), 'id' ) );
+			}
+
+			if ( ! in_array( (int) $row['id'], $visible[ $session_id ], true ) ) {
+				continue;
+			}
+
+			$results[] = array(
+				'session_id' => $row['session_id'],
+				'message_id' => (int) $row['id'],
+				'role'       => $row['role'],
+				'snippet'    => $this->get_search_snippet( $row['content'], $terms ),
+				'created_at' => $row['created_at'],
+			);
+
+			if ( count( $results ) >= 30 ) {
+				break;
+			}
+		}
+
+		wp_send_json_success(
+			array(
+				'results' => $results,
+				'terms'   => $terms,
+			)
+		);
+	}
+
+	/**
+	 * Cut a plain-text snippet around the first search term in a message.
+	 *
+	 * @since 1.1.0
+	 * @param string $content Message content.
+	 * @param array  $terms   Search terms.
+	 * @return string Snippet.
+	 */
+	private function get_search_snippet( $content, $terms ) {
+		// Drop HTML and the most common markdown syntax.
+		$text = wp_strip_all_tags( $content );
+		$text = preg_replace( '/[*_`#>|~]+/u', '', $text );
+		$text = trim( preg_replace( '/\s+/u', ' ', $text ) );
+
+		$position = false;
+		foreach ( $terms as $term ) {
+			$found = mb_stripos( $text, $term );
+			if ( false !== $found && ( false === $position || $found < $position ) ) {
+				$position = $found;
+			}
+		}
+
+		$start   = max( 0, (int) $position - 60 );
+		$snippet = mb_substr( $text, $start, 180 );
+
+		if ( $start > 0 ) {
+			$snippet = '…' . ltrim( $snippet );
+		}
+
+		if ( $start + 180 < mb_strlen( $text ) ) {
+			$snippet = rtrim( $snippet ) . '…';
+		}
+
+		return $snippet;
 	}
 
 	/**
@@ -2019,7 +4517,12 @@ Direct, helpful, efficient. No fluff.',
 	public function handle_get_session_messages() {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error( array( 'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ) ) );
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
 		// Check capabilities.
@@ -2035,14 +4538,16 @@ Direct, helpful, efficient. No fluff.',
 
 		global $wpdb;
 
-		// Verify session belongs to current user.
+		// Verify session belongs to current user, or was shared with them.
 		$user_id = get_current_user_id();
+		$shares  = $this->get_session_shares();
+		$owner   = isset( $shares[ $session_id ] ) ? (int) $shares[ $session_id ]['owner'] : $user_id;
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$session = $wpdb->get_row(
 			$wpdb->prepare(
 				"SELECT * FROM {$wpdb->prefix}afw_sessions WHERE session_id = %s AND user_id = %d",
 				$session_id,
-				$user_id
+				$owner
 			)
 		);
 
@@ -2050,17 +4555,268 @@ Direct, helpful, efficient. No fluff.',
 			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
 		}
 
-		// Get messages.
+		// Get the messages on the active branch.
+		$messages = $this->get_branch_messages( $session_id, $this->decode_session_metadata( $session->metadata ), true );
+
+		foreach ( $messages as &$row ) {
+			// Work out how long a still-pending confirmation stays valid.
+			if ( ! empty( $row['metadata']['pending_action'] ) ) {
+				$pending = &$row['metadata']['pending_action'];
+
+				$pending['expires_in'] = max( 0, (int) $pending['expires_at'] - time() );
+
+				if ( 'pending' === $pending['status'] && ( ! $pending['expires_in'] || ! Tool_Confirmation::instance()->get( $pending['confirmation_token'] ) ) ) {
+					$pending['status']     = 'expired';
+					$pending['expires_in'] = 0;
+				}
+
+				unset( $pending );
+			}
+		}
+		unset( $row );
+
+		wp_send_json_success(
+			array(
+				'messages' => $messages,
+				'shared'   => $owner !== $user_id ? array( 'owner' => $this->get_user_name( $owner ) ) : null,
+			)
+		);
+	}
+
+	/**
+	 * Get the messages on the active branch of a session.
+	 *
+	 * Editing an earlier question starts a new branch from that point, so a
+	 * branch is the messages before the edited one on its parent branch,
+	 * followed by the messages written on the branch itself.
+	 *
+	 * @since 1.1.0
+	 * @param string $session_id    Session ID.
+	 * @param array  $metadata      Session metadata from decode_session_metadata().
+	 * @param bool   $with_versions Optional. Whether to describe the other versions of edited questions.
+	 * @return array Messages with decoded metadata, oldest first.
+	 */
+	private function get_branch_messages( $session_id, array $metadata, $with_versions = false ) {
+		global $wpdb;
+
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$messages = $wpdb->get_results(
+		$rows = $wpdb->get_results(
 			$wpdb->prepare(
-				"SELECT role, content, created_at FROM {$wpdb->prefix}afw_messages WHERE session_id = %s ORDER BY created_at ASC",
+				"SELECT id, role, content, metadata, created_at FROM {$wpdb->prefix}afw_messages WHERE session_id = %s ORDER BY created_at ASC, id ASC",
 				$session_id
 			),
 			ARRAY_A
 		);
 
-		wp_send_json_success( array( 'messages' => $messages ? $messages : array() ) );
+		$by_branch = array();
+		foreach ( (array) $rows as $row ) {
+			$row['metadata'] = ! empty( $row['metadata'] ) ? json_decode( $row['metadata'], true ) : array();
+			$row['metadata'] = is_array( $row['metadata'] ) ? $row['metadata'] : array();
+
+			$by_branch[ (int) ( $row['metadata']['branch'] ?? 0 ) ][] = $row;
+		}
+
+		$branches = array_column( $metadata['branches'], null, 'id' );
+		$path     = $this->get_branch_path( $by_branch, $branches, (int) $metadata['branch'] );
+
+		if ( ! $with_versions || empty( $branches ) ) {
+			return $path;
+		}
+
+		foreach ( $path as &$row ) {
+			if ( 'user' !== $row['role'] ) {
+				continue;
+			}
+
+			$branch = (int) ( $row['metadata']['branch'] ?? 0 );
+
+			// The first question of a branch is a version of the one it replaced.
+			if ( isset( $branches[ $branch ] ) && $by_branch[ $branch ][0]['id'] === $row['id'] ) {
+				$fork_at = $branches[ $branch ]['fork_at'];
+			} else {
+				$fork_at = (int) $row['id'];
+			}
+
+			$versions = array();
+			foreach ( $by_branch as $branch_id => $messages ) {
+				foreach ( $messages as $message ) {
+					if ( (int) $message['id'] === $fork_at ) {
+						$versions[] = $branch_id;
+					}
+				}
+			}
+
+			foreach ( $branches as $candidate ) {
+				// Branches whose edited question never got saved have nothing to show.
+				if ( $candidate['fork_at'] === $fork_at && ! empty( $by_branch[ $candidate['id'] ] ) ) {
+					$versions[] = $candidate['id'];
+				}
+			}
+
+			if ( count( $versions ) > 1 ) {
+				$row['versions'] = array(
+					'branches' => $versions,
+					'current'  => (int) array_search( $branch, $versions, true ),
+				);
+			}
+		}
+		unset( $row );
+
+		return $path;
+	}
+
+	/**
+	 * Resolve the messages of a branch.
+	 *
+	 * @since 1.1.0
+	 * @param array $by_branch Messages grouped by the branch they were written on.
+	 * @param array $branches  Branches keyed by ID, each with 'parent' and 'fork_at'.
+	 * @param int   $branch_id Branch ID, 0 for the original conversation.
+	 * @return array Messages, oldest first.
+	 */
+	private function get_branch_path( array $by_branch, array $branches, $branch_id ) {
+		$own = isset( $by_branch[ $branch_id ] ) ? $by_branch[ $branch_id ] : array();
+
+		if ( ! isset( $branches[ $branch_id ] ) ) {
+			return $own;
+		}
+
+		$prefix = array();
+		foreach ( $this->get_branch_path( $by_branch, $branches, $branches[ $branch_id ]['parent'] ) as $row ) {
+			if ( (int) $row['id'] === $branches[ $branch_id ]['fork_at'] ) {
+				break;
+			}
+			$prefix[] = $row;
+		}
+
+		return array_merge( $prefix, $own );
+	}
+
+	/**
+	 * Handle AJAX request to start a new branch at an earlier question.
+	 *
+	 * The question is identified by its message ID or, for one asked in the
+	 * open chat, by the ID of the request that sent it. The client then sends
+	 * the edited question, which is saved on the new branch.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_branch_session() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$message_id = isset( $_POST['message_id'] ) ? absint( $_POST['message_id'] ) : 0;
+		$request_id = isset( $_POST['request_id'] ) ? sanitize_text_field( wp_unslash( $_POST['request_id'] ) ) : '';
+		$metadata   = $this->get_session_metadata( $session_id );
+
+		if ( null === $metadata ) {
+			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$edited = null;
+		foreach ( $this->get_branch_messages( $session_id, $metadata ) as $row ) {
+			if ( 'user' === $row['role'] && ( (int) $row['id'] === $message_id || ( $request_id && ( $row['metadata']['request_id'] ?? '' ) === $request_id ) ) ) {
+				$edited = $row;
+				break;
+			}
+		}
+
+		if ( ! $edited ) {
+			wp_send_json_error( array( 'message' => __( 'This message can no longer be edited.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$owner    = (int) ( $edited['metadata']['branch'] ?? 0 );
+		$branches = array_column( $metadata['branches'], null, 'id' );
+		$first    = null;
+
+		if ( isset( $branches[ $owner ] ) ) {
+			foreach ( $this->get_branch_messages( $session_id, array_merge( $metadata, array( 'branch' => $owner ) ) ) as $row ) {
+				if ( (int) ( $row['metadata']['branch'] ?? 0 ) === $owner ) {
+					$first = (int) $row['id'];
+					break;
+				}
+			}
+		}
+
+		// Editing the first question of a branch adds a sibling instead of nesting.
+		if ( (int) $edited['id'] === $first ) {
+			$parent  = $branches[ $owner ]['parent'];
+			$fork_at = $branches[ $owner ]['fork_at'];
+		} else {
+			$parent  = $owner;
+			$fork_at = (int) $edited['id'];
+		}
+
+		$branch_id = $branches ? max( array_keys( $branches ) ) + 1 : 1;
+
+		$metadata['branches'][] = array(
+			'id'      => $branch_id,
+			'parent'  => $parent,
+			'fork_at' => $fork_at,
+		);
+
+		$this->update_session_metadata(
+			$session_id,
+			array(
+				'branches' => $metadata['branches'],
+				'branch'   => $branch_id,
+			)
+		);
+
+		wp_send_json_success( array( 'branch' => $branch_id ) );
+	}
+
+	/**
+	 * Handle AJAX request to switch a session to another branch.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_switch_branch() {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
+		}
+
+		// Check capabilities.
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$branch_id  = isset( $_POST['branch'] ) ? absint( $_POST['branch'] ) : 0;
+		$metadata   = $this->get_session_metadata( $session_id );
+
+		if ( null === $metadata ) {
+			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		if ( $branch_id && ! in_array( $branch_id, array_column( $metadata['branches'], 'id' ), true ) ) {
+			wp_send_json_error( array( 'message' => __( 'Branch not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		$this->update_session_metadata( $session_id, array( 'branch' => $branch_id ) );
+
+		wp_send_json_success( array( 'branch' => $branch_id ) );
 	}
 
 	/**
@@ -2072,7 +4828,12 @@ Direct, helpful, efficient. No fluff.',
 	public function handle_create_session() {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error( array( 'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ) ) );
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
 		// Check capabilities.
@@ -2143,7 +4904,12 @@ Direct, helpful, efficient. No fluff.',
 	public function handle_delete_session() {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error( array( 'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ) ) );
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
 		// Check capabilities.
@@ -2157,6 +4923,21 @@ Direct, helpful, efficient. No fluff.',
 			wp_send_json_error( array( 'message' => __( 'Session ID required.', 'assistify-for-woocommerce' ) ) );
 		}
 
+		if ( ! $this->delete_session( $session_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( array( 'deleted' => $session_id ) );
+	}
+
+	/**
+	 * Delete a session of the current user and its messages.
+	 *
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @return bool True if deleted, false if the session was not found.
+	 */
+	private function delete_session( $session_id ) {
 		global $wpdb;
 		$user_id = get_current_user_id();
 
@@ -2171,7 +4952,7 @@ Direct, helpful, efficient. No fluff.',
 		);
 
 		if ( ! $session ) {
-			wp_send_json_error( array( 'message' => __( 'Session not found.', 'assistify-for-woocommerce' ) ) );
+			return false;
 		}
 
 		// Delete messages first.
@@ -2190,7 +4971,9 @@ Direct, helpful, efficient. No fluff.',
 			array( '%s' )
 		);
 
-		wp_send_json_success( array( 'deleted' => $session_id ) );
+		Chat_Attachments::instance()->delete_session_files( $session_id );
+
+		return true;
 	}
 
 	/**
@@ -2202,7 +4985,12 @@ Direct, helpful, efficient. No fluff.',
 	public function handle_clear_all_sessions() {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_admin_nonce', 'nonce', false ) ) {
-			wp_send_json_error( array( 'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ) ) );
+			wp_send_json_error(
+				array(
+					'message' => __( 'Security check failed.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
+			);
 		}
 
 		// Check capabilities.
@@ -2224,7 +5012,7 @@ Direct, helpful, efficient. No fluff.',
 		);
 
 		if ( ! empty( $session_ids ) ) {
-			// Delete messages for each session.
+			// Delete messages and attached files for each session.
 			foreach ( $session_ids as $sid ) {
 				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 				$wpdb->delete(
@@ -2232,6 +5020,8 @@ Direct, helpful, efficient. No fluff.',
 					array( 'session_id' => $sid ),
 					array( '%s' )
 				);
+
+				Chat_Attachments::instance()->delete_session_files( $sid );
 			}
 
 			// Delete all sessions.
@@ -2256,22 +5046,34 @@ Direct, helpful, efficient. No fluff.',
 	 * @param string $session_id Session ID.
 	 * @param string $role       Message role (user/assistant).
 	 * @param string $content    Message content.
-	 * @return bool Success status.
+	 * @param array  $metadata   Optional. Extra message data, such as the interrupted flag.
+	 * @return int|false Inserted message ID, or false on failure.
 	 */
-	private function save_message_to_db( $session_id, $role, $content ) {
+	private function save_message_to_db( $session_id, $role, $content, $metadata = array() ) {
 		global $wpdb;
 		$user_id = get_current_user_id();
 
 		// Ensure session exists.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$session_exists = $wpdb->get_var(
+		$session = $wpdb->get_row(
 			$wpdb->prepare(
-				'SELECT id FROM ' . $wpdb->prefix . 'afw_sessions WHERE session_id = %s',
+				'SELECT user_id, metadata FROM ' . $wpdb->prefix . 'afw_sessions WHERE session_id = %s',
 				$session_id
 			)
 		);
 
-		if ( ! $session_exists ) {
+		// Sessions shared with other users stay read-only for them.
+		if ( $session && (int) $session->user_id !== $user_id ) {
+			return false;
+		}
+
+		// New messages continue the branch the admin is on.
+		$branch = $session ? $this->decode_session_metadata( $session->metadata )['branch'] : 0;
+		if ( $branch ) {
+			$metadata['branch'] = $branch;
+		}
+
+		if ( ! $session ) {
 			// Create session if it doesn't exist.
 			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
 			$wpdb->insert(
@@ -2306,9 +5108,10 @@ Direct, helpful, efficient. No fluff.',
 				'role'       => $role,
 				'content'    => $content,
 				'context'    => 'admin',
+				'metadata'   => ! empty( $metadata ) ? wp_json_encode( $metadata ) : null,
 				'created_at' => current_time( 'mysql' ),
 			),
-			array( '%s', '%s', '%s', '%s', '%s' )
+			array( '%s', '%s', '%s', '%s', '%s', '%s' )
 		);
 
 		// Occasionally clean up old sessions (1 in 50 chance to avoid performance impact).
@@ -2316,12 +5119,15 @@ Direct, helpful, efficient. No fluff.',
 			$this->cleanup_old_sessions( $user_id );
 		}
 
-		return false !== $result;
+		return false !== $result ? (int) $wpdb->insert_id : false;
 	}
 
 	/**
 	 * Clean up old sessions to maintain performance.
-	 * Keeps only the last 50 sessions per user, deletes older ones.
+	 *
+	 * Keeps the MAX_SESSIONS most recent sessions per user and deletes older
+	 * ones. Pinned and archived sessions, and copies shared by colleagues,
+	 * are always kept and do not count toward the limit.
 	 *
 	 * @since 1.0.0
 	 * @param int $user_id User ID.
@@ -2330,62 +5136,41 @@ Direct, helpful, efficient. No fluff.',
 	private function cleanup_old_sessions( $user_id ) {
 		global $wpdb;
 
-		$max_sessions = 50;
-
-		// Get the timestamp of the 50th most recent session.
-		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$cutoff_time = $wpdb->get_var(
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
 			$wpdb->prepare(
-				'SELECT last_activity FROM ' . $wpdb->prefix . 'afw_sessions 
-				WHERE user_id = %d AND context = %s 
-				ORDER BY last_activity DESC 
-				LIMIT 1 OFFSET %d',
+				'SELECT session_id, metadata FROM ' . $wpdb->prefix . 'afw_sessions
+				WHERE user_id = %d AND context = %s
+				ORDER BY last_activity DESC',
 				$user_id,
-				'admin',
-				$max_sessions - 1
-			)
+				'admin'
+			),
+			ARRAY_A
 		);
-		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-
-		// If no cutoff (less than max sessions), nothing to clean.
-		if ( empty( $cutoff_time ) ) {
-			return;
-		}
 
-		// Get session IDs to delete (older than cutoff).
-		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$sessions_to_delete = $wpdb->get_col(
-			$wpdb->prepare(
-				'SELECT session_id FROM ' . $wpdb->prefix . 'afw_sessions 
-				WHERE user_id = %d AND context = %s AND last_activity < %s',
-				$user_id,
-				'admin',
-				$cutoff_time
-			)
-		);
-		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$kept = 0;
 
-		if ( empty( $sessions_to_delete ) ) {
-			return;
-		}
+		foreach ( (array) $rows as $row ) {
+			if ( $this->is_kept_session( $this->decode_session_metadata( $row['metadata'] ) ) ) {
+				continue;
+			}
 
-		// Delete messages and sessions one by one to avoid complex IN clauses.
-		foreach ( $sessions_to_delete as $session_id ) {
-			// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-			// Delete messages for this session.
-			$wpdb->delete(
-				$wpdb->prefix . 'afw_messages',
-				array( 'session_id' => $session_id ),
-				array( '%s' )
-			);
+			++$kept;
 
-			// Delete the session.
-			$wpdb->delete(
-				$wpdb->prefix . 'afw_sessions',
-				array( 'session_id' => $session_id ),
-				array( '%s' )
-			);
-			// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			if ( $kept > self::MAX_SESSIONS ) {
+				$this->delete_session( $row['session_id'] );
+			}
 		}
 	}
+
+	/**
+	 * Whether a session is kept however old it is.
+	 *
+	 * @since 1.1.0
+	 * @param array $metadata Session metadata from decode_session_metadata().
+	 * @return bool True for pinned, archived and shared sessions.
+	 */
+	private function is_kept_session( array $metadata ) {
+		return $metadata['pinned'] || $metadata['archived'] || ! empty( $metadata['shared_by'] );
+	}
 }
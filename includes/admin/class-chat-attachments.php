@@ -0,0 +1,700 @@
+<?php
+/**
+ * File Attachments for the Admin Chat
+ *
+ * Stores images and CSV files attached in the admin chat in a private
+ * folder, outside the media library, and prepares them for the model:
+ * images are sent to providers that can see them, and CSV files are read
+ * into the question. Files are deleted with their session, and those never
+ * sent or left without a session are deleted by a daily cron event.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Chat Attachments class.
+ *
+ * @since 1.1.0
+ */
+class Chat_Attachments {
+
+	/**
+	 * User meta key holding the chat attachments of a user, by ID.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const META_KEY = 'assistify_chat_attachments';
+
+	/**
+	 * Cron hook that deletes unsent and orphaned attachments.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const CRON_HOOK = 'assistify_cleanup_chat_attachments';
+
+	/**
+	 * Folder in the uploads directory the files are stored in.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const DIRECTORY = 'assistify-chat';
+
+	/**
+	 * File types that can be attached, by extension.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	const FILE_TYPES = array(
+		'jpg'  => 'image',
+		'jpeg' => 'image',
+		'png'  => 'image',
+		'gif'  => 'image',
+		'webp' => 'image',
+		'csv'  => 'csv',
+	);
+
+	/**
+	 * Maximum file size in bytes.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_SIZE = 5242880;
+
+	/**
+	 * Maximum number of files attached to one message.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_FILES = 4;
+
+	/**
+	 * Number of CSV rows included in the question.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const PREVIEW_ROWS = 50;
+
+	/**
+	 * Maximum number of CSV rows returned by one read.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_READ_ROWS = 200;
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Chat_Attachments|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Chat_Attachments
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Store an uploaded file as a chat attachment.
+	 *
+	 * @since 1.1.0
+	 * @param string $file_key Key of the file in $_FILES.
+	 * @return array|\WP_Error Attachment, see describe(), or error.
+	 */
+	public function upload( $file_key ) {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce checked by the AJAX handler.
+		if ( empty( $_FILES[ $file_key ]['tmp_name'] ) || ! empty( $_FILES[ $file_key ]['error'] ) ) {
+			return new \WP_Error( 'assistify_upload_failed', __( 'The file could not be uploaded.', 'assistify-for-woocommerce' ) );
+		}
+
+		$name = isset( $_FILES[ $file_key ]['name'] ) ? sanitize_file_name( wp_unslash( $_FILES[ $file_key ]['name'] ) ) : '';
+		$size = isset( $_FILES[ $file_key ]['size'] ) ? (int) $_FILES[ $file_key ]['size'] : 0;
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Temporary upload path, checked below.
+		$check = wp_check_filetype_and_ext( $_FILES[ $file_key ]['tmp_name'], $name );
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( empty( $check['ext'] ) || ! isset( self::FILE_TYPES[ $check['ext'] ] ) ) {
+			return new \WP_Error( 'assistify_upload_type', __( 'Only images (JPG, PNG, GIF, WebP) and CSV files can be attached.', 'assistify-for-woocommerce' ) );
+		}
+
+		if ( $size > self::MAX_SIZE ) {
+			return new \WP_Error(
+				'assistify_upload_size',
+				sprintf(
+					/* translators: %s: maximum file size, such as 5 MB. */
+					__( 'Files can be up to %s.', 'assistify-for-woocommerce' ),
+					size_format( self::MAX_SIZE )
+				)
+			);
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+
+		if ( ! $this->protect_directory() ) {
+			return new \WP_Error( 'assistify_upload_failed', __( 'The file could not be uploaded.', 'assistify-for-woocommerce' ) );
+		}
+
+		// Store the file in the private folder, under a name that cannot be guessed.
+		$upload_dir = function ( $dirs ) {
+			$dirs['subdir'] = '/' . self::DIRECTORY;
+			$dirs['path']   = $dirs['basedir'] . $dirs['subdir'];
+			$dirs['url']    = $dirs['baseurl'] . $dirs['subdir'];
+
+			return $dirs;
+		};
+
+		add_filter( 'upload_dir', $upload_dir );
+		// phpcs:disable WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce checked by the AJAX handler, file checked by wp_handle_upload().
+		$uploaded = wp_handle_upload(
+			$_FILES[ $file_key ],
+			array(
+				'test_form'                => false,
+				'unique_filename_callback' => function ( $dir, $filename, $ext ) {
+					return wp_generate_password( 32, false ) . strtolower( $ext );
+				},
+			)
+		);
+		// phpcs:enable WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		remove_filter( 'upload_dir', $upload_dir );
+
+		if ( isset( $uploaded['error'] ) ) {
+			return new \WP_Error( 'assistify_upload_failed', $uploaded['error'] );
+		}
+
+		$user_id = get_current_user_id();
+		$files   = $this->get_records( $user_id );
+		$id      = strtolower( wp_generate_password( 16, false ) );
+
+		$files[ $id ] = array(
+			'name'     => $name,
+			'type'     => self::FILE_TYPES[ $check['ext'] ],
+			'mime'     => $check['type'],
+			'file'     => wp_basename( $uploaded['file'] ),
+			'session'  => '',
+			'uploaded' => time(),
+		);
+		update_user_meta( $user_id, self::META_KEY, $files );
+
+		return $this->describe( $id );
+	}
+
+	/**
+	 * Tie the attachments sent with a question to its session, so they are
+	 * kept as long as the session is.
+	 *
+	 * @since 1.1.0
+	 * @param array  $attachments Attachments from sanitize().
+	 * @param string $session_id  Session ID.
+	 * @return void
+	 */
+	public function add_to_session( $attachments, $session_id ) {
+		$user_id = get_current_user_id();
+		$files   = $this->get_records( $user_id );
+		$changed = false;
+
+		foreach ( (array) $attachments as $attachment ) {
+			$id = isset( $attachment['id'] ) ? $attachment['id'] : '';
+
+			if ( isset( $files[ $id ] ) && empty( $files[ $id ]['session'] ) ) {
+				$files[ $id ]['session'] = $session_id;
+				$changed                 = true;
+			}
+		}
+
+		if ( $changed ) {
+			update_user_meta( $user_id, self::META_KEY, $files );
+		}
+	}
+
+	/**
+	 * Delete the attachments of a session of the current user.
+	 *
+	 * @since 1.1.0
+	 * @param string $session_id Session ID.
+	 * @return void
+	 */
+	public function delete_session_files( $session_id ) {
+		$user_id = get_current_user_id();
+		$files   = $this->get_records( $user_id );
+
+		foreach ( $files as $id => $record ) {
+			if ( $record['session'] === $session_id ) {
+				$this->delete_file( $record );
+				unset( $files[ $id ] );
+			}
+		}
+
+		update_user_meta( $user_id, self::META_KEY, $files );
+	}
+
+	/**
+	 * Get the attachments a user uploaded, for a personal data export.
+	 *
+	 * @since 1.1.0
+	 * @param int $user_id User ID.
+	 * @return array Attachments by ID, each with 'name', 'type', 'size' in
+	 *               bytes and 'uploaded' as a timestamp.
+	 */
+	public function get_user_files( $user_id ) {
+		$files = array();
+
+		foreach ( $this->get_records( $user_id ) as $id => $record ) {
+			$path = $this->get_path( $record );
+
+			$files[ $id ] = array(
+				'name'     => $record['name'],
+				'type'     => $record['type'],
+				'size'     => file_exists( $path ) ? (int) filesize( $path ) : 0,
+				'uploaded' => (int) $record['uploaded'],
+			);
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Delete every attachment a user uploaded.
+	 *
+	 * @since 1.1.0
+	 * @param int $user_id User ID.
+	 * @return int Number of attachments deleted.
+	 */
+	public function delete_user_files( $user_id ) {
+		$files = $this->get_records( $user_id );
+
+		foreach ( $files as $record ) {
+			$this->delete_file( $record );
+		}
+
+		delete_user_meta( $user_id, self::META_KEY );
+
+		return count( $files );
+	}
+
+	/**
+	 * Schedule the cron event that deletes unsent and orphaned attachments.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function schedule_event() {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_event( time(), 'daily', self::CRON_HOOK );
+		}
+	}
+
+	/**
+	 * Delete, for every user, the attachments that were not sent within a
+	 * day and those whose session no longer exists.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function cleanup() {
+		global $wpdb;
+
+		$user_ids = get_users(
+			array(
+				'meta_key' => self::META_KEY, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'fields'   => 'ID',
+			)
+		);
+
+		foreach ( $user_ids as $user_id ) {
+			$files    = $this->get_records( $user_id );
+			$sessions = array();
+
+			foreach ( $files as $id => $record ) {
+				$session = $record['session'];
+
+				if ( $session && ! isset( $sessions[ $session ] ) ) {
+					// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+					$sessions[ $session ] = (bool) $wpdb->get_var(
+						$wpdb->prepare(
+							'SELECT id FROM ' . $wpdb->prefix . 'afw_sessions WHERE session_id = %s AND user_id = %d',
+							$session,
+							$user_id
+						)
+					);
+				}
+
+				$unsent   = ! $session && $record['uploaded'] < time() - DAY_IN_SECONDS;
+				$orphaned = $session && ! $sessions[ $session ];
+
+				if ( $unsent || $orphaned ) {
+					$this->delete_file( $record );
+					unset( $files[ $id ] );
+				}
+			}
+
+			if ( empty( $files ) ) {
+				delete_user_meta( $user_id, self::META_KEY );
+			} else {
+				update_user_meta( $user_id, self::META_KEY, $files );
+			}
+		}
+	}
+
+	/**
+	 * Send an attachment of the current user to the browser and end the request.
+	 *
+	 * @since 1.1.0
+	 * @param string $id Attachment ID.
+	 * @return bool False if the attachment was not found; otherwise the request ends.
+	 */
+	public function send( $id ) {
+		$record = $this->get_record( $id );
+		$path   = $record ? $this->get_path( $record ) : '';
+
+		if ( ! $path || ! is_readable( $path ) ) {
+			return false;
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . $record['mime'] );
+		header( 'Content-Length: ' . filesize( $path ) );
+		header( 'X-Content-Type-Options: nosniff' );
+		header( sprintf( 'Content-Disposition: %s; filename="%s"', 'image' === $record['type'] ? 'inline' : 'attachment', $record['name'] ) );
+
+		readfile( $path ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile
+		exit;
+	}
+
+	/**
+	 * Sanitize the attachments sent with a chat message.
+	 *
+	 * Only chat attachments uploaded by the current user are kept.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $ids Raw list of attachment IDs.
+	 * @return array List of attachments, see describe().
+	 */
+	public function sanitize( $ids ) {
+		if ( ! is_array( $ids ) ) {
+			return array();
+		}
+
+		$attachments = array();
+		foreach ( array_unique( array_map( 'sanitize_key', $ids ) ) as $id ) {
+			$attachment = $this->describe( $id );
+
+			if ( $attachment ) {
+				$attachments[] = $attachment;
+			}
+
+			if ( count( $attachments ) >= self::MAX_FILES ) {
+				break;
+			}
+		}
+
+		return $attachments;
+	}
+
+	/**
+	 * Get the note added to a message for the model about its attachments.
+	 *
+	 * @since 1.1.0
+	 * @param array $attachments   Attachments from sanitize().
+	 * @param bool  $with_rows     Optional. Whether to include the first rows of CSV files.
+	 * @param bool  $images_shown  Optional. Whether the images are sent to the model with the message.
+	 * @return string Note to append to the message, or an empty string.
+	 */
+	public function get_context( $attachments, $with_rows = false, $images_shown = false ) {
+		$lines = array();
+
+		foreach ( (array) $attachments as $attachment ) {
+			if ( ! isset( $attachment['id'], $attachment['type'], $attachment['name'] ) ) {
+				continue;
+			}
+
+			if ( 'image' === $attachment['type'] ) {
+				$lines[] = sprintf(
+					'- Image %1$s (attachment_id %2$s)%3$s',
+					$attachment['name'],
+					$attachment['id'],
+					$images_shown ? '' : ', which you cannot see'
+				);
+				continue;
+			}
+
+			$csv = $this->read_csv( $attachment['id'], 0, $with_rows ? self::PREVIEW_ROWS : 0 );
+
+			if ( is_wp_error( $csv ) ) {
+				continue;
+			}
+
+			$line = sprintf(
+				'- CSV file %1$s (attachment_id %2$s) with %3$d rows and the columns: %4$s.',
+				$attachment['name'],
+				$attachment['id'],
+				$csv['total'],
+				implode( ', ', $csv['columns'] )
+			);
+
+			if ( $with_rows && ! empty( $csv['rows'] ) ) {
+				$line .= sprintf( ' Rows 1 to %d:', count( $csv['rows'] ) ) . "\n```csv\n" . $this->to_csv( $csv['columns'], $csv['rows'] ) . '```';
+			}
+
+			if ( $csv['total'] > count( $csv['rows'] ) ) {
+				$line .= ' Call read_csv_attachment to read more rows.';
+			}
+
+			$lines[] = $line;
+		}
+
+		if ( empty( $lines ) ) {
+			return '';
+		}
+
+		return "\n\nFiles attached to this message:\n" . implode( "\n", $lines );
+	}
+
+	/**
+	 * Get the images among the attachments, encoded to send to the model.
+	 *
+	 * @since 1.1.0
+	 * @param array $attachments Attachments from sanitize().
+	 * @return array List of images with mime and base64 data.
+	 */
+	public function get_images( $attachments ) {
+		$images = array();
+
+		foreach ( (array) $attachments as $attachment ) {
+			if ( 'image' !== $attachment['type'] ) {
+				continue;
+			}
+
+			$record = $this->get_record( $attachment['id'] );
+			$file   = $record ? $this->get_path( $record ) : '';
+
+			if ( ! $file || ! is_readable( $file ) || filesize( $file ) > self::MAX_SIZE ) {
+				continue;
+			}
+
+			$images[] = array(
+				'mime' => $attachment['mime'],
+				'data' => base64_encode( file_get_contents( $file ) ), // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents, WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Local upload sent inline to the AI provider.
+			);
+		}
+
+		return $images;
+	}
+
+	/**
+	 * Read rows from a CSV file the current user attached.
+	 *
+	 * @since 1.1.0
+	 * @param string $attachment_id Attachment ID.
+	 * @param int    $offset        Number of rows to skip, after the header row.
+	 * @param int    $limit         Maximum number of rows to return.
+	 * @return array|\WP_Error Columns, rows, total row count and offset, or error.
+	 */
+	public function read_csv( $attachment_id, $offset = 0, $limit = self::MAX_READ_ROWS ) {
+		$record = $this->get_record( $attachment_id );
+
+		if ( ! $record || 'csv' !== $record['type'] ) {
+			return new \WP_Error( 'assistify_attachment_not_found', __( 'CSV attachment not found.', 'assistify-for-woocommerce' ) );
+		}
+
+		$file   = $this->get_path( $record );
+		$handle = $file && is_readable( $file ) ? fopen( $file, 'r' ) : false; // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		if ( ! $handle ) {
+			return new \WP_Error( 'assistify_attachment_unreadable', __( 'The CSV file could not be read.', 'assistify-for-woocommerce' ) );
+		}
+
+		$offset  = max( 0, (int) $offset );
+		$limit   = min( max( 0, (int) $limit ), self::MAX_READ_ROWS );
+		$columns = fgetcsv( $handle );
+		$columns = is_array( $columns ) ? $columns : array();
+		$rows    = array();
+		$total   = 0;
+
+		// Drop the byte order mark spreadsheet apps add.
+		if ( isset( $columns[0] ) ) {
+			$columns[0] = preg_replace( '/^\xEF\xBB\xBF/', '', $columns[0] );
+		}
+
+		while ( false !== ( $row = fgetcsv( $handle ) ) ) { // phpcs:ignore Generic.CodeAnalysis.AssignmentInCondition.FoundInWhileCondition
+			// Skip blank lines.
+			if ( array( null ) === $row ) {
+				continue;
+			}
+
+			if ( $total >= $offset && count( $rows ) < $limit ) {
+				$rows[] = $row;
+			}
+
+			++$total;
+		}
+
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return array(
+			'columns' => $columns,
+			'rows'    => $rows,
+			'total'   => $total,
+			'offset'  => $offset,
+		);
+	}
+
+	/**
+	 * Describe a chat attachment of the current user.
+	 *
+	 * @since 1.1.0
+	 * @param string $attachment_id Attachment ID.
+	 * @return array|null Attachment with id, name, type, mime, url and thumb, or null if not a chat attachment of the current user.
+	 */
+	public function describe( $attachment_id ) {
+		$record = $this->get_record( $attachment_id );
+
+		if ( ! $record ) {
+			return null;
+		}
+
+		// Served by the plugin, only to the user who uploaded the file.
+		$url = add_query_arg(
+			array(
+				'action' => 'assistify_get_attachment',
+				'id'     => sanitize_key( $attachment_id ),
+			),
+			admin_url( 'admin-ajax.php' )
+		);
+
+		return array(
+			'id'    => sanitize_key( $attachment_id ),
+			'name'  => $record['name'],
+			'type'  => $record['type'],
+			'mime'  => $record['mime'],
+			'url'   => $url,
+			'thumb' => 'image' === $record['type'] ? $url : '',
+		);
+	}
+
+	/**
+	 * Get the chat attachments of a user.
+	 *
+	 * @since 1.1.0
+	 * @param int $user_id User ID.
+	 * @return array Attachment records by ID.
+	 */
+	private function get_records( $user_id ) {
+		$files = get_user_meta( $user_id, self::META_KEY, true );
+
+		return is_array( $files ) ? $files : array();
+	}
+
+	/**
+	 * Get a chat attachment of the current user.
+	 *
+	 * @since 1.1.0
+	 * @param string $attachment_id Attachment ID.
+	 * @return array|null Attachment record, or null if the current user has no attachment with this ID.
+	 */
+	private function get_record( $attachment_id ) {
+		$files = $this->get_records( get_current_user_id() );
+		$id    = sanitize_key( (string) $attachment_id );
+
+		return '' !== $id && isset( $files[ $id ] ) ? $files[ $id ] : null;
+	}
+
+	/**
+	 * Get the path of the file of an attachment.
+	 *
+	 * @since 1.1.0
+	 * @param array $record Attachment record.
+	 * @return string File path.
+	 */
+	private function get_path( $record ) {
+		$uploads = wp_upload_dir();
+
+		return $uploads['basedir'] . '/' . self::DIRECTORY . '/' . wp_basename( $record['file'] );
+	}
+
+	/**
+	 * Delete the file of an attachment.
+	 *
+	 * @since 1.1.0
+	 * @param array $record Attachment record.
+	 * @return void
+	 */
+	private function delete_file( $record ) {
+		$path = $this->get_path( $record );
+
+		if ( file_exists( $path ) ) {
+			wp_delete_file( $path );
+		}
+	}
+
+	/**
+	 * Create the private folder, and keep web servers from serving its files.
+	 *
+	 * @since 1.1.0
+	 * @return bool True if the folder exists.
+	 */
+	private function protect_directory() {
+		$uploads = wp_upload_dir();
+		$dir     = $uploads['basedir'] . '/' . self::DIRECTORY;
+
+		if ( ! wp_mkdir_p( $dir ) ) {
+			return false;
+		}
+
+		if ( ! file_exists( $dir . '/.htaccess' ) ) {
+			file_put_contents( $dir . '/.htaccess', "Deny from all\n" ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		}
+
+		if ( ! file_exists( $dir . '/index.php' ) ) {
+			file_put_contents( $dir . '/index.php', "<?php\n// Silence is golden.\n" ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		}
+
+		return true;
+	}
+
+	/**
+	 * Write rows as CSV text.
+	 *
+	 * @since 1.1.0
+	 * @param array $columns Header row.
+	 * @param array $rows    Rows.
+	 * @return string CSV text.
+	 */
+	private function to_csv( $columns, $rows ) {
+		$handle = fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		fputcsv( $handle, $columns ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fputcsv
+		foreach ( $rows as $row ) {
+			fputcsv( $handle, $row ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fputcsv
+		}
+
+		rewind( $handle );
+		$csv = stream_get_contents( $handle );
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return (string) $csv;
+	}
+}
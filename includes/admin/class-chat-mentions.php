@@ -0,0 +1,300 @@
+<?php
+/**
+ * Entity Mentions for the Admin Chat
+ *
+ * Looks up the orders, customers and products an admin mentions with `#`,
+ * `@` or `+` in the admin chat, and describes them to the model by ID so a
+ * question refers to exactly those records.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Chat Mentions class.
+ *
+ * @since 1.1.0
+ */
+class Chat_Mentions {
+
+	/**
+	 * Search ability for each type of record that can be mentioned.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	const SEARCH_ABILITIES = array(
+		'order'    => 'afw/orders/search',
+		'customer' => 'afw/customers/search',
+		'product'  => 'afw/products/search',
+	);
+
+	/**
+	 * Maximum number of suggestions returned by a search.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const SEARCH_LIMIT = 8;
+
+	/**
+	 * Maximum number of records mentioned in one message.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_MENTIONS = 10;
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Chat_Mentions|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Chat_Mentions
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Search records of one type for the mention dropdown.
+	 *
+	 * The search ability's callback is called directly rather than through
+	 * Abilities_Registry::execute(), so each keystroke is not written to the
+	 * audit log.
+	 *
+	 * @since 1.1.0
+	 * @param string $type  Record type: order, customer or product.
+	 * @param string $query Search text typed after the trigger character.
+	 * @return array List of mentions, see describe().
+	 */
+	public function search( $type, $query ) {
+		if ( ! isset( self::SEARCH_ABILITIES[ $type ] ) || '' === $query ) {
+			return array();
+		}
+
+		$ability = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance()->get_ability( self::SEARCH_ABILITIES[ $type ] );
+
+		if ( ! $ability || ! current_user_can( $ability['capability'] ) ) {
+			return array();
+		}
+
+		try {
+			$result = call_user_func(
+				$ability['callback'],
+				array(
+					'query' => $query,
+					'limit' => self::SEARCH_LIMIT,
+				)
+			);
+		} catch ( \Exception $e ) {
+			return array();
+		}
+
+		$key = $type . 's';
+		if ( is_wp_error( $result ) || empty( $result[ $key ] ) || ! is_array( $result[ $key ] ) ) {
+			return array();
+		}
+
+		$items = array();
+		foreach ( array_slice( $result[ $key ], 0, self::SEARCH_LIMIT ) as $row ) {
+			$item = $this->describe( $type, isset( $row['id'] ) ? $row['id'] : 0 );
+			if ( $item ) {
+				$items[] = $item;
+			}
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Sanitize the mentions sent with a chat message.
+	 *
+	 * Only records that still exist are kept, and their labels are read
+	 * from the store rather than trusted from the request.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $mentions Raw list of mentions, each with a type and an ID.
+	 * @return array List of mentions with type, id, label and url.
+	 */
+	public function sanitize( $mentions ) {
+		if ( ! is_array( $mentions ) ) {
+			return array();
+		}
+
+		$clean = array();
+		foreach ( $mentions as $mention ) {
+			if ( ! is_array( $mention ) || ! isset( $mention['type'], $mention['id'] ) ) {
+				continue;
+			}
+
+			$item = $this->describe( sanitize_key( $mention['type'] ), $mention['id'] );
+			if ( ! $item ) {
+				continue;
+			}
+
+			$clean[ $item['type'] . ':' . $item['id'] ] = array(
+				'type'  => $item['type'],
+				'id'    => $item['id'],
+				'label' => $item['label'],
+				'url'   => $item['url'],
+			);
+
+			if ( count( $clean ) >= self::MAX_MENTIONS ) {
+				break;
+			}
+		}
+
+		return array_values( $clean );
+	}
+
+	/**
+	 * Get the note added to a message for the model about its mentions.
+	 *
+	 * @since 1.1.0
+	 * @param array $mentions Mentions from sanitize().
+	 * @return string Note to append to the message, or an empty string.
+	 */
+	public function get_context( $mentions ) {
+		$lines = array();
+		foreach ( (array) $mentions as $mention ) {
+			$reference = $this->get_reference( $mention );
+			if ( $reference ) {
+				$lines[] = '- ' . $reference;
+			}
+		}
+
+		if ( empty( $lines ) ) {
+			return '';
+		}
+
+		return "\n\nRecords referenced in this message (use these IDs with your tools):\n" . implode( "\n", $lines );
+	}
+
+	/**
+	 * Refer to a mentioned record by its label and ID, for the model.
+	 *
+	 * @since 1.1.0
+	 * @param array $mention Mention from sanitize().
+	 * @return string Reference such as "Order #1234 (order_id 1234)", or an empty string.
+	 */
+	public function get_reference( $mention ) {
+		$formats = array(
+			'order'    => '%1$s (order_id %2$d)',
+			'customer' => 'customer %1$s (customer_id %2$d)',
+			'product'  => 'product %1$s (product_id %2$d)',
+		);
+
+		if ( ! isset( $mention['type'], $mention['label'], $mention['id'], $formats[ $mention['type'] ] ) ) {
+			return '';
+		}
+
+		return sprintf( $formats[ $mention['type'] ], $mention['label'], $mention['id'] );
+	}
+
+	/**
+	 * Describe a record that can be mentioned.
+	 *
+	 * @since 1.1.0
+	 * @param string $type Record type: order, customer or product.
+	 * @param int    $id   Record ID.
+	 * @return array|null Mention with type, id, label, token, detail and url, or null if not found.
+	 */
+	private function describe( $type, $id ) {
+		$id = absint( $id );
+
+		if ( ! $id ) {
+			return null;
+		}
+
+		switch ( $type ) {
+			case 'order':
+				$order = wc_get_order( $id );
+				// Refunds are stored as orders but are not WC_Order instances.
+				if ( ! $order instanceof \WC_Order ) {
+					return null;
+				}
+
+				$name = trim( $order->get_formatted_billing_full_name() );
+
+				return array(
+					'type'   => 'order',
+					'id'     => $order->get_id(),
+					/* translators: %s: order number. */
+					'label'  => sprintf( __( 'Order #%s', 'assistify-for-woocommerce' ), $order->get_order_number() ),
+					'token'  => '#' . $order->get_order_number(),
+					'detail' => implode(
+						' · ',
+						array_filter(
+							array(
+								wc_get_order_status_name( $order->get_status() ),
+								$name ? $name : $order->get_billing_email(),
+								html_entity_decode( wp_strip_all_tags( wc_price( $order->get_total(), array( 'currency' => $order->get_currency() ) ) ) ),
+							)
+						)
+					),
+					'url'    => $order->get_edit_order_url(),
+				);
+
+			case 'customer':
+				$user = get_userdata( $id );
+				if ( ! $user ) {
+					return null;
+				}
+
+				$name = trim( $user->first_name . ' ' . $user->last_name );
+				$name = $name ? $name : $user->display_name;
+
+				return array(
+					'type'   => 'customer',
+					'id'     => $user->ID,
+					'label'  => $name,
+					'token'  => '@' . $name,
+					'detail' => $user->user_email,
+					'url'    => get_edit_user_link( $user->ID ),
+				);
+
+			case 'product':
+				$product = wc_get_product( $id );
+				if ( ! $product ) {
+					return null;
+				}
+
+				return array(
+					'type'   => 'product',
+					'id'     => $product->get_id(),
+					'label'  => $product->get_name(),
+					'token'  => '+' . $product->get_name(),
+					'detail' => implode(
+						' · ',
+						array_filter(
+							array(
+								$product->get_sku(),
+								'' !== $product->get_price() ? html_entity_decode( wp_strip_all_tags( wc_price( $product->get_price() ) ) ) : '',
+							)
+						)
+					),
+					'url'    => get_edit_post_link( $product->get_id(), 'raw' ),
+				);
+		}
+
+		return null;
+	}
+}
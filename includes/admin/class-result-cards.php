@@ -0,0 +1,362 @@
+<?php
+/**
+ * Result Cards for the Admin Chat
+ *
+ * Turns the results of read tools into typed, machine-readable cards that
+ * the admin chat renders next to the assistant's answer.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Result Cards class.
+ *
+ * @since 1.1.0
+ */
+class Result_Cards {
+
+	/**
+	 * Maximum number of products shown in a product list card.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_PRODUCTS = 12;
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Result_Cards|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Result_Cards
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Build cards from the tools executed during a chat turn.
+	 *
+	 * Each card is an array with a 'type' ('order', 'products' or
+	 * 'customer') and a 'data' payload. Tools without a card builder are
+	 * skipped, leaving the markdown answer as the only output.
+	 *
+	 * @since 1.1.0
+	 * @param array $actions_taken Actions from the agentic loop, each with 'tool', 'args' and 'result'.
+	 * @return array List of cards.
+	 */
+	public function build( array $actions_taken ) {
+		$cards = array();
+
+		foreach ( $actions_taken as $action ) {
+			$result = isset( $action['result'] ) ? $action['result'] : array();
+
+			if ( ! is_array( $result ) || empty( $result['success'] ) ) {
+				continue;
+			}
+
+			$card = null;
+
+			switch ( $action['tool'] ) {
+				case 'get_order_details':
+					$card = $this->build_order_card( $result['order_id'] ?? 0 );
+					break;
+
+				case 'get_product_details':
+					$card = $this->build_products_card( array( $result['product_id'] ?? 0 ), '' );
+					break;
+
+				case 'search_products':
+					$card = $this->build_products_card(
+						wp_list_pluck( $result['products'] ?? array(), 'id' ),
+						/* translators: %s: search query. */
+						sprintf( __( 'Products matching "%s"', 'assistify-for-woocommerce' ), $result['query'] ?? '' )
+					);
+					break;
+
+				case 'get_low_stock_products':
+					$card = $this->build_products_card(
+						wp_list_pluck( $result['products'] ?? array(), 'id' ),
+						__( 'Low stock products', 'assistify-for-woocommerce' )
+					);
+					break;
+
+				case 'get_top_products':
+					$card = $this->build_top_products_card( $result['products'] ?? array() );
+					break;
+
+				case 'get_customer_details':
+					$card = $this->build_customer_card( $result['customer_id'] ?? 0 );
+					break;
+			}
+
+			if ( $card ) {
+				// The same record looked up twice only needs one card.
+				$cards[ md5( wp_json_encode( $card ) ) ] = $card;
+			}
+		}
+
+		/**
+		 * Filter the result cards sent with an admin chat answer.
+		 *
+		 * @since 1.1.0
+		 * @param array $cards         List of cards.
+		 * @param array $actions_taken Actions from the agentic loop.
+		 */
+		return apply_filters( 'assistify_chat_result_cards', array_values( $cards ), $actions_taken );
+	}
+
+	/**
+	 * Build an order card.
+	 *
+	 * @since 1.1.0
+	 * @param int $order_id Order ID.
+	 * @return array|null Card or null if the order does not exist.
+	 */
+	private function build_order_card( $order_id ) {
+		$order = wc_get_order( absint( $order_id ) );
+
+		if ( ! $order ) {
+			return null;
+		}
+
+		$items = array();
+		foreach ( $order->get_items() as $item ) {
+			$items[] = array(
+				'name'     => $item->get_name(),
+				'quantity' => $item->get_quantity(),
+				'total'    => $this->format_price( $item->get_total(), $order->get_currency() ),
+			);
+		}
+
+		return array(
+			'type' => 'order',
+			'data' => array(
+				'id'           => $order->get_id(),
+				'number'       => $order->get_order_number(),
+				'status'       => $order->get_status(),
+				'status_label' => wc_get_order_status_name( $order->get_status() ),
+				'date'         => $order->get_date_created() ? wc_format_datetime( $order->get_date_created() ) : '',
+				'customer'     => $order->get_formatted_billing_full_name(),
+				'email'        => $order->get_billing_email(),
+				'payment'      => $order->get_payment_method_title(),
+				'subtotal'     => $this->format_price( $order->get_subtotal(), $order->get_currency() ),
+				'shipping'     => $this->format_price( $order->get_shipping_total(), $order->get_currency() ),
+				'discount'     => $order->get_total_discount() > 0 ? $this->format_price( $order->get_total_discount(), $order->get_currency() ) : '',
+				'refunded'     => $order->get_total_refunded() > 0 ? $this->format_price( $order->get_total_refunded(), $order->get_currency() ) : '',
+				'total'        => $this->format_price( $order->get_total(), $order->get_currency() ),
+				'items'        => $items,
+				'url'          => $order->get_edit_order_url(),
+			),
+		);
+	}
+
+	/**
+	 * Build a product list card.
+	 *
+	 * @since 1.1.0
+	 * @param array  $product_ids Product IDs, in display order.
+	 * @param string $title       Card title, empty for a single product.
+	 * @param array  $notes       Optional. Extra line per product ID, such as sales figures.
+	 * @return array|null Card or null if no product exists.
+	 */
+	private function build_products_card( array $product_ids, $title, array $notes = array() ) {
+		$products = array();
+
+		foreach ( array_slice( array_filter( array_map( 'absint', $product_ids ) ), 0, self::MAX_PRODUCTS ) as $product_id ) {
+			$product = wc_get_product( $product_id );
+
+			if ( ! $product ) {
+				continue;
+			}
+
+			$image_id    = $product->get_image_id();
+			$stock_level = $this->get_stock_level( $product );
+
+			$products[] = array(
+				'id'          => $product_id,
+				'name'        => $product->get_name(),
+				'sku'         => $product->get_sku(),
+				'price'       => '' !== $product->get_price() ? $this->format_price( $product->get_price() ) : '',
+				'stock_level' => $stock_level,
+				'stock_label' => $this->get_stock_label( $stock_level, $product->get_stock_quantity() ),
+				'image'       => $image_id ? wp_get_attachment_image_url( $image_id, 'thumbnail' ) : wc_placeholder_img_src( 'thumbnail' ),
+				'note'        => isset( $notes[ $product_id ] ) ? $notes[ $product_id ] : '',
+				'url'         => get_edit_post_link( $product_id, 'raw' ),
+			);
+		}
+
+		if ( empty( $products ) ) {
+			return null;
+		}
+
+		return array(
+			'type' => 'products',
+			'data' => array(
+				'title'    => $title,
+				'total'    => count( $product_ids ),
+				'products' => $products,
+			),
+		);
+	}
+
+	/**
+	 * Build a product list card for best sellers.
+	 *
+	 * @since 1.1.0
+	 * @param array $rows Rows from the get_top_products tool.
+	 * @return array|null Card or null if no product exists.
+	 */
+	private function build_top_products_card( array $rows ) {
+		$notes = array();
+
+		foreach ( $rows as $row ) {
+			$notes[ absint( $row['product_id'] ?? 0 ) ] = sprintf(
+				/* translators: 1: units sold, 2: revenue. */
+				__( '%1$d sold, %2$s', 'assistify-for-woocommerce' ),
+				$row['quantity'] ?? 0,
+				$this->plain_text( $row['revenue'] ?? '' )
+			);
+		}
+
+		return $this->build_products_card(
+			array_keys( $notes ),
+			__( 'Top products', 'assistify-for-woocommerce' ),
+			$notes
+		);
+	}
+
+	/**
+	 * Build a customer card.
+	 *
+	 * @since 1.1.0
+	 * @param int $customer_id Customer ID.
+	 * @return array|null Card or null if the customer does not exist.
+	 */
+	private function build_customer_card( $customer_id ) {
+		$customer = new \WC_Customer( absint( $customer_id ) );
+
+		if ( ! $customer->get_id() ) {
+			return null;
+		}
+
+		$countries = WC()->countries ? WC()->countries->get_countries() : array();
+		$country   = $customer->get_billing_country();
+		$location  = array_filter(
+			array(
+				$customer->get_billing_city(),
+				isset( $countries[ $country ] ) ? $countries[ $country ] : $country,
+			)
+		);
+
+		return array(
+			'type' => 'customer',
+			'data' => array(
+				'id'          => $customer->get_id(),
+				'name'        => trim( $customer->get_first_name() . ' ' . $customer->get_last_name() ),
+				'username'    => $customer->get_username(),
+				'email'       => $customer->get_email(),
+				'phone'       => $customer->get_billing_phone(),
+				'location'    => implode( ', ', $location ),
+				'registered'  => $customer->get_date_created() ? wc_format_datetime( $customer->get_date_created() ) : '',
+				'order_count' => $customer->get_order_count(),
+				'total_spent' => $this->format_price( $customer->get_total_spent() ),
+				'avatar'      => get_avatar_url( $customer->get_id(), array( 'size' => 96 ) ),
+				'url'         => get_edit_user_link( $customer->get_id() ),
+			),
+		);
+	}
+
+	/**
+	 * Get the stock level of a product.
+	 *
+	 * @since 1.1.0
+	 * @param \WC_Product $product Product.
+	 * @return string One of 'out', 'backorder', 'low' or 'in'.
+	 */
+	private function get_stock_level( $product ) {
+		if ( 'outofstock' === $product->get_stock_status() ) {
+			return 'out';
+		}
+
+		if ( 'onbackorder' === $product->get_stock_status() ) {
+			return 'backorder';
+		}
+
+		if ( $product->managing_stock() && (int) $product->get_stock_quantity() <= wc_get_low_stock_amount( $product ) ) {
+			return 'low';
+		}
+
+		return 'in';
+	}
+
+	/**
+	 * Get a short stock label for a stock level.
+	 *
+	 * @since 1.1.0
+	 * @param string   $level    Stock level from get_stock_level().
+	 * @param int|null $quantity Stock quantity, null when stock is not managed.
+	 * @return string Stock label.
+	 */
+	private function get_stock_label( $level, $quantity ) {
+		switch ( $level ) {
+			case 'out':
+				return __( 'Out of stock', 'assistify-for-woocommerce' );
+
+			case 'backorder':
+				return __( 'On backorder', 'assistify-for-woocommerce' );
+
+			case 'low':
+				/* translators: %d: stock quantity. */
+				return sprintf( __( 'Low stock (%d)', 'assistify-for-woocommerce' ), (int) $quantity );
+		}
+
+		if ( null !== $quantity ) {
+			/* translators: %d: stock quantity. */
+			return sprintf( __( '%d in stock', 'assistify-for-woocommerce' ), (int) $quantity );
+		}
+
+		return __( 'In stock', 'assistify-for-woocommerce' );
+	}
+
+	/**
+	 * Format a price as plain text.
+	 *
+	 * @since 1.1.0
+	 * @param float  $amount   Amount.
+	 * @param string $currency Optional. Currency code.
+	 * @return string Formatted price.
+	 */
+	private function format_price( $amount, $currency = '' ) {
+		return $this->plain_text( wc_price( $amount, $currency ? array( 'currency' => $currency ) : array() ) );
+	}
+
+	/**
+	 * Convert an HTML snippet such as wc_price() output to plain text.
+	 *
+	 * @since 1.1.0
+	 * @param string $html HTML snippet.
+	 * @return string Plain text.
+	 */
+	private function plain_text( $html ) {
+		return html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES, get_option( 'blog_charset' ) );
+	}
+}
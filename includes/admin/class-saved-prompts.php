@@ -0,0 +1,377 @@
+<?php
+/**
+ * Saved Prompts for the Admin Chat
+ *
+ * Keeps each admin's library of saved prompts, and runs the scheduled ones
+ * on WP-Cron, posting the answer as a new chat session and/or by email.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Saved Prompts class.
+ *
+ * @since 1.1.0
+ */
+class Saved_Prompts {
+
+	/**
+	 * User meta holding a user's saved prompts.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const META_KEY = 'assistify_saved_prompts';
+
+	/**
+	 * Cron hook that runs the scheduled prompts that are due.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const CRON_HOOK = 'assistify_run_scheduled_prompts';
+
+	/**
+	 * Maximum number of saved prompts per user.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_PROMPTS = 50;
+
+	/**
+	 * How often a saved prompt can be scheduled to run.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	const FREQUENCIES = array( 'daily', 'weekly', 'monthly' );
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Saved_Prompts|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Saved_Prompts
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Get the saved prompts of a user, by category and title.
+	 *
+	 * @since 1.1.0
+	 * @param int $user_id Optional. User ID, defaults to the current user.
+	 * @return array List of prompts.
+	 */
+	public function get_prompts( $user_id = 0 ) {
+		$prompts = get_user_meta( $user_id ? $user_id : get_current_user_id(), self::META_KEY, true );
+		$prompts = is_array( $prompts ) ? array_values( $prompts ) : array();
+
+		usort(
+			$prompts,
+			function ( $a, $b ) {
+				return strcasecmp( $a['category'] . "\0" . $a['title'], $b['category'] . "\0" . $b['title'] );
+			}
+		);
+
+		return $prompts;
+	}
+
+	/**
+	 * Create or update a saved prompt of the current user.
+	 *
+	 * @since 1.1.0
+	 * @param array $data Prompt fields: id (to update), title, prompt, category and schedule.
+	 * @return array|\WP_Error Saved prompt, or error.
+	 */
+	public function save( array $data ) {
+		$user_id = get_current_user_id();
+		$prompts = get_user_meta( $user_id, self::META_KEY, true );
+		$prompts = is_array( $prompts ) ? $prompts : array();
+		$id      = isset( $data['id'] ) ? sanitize_key( $data['id'] ) : '';
+		$text    = isset( $data['prompt'] ) ? trim( sanitize_textarea_field( $data['prompt'] ) ) : '';
+
+		if ( '' === $text ) {
+			return new \WP_Error( 'assistify_prompt_empty', __( 'Enter the prompt to save.', 'assistify-for-woocommerce' ) );
+		}
+
+		if ( $id && ! isset( $prompts[ $id ] ) ) {
+			return new \WP_Error( 'assistify_prompt_not_found', __( 'Saved prompt not found.', 'assistify-for-woocommerce' ) );
+		}
+
+		if ( ! $id && count( $prompts ) >= self::MAX_PROMPTS ) {
+			return new \WP_Error(
+				'assistify_prompt_limit',
+				/* translators: %d: maximum number of saved prompts. */
+				sprintf( __( 'You can save up to %d prompts.', 'assistify-for-woocommerce' ), self::MAX_PROMPTS )
+			);
+		}
+
+		$title    = isset( $data['title'] ) ? trim( sanitize_text_field( $data['title'] ) ) : '';
+		$schedule = $this->sanitize_schedule( isset( $data['schedule'] ) ? $data['schedule'] : array() );
+		$previous = $id ? $prompts[ $id ] : array();
+
+		$prompt = array(
+			'id'           => $id ? $id : strtolower( wp_generate_password( 12, false ) ),
+			'title'        => '' !== $title ? mb_substr( $title, 0, 100 ) : wp_trim_words( $text, 8 ),
+			'prompt'       => $text,
+			'category'     => isset( $data['category'] ) ? mb_substr( trim( sanitize_text_field( $data['category'] ) ), 0, 50 ) : '',
+			'schedule'     => $schedule,
+			'next_run'     => $schedule ? $this->get_next_run( $schedule ) : 0,
+			'last_run'     => isset( $previous['last_run'] ) ? $previous['last_run'] : 0,
+			'last_session' => isset( $previous['last_session'] ) ? $previous['last_session'] : '',
+			'last_error'   => '',
+		);
+
+		$prompts[ $prompt['id'] ] = $prompt;
+		update_user_meta( $user_id, self::META_KEY, $prompts );
+
+		return $prompt;
+	}
+
+	/**
+	 * Delete a saved prompt of the current user.
+	 *
+	 * @since 1.1.0
+	 * @param string $id Prompt ID.
+	 * @return bool True if deleted, false if not found.
+	 */
+	public function delete( $id ) {
+		$user_id = get_current_user_id();
+		$prompts = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $prompts ) || ! isset( $prompts[ $id ] ) ) {
+			return false;
+		}
+
+		unset( $prompts[ $id ] );
+		update_user_meta( $user_id, self::META_KEY, $prompts );
+
+		return true;
+	}
+
+	/**
+	 * Schedule the cron event that runs scheduled prompts.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function schedule_event() {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_event( time(), 'hourly', self::CRON_HOOK );
+		}
+	}
+
+	/**
+	 * Run the scheduled prompts that are due, for every user.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function run_due_prompts() {
+		$user_ids = get_users(
+			array(
+				'meta_key' => self::META_KEY, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'fields'   => 'ID',
+			)
+		);
+
+		foreach ( $user_ids as $user_id ) {
+			foreach ( $this->get_prompts( $user_id ) as $prompt ) {
+				if ( $prompt['schedule'] && $prompt['next_run'] && $prompt['next_run'] <= time() ) {
+					$this->run( (int) $user_id, $prompt );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Run a scheduled prompt as its owner and deliver the answer.
+	 *
+	 * @since 1.1.0
+	 * @param int   $user_id User who saved the prompt.
+	 * @param array $prompt  Saved prompt.
+	 * @return void
+	 */
+	private function run( $user_id, array $prompt ) {
+		$previous_user = get_current_user_id();
+		$schedule      = $prompt['schedule'];
+		$result        = new \WP_Error( 'assistify_prompt_not_allowed', __( 'Permission denied.', 'assistify-for-woocommerce' ) );
+
+		// Tools check the capabilities of the current user, as in the chat.
+		wp_set_current_user( $user_id );
+
+		if ( current_user_can( 'manage_woocommerce' ) ) {
+			$admin  = new Assistify_Admin();
+			$result = $admin->answer_question(
+				$prompt['prompt'],
+				$schedule['session'] ? $prompt['title'] : ''
+			);
+		}
+
+		if ( is_wp_error( $result ) ) {
+			\Assistify_For_WooCommerce\Assistify_Logger::error(
+				sprintf( 'Scheduled prompt "%s" failed: %s', $prompt['title'], $result->get_error_message() ),
+				'admin-chat'
+			);
+		} elseif ( $schedule['email'] ) {
+			$this->send_email( $prompt, $result );
+		}
+
+		$this->update_run(
+			$user_id,
+			$prompt['id'],
+			array(
+				'last_run'     => time(),
+				'last_session' => ! is_wp_error( $result ) ? $result['session_id'] : '',
+				'last_error'   => is_wp_error( $result ) ? $result->get_error_message() : '',
+				'next_run'     => $this->get_next_run( $schedule ),
+			)
+		);
+
+		wp_set_current_user( $previous_user );
+	}
+
+	/**
+	 * Email the answer to a scheduled prompt to its owner.
+	 *
+	 * @since 1.1.0
+	 * @param array $prompt Saved prompt.
+	 * @param array $answer Answer from Assistify_Admin::answer_question().
+	 * @return bool Whether the email was sent.
+	 */
+	private function send_email( array $prompt, array $answer ) {
+		$user = wp_get_current_user();
+
+		$subject = sprintf(
+			/* translators: 1: store name, 2: saved prompt title. */
+			__( '[%1$s] %2$s', 'assistify-for-woocommerce' ),
+			wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+			$prompt['title']
+		);
+
+		$message = $answer['content'];
+
+		if ( $answer['session_id'] ) {
+			$message .= "\n\n" . sprintf(
+				/* translators: %s: admin URL that opens the chat. */
+				__( 'Continue this conversation with Ayana: %s', 'assistify-for-woocommerce' ),
+				add_query_arg( 'assistify_session', rawurlencode( $answer['session_id'] ), admin_url() )
+			);
+		}
+
+		$sent = wp_mail( $user->user_email, $subject, $message );
+
+		if ( ! $sent ) {
+			\Assistify_For_WooCommerce\Assistify_Logger::error( 'Failed to email scheduled prompt to: ' . $user->user_email, 'admin-chat' );
+		}
+
+		return $sent;
+	}
+
+	/**
+	 * Record a run of a saved prompt.
+	 *
+	 * @since 1.1.0
+	 * @param int    $user_id User who saved the prompt.
+	 * @param string $id      Prompt ID.
+	 * @param array  $changes Fields to change.
+	 * @return void
+	 */
+	private function update_run( $user_id, $id, array $changes ) {
+		// Read again, the prompt may have been edited during the run.
+		$prompts = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $prompts ) || ! isset( $prompts[ $id ] ) ) {
+			return;
+		}
+
+		$prompts[ $id ] = array_merge( $prompts[ $id ], $changes );
+		update_user_meta( $user_id, self::META_KEY, $prompts );
+	}
+
+	/**
+	 * Get the next time a schedule is due, in the store's timezone.
+	 *
+	 * @since 1.1.0
+	 * @param array $schedule Schedule from sanitize_schedule().
+	 * @return int Unix timestamp.
+	 */
+	public function get_next_run( array $schedule ) {
+		$now = new \DateTimeImmutable( 'now', wp_timezone() );
+		$run = $now->setTime( $schedule['hour'], 0 );
+
+		switch ( $schedule['frequency'] ) {
+			case 'weekly':
+				$run = $run->modify( sprintf( '+%d days', ( $schedule['weekday'] - (int) $run->format( 'N' ) + 7 ) % 7 ) );
+				if ( $run <= $now ) {
+					$run = $run->modify( '+1 week' );
+				}
+				break;
+
+			case 'monthly':
+				$run = $run->setDate( (int) $run->format( 'Y' ), (int) $run->format( 'n' ), $schedule['day'] );
+				if ( $run <= $now ) {
+					$run = $run->modify( 'first day of next month' );
+					$run = $run->setDate( (int) $run->format( 'Y' ), (int) $run->format( 'n' ), $schedule['day'] );
+				}
+				break;
+
+			default:
+				if ( $run <= $now ) {
+					$run = $run->modify( '+1 day' );
+				}
+		}
+
+		return $run->getTimestamp();
+	}
+
+	/**
+	 * Sanitize the schedule of a saved prompt.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $schedule Raw schedule.
+	 * @return array Schedule with frequency, hour, weekday, day, session and email, or an empty array if not scheduled.
+	 */
+	private function sanitize_schedule( $schedule ) {
+		if ( ! is_array( $schedule ) || empty( $schedule['frequency'] ) || ! in_array( $schedule['frequency'], self::FREQUENCIES, true ) ) {
+			return array();
+		}
+
+		$clean = array(
+			'frequency' => $schedule['frequency'],
+			'hour'      => isset( $schedule['hour'] ) ? min( 23, absint( $schedule['hour'] ) ) : 8,
+			'weekday'   => isset( $schedule['weekday'] ) ? min( 7, max( 1, absint( $schedule['weekday'] ) ) ) : 1,
+			'day'       => isset( $schedule['day'] ) ? min( 28, max( 1, absint( $schedule['day'] ) ) ) : 1,
+			'session'   => ! empty( $schedule['session'] ) && 'false' !== $schedule['session'],
+			'email'     => ! empty( $schedule['email'] ) && 'false' !== $schedule['email'],
+		);
+
+		// An answer nobody sees is not worth running.
+		if ( ! $clean['session'] && ! $clean['email'] ) {
+			$clean['session'] = true;
+		}
+
+		return $clean;
+	}
+}
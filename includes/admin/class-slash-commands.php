@@ -0,0 +1,522 @@
+<?php
+/**
+ * Slash Commands for the Admin Chat
+ *
+ * Maps `/` commands typed in the admin chat to registered abilities, so a
+ * known request runs the ability directly instead of going through the AI.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Slash Commands class.
+ *
+ * @since 1.1.0
+ */
+class Slash_Commands {
+
+	/**
+	 * Short commands for common abilities, with the parameter that takes the
+	 * text after the command.
+	 *
+	 * Every other read-only ability is available under a name derived from
+	 * its ID, such as /products-on-sale.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	const SHORTCUTS = array(
+		'order'       => array(
+			'ability'  => 'afw/orders/get',
+			'argument' => 'order_id',
+		),
+		'orders'      => array(
+			'ability'  => 'afw/orders/list',
+			'argument' => 'status',
+		),
+		'findorder'   => array(
+			'ability'  => 'afw/orders/search',
+			'argument' => 'query',
+		),
+		'product'     => array(
+			'ability'  => 'afw/products/search',
+			'argument' => 'query',
+		),
+		'lowstock'    => array(
+			'ability'  => 'afw/products/low-stock',
+			'argument' => 'threshold',
+		),
+		'outofstock'  => array(
+			'ability'  => 'afw/products/out-of-stock',
+			'argument' => '',
+		),
+		'customer'    => array(
+			'ability'  => 'afw/customers/search',
+			'argument' => 'query',
+		),
+		'revenue'     => array(
+			'ability'  => 'afw/analytics/revenue',
+			'argument' => 'period',
+		),
+		'sales'       => array(
+			'ability'  => 'afw/analytics/sales',
+			'argument' => 'period',
+		),
+		'topproducts' => array(
+			'ability'  => 'afw/analytics/top-products',
+			'argument' => 'period',
+		),
+		'summary'     => array(
+			'ability'  => 'afw/analytics/daily-summary',
+			'argument' => 'date',
+		),
+		'coupons'     => array(
+			'ability'  => 'afw/coupons/list',
+			'argument' => '',
+		),
+	);
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Slash_Commands|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Commands available to the current user, built on first use.
+	 *
+	 * @since 1.1.0
+	 * @var array|null
+	 */
+	private $commands = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Slash_Commands
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Get the commands the current user can run.
+	 *
+	 * Only read-only abilities are offered: a command runs its ability
+	 * straight away, without the preview and undo of changes made in the chat.
+	 *
+	 * @since 1.1.0
+	 * @return array Commands keyed by name, each with 'command', 'ability', 'name',
+	 *               'description', 'argument', 'usage' and 'parameters'.
+	 */
+	public function get_commands() {
+		if ( null !== $this->commands ) {
+			return $this->commands;
+		}
+
+		$abilities = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance()->get_abilities();
+		$names     = self::SHORTCUTS;
+		$shortcuts = wp_list_pluck( self::SHORTCUTS, 'ability' );
+
+		foreach ( array_keys( $abilities ) as $ability_id ) {
+			if ( in_array( $ability_id, $shortcuts, true ) ) {
+				continue;
+			}
+
+			// 'afw/products/on-sale' becomes 'products-on-sale'.
+			$parts = explode( '/', $ability_id );
+			if ( count( $parts ) > 1 ) {
+				array_shift( $parts );
+			}
+
+			$names[ sanitize_key( implode( '-', $parts ) ) ] = array(
+				'ability'  => $ability_id,
+				'argument' => null,
+			);
+		}
+
+		$commands = array();
+
+		foreach ( $names as $name => $command ) {
+			$ability = isset( $abilities[ $command['ability'] ] ) ? $abilities[ $command['ability'] ] : null;
+
+			if ( ! $ability || empty( $ability['read_only'] ) || ! current_user_can( $ability['capability'] ) ) {
+				continue;
+			}
+
+			// Without a shortcut, the text after the command goes to the first required parameter.
+			$argument = $command['argument'];
+			if ( null === $argument ) {
+				$required = wp_list_filter( $ability['parameters'], array( 'required' => true ) );
+				$argument = $required ? key( $required ) : '';
+			}
+
+			$parameters = array();
+			foreach ( $ability['parameters'] as $param_name => $param ) {
+				$parameters[] = array(
+					'name'        => $param_name,
+					'type'        => isset( $param['type'] ) ? $param['type'] : 'string',
+					'description' => isset( $param['description'] ) ? $param['description'] : '',
+					'required'    => ! empty( $param['required'] ),
+				);
+			}
+
+			$commands[ $name ] = array(
+				'command'     => $name,
+				'ability'     => $command['ability'],
+				'name'        => $ability['name'],
+				'description' => $ability['description'],
+				'argument'    => $argument,
+				'usage'       => $this->get_usage( $name, $argument, $ability['parameters'] ),
+				'parameters'  => $parameters,
+			);
+		}
+
+		/**
+		 * Filter the slash commands offered in the admin chat.
+		 *
+		 * @since 1.1.0
+		 * @param array $commands Commands keyed by name.
+		 */
+		$this->commands = apply_filters( 'assistify_slash_commands', $commands );
+
+		return $this->commands;
+	}
+
+	/**
+	 * Parse a chat message as a command.
+	 *
+	 * The text after the command fills the command's main parameter. Other
+	 * parameters are given as name=value, with quotes around values that
+	 * contain spaces: /orders processing limit=5.
+	 *
+	 * @since 1.1.0
+	 * @param string $message Chat message.
+	 * @return array|\WP_Error|null Command and ability parameters, error for a
+	 *                              malformed command, or null if the message is not a command.
+	 */
+	public function parse( $message ) {
+		if ( ! preg_match( '/^\/([a-z0-9_-]+)(?:\s+(.*))?$/is', trim( $message ), $matches ) ) {
+			return null;
+		}
+
+		$commands = $this->get_commands();
+		$name     = strtolower( $matches[1] );
+
+		if ( ! isset( $commands[ $name ] ) ) {
+			return new \WP_Error(
+				'assistify_unknown_command',
+				sprintf(
+					/* translators: %s: command name. */
+					__( 'Unknown command: /%s', 'assistify-for-woocommerce' ),
+					$name
+				)
+			);
+		}
+
+		$command = $commands[ $name ];
+		$types   = wp_list_pluck( $command['parameters'], 'type', 'name' );
+		$text    = isset( $matches[2] ) ? $matches[2] : '';
+		$params  = array();
+
+		if ( preg_match_all( '/(\w+)=(?:"([^"]*)"|(\S+))/', $text, $pairs, PREG_SET_ORDER ) ) {
+			foreach ( $pairs as $pair ) {
+				if ( isset( $types[ $pair[1] ] ) ) {
+					$params[ $pair[1] ] = isset( $pair[3] ) ? $pair[3] : $pair[2];
+					$text               = str_replace( $pair[0], '', $text );
+				}
+			}
+		}
+
+		$text = trim( preg_replace( '/\s+/', ' ', $text ) );
+
+		if ( '' !== $text && $command['argument'] && ! isset( $params[ $command['argument'] ] ) ) {
+			$params = array_merge( $this->parse_argument( $text, $command['argument'], $types ), $params );
+		}
+
+		foreach ( $params as $param_name => $value ) {
+			$value = $this->cast( $value, $types[ $param_name ] );
+
+			if ( null === $value ) {
+				return new \WP_Error(
+					'assistify_invalid_command',
+					sprintf(
+						/* translators: 1: parameter name, 2: command usage. */
+						__( 'Invalid value for %1$s. Usage: %2$s', 'assistify-for-woocommerce' ),
+						$param_name,
+						$command['usage']
+					)
+				);
+			}
+
+			$params[ $param_name ] = $value;
+		}
+
+		foreach ( $command['parameters'] as $param ) {
+			if ( $param['required'] && ! isset( $params[ $param['name'] ] ) ) {
+				return new \WP_Error(
+					'assistify_invalid_command',
+					sprintf(
+						/* translators: %s: command usage. */
+						__( 'Usage: %s', 'assistify-for-woocommerce' ),
+						$command['usage']
+					)
+				);
+			}
+		}
+
+		return array(
+			'command' => $command,
+			'params'  => $params,
+		);
+	}
+
+	/**
+	 * Run a parsed command.
+	 *
+	 * @since 1.1.0
+	 * @param array $parsed Result of parse().
+	 * @return string|\WP_Error Markdown answer, or error if the ability failed.
+	 */
+	public function run( array $parsed ) {
+		$result = \Assistify_For_WooCommerce\Abilities\Abilities_Registry::instance()->execute( $parsed['command']['ability'], $parsed['params'] );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$markdown = '**' . $parsed['command']['name'] . "**\n\n";
+
+		if ( empty( $result ) ) {
+			$markdown .= __( 'Nothing found.', 'assistify-for-woocommerce' );
+		} elseif ( ! is_array( $result ) ) {
+			$markdown .= $this->format_value( $result );
+		} elseif ( $this->is_table( $result ) ) {
+			$markdown .= $this->format_table( $result );
+		} else {
+			$markdown .= $this->format_list( $result, 0 );
+		}
+
+		return trim( $markdown );
+	}
+
+	/**
+	 * Map the text after a command to its main parameter.
+	 *
+	 * A period such as "last 30 days" becomes a date range when the ability
+	 * takes one.
+	 *
+	 * @since 1.1.0
+	 * @param string $text     Text after the command.
+	 * @param string $argument Main parameter name.
+	 * @param array  $types    Parameter types keyed by name.
+	 * @return array Parameters.
+	 */
+	private function parse_argument( $text, $argument, array $types ) {
+		if ( 'period' !== $argument || ! isset( $types['start_date'], $types['end_date'] ) ) {
+			return array( $argument => $text );
+		}
+
+		$period = preg_replace( '/^(this|current)\s+/', '', strtolower( $text ) );
+
+		if ( 'yesterday' === $period ) {
+			$date = wp_date( 'Y-m-d', strtotime( '-1 day' ) );
+
+			return array(
+				'start_date' => $date,
+				'end_date'   => $date,
+			);
+		}
+
+		if ( preg_match( '/^(?:last|past)\s+(\d+\s+)?(day|week|month|year)s?$/', $period, $matches ) ) {
+			$count = '' !== trim( $matches[1] ) ? absint( $matches[1] ) : 1;
+
+			return array(
+				'start_date' => wp_date( 'Y-m-d', strtotime( '-' . $count . ' ' . $matches[2] ) ),
+				'end_date'   => current_time( 'Y-m-d' ),
+			);
+		}
+
+		return array( 'period' => $period );
+	}
+
+	/**
+	 * Convert a command value to its parameter type.
+	 *
+	 * @since 1.1.0
+	 * @param string $value Value as typed.
+	 * @param string $type  Parameter type.
+	 * @return mixed|null Converted value, or null if it does not fit the type.
+	 */
+	private function cast( $value, $type ) {
+		switch ( $type ) {
+			case 'integer':
+				// Order numbers are often typed as #1234.
+				$value = ltrim( $value, '#' );
+				return ctype_digit( $value ) ? (int) $value : null;
+
+			case 'number':
+				return is_numeric( $value ) ? (float) $value : null;
+
+			case 'boolean':
+				return filter_var( $value, FILTER_VALIDATE_BOOLEAN, FILTER_NULL_ON_FAILURE );
+
+			case 'array':
+				return array_map( 'trim', explode( ',', $value ) );
+		}
+
+		return sanitize_text_field( $value );
+	}
+
+	/**
+	 * Describe how a command is typed, such as "/order <order_id> [note=…]".
+	 *
+	 * @since 1.1.0
+	 * @param string $name       Command name.
+	 * @param string $argument   Main parameter name.
+	 * @param array  $parameters Ability parameters.
+	 * @return string Usage.
+	 */
+	private function get_usage( $name, $argument, array $parameters ) {
+		$usage = '/' . $name;
+
+		if ( $argument && isset( $parameters[ $argument ] ) ) {
+			$usage .= ! empty( $parameters[ $argument ]['required'] ) ? ' <' . $argument . '>' : ' [' . $argument . ']';
+		}
+
+		foreach ( $parameters as $param_name => $param ) {
+			if ( $param_name !== $argument ) {
+				$usage .= ! empty( $param['required'] ) ? ' ' . $param_name . '=…' : ' [' . $param_name . '=…]';
+			}
+		}
+
+		return $usage;
+	}
+
+	/**
+	 * Check whether a result is a list of records that fits a table.
+	 *
+	 * @since 1.1.0
+	 * @param array $data Result data.
+	 * @return bool True for a non-empty list of arrays.
+	 */
+	private function is_table( array $data ) {
+		if ( empty( $data ) || array_keys( $data ) !== range( 0, count( $data ) - 1 ) ) {
+			return false;
+		}
+
+		foreach ( $data as $row ) {
+			if ( ! is_array( $row ) || empty( $row ) || isset( $row[0] ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Format a list of records as a Markdown table.
+	 *
+	 * @since 1.1.0
+	 * @param array $rows Records.
+	 * @return string Markdown table.
+	 */
+	private function format_table( array $rows ) {
+		$columns = array();
+		foreach ( $rows as $row ) {
+			$columns = array_unique( array_merge( $columns, array_keys( $row ) ) );
+		}
+
+		$lines = array(
+			'| ' . implode( ' | ', array_map( array( $this, 'format_label' ), $columns ) ) . ' |',
+			'|' . str_repeat( ' --- |', count( $columns ) ),
+		);
+
+		foreach ( $rows as $row ) {
+			$cells = array();
+			foreach ( $columns as $column ) {
+				$cells[] = isset( $row[ $column ] ) ? str_replace( '|', '\|', $this->format_value( $row[ $column ] ) ) : '';
+			}
+			$lines[] = '| ' . implode( ' | ', $cells ) . ' |';
+		}
+
+		return implode( "\n", $lines ) . "\n";
+	}
+
+	/**
+	 * Format a record as a Markdown list, with tables for nested records.
+	 *
+	 * @since 1.1.0
+	 * @param array $data  Record.
+	 * @param int   $depth Nesting level.
+	 * @return string Markdown list.
+	 */
+	private function format_list( array $data, $depth ) {
+		$markdown = '';
+		$indent   = str_repeat( '  ', $depth );
+
+		foreach ( $data as $key => $value ) {
+			$label = $this->format_label( $key );
+
+			if ( is_array( $value ) && $this->is_table( $value ) ) {
+				$markdown .= "\n**" . $label . "**\n\n" . $this->format_table( $value ) . "\n";
+			} elseif ( is_array( $value ) && $value && ! isset( $value[0] ) ) {
+				$markdown .= $indent . '- **' . $label . ":**\n" . $this->format_list( $value, $depth + 1 );
+			} else {
+				$markdown .= $indent . '- **' . $label . ':** ' . $this->format_value( $value ) . "\n";
+			}
+		}
+
+		return $markdown;
+	}
+
+	/**
+	 * Format a key such as "stock_quantity" as "Stock quantity".
+	 *
+	 * @since 1.1.0
+	 * @param string|int $key Key.
+	 * @return string Label.
+	 */
+	private function format_label( $key ) {
+		return ucfirst( str_replace( array( '_', '-' ), ' ', (string) $key ) );
+	}
+
+	/**
+	 * Format a single value on one line.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $value Value.
+	 * @return string Text.
+	 */
+	private function format_value( $value ) {
+		if ( is_bool( $value ) ) {
+			return $value ? __( 'Yes', 'assistify-for-woocommerce' ) : __( 'No', 'assistify-for-woocommerce' );
+		}
+
+		if ( null === $value || '' === $value || array() === $value ) {
+			return '—';
+		}
+
+		if ( is_array( $value ) ) {
+			$scalars = array_filter( $value, 'is_scalar' );
+
+			return count( $scalars ) === count( $value ) ? implode( ', ', array_map( array( $this, 'format_value' ), $value ) ) : (string) count( $value );
+		}
+
+		return trim( preg_replace( '/\s+/', ' ', wp_strip_all_tags( (string) $value ) ) );
+	}
+}
@@ -0,0 +1,729 @@
+<?php
+/**
+ * Tool Confirmation for the Admin Chat
+ *
+ * Holds write tools requested by the AI until the admin approves them.
+ * Each pending operation is previewed with a before/after diff, and the
+ * admin can approve any subset of it.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Tool Confirmation class.
+ *
+ * @since 1.1.0
+ */
+class Tool_Confirmation {
+
+	/**
+	 * Transient prefix for pending actions, shared with the cancel handler.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'assistify_pending_action_';
+
+	/**
+	 * Seconds a pending action stays valid.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const EXPIRATION = 300;
+
+	/**
+	 * Tools that act on a list of records, keyed by the argument holding the IDs.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	const BATCH_TOOLS = array(
+		'bulk_order_status'  => 'order_ids',
+		'bulk_update_prices' => 'product_ids',
+	);
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Tool_Confirmation|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Tool_Confirmation
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Check whether a set of tool calls must be confirmed before running.
+	 *
+	 * Confirmation is required for destructive tools, for batch tools and
+	 * when the AI asks for several write operations, at once or one after
+	 * the other while answering the same question. A single ordinary write
+	 * runs straight away.
+	 *
+	 * @since 1.1.0
+	 * @param array $calls       Tool calls, each with 'name' and 'args'.
+	 * @param int   $writes_done Optional. Write operations already run for the question.
+	 * @return bool True if the calls need confirmation.
+	 */
+	public function requires_confirmation( array $calls, $writes_done = 0 ) {
+		$writes = $this->get_write_calls( $calls );
+
+		if ( empty( $writes ) ) {
+			return false;
+		}
+
+		if ( count( $writes ) + $writes_done > 1 ) {
+			return true;
+		}
+
+		foreach ( $writes as $call ) {
+			if ( Admin_Tools::instance()->is_destructive( $call['name'] ) || isset( self::BATCH_TOOLS[ $call['name'] ] ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the calls that change store data.
+	 *
+	 * @since 1.1.0
+	 * @param array $calls Tool calls, each with 'name' and 'args'.
+	 * @return array Write calls.
+	 */
+	public function get_write_calls( array $calls ) {
+		$admin_tools = Admin_Tools::instance();
+
+		return array_values(
+			array_filter(
+				$calls,
+				function ( $call ) use ( $admin_tools ) {
+					return ! $admin_tools->is_read_only( $call['name'] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Preview write calls and store them until the admin confirms.
+	 *
+	 * @since 1.1.0
+	 * @param array  $calls      Write tool calls, each with 'name' and 'args'.
+	 * @param string $session_id Chat session ID.
+	 * @return array Pending action for the client: token, summaries, items and expiry.
+	 */
+	public function create( array $calls, $session_id = '' ) {
+		$admin_tools    = Admin_Tools::instance();
+		$items          = array();
+		$summaries      = array();
+		$is_destructive = false;
+
+		foreach ( $calls as $index => $call ) {
+			$preview = $this->preview( $call['name'], $call['args'] );
+
+			$calls[ $index ]['summary']  = $preview['summary'];
+			$calls[ $index ]['category'] = $this->get_category( $call['name'] );
+
+			$summaries[] = $preview['summary'];
+
+			foreach ( $preview['items'] as $item ) {
+				$item['id']    = $index . ':' . ( null === $item['target'] ? 'all' : $item['target'] );
+				$item['call']  = $index;
+				$item['error'] = isset( $item['error'] ) ? $item['error'] : '';
+				$items[]       = $item;
+			}
+
+			if ( $admin_tools->is_destructive( $call['name'] ) ) {
+				$is_destructive = true;
+			}
+		}
+
+		$token   = wp_generate_password( 32, false );
+		$pending = array(
+			'calls'          => $calls,
+			'items'          => $items,
+			'preview'        => implode( '; ', $summaries ),
+			'is_destructive' => $is_destructive,
+			'user_id'        => get_current_user_id(),
+			'session_id'     => $session_id,
+			'timestamp'      => time(),
+		);
+
+		set_transient( self::TRANSIENT_PREFIX . $token, $pending, self::EXPIRATION );
+
+		return array(
+			'confirmation_token' => $token,
+			'preview'            => $pending['preview'],
+			'summaries'          => $summaries,
+			'is_destructive'     => $is_destructive,
+			'items'              => array_map( array( $this, 'get_public_item' ), $items ),
+			'expires_in'         => self::EXPIRATION,
+			'expires_at'         => $pending['timestamp'] + self::EXPIRATION,
+		);
+	}
+
+	/**
+	 * Get a pending tool action owned by the current user.
+	 *
+	 * Pending abilities from the intent classifier share the transient
+	 * prefix but are not returned here.
+	 *
+	 * @since 1.1.0
+	 * @param string $token Confirmation token.
+	 * @return array|null Pending action or null.
+	 */
+	public function get( $token ) {
+		$pending = get_transient( self::TRANSIENT_PREFIX . $token );
+
+		if ( ! is_array( $pending ) || ! isset( $pending['calls'] ) ) {
+			return null;
+		}
+
+		if ( (int) $pending['user_id'] !== get_current_user_id() ) {
+			return null;
+		}
+
+		return $pending;
+	}
+
+	/**
+	 * Run the approved part of a pending tool action.
+	 *
+	 * @since 1.1.0
+	 * @param string     $token    Confirmation token.
+	 * @param array|null $approved Approved item IDs, or null to approve every item.
+	 * @return array|\WP_Error Results per executed call and the undo token, or error if the action expired.
+	 */
+	public function execute( $token, $approved = null ) {
+		$pending = $this->get( $token );
+
+		if ( ! $pending ) {
+			return new \WP_Error(
+				'action_expired',
+				__( 'This action has expired. Please try again.', 'assistify-for-woocommerce' )
+			);
+		}
+
+		// One-time use.
+		delete_transient( self::TRANSIENT_PREFIX . $token );
+
+		$targets = array();
+		foreach ( $pending['items'] as $item ) {
+			if ( ! empty( $item['error'] ) ) {
+				continue;
+			}
+
+			if ( null === $approved || in_array( $item['id'], $approved, true ) ) {
+				$targets[ $item['call'] ][] = $item['target'];
+			}
+		}
+
+		$admin_tools = Admin_Tools::instance();
+		$undo        = Action_Undo::instance();
+		$results     = array();
+		$operations  = array();
+
+		foreach ( $pending['calls'] as $index => $call ) {
+			if ( empty( $targets[ $index ] ) ) {
+				continue;
+			}
+
+			$args = $call['args'];
+
+			// Narrow batch tools down to the approved records.
+			if ( isset( self::BATCH_TOOLS[ $call['name'] ] ) ) {
+				$args[ self::BATCH_TOOLS[ $call['name'] ] ] = array_map( 'absint', $targets[ $index ] );
+			}
+
+			$entries = $undo->capture( $call['name'], $args );
+			$started = microtime( true );
+			$result  = $admin_tools->execute( $call['name'], $args );
+			$elapsed = (int) round( ( microtime( true ) - $started ) * 1000 );
+
+			if ( is_wp_error( $result ) ) {
+				$result = array(
+					'success' => false,
+					'message' => $result->get_error_message(),
+				);
+			}
+
+			$log_id = $this->log( $call, $args, $result, $pending['session_id'] );
+
+			if ( ! empty( $result['success'] ) && ! empty( $entries ) ) {
+				$operations[] = array(
+					'tool'     => $call['name'],
+					'summary'  => $call['summary'],
+					'category' => $call['category'],
+					'entries'  => $undo->complete( $entries ),
+				);
+			}
+
+			$results[] = array(
+				'tool'       => $call['name'],
+				'args'       => $args,
+				'summary'    => $call['summary'],
+				'count'      => count( $targets[ $index ] ),
+				'result'     => $result,
+				'reversible' => null !== $entries,
+				'duration'   => $elapsed,
+				'log_id'     => $log_id,
+			);
+		}
+
+		return array(
+			'results'  => $results,
+			'approved' => array_sum( wp_list_pluck( $results, 'count' ) ),
+			'total'    => count( $pending['items'] ),
+			'undo'     => $undo->store( $operations, $pending['session_id'] ),
+		);
+	}
+
+	/**
+	 * Build the preview of a single write call.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @param array  $args Tool arguments.
+	 * @return array Preview with a 'summary' and a list of 'items'.
+	 */
+	private function preview( $name, $args ) {
+		switch ( $name ) {
+			case 'bulk_order_status':
+			case 'update_order_status':
+				$order_ids = 'bulk_order_status' === $name ? (array) ( $args['order_ids'] ?? array() ) : array( $args['order_id'] ?? 0 );
+				return $this->preview_order_status( array_map( 'absint', $order_ids ), $args['status'] ?? '', 'bulk_order_status' === $name );
+
+			case 'bulk_update_prices':
+				return $this->preview_bulk_prices( $args );
+
+			case 'update_product':
+			case 'update_product_price':
+			case 'update_product_stock':
+				return $this->preview_product_update( $name, $args );
+
+			case 'create_refund':
+				return $this->preview_refund( $args );
+
+			case 'delete_coupon':
+				return $this->single_item(
+					/* translators: %s: coupon code. */
+					sprintf( __( 'Delete coupon "%s"', 'assistify-for-woocommerce' ), $args['coupon_code'] ?? '' ),
+					/* translators: %s: coupon code. */
+					sprintf( __( 'Coupon %s', 'assistify-for-woocommerce' ), $args['coupon_code'] ?? '' ),
+					array( $this->change( __( 'Coupon', 'assistify-for-woocommerce' ), __( 'Exists', 'assistify-for-woocommerce' ), __( 'Deleted', 'assistify-for-woocommerce' ) ) )
+				);
+
+			case 'delete_shipping_zone':
+				$zone      = class_exists( '\WC_Shipping_Zone' ) ? new \WC_Shipping_Zone( absint( $args['zone_id'] ?? 0 ) ) : null;
+				$zone_name = $zone && $zone->get_id() ? $zone->get_zone_name() : '#' . absint( $args['zone_id'] ?? 0 );
+				return $this->single_item(
+					/* translators: %s: shipping zone name. */
+					sprintf( __( 'Delete shipping zone "%s"', 'assistify-for-woocommerce' ), $zone_name ),
+					/* translators: %s: shipping zone name. */
+					sprintf( __( 'Shipping zone %s', 'assistify-for-woocommerce' ), $zone_name ),
+					array( $this->change( __( 'Zone', 'assistify-for-woocommerce' ), __( 'Exists', 'assistify-for-woocommerce' ), __( 'Deleted', 'assistify-for-woocommerce' ) ) )
+				);
+
+			case 'delete_tax_rate':
+				$rate      = class_exists( '\WC_Tax' ) ? \WC_Tax::_get_tax_rate( absint( $args['rate_id'] ?? 0 ) ) : array();
+				$rate_name = ! empty( $rate['tax_rate_name'] ) ? $rate['tax_rate_name'] : '#' . absint( $args['rate_id'] ?? 0 );
+				return $this->single_item(
+					/* translators: %s: tax rate name. */
+					sprintf( __( 'Delete tax rate "%s"', 'assistify-for-woocommerce' ), $rate_name ),
+					/* translators: %s: tax rate name. */
+					sprintf( __( 'Tax rate %s', 'assistify-for-woocommerce' ), $rate_name ),
+					array( $this->change( __( 'Rate', 'assistify-for-woocommerce' ), isset( $rate['tax_rate'] ) ? $rate['tax_rate'] . '%' : '', __( 'Deleted', 'assistify-for-woocommerce' ) ) )
+				);
+		}
+
+		// Generic preview: list the arguments the tool will be called with.
+		$label   = ucfirst( str_replace( '_', ' ', $name ) );
+		$changes = array();
+
+		foreach ( $args as $key => $value ) {
+			$changes[] = $this->change(
+				ucfirst( str_replace( '_', ' ', $key ) ),
+				'',
+				is_scalar( $value ) ? (string) $value : wp_json_encode( $value )
+			);
+		}
+
+		return $this->single_item( $label, $label, $changes );
+	}
+
+	/**
+	 * Preview an order status change for one or more orders.
+	 *
+	 * @since 1.1.0
+	 * @param array  $order_ids Order IDs.
+	 * @param string $status    New status.
+	 * @param bool   $is_batch  Whether items map to the order IDs of a batch tool.
+	 * @return array Preview.
+	 */
+	private function preview_order_status( array $order_ids, $status, $is_batch ) {
+		$status    = str_replace( 'wc-', '', sanitize_text_field( $status ) );
+		$new_label = wc_get_order_status_name( $status );
+		$items     = array();
+
+		foreach ( array_unique( array_filter( $order_ids ) ) as $order_id ) {
+			$order = wc_get_order( $order_id );
+			$item  = array(
+				'target'  => $is_batch ? $order_id : null,
+				/* translators: %d: order ID. */
+				'label'   => sprintf( __( 'Order #%d', 'assistify-for-woocommerce' ), $order_id ),
+				'url'     => '',
+				'changes' => array(),
+			);
+
+			if ( ! $order ) {
+				$item['error'] = __( 'Order not found', 'assistify-for-woocommerce' );
+			} else {
+				$item['label'] = sprintf(
+					/* translators: 1: order number, 2: customer name. */
+					__( 'Order #%1$s – %2$s', 'assistify-for-woocommerce' ),
+					$order->get_order_number(),
+					$order->get_formatted_billing_full_name()
+				);
+				$item['url']     = $order->get_edit_order_url();
+				$item['changes'] = array(
+					$this->change( __( 'Status', 'assistify-for-woocommerce' ), wc_get_order_status_name( $order->get_status() ), $new_label ),
+				);
+			}
+
+			$items[] = $item;
+		}
+
+		return array(
+			'summary' => sprintf(
+				/* translators: 1: number of orders, 2: new status. */
+				_n( 'Change %1$d order to "%2$s"', 'Change %1$d orders to "%2$s"', count( $items ), 'assistify-for-woocommerce' ),
+				count( $items ),
+				$new_label
+			),
+			'items'   => $items,
+		);
+	}
+
+	/**
+	 * Preview a bulk price adjustment.
+	 *
+	 * @since 1.1.0
+	 * @param array $args Tool arguments.
+	 * @return array Preview.
+	 */
+	private function preview_bulk_prices( $args ) {
+		$admin_tools     = Admin_Tools::instance();
+		$adjustment_type = sanitize_text_field( $args['adjustment_type'] ?? 'percentage' );
+		$amount          = floatval( $args['amount'] ?? 0 );
+		$price_type      = sanitize_text_field( $args['price_type'] ?? 'regular' );
+		$round_to        = isset( $args['round_to'] ) ? intval( $args['round_to'] ) : null;
+		$items           = array();
+
+		foreach ( $admin_tools->get_bulk_price_products( $args ) as $product ) {
+			$changes = array();
+
+			if ( in_array( $price_type, array( 'regular', 'both' ), true ) && floatval( $product->get_regular_price() ) > 0 ) {
+				$current   = floatval( $product->get_regular_price() );
+				$changes[] = $this->change(
+					__( 'Regular price', 'assistify-for-woocommerce' ),
+					$this->price_text( $current ),
+					$this->price_text( $admin_tools->calculate_new_price( $current, $adjustment_type, $amount, $round_to ) )
+				);
+			}
+
+			if ( in_array( $price_type, array( 'sale', 'both' ), true ) && floatval( $product->get_sale_price() ) > 0 ) {
+				$current   = floatval( $product->get_sale_price() );
+				$changes[] = $this->change(
+					__( 'Sale price', 'assistify-for-woocommerce' ),
+					$this->price_text( $current ),
+					$this->price_text( $admin_tools->calculate_new_price( $current, $adjustment_type, $amount, $round_to ) )
+				);
+			}
+
+			// Products without a price to adjust are left out, as the tool skips them.
+			if ( empty( $changes ) ) {
+				continue;
+			}
+
+			$items[] = array(
+				'target'  => $product->get_id(),
+				'label'   => $product->get_name(),
+				'url'     => get_edit_post_link( $product->get_id(), 'raw' ),
+				'changes' => $changes,
+			);
+		}
+
+		$change = 'percentage' === $adjustment_type ? abs( $amount ) . '%' : $this->price_text( abs( $amount ) );
+
+		return array(
+			'summary' => sprintf(
+				/* translators: 1: increase or decrease, 2: amount, 3: number of products. */
+				_n( '%1$s prices by %2$s for %3$d product', '%1$s prices by %2$s for %3$d products', count( $items ), 'assistify-for-woocommerce' ),
+				$amount > 0 ? __( 'Increase', 'assistify-for-woocommerce' ) : __( 'Decrease', 'assistify-for-woocommerce' ),
+				$change,
+				count( $items )
+			),
+			'items'   => $items,
+		);
+	}
+
+	/**
+	 * Preview a change to a single product.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @param array  $args Tool arguments.
+	 * @return array Preview.
+	 */
+	private function preview_product_update( $name, $args ) {
+		$product_id = absint( $args['product_id'] ?? 0 );
+		$product    = wc_get_product( $product_id );
+		/* translators: %d: product ID. */
+		$label = sprintf( __( 'Product #%d', 'assistify-for-woocommerce' ), $product_id );
+
+		if ( ! $product ) {
+			$preview                      = $this->single_item( $label, $label, array() );
+			$preview['items'][0]['error'] = __( 'Product not found', 'assistify-for-woocommerce' );
+			return $preview;
+		}
+
+		if ( 'update_product_stock' === $name ) {
+			$args = array( 'stock_quantity' => $args['quantity'] ?? 0 );
+		}
+
+		$fields = array(
+			'name'           => __( 'Name', 'assistify-for-woocommerce' ),
+			'status'         => __( 'Status', 'assistify-for-woocommerce' ),
+			'regular_price'  => __( 'Regular price', 'assistify-for-woocommerce' ),
+			'sale_price'     => __( 'Sale price', 'assistify-for-woocommerce' ),
+			'sku'            => __( 'SKU', 'assistify-for-woocommerce' ),
+			'stock_quantity' => __( 'Stock', 'assistify-for-woocommerce' ),
+			'stock_status'   => __( 'Stock status', 'assistify-for-woocommerce' ),
+			'featured'       => __( 'Featured', 'assistify-for-woocommerce' ),
+		);
+
+		$changes = array();
+
+		foreach ( $args as $key => $value ) {
+			if ( 'product_id' === $key ) {
+				continue;
+			}
+
+			if ( ! isset( $fields[ $key ] ) ) {
+				$changes[] = $this->change( ucfirst( str_replace( '_', ' ', $key ) ), '', is_scalar( $value ) ? (string) $value : wp_json_encode( $value ) );
+				continue;
+			}
+
+			$getter = 'get_' . $key;
+			$before = $product->$getter();
+
+			if ( in_array( $key, array( 'regular_price', 'sale_price' ), true ) ) {
+				$before = '' !== $before ? $this->price_text( $before ) : '';
+				$value  = '' !== $value && null !== $value ? $this->price_text( $value ) : '';
+			} elseif ( 'featured' === $key ) {
+				$before = $before ? __( 'Yes', 'assistify-for-woocommerce' ) : __( 'No', 'assistify-for-woocommerce' );
+				$value  = $value ? __( 'Yes', 'assistify-for-woocommerce' ) : __( 'No', 'assistify-for-woocommerce' );
+			}
+
+			$changes[] = $this->change( $fields[ $key ], (string) $before, (string) $value );
+		}
+
+		return $this->single_item(
+			/* translators: %s: product name. */
+			sprintf( __( 'Update product "%s"', 'assistify-for-woocommerce' ), $product->get_name() ),
+			$product->get_name(),
+			$changes,
+			get_edit_post_link( $product_id, 'raw' )
+		);
+	}
+
+	/**
+	 * Preview a refund.
+	 *
+	 * @since 1.1.0
+	 * @param array $args Tool arguments.
+	 * @return array Preview.
+	 */
+	private function preview_refund( $args ) {
+		$order_id = absint( $args['order_id'] ?? 0 );
+		$order    = wc_get_order( $order_id );
+		/* translators: %d: order ID. */
+		$label = sprintf( __( 'Order #%d', 'assistify-for-woocommerce' ), $order_id );
+
+		if ( ! $order ) {
+			$preview                      = $this->single_item( $label, $label, array() );
+			$preview['items'][0]['error'] = __( 'Order not found', 'assistify-for-woocommerce' );
+			return $preview;
+		}
+
+		$refunded  = (float) $order->get_total_refunded();
+		$remaining = (float) $order->get_total() - $refunded;
+		$amount    = ! empty( $args['amount'] ) ? min( floatval( $args['amount'] ), $remaining ) : $remaining;
+
+		return $this->single_item(
+			sprintf(
+				/* translators: 1: refund amount, 2: order number. */
+				__( 'Refund %1$s from order #%2$s', 'assistify-for-woocommerce' ),
+				$this->price_text( $amount, $order->get_currency() ),
+				$order->get_order_number()
+			),
+			$label,
+			array(
+				$this->change(
+					__( 'Refunded', 'assistify-for-woocommerce' ),
+					$this->price_text( $refunded, $order->get_currency() ),
+					$this->price_text( $refunded + $amount, $order->get_currency() )
+				),
+			),
+			$order->get_edit_order_url()
+		);
+	}
+
+	/**
+	 * Build a preview with a single item.
+	 *
+	 * @since 1.1.0
+	 * @param string $summary Summary of the call.
+	 * @param string $label   Item label.
+	 * @param array  $changes Item changes.
+	 * @param string $url     Optional. Edit URL of the record.
+	 * @return array Preview.
+	 */
+	private function single_item( $summary, $label, array $changes, $url = '' ) {
+		return array(
+			'summary' => $summary,
+			'items'   => array(
+				array(
+					'target'  => null,
+					'label'   => $label,
+					'url'     => $url,
+					'changes' => $changes,
+				),
+			),
+		);
+	}
+
+	/**
+	 * Build a before/after change entry.
+	 *
+	 * @since 1.1.0
+	 * @param string $field  Field label.
+	 * @param string $before Current value.
+	 * @param string $after  New value.
+	 * @return array Change.
+	 */
+	private function change( $field, $before, $after ) {
+		return array(
+			'field'  => $field,
+			'before' => $before,
+			'after'  => $after,
+		);
+	}
+
+	/**
+	 * Strip the server-side fields from an item before it is sent to the browser.
+	 *
+	 * @since 1.1.0
+	 * @param array $item Pending item.
+	 * @return array Item for the client.
+	 */
+	private function get_public_item( $item ) {
+		return array(
+			'id'      => $item['id'],
+			'label'   => $item['label'],
+			'url'     => $item['url'],
+			'changes' => $item['changes'],
+			'error'   => $item['error'],
+		);
+	}
+
+	/**
+	 * Get the audit log category of a tool.
+	 *
+	 * @since 1.1.0
+	 * @param string $name Tool name.
+	 * @return string Category.
+	 */
+	public function get_category( $name ) {
+		if ( preg_match( '/order|refund/', $name ) ) {
+			return 'orders';
+		}
+
+		if ( preg_match( '/product|price|stock/', $name ) ) {
+			return 'products';
+		}
+
+		if ( false !== strpos( $name, 'coupon' ) ) {
+			return 'coupons';
+		}
+
+		return 'general';
+	}
+
+	/**
+	 * Record a confirmed tool call in the audit log.
+	 *
+	 * @since 1.1.0
+	 * @param array  $call       Pending call.
+	 * @param array  $args       Arguments the tool ran with.
+	 * @param array  $result     Tool result.
+	 * @param string $session_id Chat session ID.
+	 * @return int Log ID, 0 if nothing was logged.
+	 */
+	private function log( $call, $args, $result, $session_id ) {
+		if ( ! class_exists( '\Assistify_For_WooCommerce\Audit_Logger' ) ) {
+			return 0;
+		}
+
+		return (int) \Assistify_For_WooCommerce\Audit_Logger::instance()->log(
+			array(
+				'action_type'     => 'confirmed_action',
+				'action_category' => $call['category'],
+				'description'     => sprintf(
+					/* translators: %s: action summary. */
+					__( 'Confirmed and executed: %s', 'assistify-for-woocommerce' ),
+					$call['summary']
+				),
+				'ability_id'      => $call['name'],
+				'parameters'      => $args,
+				'result'          => $result,
+				'status'          => empty( $result['success'] ) ? 'failed' : 'success',
+				'session_id'      => $session_id,
+			)
+		);
+	}
+
+	/**
+	 * Format a price as plain text.
+	 *
+	 * @since 1.1.0
+	 * @param float  $amount   Amount.
+	 * @param string $currency Optional. Currency code.
+	 * @return string Formatted price.
+	 */
+	private function price_text( $amount, $currency = '' ) {
+		$html = wc_price( $amount, $currency ? array( 'currency' => $currency ) : array() );
+		return html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES, get_option( 'blog_charset' ) );
+	}
+}
@@ -0,0 +1,147 @@
+<?php
+/**
+ * Token Usage and Cost Meter for the Admin Chat
+ *
+ * Adds up the tokens an admin chat answer used over every step of the
+ * agentic loop, estimates what they cost from the model's list price, and
+ * compares this month's spend with the budget set in the settings.
+ *
+ * @package Assistify_For_WooCommerce
+ * @since   1.1.0
+ */
+
+namespace Assistify_For_WooCommerce\Admin;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Usage Meter class.
+ *
+ * @since 1.1.0
+ */
+class Usage_Meter {
+
+	/**
+	 * Default share of the budget, in percent, at which the chat warns.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const DEFAULT_WARNING = 80;
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @var Usage_Meter|null
+	 */
+	private static $instance = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @since 1.1.0
+	 * @return Usage_Meter
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Add the usage of one provider request to a running total.
+	 *
+	 * @since 1.1.0
+	 * @param array $total Running total.
+	 * @param array $usage Usage reported for the request.
+	 * @return array Total with 'prompt_tokens', 'completion_tokens' and 'total_tokens'.
+	 */
+	public function add( array $total, array $usage ) {
+		$prompt     = isset( $usage['prompt_tokens'] ) ? (int) $usage['prompt_tokens'] : 0;
+		$completion = isset( $usage['completion_tokens'] ) ? (int) $usage['completion_tokens'] : 0;
+
+		$total = wp_parse_args(
+			$total,
+			array(
+				'prompt_tokens'     => 0,
+				'completion_tokens' => 0,
+				'total_tokens'      => 0,
+			)
+		);
+
+		$total['prompt_tokens']     += $prompt;
+		$total['completion_tokens'] += $completion;
+		$total['total_tokens']      += isset( $usage['total_tokens'] ) ? (int) $usage['total_tokens'] : $prompt + $completion;
+
+		return $total;
+	}
+
+	/**
+	 * Build the usage sent and stored with an answer.
+	 *
+	 * @since 1.1.0
+	 * @param object $provider AI provider that answered, with its model set.
+	 * @param array  $usage    Total usage of the answer.
+	 * @return array Usage with token counts and the estimated 'cost' in US
+	 *               dollars, null when the model price is unknown.
+	 */
+	public function summarize( $provider, array $usage ) {
+		$usage = $this->add( array(), $usage );
+		$cost  = method_exists( $provider, 'get_usage_cost' ) ? $provider->get_usage_cost( $usage ) : null;
+
+		$usage['cost'] = null === $cost ? null : round( $cost, 6 );
+
+		return $usage;
+	}
+
+	/**
+	 * Get the estimated spend of the current month, over all providers.
+	 *
+	 * Includes every request the plugin made, not only the admin chat.
+	 *
+	 * @since 1.1.0
+	 * @return float Cost in US dollars.
+	 */
+	public function get_month_cost() {
+		$usage = get_option( 'assistify_api_usage', array() );
+		$month = gmdate( 'Y-m' );
+		$cost  = 0.0;
+
+		if ( ! is_array( $usage ) ) {
+			return $cost;
+		}
+
+		foreach ( $usage as $days ) {
+			foreach ( (array) $days as $day => $totals ) {
+				if ( 0 === strpos( $day, $month ) && isset( $totals['cost'] ) ) {
+					$cost += (float) $totals['cost'];
+				}
+			}
+		}
+
+		return round( $cost, 4 );
+	}
+
+	/**
+	 * Get this month's spend with the budget it is measured against.
+	 *
+	 * @since 1.1.0
+	 * @return array Summary with 'cost', 'budget' (0 when none is set) and
+	 *               'warning', the share of the budget in percent at which
+	 *               the chat warns.
+	 */
+	public function get_month_summary() {
+		$warning = absint( get_option( 'assistify_budget_warning', self::DEFAULT_WARNING ) );
+
+		return array(
+			'cost'    => $this->get_month_cost(),
+			'budget'  => max( 0, (float) get_option( 'assistify_monthly_budget', 0 ) ),
+			'warning' => $warning ? min( $warning, 100 ) : self::DEFAULT_WARNING,
+		);
+	}
+}
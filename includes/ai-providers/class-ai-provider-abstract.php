@@ -194,6 +194,70 @@ abstract class AI_Provider_Abstract implements AI_Provider_Interface {
 		return (int) ceil( strlen( $text ) / 4 );
 	}
 
+	/**
+	 * Whether a model can read images sent with a message.
+	 *
+	 * Override in providers whose models accept OpenAI-format image_url
+	 * content parts.
+	 *
+	 * @since 1.1.0
+	 * @param string $model Optional. Model ID.
+	 * @return bool True if images can be sent to the model.
+	 */
+	public function supports_images( $model = '' ) {
+		return false;
+	}
+
+	/**
+	 * Get the list price of a model.
+	 *
+	 * Prices are in US dollars per million tokens.
+	 *
+	 * @since 1.1.0
+	 * @param string $model Optional. Model ID.
+	 * @return array|null Pricing with 'input' and 'output', or null if unknown.
+	 */
+	public function get_model_pricing( $model = '' ) {
+		if ( empty( $model ) ) {
+			$model = $this->model;
+		}
+
+		$pricing = isset( $this->available_models[ $model ]['pricing'] ) ? $this->available_models[ $model ]['pricing'] : null;
+
+		/**
+		 * Filter the price of a model, e.g. for negotiated rates.
+		 *
+		 * @since 1.1.0
+		 * @param array|null $pricing  Pricing with 'input' and 'output' in US dollars per million tokens.
+		 * @param string     $model    Model ID.
+		 * @param string     $provider Provider ID.
+		 */
+		$pricing = apply_filters( 'assistify_model_pricing', $pricing, $model, $this->get_id() );
+
+		return is_array( $pricing ) && isset( $pricing['input'], $pricing['output'] ) ? $pricing : null;
+	}
+
+	/**
+	 * Estimate what a request cost from its token usage.
+	 *
+	 * @since 1.1.0
+	 * @param array  $usage Usage with 'prompt_tokens' and 'completion_tokens'.
+	 * @param string $model Optional. Model ID.
+	 * @return float|null Cost in US dollars, or null if the model price is unknown.
+	 */
+	public function get_usage_cost( $usage, $model = '' ) {
+		$pricing = $this->get_model_pricing( $model );
+
+		if ( ! $pricing ) {
+			return null;
+		}
+
+		$prompt     = isset( $usage['prompt_tokens'] ) ? (int) $usage['prompt_tokens'] : 0;
+		$completion = isset( $usage['completion_tokens'] ) ? (int) $usage['completion_tokens'] : 0;
+
+		return ( $prompt * (float) $pricing['input'] + $completion * (float) $pricing['output'] ) / 1000000;
+	}
+
 	/**
 	 * Make an API request.
 	 *
@@ -257,6 +321,244 @@ abstract class AI_Provider_Abstract implements AI_Provider_Interface {
 		return $decoded_body;
 	}
 
+	/**
+	 * Make a streaming API request.
+	 *
+	 * Reads the server-sent events of the response as they arrive through the
+	 * Requests progress hook and hands each decoded `data:` payload to the
+	 * given callback.
+	 *
+	 * @since 1.1.0
+	 * @param string   $endpoint API endpoint.
+	 * @param array    $body     Request body.
+	 * @param callable $on_event Callback receiving each decoded event array.
+	 * @return true|\WP_Error True on success or WP_Error on failure.
+	 */
+	protected function make_stream_request( $endpoint, $body, $on_event ) {
+		$url    = trailingslashit( $this->api_base_url ) . ltrim( $endpoint, '/' );
+		$buffer = '';
+
+		$parse_lines = function ( $flush = false ) use ( &$buffer, $on_event ) {
+			$lines  = explode( "\n", $buffer );
+			$buffer = $flush ? '' : array_pop( $lines );
+
+			foreach ( $lines as $line ) {
+				$line = trim( $line );
+
+				if ( 0 !== strpos( $line, 'data:' ) ) {
+					continue;
+				}
+
+				$payload = trim( substr( $line, 5 ) );
+
+				if ( '' === $payload || '[DONE]' === $payload ) {
+					continue;
+				}
+
+				$event = json_decode( $payload, true );
+
+				if ( is_array( $event ) ) {
+					call_user_func( $on_event, $event );
+				}
+			}
+		};
+
+		$on_progress = function ( $data ) use ( &$buffer, $parse_lines ) {
+			$buffer .= $data;
+			$parse_lines();
+		};
+
+		$args = array(
+			'method'  => 'POST',
+			'timeout' => $this->default_options['timeout'],
+			'headers' => $this->get_request_headers(),
+			'body'    => wp_json_encode( $body ),
+		);
+
+		// Log API request for debugging, leaving out any query string credentials.
+		Assistify_Logger::log_api_request( $this->name, strtok( $endpoint, '?' ), $body );
+
+		add_action( 'requests-request.progress', $on_progress, 10, 1 );
+		$response = wp_remote_request( $url, $args );
+		remove_action( 'requests-request.progress', $on_progress, 10 );
+
+		if ( is_wp_error( $response ) ) {
+			Assistify_Logger::error( 'Stream request failed: ' . $response->get_error_message(), 'content-api' );
+			return $response;
+		}
+
+		$response_code = wp_remote_retrieve_response_code( $response );
+
+		// Log API response.
+		Assistify_Logger::log_api_response( $this->name, $response_code, $response_code >= 200 && $response_code < 300 );
+
+		if ( $response_code < 200 || $response_code >= 300 ) {
+			$decoded_body  = json_decode( wp_remote_retrieve_body( $response ), true );
+			$error_message = isset( $decoded_body['error']['message'] )
+				? $decoded_body['error']['message']
+				: sprintf(
+					/* translators: %d: HTTP response code. */
+					__( 'API request failed with status code %d.', 'assistify-for-woocommerce' ),
+					$response_code
+				);
+
+			Assistify_Logger::error( 'API error: ' . $error_message, 'content-api', array( 'code' => $response_code ) );
+
+			return new \WP_Error(
+				'assistify_api_error',
+				$error_message,
+				array(
+					'status_code' => $response_code,
+					'response'    => $decoded_body,
+				)
+			);
+		}
+
+		// Handle a final event that was not terminated by a newline.
+		$parse_lines( true );
+
+		return true;
+	}
+
+	/**
+	 * Chat with tool calling support, streaming text as it is generated.
+	 *
+	 * The default implementation targets OpenAI-compatible chat completion
+	 * APIs. Providers with a different wire format override this method.
+	 *
+	 * @since 1.1.0
+	 * @param array    $messages Conversation messages.
+	 * @param array    $tools    Available tools in OpenAI format.
+	 * @param array    $options  Optional parameters.
+	 * @param callable $on_delta Callback receiving each text fragment.
+	 * @return array|\WP_Error Response with tool_calls or content, same shape as chat_with_tools().
+	 */
+	public function chat_with_tools_stream( array $messages, array $tools, array $options, $on_delta ) {
+		if ( ! $this->is_configured() ) {
+			return new \WP_Error(
+				'assistify_not_configured',
+				sprintf(
+					/* translators: %s: Provider name. */
+					__( '%s provider is not configured. Please add your API key.', 'assistify-for-woocommerce' ),
+					$this->name
+				)
+			);
+		}
+
+		$options = $this->merge_options( $options );
+
+		$body = array(
+			'model'          => isset( $options['model'] ) ? $options['model'] : $this->model,
+			'messages'       => $messages,
+			'tools'          => $tools,
+			'tool_choice'    => 'auto',
+			'temperature'    => (float) $options['temperature'],
+			'max_tokens'     => (int) $options['max_tokens'],
+			'stream'         => true,
+			'stream_options' => array( 'include_usage' => true ),
+		);
+
+		// Add system prompt.
+		if ( isset( $options['system_prompt'] ) ) {
+			array_unshift(
+				$body['messages'],
+				array(
+					'role'    => 'system',
+					'content' => $options['system_prompt'],
+				)
+			);
+		}
+
+		$content    = '';
+		$tool_calls = array();
+		$usage      = array();
+		$model      = $body['model'];
+
+		$result = $this->make_stream_request(
+			'chat/completions',
+			$body,
+			function ( $event ) use ( &$content, &$tool_calls, &$usage, &$model, $on_delta ) {
+				if ( ! empty( $event['usage'] ) ) {
+					$usage = $event['usage'];
+				}
+
+				if ( ! empty( $event['model'] ) ) {
+					$model = $event['model'];
+				}
+
+				$delta = $event['choices'][0]['delta'] ?? array();
+
+				if ( isset( $delta['content'] ) && '' !== $delta['content'] ) {
+					$content .= $delta['content'];
+					call_user_func( $on_delta, $delta['content'] );
+				}
+
+				if ( empty( $delta['tool_calls'] ) ) {
+					return;
+				}
+
+				// Tool calls arrive in fragments keyed by index.
+				foreach ( $delta['tool_calls'] as $tool_delta ) {
+					$index = $tool_delta['index'] ?? 0;
+
+					if ( ! isset( $tool_calls[ $index ] ) ) {
+						$tool_calls[ $index ] = array(
+							'id'       => '',
+							'type'     => 'function',
+							'function' => array(
+								'name'      => '',
+								'arguments' => '',
+							),
+						);
+					}
+
+					if ( ! empty( $tool_delta['id'] ) ) {
+						$tool_calls[ $index ]['id'] = $tool_delta['id'];
+					}
+
+					if ( isset( $tool_delta['function']['name'] ) ) {
+						$tool_calls[ $index ]['function']['name'] .= $tool_delta['function']['name'];
+					}
+
+					if ( isset( $tool_delta['function']['arguments'] ) ) {
+						$tool_calls[ $index ]['function']['arguments'] .= $tool_delta['function']['arguments'];
+					}
+				}
+			}
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( ! empty( $usage ) ) {
+			$this->log_usage( $usage );
+		}
+
+		if ( ! empty( $tool_calls ) ) {
+			$tool_calls = array_values( $tool_calls );
+
+			return array(
+				'type'       => 'tool_calls',
+				'tool_calls' => $tool_calls,
+				'message'    => array(
+					'role'       => 'assistant',
+					'content'    => '' !== $content ? $content : null,
+					'tool_calls' => $tool_calls,
+				),
+				'usage'      => $usage,
+				'model'      => $model,
+			);
+		}
+
+		return array(
+			'type'    => 'content',
+			'content' => $content,
+			'usage'   => $usage,
+			'model'   => $model,
+		);
+	}
+
 	/**
 	 * Get request headers for API calls.
 	 *
@@ -307,6 +609,7 @@ abstract class AI_Provider_Abstract implements AI_Provider_Interface {
 				'completion_tokens' => 0,
 				'total_tokens'      => 0,
 				'requests'          => 0,
+				'cost'              => 0,
 			);
 		}
 
@@ -315,6 +618,9 @@ abstract class AI_Provider_Abstract implements AI_Provider_Interface {
 		$total_usage[ $provider_id ][ $today ]['total_tokens']      += isset( $usage['total_tokens'] ) ? (int) $usage['total_tokens'] : 0;
 		$total_usage[ $provider_id ][ $today ]['requests']          += 1;
 
+		// Days logged before costs were tracked have no cost yet.
+		$total_usage[ $provider_id ][ $today ]['cost'] = ( $total_usage[ $provider_id ][ $today ]['cost'] ?? 0 ) + (float) $this->get_usage_cost( $usage );
+
 		update_option( 'assistify_api_usage', $total_usage );
 	}
 }
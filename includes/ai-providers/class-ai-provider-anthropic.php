@@ -66,49 +66,85 @@ class AI_Provider_Anthropic extends AI_Provider_Abstract {
 			'name'           => 'Claude Opus 4.5',
 			'context_length' => 200000,
 			'description'    => 'Most advanced Claude model with superior reasoning.',
+			'pricing'        => array(
+				'input'  => 5,
+				'output' => 25,
+			),
 		),
 		'claude-sonnet-4-5-20250514' => array(
 			'name'           => 'Claude Sonnet 4.5',
 			'context_length' => 200000,
 			'description'    => 'Excellent balance of intelligence and speed.',
+			'pricing'        => array(
+				'input'  => 3,
+				'output' => 15,
+			),
 		),
 		'claude-haiku-4-5-20250514'  => array(
 			'name'           => 'Claude Haiku 4.5',
 			'context_length' => 200000,
 			'description'    => 'Fast and cost-effective for simple tasks.',
+			'pricing'        => array(
+				'input'  => 1,
+				'output' => 5,
+			),
 		),
 		// Claude 4 Series.
 		'claude-opus-4-1-20250514'   => array(
 			'name'           => 'Claude Opus 4.1',
 			'context_length' => 200000,
 			'description'    => 'Enhanced Opus with extended thinking.',
+			'pricing'        => array(
+				'input'  => 15,
+				'output' => 75,
+			),
 		),
 		'claude-opus-4-20250514'     => array(
 			'name'           => 'Claude Opus 4',
 			'context_length' => 200000,
 			'description'    => 'Most powerful Claude 4 model.',
+			'pricing'        => array(
+				'input'  => 15,
+				'output' => 75,
+			),
 		),
 		'claude-sonnet-4-20250514'   => array(
 			'name'           => 'Claude Sonnet 4',
 			'context_length' => 200000,
 			'description'    => 'Excellent for complex tasks.',
+			'pricing'        => array(
+				'input'  => 3,
+				'output' => 15,
+			),
 		),
 		// Claude 3.5 Series.
 		'claude-3-5-sonnet-20241022' => array(
 			'name'           => 'Claude 3.5 Sonnet',
 			'context_length' => 200000,
 			'description'    => 'Fast and intelligent, great for most tasks.',
+			'pricing'        => array(
+				'input'  => 3,
+				'output' => 15,
+			),
 		),
 		'claude-3-5-haiku-20241022'  => array(
 			'name'           => 'Claude 3.5 Haiku',
 			'context_length' => 200000,
 			'description'    => 'Fastest model, cost-effective option.',
+			'pricing'        => array(
+				'input'  => 0.8,
+				'output' => 4,
+			),
 		),
 		// Claude 3 Series.
 		'claude-3-haiku-20240307'    => array(
 			'name'           => 'Claude 3 Haiku',
 			'context_length' => 200000,
 			'description'    => 'Fast and compact Claude 3 model.',
+			'pricing'        => array(
+				'input'  => 0.25,
+				'output' => 1.25,
+			),
 		),
 	);
 
@@ -274,6 +310,185 @@ class AI_Provider_Anthropic extends AI_Provider_Abstract {
 			);
 		}
 
+		$body = $this->build_tools_request_body( $messages, $tools, $options );
+
+		$response = $this->make_request( 'messages', $body );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		// Check for tool use in response.
+		$tool_calls   = array();
+		$text_content = '';
+
+		if ( isset( $response['content'] ) && is_array( $response['content'] ) ) {
+			foreach ( $response['content'] as $block ) {
+				if ( 'tool_use' === ( $block['type'] ?? '' ) ) {
+					// Convert to OpenAI format for compatibility.
+					$tool_calls[] = array(
+						'id'       => $block['id'],
+						'type'     => 'function',
+						'function' => array(
+							'name'      => $block['name'],
+							'arguments' => wp_json_encode( $block['input'] ?? array() ),
+						),
+					);
+				} elseif ( 'text' === ( $block['type'] ?? '' ) ) {
+					$text_content .= $block['text'];
+				}
+			}
+		}
+
+		// Build usage array.
+		$usage = array(
+			'prompt_tokens'     => $response['usage']['input_tokens'] ?? 0,
+			'completion_tokens' => $response['usage']['output_tokens'] ?? 0,
+			'total_tokens'      => ( $response['usage']['input_tokens'] ?? 0 ) + ( $response['usage']['output_tokens'] ?? 0 ),
+		);
+		$this->log_usage( $usage );
+
+		if ( ! empty( $tool_calls ) ) {
+			// Build assistant message in OpenAI format for conversation continuity.
+			$assistant_message = array(
+				'role'       => 'assistant',
+				'content'    => $text_content,
+				'tool_calls' => $tool_calls,
+			);
+
+			return array(
+				'type'       => 'tool_calls',
+				'tool_calls' => $tool_calls,
+				'message'    => $assistant_message,
+				'usage'      => $usage,
+				'model'      => $response['model'] ?? $body['model'],
+			);
+		}
+
+		// Regular content response.
+		return array(
+			'type'    => 'content',
+			'content' => $text_content,
+			'usage'   => $usage,
+			'model'   => $response['model'] ?? $body['model'],
+		);
+	}
+
+	/**
+	 * Chat with tool calling support, streaming text as it is generated.
+	 *
+	 * @since 1.1.0
+	 * @param array    $messages Conversation messages.
+	 * @param array    $tools    Available tools in OpenAI format (will be converted).
+	 * @param array    $options  Optional parameters.
+	 * @param callable $on_delta Callback receiving each text fragment.
+	 * @return array|\WP_Error Response with tool_calls or content.
+	 */
+	public function chat_with_tools_stream( array $messages, array $tools, array $options, $on_delta ) {
+		if ( ! $this->is_configured() ) {
+			return new \WP_Error(
+				'assistify_not_configured',
+				__( 'Anthropic provider is not configured. Please add your API key.', 'assistify-for-woocommerce' )
+			);
+		}
+
+		$body           = $this->build_tools_request_body( $messages, $tools, $options );
+		$body['stream'] = true;
+
+		$text_content  = '';
+		$blocks        = array();
+		$input_tokens  = 0;
+		$output_tokens = 0;
+		$model         = $body['model'];
+
+		$result = $this->make_stream_request(
+			'messages',
+			$body,
+			function ( $event ) use ( &$text_content, &$blocks, &$input_tokens, &$output_tokens, &$model, $on_delta ) {
+				$type = $event['type'] ?? '';
+
+				if ( 'message_start' === $type ) {
+					$input_tokens = $event['message']['usage']['input_tokens'] ?? 0;
+					$model        = $event['message']['model'] ?? $model;
+				} elseif ( 'content_block_start' === $type && 'tool_use' === ( $event['content_block']['type'] ?? '' ) ) {
+					$blocks[ $event['index'] ] = array(
+						'id'    => $event['content_block']['id'],
+						'name'  => $event['content_block']['name'],
+						'input' => '',
+					);
+				} elseif ( 'content_block_delta' === $type ) {
+					$delta = $event['delta'] ?? array();
+
+					if ( 'text_delta' === ( $delta['type'] ?? '' ) ) {
+						$text_content .= $delta['text'];
+						call_user_func( $on_delta, $delta['text'] );
+					} elseif ( 'input_json_delta' === ( $delta['type'] ?? '' ) && isset( $blocks[ $event['index'] ] ) ) {
+						$blocks[ $event['index'] ]['input'] .= $delta['partial_json'];
+					}
+				} elseif ( 'message_delta' === $type ) {
+					$output_tokens = $event['usage']['output_tokens'] ?? $output_tokens;
+				}
+			}
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$usage = array(
+			'prompt_tokens'     => $input_tokens,
+			'completion_tokens' => $output_tokens,
+			'total_tokens'      => $input_tokens + $output_tokens,
+		);
+		$this->log_usage( $usage );
+
+		// Convert tool use blocks to OpenAI format for compatibility.
+		$tool_calls = array();
+		foreach ( $blocks as $block ) {
+			$tool_calls[] = array(
+				'id'       => $block['id'],
+				'type'     => 'function',
+				'function' => array(
+					'name'      => $block['name'],
+					'arguments' => '' !== $block['input'] ? $block['input'] : '{}',
+				),
+			);
+		}
+
+		if ( ! empty( $tool_calls ) ) {
+			return array(
+				'type'       => 'tool_calls',
+				'tool_calls' => $tool_calls,
+				'message'    => array(
+					'role'       => 'assistant',
+					'content'    => $text_content,
+					'tool_calls' => $tool_calls,
+				),
+				'usage'      => $usage,
+				'model'      => $model,
+			);
+		}
+
+		return array(
+			'type'    => 'content',
+			'content' => $text_content,
+			'usage'   => $usage,
+			'model'   => $model,
+		);
+	}
+
+	/**
+	 * Build the request body for a tool calling request.
+	 *
+	 * Converts OpenAI-format tools and messages to the Anthropic format.
+	 *
+	 * @since 1.1.0
+	 * @param array $messages Conversation messages.
+	 * @param array $tools    Available tools in OpenAI format.
+	 * @param array $options  Optional parameters.
+	 * @return array Request body.
+	 */
+	private function build_tools_request_body( array $messages, array $tools, array $options ) {
 		$options = $this->merge_options( $options );
 
 		// Convert OpenAI tool format to Anthropic format.
@@ -325,7 +540,7 @@ class AI_Provider_Anthropic extends AI_Provider_Abstract {
 			} else {
 				$api_messages[] = array(
 					'role'    => $message['role'],
-					'content' => $message['content'],
+					'content' => is_array( $message['content'] ) ? $this->convert_content_parts( $message['content'] ) : $message['content'],
 				);
 			}
 		}
@@ -350,65 +565,40 @@ class AI_Provider_Anthropic extends AI_Provider_Abstract {
 			$body['temperature'] = (float) $options['temperature'];
 		}
 
-		$response = $this->make_request( 'messages', $body );
-
-		if ( is_wp_error( $response ) ) {
-			return $response;
-		}
-
-		// Check for tool use in response.
-		$tool_calls   = array();
-		$text_content = '';
+		return $body;
+	}
 
-		if ( isset( $response['content'] ) && is_array( $response['content'] ) ) {
-			foreach ( $response['content'] as $block ) {
-				if ( 'tool_use' === ( $block['type'] ?? '' ) ) {
-					// Convert to OpenAI format for compatibility.
-					$tool_calls[] = array(
-						'id'       => $block['id'],
-						'type'     => 'function',
-						'function' => array(
-							'name'      => $block['name'],
-							'arguments' => wp_json_encode( $block['input'] ?? array() ),
+	/**
+	 * Convert OpenAI-format content parts to Anthropic content blocks.
+	 *
+	 * @since 1.1.0
+	 * @param array $parts Text and image_url content parts.
+	 * @return array Text and base64 image blocks.
+	 */
+	private function convert_content_parts( array $parts ) {
+		$blocks = array();
+
+		foreach ( $parts as $part ) {
+			if ( isset( $part['type'] ) && 'image_url' === $part['type'] ) {
+				if ( preg_match( '/^data:([^;]+);base64,(.+)$/s', $part['image_url']['url'], $matches ) ) {
+					$blocks[] = array(
+						'type'   => 'image',
+						'source' => array(
+							'type'       => 'base64',
+							'media_type' => $matches[1],
+							'data'       => $matches[2],
 						),
 					);
-				} elseif ( 'text' === ( $block['type'] ?? '' ) ) {
-					$text_content .= $block['text'];
 				}
+			} elseif ( isset( $part['text'] ) ) {
+				$blocks[] = array(
+					'type' => 'text',
+					'text' => $part['text'],
+				);
 			}
 		}
 
-		// Build usage array.
-		$usage = array(
-			'prompt_tokens'     => $response['usage']['input_tokens'] ?? 0,
-			'completion_tokens' => $response['usage']['output_tokens'] ?? 0,
-			'total_tokens'      => ( $response['usage']['input_tokens'] ?? 0 ) + ( $response['usage']['output_tokens'] ?? 0 ),
-		);
-
-		if ( ! empty( $tool_calls ) ) {
-			// Build assistant message in OpenAI format for conversation continuity.
-			$assistant_message = array(
-				'role'       => 'assistant',
-				'content'    => $text_content,
-				'tool_calls' => $tool_calls,
-			);
-
-			return array(
-				'type'       => 'tool_calls',
-				'tool_calls' => $tool_calls,
-				'message'    => $assistant_message,
-				'usage'      => $usage,
-				'model'      => $response['model'] ?? $body['model'],
-			);
-		}
-
-		// Regular content response.
-		return array(
-			'type'    => 'content',
-			'content' => $text_content,
-			'usage'   => $usage,
-			'model'   => $response['model'] ?? $body['model'],
-		);
+		return $blocks;
 	}
 
 	/**
@@ -443,4 +633,16 @@ class AI_Provider_Anthropic extends AI_Provider_Abstract {
 		// Default fallback for Claude models.
 		return 200000;
 	}
+
+	/**
+	 * Whether a model can read images sent with a message.
+	 *
+	 * @since 1.1.0
+	 * @param string $model Optional. Model ID.
+	 * @return bool True if images can be sent to the model.
+	 */
+	public function supports_images( $model = '' ) {
+		// All Claude models accept images.
+		return true;
+	}
 }
@@ -57,16 +57,28 @@ class AI_Provider_DeepSeek extends AI_Provider_Abstract {
 			'name'           => 'DeepSeek-V3',
 			'context_length' => 64000,
 			'description'    => 'Latest V3 general-purpose chat model.',
+			'pricing'        => array(
+				'input'  => 0.28,
+				'output' => 0.42,
+			),
 		),
 		'deepseek-reasoner' => array(
 			'name'           => 'DeepSeek-R1',
 			'context_length' => 64000,
 			'description'    => 'Advanced reasoning model (R1).',
+			'pricing'        => array(
+				'input'  => 0.28,
+				'output' => 0.42,
+			),
 		),
 		'deepseek-coder'    => array(
 			'name'           => 'DeepSeek Coder',
 			'context_length' => 64000,
 			'description'    => 'Specialized for code generation.',
+			'pricing'        => array(
+				'input'  => 0.14,
+				'output' => 0.28,
+			),
 		),
 	);
 
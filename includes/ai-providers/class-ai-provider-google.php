@@ -58,44 +58,76 @@ class AI_Provider_Google extends AI_Provider_Abstract {
 			'name'           => 'Gemini 3 Pro',
 			'context_length' => 1048576,
 			'description'    => 'Latest Gemini with multimodal and image generation.',
+			'pricing'        => array(
+				'input'  => 2,
+				'output' => 12,
+			),
 		),
 		// Gemini 2.5 Series.
 		'gemini-2.5-pro'        => array(
 			'name'           => 'Gemini 2.5 Pro',
 			'context_length' => 1048576,
 			'description'    => 'Pro model with enhanced reasoning.',
+			'pricing'        => array(
+				'input'  => 1.25,
+				'output' => 10,
+			),
 		),
 		'gemini-2.5-flash'      => array(
 			'name'           => 'Gemini 2.5 Flash',
 			'context_length' => 1048576,
 			'description'    => 'Fast model with adaptive thinking.',
+			'pricing'        => array(
+				'input'  => 0.3,
+				'output' => 2.5,
+			),
 		),
 		'gemini-2.5-flash-lite' => array(
 			'name'           => 'Gemini 2.5 Flash-Lite',
 			'context_length' => 1048576,
 			'description'    => 'Most cost-efficient for high-volume tasks.',
+			'pricing'        => array(
+				'input'  => 0.1,
+				'output' => 0.4,
+			),
 		),
 		// Gemini 2.0 Series.
 		'gemini-2.0-flash'      => array(
 			'name'           => 'Gemini 2.0 Flash',
 			'context_length' => 1048576,
 			'description'    => 'Fast model with 1M context.',
+			'pricing'        => array(
+				'input'  => 0.1,
+				'output' => 0.4,
+			),
 		),
 		'gemini-2.0-flash-lite' => array(
 			'name'           => 'Gemini 2.0 Flash-Lite',
 			'context_length' => 1048576,
 			'description'    => 'Cost-efficient for simple tasks.',
+			'pricing'        => array(
+				'input'  => 0.075,
+				'output' => 0.3,
+			),
 		),
 		// Gemini 1.5 Series.
 		'gemini-1.5-pro'        => array(
 			'name'           => 'Gemini 1.5 Pro',
 			'context_length' => 2097152,
 			'description'    => 'Most capable with 2M context window.',
+			'pricing'        => array(
+				'input'  => 1.25,
+				'output' => 5,
+			),
 		),
 		'gemini-1.5-flash'      => array(
 			'name'           => 'Gemini 1.5 Flash',
 			'context_length' => 1048576,
 			'description'    => 'Fast and efficient with 1M context.',
+			'pricing'        => array(
+				'input'  => 0.075,
+				'output' => 0.3,
+			),
 		),
 	);
 
@@ -321,6 +353,196 @@ class AI_Provider_Google extends AI_Provider_Abstract {
 		$options = $this->merge_options( $options );
 		$model   = isset( $options['model'] ) ? $options['model'] : $this->model;
 
+		$body = $this->build_tools_request_body( $messages, $tools, $options );
+
+		\Assistify_For_WooCommerce\Assistify_Logger::debug(
+			'Google Gemini chat_with_tools request',
+			'google',
+			array(
+				'model'       => $model,
+				'tools_count' => count( $tools ),
+			)
+		);
+
+		$endpoint = "models/{$model}:generateContent";
+		$response = $this->make_request( $endpoint, $body );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		// Log usage.
+		$usage = array(
+			'prompt_tokens'     => $response['usageMetadata']['promptTokenCount'] ?? 0,
+			'completion_tokens' => $response['usageMetadata']['candidatesTokenCount'] ?? 0,
+			'total_tokens'      => $response['usageMetadata']['totalTokenCount'] ?? 0,
+		);
+		$this->log_usage( $usage );
+
+		// Check for function calls in response.
+		$parts = $response['candidates'][0]['content']['parts'] ?? array();
+
+		$tool_calls   = array();
+		$text_content = '';
+
+		foreach ( $parts as $part ) {
+			if ( isset( $part['functionCall'] ) ) {
+				// Convert to OpenAI format for compatibility.
+				$tool_calls[] = array(
+					'id'       => 'call_' . wp_generate_password( 24, false ),
+					'type'     => 'function',
+					'function' => array(
+						'name'      => $part['functionCall']['name'],
+						'arguments' => wp_json_encode( $part['functionCall']['args'] ?? array() ),
+					),
+				);
+			} elseif ( isset( $part['text'] ) ) {
+				$text_content .= $part['text'];
+			}
+		}
+
+		if ( ! empty( $tool_calls ) ) {
+			// Build assistant message in OpenAI format for conversation continuity.
+			$assistant_message = array(
+				'role'       => 'assistant',
+				'content'    => $text_content,
+				'tool_calls' => $tool_calls,
+			);
+
+			return array(
+				'type'       => 'tool_calls',
+				'tool_calls' => $tool_calls,
+				'message'    => $assistant_message,
+				'usage'      => $usage,
+				'model'      => $model,
+			);
+		}
+
+		return array(
+			'type'    => 'content',
+			'content' => $text_content,
+			'usage'   => $usage,
+			'model'   => $model,
+		);
+	}
+
+	/**
+	 * Chat with tool calling support, streaming text as it is generated.
+	 *
+	 * Uses the streamGenerateContent endpoint with server-sent events.
+	 *
+	 * @since 1.1.0
+	 * @param array    $messages Conversation messages.
+	 * @param array    $tools    Available tools in OpenAI format (will be converted).
+	 * @param array    $options  Optional parameters.
+	 * @param callable $on_delta Callback receiving each text fragment.
+	 * @return array|\WP_Error Response with tool_calls or content.
+	 */
+	public function chat_with_tools_stream( array $messages, array $tools, array $options, $on_delta ) {
+		if ( ! $this->is_configured() ) {
+			return new \WP_Error(
+				'assistify_not_configured',
+				__( 'Google Gemini provider is not configured. Please add your API key.', 'assistify-for-woocommerce' )
+			);
+		}
+
+		$options = $this->merge_options( $options );
+		$model   = isset( $options['model'] ) ? $options['model'] : $this->model;
+		$body    = $this->build_tools_request_body( $messages, $tools, $options );
+
+		$text_content   = '';
+		$function_calls = array();
+		$usage_metadata = array();
+
+		$endpoint = add_query_arg(
+			array(
+				'alt' => 'sse',
+				'key' => $this->api_key,
+			),
+			"models/{$model}:streamGenerateContent"
+		);
+
+		$result = $this->make_stream_request(
+			$endpoint,
+			$body,
+			function ( $event ) use ( &$text_content, &$function_calls, &$usage_metadata, $on_delta ) {
+				if ( ! empty( $event['usageMetadata'] ) ) {
+					$usage_metadata = $event['usageMetadata'];
+				}
+
+				$parts = $event['candidates'][0]['content']['parts'] ?? array();
+
+				foreach ( $parts as $part ) {
+					if ( isset( $part['functionCall'] ) ) {
+						$function_calls[] = $part['functionCall'];
+					} elseif ( isset( $part['text'] ) && '' !== $part['text'] ) {
+						$text_content .= $part['text'];
+						call_user_func( $on_delta, $part['text'] );
+					}
+				}
+			}
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$usage = array(
+			'prompt_tokens'     => $usage_metadata['promptTokenCount'] ?? 0,
+			'completion_tokens' => $usage_metadata['candidatesTokenCount'] ?? 0,
+			'total_tokens'      => $usage_metadata['totalTokenCount'] ?? 0,
+		);
+		$this->log_usage( $usage );
+
+		// Convert to OpenAI format for compatibility.
+		$tool_calls = array();
+		foreach ( $function_calls as $function_call ) {
+			$tool_calls[] = array(
+				'id'       => 'call_' . wp_generate_password( 24, false ),
+				'type'     => 'function',
+				'function' => array(
+					'name'      => $function_call['name'],
+					'arguments' => wp_json_encode( $function_call['args'] ?? array() ),
+				),
+			);
+		}
+
+		if ( ! empty( $tool_calls ) ) {
+			return array(
+				'type'       => 'tool_calls',
+				'tool_calls' => $tool_calls,
+				'message'    => array(
+					'role'       => 'assistant',
+					'content'    => $text_content,
+					'tool_calls' => $tool_calls,
+				),
+				'usage'      => $usage,
+				'model'      => $model,
+			);
+		}
+
+		return array(
+			'type'    => 'content',
+			'content' => $text_content,
+			'usage'   => $usage,
+			'model'   => $model,
+		);
+	}
+
+	/**
+	 * Build the request body for a tool calling request.
+	 *
+	 * Converts OpenAI-format tools and messages to the Gemini format.
+	 *
+	 * @since 1.1.0
+	 * @param array $messages Conversation messages.
+	 * @param array $tools    Available tools in OpenAI format.
+	 * @param array $options  Optional parameters.
+	 * @return array Request body.
+	 */
+	private function build_tools_request_body( array $messages, array $tools, array $options ) {
+		$options = $this->merge_options( $options );
+
 		// Convert OpenAI tool format to Gemini function_declarations.
 		$function_declarations = array();
 		foreach ( $tools as $tool ) {
@@ -393,9 +615,7 @@ class AI_Provider_Google extends AI_Provider_Abstract {
 			$role       = 'user' === $message['role'] ? 'user' : 'model';
 			$contents[] = array(
 				'role'  => $role,
-				'parts' => array(
-					array( 'text' => $message['content'] ),
-				),
+				'parts' => is_array( $message['content'] ) ? $this->convert_content_parts( $message['content'] ) : array( array( 'text' => $message['content'] ) ),
 			);
 		}
 
@@ -425,75 +645,35 @@ class AI_Provider_Google extends AI_Provider_Abstract {
 			);
 		}
 
-		\Assistify_For_WooCommerce\Assistify_Logger::debug(
-			'Google Gemini chat_with_tools request',
-			'google',
-			array(
-				'model'       => $model,
-				'tools_count' => count( $function_declarations ),
-			)
-		);
-
-		$endpoint = "models/{$model}:generateContent";
-		$response = $this->make_request( $endpoint, $body );
-
-		if ( is_wp_error( $response ) ) {
-			return $response;
-		}
-
-		// Log usage.
-		$usage = array(
-			'prompt_tokens'     => $response['usageMetadata']['promptTokenCount'] ?? 0,
-			'completion_tokens' => $response['usageMetadata']['candidatesTokenCount'] ?? 0,
-			'total_tokens'      => $response['usageMetadata']['totalTokenCount'] ?? 0,
-		);
-		$this->log_usage( $usage );
-
-		// Check for function calls in response.
-		$parts = $response['candidates'][0]['content']['parts'] ?? array();
+		return $body;
+	}
 
-		$tool_calls   = array();
-		$text_content = '';
+	/**
+	 * Convert OpenAI-format content parts to Gemini parts.
+	 *
+	 * @since 1.1.0
+	 * @param array $parts Text and image_url content parts.
+	 * @return array Text and inline data parts.
+	 */
+	private function convert_content_parts( array $parts ) {
+		$converted = array();
 
 		foreach ( $parts as $part ) {
-			if ( isset( $part['functionCall'] ) ) {
-				// Convert to OpenAI format for compatibility.
-				$tool_calls[] = array(
-					'id'       => 'call_' . wp_generate_password( 24, false ),
-					'type'     => 'function',
-					'function' => array(
-						'name'      => $part['functionCall']['name'],
-						'arguments' => wp_json_encode( $part['functionCall']['args'] ?? array() ),
-					),
-				);
+			if ( isset( $part['type'] ) && 'image_url' === $part['type'] ) {
+				if ( preg_match( '/^data:([^;]+);base64,(.+)$/s', $part['image_url']['url'], $matches ) ) {
+					$converted[] = array(
+						'inline_data' => array(
+							'mime_type' => $matches[1],
+							'data'      => $matches[2],
+						),
+					);
+				}
 			} elseif ( isset( $part['text'] ) ) {
-				$text_content .= $part['text'];
+				$converted[] = array( 'text' => $part['text'] );
 			}
 		}
 
-		if ( ! empty( $tool_calls ) ) {
-			// Build assistant message in OpenAI format for conversation continuity.
-			$assistant_message = array(
-				'role'       => 'assistant',
-				'content'    => $text_content,
-				'tool_calls' => $tool_calls,
-			);
-
-			return array(
-				'type'       => 'tool_calls',
-				'tool_calls' => $tool_calls,
-				'message'    => $assistant_message,
-				'usage'      => $usage,
-				'model'      => $model,
-			);
-		}
-
-		return array(
-			'type'    => 'content',
-			'content' => $text_content,
-			'usage'   => $usage,
-			'model'   => $model,
-		);
+		return $converted;
 	}
 
 	/**
@@ -528,4 +708,16 @@ class AI_Provider_Google extends AI_Provider_Abstract {
 		// Default fallback for Gemini models.
 		return 1048576;
 	}
+
+	/**
+	 * Whether a model can read images sent with a message.
+	 *
+	 * @since 1.1.0
+	 * @param string $model Optional. Model ID.
+	 * @return bool True if images can be sent to the model.
+	 */
+	public function supports_images( $model = '' ) {
+		// All Gemini models accept images.
+		return true;
+	}
 }
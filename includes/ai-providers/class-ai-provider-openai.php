@@ -58,63 +58,111 @@ class AI_Provider_OpenAI extends AI_Provider_Abstract {
 			'name'           => 'GPT-5.1',
 			'context_length' => 1048576,
 			'description'    => 'Latest and most capable GPT model with 1M context.',
+			'pricing'        => array(
+				'input'  => 1.25,
+				'output' => 10,
+			),
 		),
 		'gpt-5'       => array(
 			'name'           => 'GPT-5',
 			'context_length' => 256000,
 			'description'    => 'Most powerful general-purpose model.',
+			'pricing'        => array(
+				'input'  => 1.25,
+				'output' => 10,
+			),
 		),
 		'gpt-5-pro'   => array(
 			'name'           => 'GPT-5 Pro',
 			'context_length' => 256000,
 			'description'    => 'Professional tier with extended capabilities.',
+			'pricing'        => array(
+				'input'  => 15,
+				'output' => 120,
+			),
 		),
 		'gpt-5-mini'  => array(
 			'name'           => 'GPT-5 Mini',
 			'context_length' => 256000,
 			'description'    => 'Cost-effective GPT-5 variant.',
+			'pricing'        => array(
+				'input'  => 0.25,
+				'output' => 2,
+			),
 		),
 		'gpt-5-nano'  => array(
 			'name'           => 'GPT-5 Nano',
 			'context_length' => 128000,
 			'description'    => 'Fastest GPT-5 variant for simple tasks.',
+			'pricing'        => array(
+				'input'  => 0.05,
+				'output' => 0.4,
+			),
 		),
 		// GPT-4 Series.
 		'gpt-4.1'     => array(
 			'name'           => 'GPT-4.1',
 			'context_length' => 1048576,
 			'description'    => 'GPT-4.1 with 1M context window.',
+			'pricing'        => array(
+				'input'  => 2,
+				'output' => 8,
+			),
 		),
 		'gpt-4o'      => array(
 			'name'           => 'GPT-4o',
 			'context_length' => 128000,
 			'description'    => 'Multimodal model for complex tasks.',
+			'pricing'        => array(
+				'input'  => 2.5,
+				'output' => 10,
+			),
 		),
 		'gpt-4o-mini' => array(
 			'name'           => 'GPT-4o Mini',
 			'context_length' => 128000,
 			'description'    => 'Fast and cost-effective for most tasks.',
+			'pricing'        => array(
+				'input'  => 0.15,
+				'output' => 0.6,
+			),
 		),
 		// Reasoning Models.
 		'o3-mini'     => array(
 			'name'           => 'o3-mini',
 			'context_length' => 200000,
 			'description'    => 'Latest o3 reasoning model.',
+			'pricing'        => array(
+				'input'  => 1.1,
+				'output' => 4.4,
+			),
 		),
 		'o1'          => array(
 			'name'           => 'o1',
 			'context_length' => 200000,
 			'description'    => 'Advanced reasoning for complex problems.',
+			'pricing'        => array(
+				'input'  => 15,
+				'output' => 60,
+			),
 		),
 		'o1-mini'     => array(
 			'name'           => 'o1-mini',
 			'context_length' => 128000,
 			'description'    => 'Faster reasoning model.',
+			'pricing'        => array(
+				'input'  => 1.1,
+				'output' => 4.4,
+			),
 		),
 		'o1-pro'      => array(
 			'name'           => 'o1-pro',
 			'context_length' => 200000,
 			'description'    => 'Most powerful reasoning model.',
+			'pricing'        => array(
+				'input'  => 150,
+				'output' => 600,
+			),
 		),
 	);
 
@@ -331,6 +379,22 @@ class AI_Provider_OpenAI extends AI_Provider_Abstract {
 		return 8192;
 	}
 
+	/**
+	 * Whether a model can read images sent with a message.
+	 *
+	 * @since 1.1.0
+	 * @param string $model Optional. Model ID.
+	 * @return bool True if images can be sent to the model.
+	 */
+	public function supports_images( $model = '' ) {
+		if ( empty( $model ) ) {
+			$model = $this->model;
+		}
+
+		// The small reasoning models are text only.
+		return ! in_array( $model, array( 'o1-mini', 'o3-mini' ), true );
+	}
+
 	/**
 	 * Count tokens using tiktoken approximation.
 	 *
@@ -58,49 +58,85 @@ class AI_Provider_XAI extends AI_Provider_Abstract {
 			'name'           => 'Grok 4',
 			'context_length' => 256000,
 			'description'    => 'Most advanced Grok model.',
+			'pricing'        => array(
+				'input'  => 3,
+				'output' => 15,
+			),
 		),
 		'grok-4-fast-reasoning'       => array(
 			'name'           => 'Grok 4 Fast (Reasoning)',
 			'context_length' => 2000000,
 			'description'    => 'Fast Grok 4 with reasoning capabilities.',
+			'pricing'        => array(
+				'input'  => 0.2,
+				'output' => 0.5,
+			),
 		),
 		'grok-4-fast-non-reasoning'   => array(
 			'name'           => 'Grok 4 Fast',
 			'context_length' => 2000000,
 			'description'    => 'Fastest Grok 4 variant.',
+			'pricing'        => array(
+				'input'  => 0.2,
+				'output' => 0.5,
+			),
 		),
 		'grok-4-1-fast-reasoning'     => array(
 			'name'           => 'Grok 4.1 Fast (Reasoning)',
 			'context_length' => 2000000,
 			'description'    => 'Latest Grok 4.1 with reasoning.',
+			'pricing'        => array(
+				'input'  => 0.2,
+				'output' => 0.5,
+			),
 		),
 		'grok-4-1-fast-non-reasoning' => array(
 			'name'           => 'Grok 4.1 Fast',
 			'context_length' => 2000000,
 			'description'    => 'Fastest Grok 4.1 variant.',
+			'pricing'        => array(
+				'input'  => 0.2,
+				'output' => 0.5,
+			),
 		),
 		// Grok Code.
 		'grok-code-fast-1'            => array(
 			'name'           => 'Grok Code Fast',
 			'context_length' => 256000,
 			'description'    => 'Optimized for code generation.',
+			'pricing'        => array(
+				'input'  => 0.2,
+				'output' => 1.5,
+			),
 		),
 		// Grok 3 Series.
 		'grok-3'                      => array(
 			'name'           => 'Grok 3',
 			'context_length' => 131072,
 			'description'    => 'Capable Grok 3 model.',
+			'pricing'        => array(
+				'input'  => 3,
+				'output' => 15,
+			),
 		),
 		'grok-3-mini'                 => array(
 			'name'           => 'Grok 3 Mini',
 			'context_length' => 131072,
 			'description'    => 'Cost-effective Grok 3 variant.',
+			'pricing'        => array(
+				'input'  => 0.3,
+				'output' => 0.5,
+			),
 		),
 		// Grok 2 Series.
 		'grok-2-vision-1212'          => array(
 			'name'           => 'Grok 2 Vision',
 			'context_length' => 32768,
 			'description'    => 'Multimodal model with image understanding.',
+			'pricing'        => array(
+				'input'  => 2,
+				'output' => 10,
+			),
 		),
 	);
 
@@ -324,4 +360,19 @@ class AI_Provider_XAI extends AI_Provider_Abstract {
 		// Default fallback.
 		return 131072;
 	}
+
+	/**
+	 * Whether a model can read images sent with a message.
+	 *
+	 * @since 1.1.0
+	 * @param string $model Optional. Model ID.
+	 * @return bool True if images can be sent to the model.
+	 */
+	public function supports_images( $model = '' ) {
+		if ( empty( $model ) ) {
+			$model = $this->model;
+		}
+
+		return 0 === strpos( $model, 'grok-4' ) || 'grok-2-vision-1212' === $model;
+	}
 }
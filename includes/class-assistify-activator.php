@@ -83,6 +83,7 @@ class Assistify_Activator {
 			context VARCHAR(20) NOT NULL DEFAULT 'customer',
 			tokens_used INT UNSIGNED DEFAULT 0,
 			abilities_called LONGTEXT,
+			metadata LONGTEXT,
 			created_at DATETIME NOT NULL,
 			INDEX idx_session (session_id),
 			INDEX idx_created (created_at)
@@ -182,6 +183,7 @@ class Assistify_Activator {
 			'assistify_primary_color'            => '#6861F2',
 			'assistify_content_default_length'   => 600,
 			'assistify_content_default_tone'     => 'professional',
+			'assistify_undo_window'              => 10,
 		);
 
 		foreach ( $defaults as $key => $value ) {
@@ -50,6 +50,8 @@ class Assistify_Deactivator {
 			'assistify_health_check',
 			'assistify_cleanup_sessions',
 			'assistify_cleanup_logs',
+			'assistify_run_scheduled_prompts',
+			'assistify_cleanup_chat_attachments',
 		);
 
 		foreach ( $scheduled_events as $event ) {
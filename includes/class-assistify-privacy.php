@@ -164,6 +164,36 @@ class Assistify_Privacy {
 
 		$user_id = $user->ID;
 
+		// Files attached in the admin chat are listed once, with the first page.
+		if ( 1 === $page && class_exists( '\Assistify_For_WooCommerce\Admin\Chat_Attachments' ) ) {
+			foreach ( Admin\Chat_Attachments::instance()->get_user_files( $user_id ) as $id => $file ) {
+				$export_items[] = array(
+					'group_id'          => 'assistify-chat-attachments',
+					'group_label'       => __( 'AI Chat Attachments', 'assistify-for-woocommerce' ),
+					'group_description' => __( 'Files you attached in the admin chat.', 'assistify-for-woocommerce' ),
+					'item_id'           => 'attachment-' . $id,
+					'data'              => array(
+						array(
+							'name'  => __( 'File Name', 'assistify-for-woocommerce' ),
+							'value' => $file['name'],
+						),
+						array(
+							'name'  => __( 'File Type', 'assistify-for-woocommerce' ),
+							'value' => 'csv' === $file['type'] ? 'CSV' : __( 'Image', 'assistify-for-woocommerce' ),
+						),
+						array(
+							'name'  => __( 'Size', 'assistify-for-woocommerce' ),
+							'value' => size_format( $file['size'] ),
+						),
+						array(
+							'name'  => __( 'Uploaded', 'assistify-for-woocommerce' ),
+							'value' => gmdate( 'Y-m-d H:i:s', $file['uploaded'] ),
+						),
+					),
+				);
+			}
+		}
+
 		// Get user's chat sessions.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$sessions = $wpdb->get_results(
@@ -340,6 +370,20 @@ class Assistify_Privacy {
 			);
 		}
 
+		// Delete the files attached in the admin chat.
+		if ( class_exists( '\Assistify_For_WooCommerce\Admin\Chat_Attachments' ) ) {
+			$deleted_files = Admin\Chat_Attachments::instance()->delete_user_files( $user_id );
+
+			if ( $deleted_files > 0 ) {
+				$items_removed = true;
+				$messages[]    = sprintf(
+					/* translators: %d: Number of deleted chat attachments */
+					__( 'Removed %d chat attachment(s).', 'assistify-for-woocommerce' ),
+					$deleted_files
+				);
+			}
+		}
+
 		// Clear any transients.
 		delete_transient( 'assistify_chat_history_' . $user_id );
 
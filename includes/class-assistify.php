@@ -70,6 +70,7 @@ final class Assistify {
 		$this->define_admin_hooks();
 		$this->define_public_hooks();
 		$this->define_rest_api();
+		$this->define_cron_hooks();
 		$this->run();
 	}
 
@@ -81,7 +82,7 @@ final class Assistify {
 	 */
 	private function maybe_upgrade() {
 		$installed_version = get_option( 'assistify_db_version', '0' );
-		$current_version   = '1.0.2'; // Increment this when schema changes.
+		$current_version   = '1.0.3'; // Increment this when schema changes.
 
 		if ( version_compare( $installed_version, $current_version, '<' ) ) {
 			// Run database upgrade.
@@ -114,6 +115,17 @@ final class Assistify {
 			require_once ASSISTIFY_PLUGIN_DIR . 'includes/class-assistify-activator.php';
 			Assistify_Activator::create_tables();
 		}
+
+		// Add per-message metadata (e.g. interrupted answers).
+		if ( version_compare( $from_version, '1.0.3', '<' ) ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$column = $wpdb->get_var( "SHOW COLUMNS FROM {$wpdb->prefix}afw_messages LIKE 'metadata'" );
+
+			if ( ! $column ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$wpdb->prefix}afw_messages ADD COLUMN metadata LONGTEXT AFTER abilities_called" );
+			}
+		}
 	}
 
 	/**
@@ -161,6 +173,14 @@ final class Assistify {
 		if ( is_admin() ) {
 			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-assistify-admin.php';
 			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-admin-tools.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-result-cards.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-tool-confirmation.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-action-undo.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-slash-commands.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-chat-mentions.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-chat-attachments.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-saved-prompts.php';
+			require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-usage-meter.php';
 			require_once ASSISTIFY_PLUGIN_DIR . 'includes/editor/class-assistify-editor.php';
 		}
 
@@ -327,6 +347,19 @@ final class Assistify {
 		require_once $rest_api_dir . 'class-rest-api-controller.php';
 		require_once $rest_api_dir . 'class-rest-chat-controller.php';
 		require_once $rest_api_dir . 'class-rest-api.php';
+
+		// The streaming admin chat endpoint runs the agentic admin assistant.
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-assistify-admin.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-admin-tools.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-result-cards.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-tool-confirmation.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-action-undo.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-chat-mentions.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-chat-attachments.php';
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-usage-meter.php';
+
+		// Scheduled prompts run the same assistant from WP-Cron.
+		require_once ASSISTIFY_PLUGIN_DIR . 'includes/admin/class-saved-prompts.php';
 	}
 
 	/**
@@ -461,12 +494,31 @@ final class Assistify {
 
 		// AJAX handlers for admin chat.
 		$this->loader->add_action( 'wp_ajax_assistify_admin_chat', $plugin_admin, 'handle_admin_chat' );
+		$this->loader->add_action( 'wp_ajax_assistify_stop_chat', $plugin_admin, 'handle_stop_chat' );
+		$this->loader->add_action( 'wp_ajax_assistify_run_command', $plugin_admin, 'handle_run_command' );
+		$this->loader->add_action( 'wp_ajax_assistify_search_mentions', $plugin_admin, 'handle_search_mentions' );
+		$this->loader->add_action( 'wp_ajax_assistify_upload_attachment', $plugin_admin, 'handle_upload_attachment' );
+		$this->loader->add_action( 'wp_ajax_assistify_get_attachment', $plugin_admin, 'handle_get_attachment' );
+		$this->loader->add_action( 'wp_ajax_assistify_refresh_admin_nonce', $plugin_admin, 'handle_refresh_nonce' );
+
+		// AJAX handlers for saved prompts.
+		$this->loader->add_action( 'wp_ajax_assistify_get_prompts', $plugin_admin, 'handle_get_prompts' );
+		$this->loader->add_action( 'wp_ajax_assistify_save_prompt', $plugin_admin, 'handle_save_prompt' );
+		$this->loader->add_action( 'wp_ajax_assistify_delete_prompt', $plugin_admin, 'handle_delete_prompt' );
 
 		// AJAX handlers for chat sessions.
 		$this->loader->add_action( 'wp_ajax_assistify_get_sessions', $plugin_admin, 'handle_get_sessions' );
 		$this->loader->add_action( 'wp_ajax_assistify_get_session_messages', $plugin_admin, 'handle_get_session_messages' );
+		$this->loader->add_action( 'wp_ajax_assistify_search_sessions', $plugin_admin, 'handle_search_sessions' );
 		$this->loader->add_action( 'wp_ajax_assistify_create_session', $plugin_admin, 'handle_create_session' );
 		$this->loader->add_action( 'wp_ajax_assistify_delete_session', $plugin_admin, 'handle_delete_session' );
+		$this->loader->add_action( 'wp_ajax_assistify_update_session', $plugin_admin, 'handle_update_session' );
+		$this->loader->add_action( 'wp_ajax_assistify_bulk_sessions', $plugin_admin, 'handle_bulk_sessions' );
+		$this->loader->add_action( 'wp_ajax_assistify_get_share_users', $plugin_admin, 'handle_get_share_users' );
+		$this->loader->add_action( 'wp_ajax_assistify_share_session', $plugin_admin, 'handle_share_session' );
+		$this->loader->add_action( 'wp_ajax_assistify_unshare_session', $plugin_admin, 'handle_unshare_session' );
+		$this->loader->add_action( 'wp_ajax_assistify_branch_session', $plugin_admin, 'handle_branch_session' );
+		$this->loader->add_action( 'wp_ajax_assistify_switch_branch', $plugin_admin, 'handle_switch_branch' );
 		$this->loader->add_action( 'wp_ajax_assistify_clear_all_sessions', $plugin_admin, 'handle_clear_all_sessions' );
 
 		// AJAX handler for testing API key.
@@ -475,6 +527,7 @@ final class Assistify {
 		// AJAX handlers for action confirmation.
 		$this->loader->add_action( 'wp_ajax_assistify_confirm_action', $plugin_admin, 'handle_confirm_action' );
 		$this->loader->add_action( 'wp_ajax_assistify_cancel_action', $plugin_admin, 'handle_cancel_action' );
+		$this->loader->add_action( 'wp_ajax_assistify_undo_action', $plugin_admin, 'handle_undo_action' );
 	}
 
 	/**
@@ -489,6 +542,8 @@ final class Assistify {
 		// AJAX handlers for customer chat (both logged in and guests).
 		$this->loader->add_action( 'wp_ajax_assistify_customer_chat', $plugin_frontend, 'handle_customer_chat' );
 		$this->loader->add_action( 'wp_ajax_nopriv_assistify_customer_chat', $plugin_frontend, 'handle_customer_chat' );
+		$this->loader->add_action( 'wp_ajax_assistify_refresh_frontend_nonce', $plugin_frontend, 'handle_refresh_nonce' );
+		$this->loader->add_action( 'wp_ajax_nopriv_assistify_refresh_frontend_nonce', $plugin_frontend, 'handle_refresh_nonce' );
 
 		if ( is_admin() && ! wp_doing_ajax() ) {
 			return;
@@ -516,6 +571,23 @@ final class Assistify {
 		$this->loader->add_action( 'rest_api_init', $this, 'register_rest_routes' );
 	}
 
+	/**
+	 * Register the cron hooks that run scheduled prompts and delete unused
+	 * chat attachments.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	private function define_cron_hooks() {
+		$saved_prompts = Admin\Saved_Prompts::instance();
+		$attachments   = Admin\Chat_Attachments::instance();
+
+		$this->loader->add_action( 'init', $saved_prompts, 'schedule_event' );
+		$this->loader->add_action( Admin\Saved_Prompts::CRON_HOOK, $saved_prompts, 'run_due_prompts' );
+		$this->loader->add_action( 'init', $attachments, 'schedule_event' );
+		$this->loader->add_action( Admin\Chat_Attachments::CRON_HOOK, $attachments, 'cleanup' );
+	}
+
 	/**
 	 * Register REST API routes.
 	 *
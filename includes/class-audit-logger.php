@@ -355,6 +355,40 @@ class Audit_Logger {
 		return is_array( $results ) ? $results : array();
 	}
 
+	/**
+	 * Get a single log entry.
+	 *
+	 * @since 1.1.0
+	 * @param int $id Log ID.
+	 * @return array|null Log, or null if it does not exist.
+	 */
+	public function get_log( $id ) {
+		global $wpdb;
+
+		$table = $this->table_name;
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$log = $wpdb->get_row(
+			$wpdb->prepare( "SELECT * FROM `{$table}` WHERE id = %d", absint( $id ) ),
+			ARRAY_A
+		);
+		// phpcs:enable
+
+		if ( ! is_array( $log ) ) {
+			return null;
+		}
+
+		if ( ! empty( $log['parameters'] ) ) {
+			$log['parameters'] = json_decode( $log['parameters'], true );
+		}
+		if ( ! empty( $log['result'] ) ) {
+			$log['result'] = json_decode( $log['result'], true );
+		}
+
+		return $log;
+	}
+
 	/**
 	 * Execute logs query with static SQL.
 	 *
@@ -720,6 +754,21 @@ class Audit_Logger {
 			)
 		);
 
+		register_rest_route(
+			'assistify/v1',
+			'/audit-logs/(?P<id>\d+)',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'rest_get_log' ),
+				'permission_callback' => array( $this, 'check_admin_permission' ),
+				'args'                => array(
+					'id' => array(
+						'sanitize_callback' => 'absint',
+					),
+				),
+			)
+		);
+
 		register_rest_route(
 			'assistify/v1',
 			'/audit-logs/stats',
@@ -774,24 +823,9 @@ class Audit_Logger {
 		$logs  = $this->get_logs( $args );
 		$total = $this->get_logs_count( $args );
 
-		// Enrich logs with user info.
-		foreach ( $logs as &$log ) {
-			$user = get_user_by( 'id', $log['user_id'] );
-			if ( $user ) {
-				$log['user_name']  = $user->display_name;
-				$log['user_email'] = $user->user_email;
-			} else {
-				$log['user_name']  = __( 'Unknown User', 'assistify-for-woocommerce' );
-				$log['user_email'] = '';
-			}
-
-			// Format time - use time() for UTC comparison.
-			$log['time_ago'] = human_time_diff( strtotime( $log['created_at'] ), time() );
-		}
-
 		return rest_ensure_response(
 			array(
-				'logs'        => $logs,
+				'logs'        => array_map( array( $this, 'prepare_log_for_response' ), $logs ),
 				'total'       => $total,
 				'page'        => $page,
 				'per_page'    => $per_page,
@@ -800,6 +834,50 @@ class Audit_Logger {
 		);
 	}
 
+	/**
+	 * REST endpoint: Get a single log.
+	 *
+	 * @since 1.1.0
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response.
+	 */
+	public function rest_get_log( $request ) {
+		$log = $this->get_log( $request->get_param( 'id' ) );
+
+		if ( ! $log ) {
+			return new \WP_Error(
+				'assistify_log_not_found',
+				__( 'Log entry not found.', 'assistify-for-woocommerce' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response( $this->prepare_log_for_response( $log ) );
+	}
+
+	/**
+	 * Enrich a log with user info and a relative time.
+	 *
+	 * @since 1.1.0
+	 * @param array $log Log.
+	 * @return array Log.
+	 */
+	private function prepare_log_for_response( $log ) {
+		$user = get_user_by( 'id', $log['user_id'] );
+		if ( $user ) {
+			$log['user_name']  = $user->display_name;
+			$log['user_email'] = $user->user_email;
+		} else {
+			$log['user_name']  = __( 'Unknown User', 'assistify-for-woocommerce' );
+			$log['user_email'] = '';
+		}
+
+		// Format time - use time() for UTC comparison.
+		$log['time_ago'] = human_time_diff( strtotime( $log['created_at'] ), time() );
+
+		return $log;
+	}
+
 	/**
 	 * REST endpoint: Get statistics.
 	 *
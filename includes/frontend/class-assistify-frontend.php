@@ -50,7 +50,10 @@ class Assistify_Frontend {
 		// Verify nonce.
 		if ( ! check_ajax_referer( 'assistify_frontend_nonce', 'nonce', false ) ) {
 			wp_send_json_error(
-				array( 'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ) )
+				array(
+					'message' => __( 'Security check failed. Please refresh the page.', 'assistify-for-woocommerce' ),
+					'code'    => 'invalid_nonce',
+				)
 			);
 		}
 
@@ -155,6 +158,25 @@ class Assistify_Frontend {
 		);
 	}
 
+	/**
+	 * Handle AJAX request for a fresh chat nonce.
+	 *
+	 * Pages left open for a long time, or served from a page cache, carry a
+	 * nonce that has expired; the chat asks for a new one and sends the
+	 * message again. The nonce is for whoever the cookies identify, so
+	 * this needs no nonce itself.
+	 *
+	 * @since 1.1.0
+	 * @return void
+	 */
+	public function handle_refresh_nonce() {
+		wp_send_json_success(
+			array(
+				'nonce' => wp_create_nonce( 'assistify_frontend_nonce' ),
+			)
+		);
+	}
+
 	/**
 	 * Check rate limit for customer chat.
 	 *
@@ -1411,10 +1433,18 @@ Use a friendly, conversational tone. Format with line breaks for readability.',
 			return;
 		}
 
+		wp_register_script(
+			'assistify-markdown',
+			ASSISTIFY_PLUGIN_URL . 'assets/js/shared/markdown.js',
+			array(),
+			ASSISTIFY_VERSION,
+			true
+		);
+
 		wp_enqueue_script(
 			'assistify-frontend',
 			ASSISTIFY_PLUGIN_URL . 'assets/js/frontend/frontend.js',
-			array( 'jquery' ),
+			array( 'jquery', 'assistify-markdown' ),
 			ASSISTIFY_VERSION,
 			true
 		);
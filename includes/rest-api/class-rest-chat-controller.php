@@ -48,7 +48,59 @@ class REST_Chat_Controller extends REST_API_Controller {
 					'methods'             => \WP_REST_Server::CREATABLE,
 					'callback'            => array( $this, 'send_admin_message' ),
 					'permission_callback' => array( $this, 'admin_permissions_check' ),
-					'args'                => $this->get_chat_args(),
+					'args'                => array_merge(
+						$this->get_chat_args(),
+						array(
+							'stream'      => array(
+								'description' => __( 'Stream the response as server-sent events.', 'assistify-for-woocommerce' ),
+								'type'        => 'boolean',
+								'required'    => false,
+								'default'     => false,
+							),
+							'request_id'  => array(
+								'description'       => __( 'Client request ID, used to stop a streamed response.', 'assistify-for-woocommerce' ),
+								'type'              => 'string',
+								'required'          => false,
+								'sanitize_callback' => 'sanitize_text_field',
+							),
+							'provider'    => array(
+								'description'       => __( 'AI provider to answer with, instead of the configured one.', 'assistify-for-woocommerce' ),
+								'type'              => 'string',
+								'required'          => false,
+								'default'           => '',
+								'sanitize_callback' => 'sanitize_key',
+							),
+							'model'       => array(
+								'description'       => __( 'Model to answer with, instead of the configured one.', 'assistify-for-woocommerce' ),
+								'type'              => 'string',
+								'required'          => false,
+								'default'           => '',
+								'sanitize_callback' => 'sanitize_text_field',
+							),
+							'mentions'    => array(
+								'description' => __( 'Orders, customers and products mentioned in the message, each with a type and an ID.', 'assistify-for-woocommerce' ),
+								'type'        => 'array',
+								'required'    => false,
+								'default'     => array(),
+							),
+							'screen'      => array(
+								'description' => __( 'Admin screen the message was sent from, with a type and an ID.', 'assistify-for-woocommerce' ),
+								'type'        => array( 'object', 'null' ),
+								'required'    => false,
+								'default'     => null,
+							),
+							'attachments' => array(
+								'description'       => __( 'IDs of the files attached to the message.', 'assistify-for-woocommerce' ),
+								'type'              => 'array',
+								'items'             => array( 'type' => 'string' ),
+								'required'          => false,
+								'default'           => array(),
+								'sanitize_callback' => function ( $ids ) {
+									return array_map( 'sanitize_key', (array) $ids );
+								},
+							),
+						)
+					),
 				),
 			)
 		);
@@ -143,6 +195,9 @@ class REST_Chat_Controller extends REST_API_Controller {
 	/**
 	 * Send a message in admin chat.
 	 *
+	 * With the stream parameter set, the agentic admin assistant answers as
+	 * server-sent events and the request ends once the answer is complete.
+	 *
 	 * @since 1.0.0
 	 * @param \WP_REST_Request $request Full details about the request.
 	 * @return \WP_REST_Response|\WP_Error Response object or error.
@@ -158,6 +213,20 @@ class REST_Chat_Controller extends REST_API_Controller {
 		$session_id = $request->get_param( 'session_id' );
 		$history    = $this->sanitize_messages( $request->get_param( 'history' ) );
 
+		if ( $request->get_param( 'stream' ) ) {
+			$admin = new \Assistify_For_WooCommerce\Admin\Assistify_Admin();
+
+			// Use the chosen model, or the one picked to regenerate an answer.
+			$provider = $admin->get_chat_provider( (string) $request->get_param( 'provider' ), (string) $request->get_param( 'model' ) );
+			if ( is_wp_error( $provider ) ) {
+				return $provider;
+			}
+
+			$context = $admin->get_question_context( $request->get_param( 'mentions' ), $request->get_param( 'screen' ), $request->get_param( 'attachments' ) );
+
+			$admin->stream_admin_chat( $provider, $message, $session_id, (string) $request->get_param( 'request_id' ), $context );
+		}
+
 		// Get the AI provider.
 		$provider = AI_Provider_Factory::get_configured_provider();
 		if ( is_wp_error( $provider ) ) {
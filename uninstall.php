@@ -26,6 +26,18 @@ global $wpdb;
 // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 $wpdb->query( "DELETE FROM {$wpdb->options} WHERE option_name LIKE 'assistify_%'" );
 
+// Delete the files attached in the admin chat, before the user meta that lists them.
+$assistify_uploads  = wp_upload_dir();
+$assistify_chat_dir = $assistify_uploads['basedir'] . '/assistify-chat';
+
+if ( is_dir( $assistify_chat_dir ) ) {
+	foreach ( array_diff( (array) scandir( $assistify_chat_dir ), array( '.', '..' ) ) as $assistify_file ) {
+		wp_delete_file( $assistify_chat_dir . '/' . $assistify_file );
+	}
+
+	rmdir( $assistify_chat_dir ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+}
+
 // Delete user meta - direct query is necessary for uninstall cleanup.
 // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 $wpdb->query( "DELETE FROM {$wpdb->usermeta} WHERE meta_key LIKE 'assistify_%'" );